@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 
 const connectionString = process.env.DATABASE_URL;
 
@@ -6,18 +6,87 @@ if (!connectionString) {
   throw new Error('DATABASE_URL is required in environment variables');
 }
 
+const ssl = { rejectUnauthorized: false };
+const LISTEN_RECONNECT_DELAY_MS = 5000;
+
 const pool = new Pool({
   connectionString,
-  ssl: { rejectUnauthorized: false }
+  ssl
 });
 
 const query = (text, params = []) => pool.query(text, params);
 
+// Subscribe to NOTIFY channels on a dedicated connection (pooled clients are
+// recycled and would silently drop their LISTEN). Reconnects until stopped.
+// onNotification receives { channel, payload } as sent by pg_notify.
+// Returns an async stop() function.
+const listen = (channels, onNotification) => {
+  let client = null;
+  let stopped = false;
+  let reconnectTimer = null;
+
+  const scheduleReconnect = () => {
+    if (stopped || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, LISTEN_RECONNECT_DELAY_MS);
+  };
+
+  const connect = async () => {
+    const nextClient = new Client({ connectionString, ssl });
+    nextClient.on('notification', onNotification);
+    nextClient.on('error', (error) => {
+      console.error('[DB] Listener connection error:', error.message);
+    });
+    nextClient.on('end', () => {
+      if (client === nextClient) {
+        client = null;
+        scheduleReconnect();
+      }
+    });
+
+    try {
+      await nextClient.connect();
+      for (const channel of channels) {
+        await nextClient.query(`LISTEN ${channel}`);
+      }
+    } catch (error) {
+      console.error('[DB] Listener connect failed:', error.message);
+      nextClient.end().catch(() => {});
+      scheduleReconnect();
+      return;
+    }
+
+    if (stopped) {
+      await nextClient.end();
+      return;
+    }
+
+    client = nextClient;
+    console.log(`[DB] Listening on ${channels.join(', ')}`);
+  };
+
+  connect();
+
+  return async () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (client) {
+      const activeClient = client;
+      client = null;
+      await activeClient.end();
+    }
+  };
+};
+
 const closePool = async () => {
   await pool.end();
 };
 
 module.exports = {
   query,
+  listen,
   closePool
 };
@@ -1,15 +1,7 @@
 // Customer marketplace: reject a supplier bid for own open order.
 const rejectBidCustomer = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
     const bidId = Number(req.body.bid_id || req.params.bidId);
 
     if (!Number.isInteger(bidId) || bidId <= 0) {
@@ -19,12 +11,22 @@ const rejectBidCustomer = async (req, res) => {
       });
     }
 
-
-    const dbResult = await query('SELECT reject_bid($1, $2) AS result', [customerId, bidId]);
+    const dbResult = await query('SELECT reject_bid($1, $2, $3) AS result', [
+      customerId,
+      bidId,
+      statusesAllowing('reject_bid', 'customer')
+    ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      return res.status(400).json({
+      const message = (response?.message || '').toString().toLowerCase();
+      const statusCode = response?.order_status
+        ? 409
+        : message.includes('not found')
+          ? 404
+          : 400;
+
+      return res.status(statusCode).json({
         success: false,
         message: response?.message || 'Failed to reject bid'
       });
@@ -52,14 +54,13 @@ const rejectBidCustomer = async (req, res) => {
 
 
 // Customer: resolve current active order and include supplier timer details when applicable.
+// An order for a later window is only returned (flagged `upcoming`) while
+// nothing is under way; the customer can still place an order for now.
+// Scheduled orders are held back from the marketplace while another order is
+// live (surface_scheduled_orders), so at most one live order is expected.
 const getCurrentOrderCustomer = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
 
     await query('SELECT cleanup_expired_failures()');
 
@@ -69,11 +70,14 @@ const getCurrentOrderCustomer = async (req, res) => {
            o.order_id,
            o.status,
            o.time_limit_for_supplier,
-           o.created_at
+           o.created_at,
+           o.scheduled_for,
+           order_is_upcoming(o.status, o.scheduled_for, o.surfaced_at, $2) AS upcoming
          FROM orders o
          WHERE o.customer_id = $1
+           AND o.parent_order_id IS NULL
            AND (
-             o.status = 'open'
+             o.status IN ('scheduled', 'direct_offer', 'open')
              OR o.status IN ('accepted', 'ride_started', 'reached', 'finished')
              OR (
                o.status = 'supplier_timer'
@@ -82,20 +86,27 @@ const getCurrentOrderCustomer = async (req, res) => {
            )
        ),
        candidate_count AS (
-         SELECT COUNT(*)::int AS total FROM candidate_orders
+         SELECT
+           COUNT(*)::int AS total,
+           (COUNT(*) FILTER (WHERE NOT upcoming AND status <> 'scheduled'))::int AS live_total
+         FROM candidate_orders
        ),
        picked AS (
-         SELECT order_id, status, time_limit_for_supplier
+         SELECT order_id, status, time_limit_for_supplier, upcoming
          FROM candidate_orders
          ORDER BY
+           upcoming,
+           CASE WHEN upcoming THEN scheduled_for END,
            CASE status
              WHEN 'reached' THEN 1
              WHEN 'ride_started' THEN 2
              WHEN 'accepted' THEN 3
              WHEN 'supplier_timer' THEN 4
-             WHEN 'open' THEN 5
-             WHEN 'finished' THEN 6
-             ELSE 7
+             WHEN 'direct_offer' THEN 5
+             WHEN 'open' THEN 6
+             WHEN 'scheduled' THEN 7
+             WHEN 'finished' THEN 8
+             ELSE 9
            END,
            created_at DESC,
            order_id DESC
@@ -103,8 +114,10 @@ const getCurrentOrderCustomer = async (req, res) => {
        )
        SELECT
          cc.total,
+         cc.live_total,
          p.order_id,
          p.status,
+         p.upcoming,
          p.time_limit_for_supplier,
          CASE
            WHEN p.time_limit_for_supplier IS NULL THEN NULL
@@ -112,7 +125,7 @@ const getCurrentOrderCustomer = async (req, res) => {
          END AS remaining_supplier_seconds
        FROM candidate_count cc
        LEFT JOIN picked p ON TRUE`,
-      [customerId]
+      [customerId, scheduledOrderLeadMinutes()]
     );
 
     const summary = currentOrderResult.rows[0];
@@ -125,25 +138,26 @@ const getCurrentOrderCustomer = async (req, res) => {
       });
     }
 
-    if (totalCandidates > 1) {
+    const liveCandidates = Number(summary.live_total || 0);
+    if (liveCandidates > 1) {
       return res.status(409).json({
         success: false,
         message: 'Multiple current orders found for customer. Data integrity issue.',
         data: {
-          total_candidates: totalCandidates
+          total_candidates: liveCandidates
         }
       });
     }
 
     let response;
 
-    if (summary.status === 'open') {
+    if (['open', 'scheduled', 'direct_offer'].includes(summary.status)) {
       const dbResult = await query('SELECT orderOpen($1, $2) AS result', [customerId, summary.order_id]);
       response = dbResult.rows[0].result;
     } else if (summary.status === 'finished') {
       // Return a minimal payload — enough for the frontend to show the rating prompt
       const orderRow = await query(
-        `SELECT order_id, status, requested_capacity, accepted_price, delivery_location FROM orders WHERE order_id = $1`,
+        `SELECT order_id, status, requested_capacity, accepted_price, delivery_location, leg_count FROM orders WHERE order_id = $1`,
         [summary.order_id]
       );
       const o = orderRow.rows[0];
@@ -153,9 +167,10 @@ const getCurrentOrderCustomer = async (req, res) => {
           code: 1,
           order_id: o.order_id,
           status: 'finished',
-          quantity: o.requested_capacity,
-          price: o.accepted_price,
+          quantity: Number(o.requested_capacity),
+          price: Number(o.accepted_price),
           delivery_location: o.delivery_location,
+          leg_count: o.leg_count,
           awaiting_rating: true
         }
       });
@@ -178,6 +193,7 @@ const getCurrentOrderCustomer = async (req, res) => {
       success: true,
       data: {
         ...response,
+        upcoming: summary.upcoming === true,
         time_limit_for_supplier: summary.time_limit_for_supplier || null,
         remaining_supplier_seconds: Number.isFinite(Number(summary.remaining_supplier_seconds))
           ? Number(summary.remaining_supplier_seconds)
@@ -199,12 +215,7 @@ const getCurrentOrderCustomer = async (req, res) => {
 // Driver: view order details with timer and status checks
 const getOrderDetailsDriver = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const driverId = auth.userId;
+    const driverId = req.user.userId;
     const orderId = Number(req.params.orderId);
     if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({ success: false, message: 'orderId must be a positive integer' });
@@ -258,8 +269,7 @@ const getOrderDetailsDriver = async (req, res) => {
     }
 
     // Only allow viewing from supplier_timer onwards
-    const allowedStatuses = ['supplier_timer', 'accepted', 'ride_started', 'reached'];
-    if (!allowedStatuses.includes(order.status)) {
+    if (!isActiveStatus(order.status)) {
       return res.status(403).json({ success: false, message: 'Order not available for viewing at this stage.' });
     }
 
@@ -287,12 +297,7 @@ const getOrderDetailsDriver = async (req, res) => {
 // Driver: resolve current active/pending order for logged-in driver.
 const getCurrentOrderDriver = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const driverId = auth.userId;
+    const driverId = req.user.userId;
 
     // Clear expired rows before resolving current assignment/order.
     await query('SELECT cleanup_expired_failures()');
@@ -423,118 +428,163 @@ const getCurrentOrderDriver = async (req, res) => {
 };
 
 
+const crypto = require('crypto');
 const { query } = require('../config/database');
-const { emitToUser, emitToSuppliers } = require('../socket');
+const { emitToUser, disconnectSession } = require('../socket');
+const { getSmsProvider } = require('../services/sms');
+const { getStorageProvider } = require('../services/storage');
+const { canTransition, statusesAllowing, isActiveStatus, describeOrderStates, transitionEvent } = require('../services/orderStateMachine');
+const { scheduledOrderLeadMinutes } = require('../services/jobs/scheduledOrdersJob');
+const { invalidateSessionToken, invalidateUserSessions } = require('../middleware/sessionAuth');
+
+// Socket events emitted by the handlers below, resolved against the state
+// machine so an undeclared event fails at startup instead of going unnoticed.
+const BID_COUNTERED = transitionEvent('counter_bid', 'bid_countered');
+const BID_POSTED = transitionEvent('place_bid', 'bid_posted');
+const DIRECT_OFFER_DECLINED = transitionEvent('decline_direct_offer', 'direct_offer_declined');
+const COUNTER_OFFER_ANSWERED = transitionEvent('accept_counter', 'counter_offer_answered');
+const HANDOVER_OVERRIDDEN = transitionEvent('override_handover', 'handover_overridden');
+const ETA_UPDATED = transitionEvent('start_ride', 'eta_updated');
+const ORDER_COMPLETED = transitionEvent('finish', 'order_completed');
+const ORDER_CANCELLED = transitionEvent('cancel', 'order_cancelled');
+const DRIVER_DROPPED = transitionEvent('drop_out', 'driver_dropped');
+
+// Customer login behavior: auto-clear stale open orders only. Scheduled
+// orders (even once surfaced to the marketplace) are kept.
+const clearCustomerOpenOrdersOnLogin = async (customerId) => {
+  if (!customerId) return;
 
-const getAuthenticatedUserId = async (req) => {
-  const authHeader = req.headers.authorization || '';
-  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
-  const sessionToken = bearerToken || req.headers['x-session-token'] || null;
+  await query(
+    `WITH removed AS (
+       DELETE FROM orders
+       WHERE customer_id = $1
+         AND status IN ('open', 'direct_offer')
+         AND scheduled_for IS NULL
+       RETURNING order_id, status
+     )
+     INSERT INTO order_events (order_id, event_type, from_status, actor_id, actor_role, customer_id, payload)
+     SELECT order_id, 'removed', status, $1, 'customer', $1, '{"reason": "login"}'::jsonb
+     FROM removed`,
+    [customerId]
+  );
+};
 
-  if (!sessionToken) {
-    return {
-      ok: false,
-      status: 401,
-      message: 'Unauthorized: missing session token'
-    };
+// Optional lat/lng pair from a request body. Both or neither must be sent;
+// range checks are repeated in SQL so the DB stays the source of truth.
+const parseCoordinates = (body, latitudeKey, longitudeKey) => {
+  const isBlank = (value) => value === undefined || value === null || value === '';
+  const latitudeRaw = body[latitudeKey];
+  const longitudeRaw = body[longitudeKey];
+
+  if (isBlank(latitudeRaw) && isBlank(longitudeRaw)) {
+    return { latitude: null, longitude: null };
   }
 
-  const sessionResult = await query('SELECT check_session($1) AS result', [sessionToken]);
-  const sessionResponse = sessionResult.rows[0].result;
+  if (isBlank(latitudeRaw) || isBlank(longitudeRaw)) {
+    return { error: `${latitudeKey} and ${longitudeKey} must be provided together` };
+  }
 
-  if (!sessionResponse || sessionResponse.code !== 1 || !sessionResponse.user_id) {
-    return {
-      ok: false,
-      status: 401,
-      message: 'Unauthorized: invalid session'
-    };
+  const latitude = Number(latitudeRaw);
+  const longitude = Number(longitudeRaw);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { error: `${latitudeKey} must be a number between -90 and 90` };
   }
 
-  return {
-    ok: true,
-    userId: sessionResponse.user_id
-  };
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { error: `${longitudeKey} must be a number between -180 and 180` };
+  }
+
+  return { latitude, longitude };
 };
 
-const getSupplierUserId = async (req) => {
-  const auth = await getAuthenticatedUserId(req);
-  if (!auth.ok) {
-    return auth;
+// Optional ISO-8601 timestamp from a request body. Future/window rules live in
+// START_ORDER; this only rejects values Postgres would not parse the same way.
+const parseOptionalTimestamp = (body, key) => {
+  const raw = body[key];
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: null };
   }
 
-  const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [auth.userId]);
-  const role = roleResult.rows[0]?.role;
-
-  if (role !== 'supplier') {
-    return {
-      ok: false,
-      status: 403,
-      message: 'Forbidden: supplier access required'
-    };
+  const parsed = typeof raw === 'string' ? new Date(raw) : null;
+  if (!parsed || Number.isNaN(parsed.getTime())) {
+    return { error: `${key} must be an ISO-8601 timestamp` };
   }
 
-  return {
-    ok: true,
-    userId: auth.userId
-  };
+  return { value: parsed.toISOString() };
+};
+
+const MAX_PROOF_IMAGE_BYTES = 5 * 1024 * 1024;
+const PROOF_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
 };
 
-const getCustomerUserId = async (req) => {
-  const auth = await getAuthenticatedUserId(req);
-  if (!auth.ok) {
-    return auth;
+// Optional base64 data URI image from a request body
+// ("data:image/jpeg;base64,..."). Returns { image: null } when not sent.
+const parseImageUpload = (body, key) => {
+  const raw = body[key];
+  if (raw === undefined || raw === null || raw === '') {
+    return { image: null };
   }
 
-  const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [auth.userId]);
-  const role = roleResult.rows[0]?.role;
+  const match = typeof raw === 'string' ? /^data:([\w/+.-]+);base64,(.+)$/s.exec(raw) : null;
+  if (!match || !PROOF_IMAGE_TYPES[match[1]]) {
+    return { error: `${key} must be a base64 data URI of a JPEG, PNG or WebP image` };
+  }
 
-  if (role !== 'customer') {
-    return {
-      ok: false,
-      status: 403,
-      message: 'Forbidden: customer access required'
-    };
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0) {
+    return { error: `${key} is empty` };
+  }
+  if (buffer.length > MAX_PROOF_IMAGE_BYTES) {
+    return { error: `${key} must be at most ${MAX_PROOF_IMAGE_BYTES / (1024 * 1024)} MB` };
   }
 
   return {
-    ok: true,
-    userId: auth.userId
+    image: {
+      buffer,
+      contentType: match[1],
+      extension: PROOF_IMAGE_TYPES[match[1]]
+    }
   };
 };
 
-const getDriverUserId = async (req) => {
-  const auth = await getAuthenticatedUserId(req);
-  if (!auth.ok) {
-    return auth;
+// Proof keys are stored in the DB; URLs are minted per request because S3
+// links expire and local links depend on the host the client reached us on.
+// Multi-tanker orders carry one proof per leg in `legs`, resolved the same way.
+const withDeliveryProofUrls = async (req, order) => {
+  if (!order) {
+    return order;
   }
 
-  const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [auth.userId]);
-  const role = roleResult.rows[0]?.role;
+  const storage = getStorageProvider();
+  const toAbsolute = (url) => (url.startsWith('/') ? `${req.protocol}://${req.get('host')}${url}` : url);
+  const resolveProof = async (proof) => {
+    if (!proof) {
+      return proof;
+    }
 
-  if (role !== 'driver') {
     return {
-      ok: false,
-      status: 403,
-      message: 'Forbidden: driver access required'
+      photo_url: toAbsolute(await storage.getObjectUrl(proof.photo_key)),
+      signature_url: proof.signature_key
+        ? toAbsolute(await storage.getObjectUrl(proof.signature_key))
+        : null,
+      delivered_gallons: proof.delivered_gallons,
+      recorded_at: proof.recorded_at
     };
-  }
-
-  return {
-    ok: true,
-    userId: auth.userId
   };
-};
 
-// Customer login behavior: auto-clear stale open orders only.
-const clearCustomerOpenOrdersOnLogin = async (customerId) => {
-  if (!customerId) return;
+  const resolved = { ...order, delivery_proof: await resolveProof(order.delivery_proof) };
+  if (Array.isArray(order.legs)) {
+    resolved.legs = await Promise.all(order.legs.map(async (leg) => ({
+      ...leg,
+      delivery_proof: await resolveProof(leg.delivery_proof)
+    })));
+  }
 
-  await query(
-    `DELETE FROM orders
-     WHERE customer_id = $1
-       AND status = 'open'`,
-    [customerId]
-  );
+  return resolved;
 };
 
 
@@ -562,7 +612,7 @@ const appStartup = async (req, res) => {
       return res.status(200).json({
         success: true,
         next_screen: 'enter_number',
-        reason: 'invalid_session'
+        reason: sessionResponse?.expired ? 'session_expired' : 'invalid_session'
       });
     }
 
@@ -666,12 +716,13 @@ const enterNumber = async (req, res) => {
 };
 
 
-// Store OTP endpoint: Save OTP to database for verification
+// Send OTP endpoint: Generate OTP server-side, store its hash and deliver it by SMS
+
+const generateOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
 
-const storeOTP = async (req, res) => {
+const sendOTP = async (req, res) => {
   try {
     const phone = (req.body.phone || req.body.phone_number || '').toString().trim();
-    const otp = (req.body.otp || '').toString().trim();
 
     if (!phone) {
       return res.status(400).json({
@@ -680,14 +731,7 @@ const storeOTP = async (req, res) => {
       });
     }
 
-    if (!otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP is required'
-      });
-    }
-
-    console.log(`[DEV] OTP for ${phone}: ${otp}`);
+    const otp = generateOtp();
     const dbResult = await query('SELECT store_otp($1, $2) AS result', [phone, otp]);
     const response = dbResult.rows[0].result;
 
@@ -695,24 +739,36 @@ const storeOTP = async (req, res) => {
     if (!response || response.success !== true) {
       return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to store OTP'
+        message: response?.message || 'Failed to send OTP'
+      });
+    }
+
+    try {
+      await getSmsProvider().sendOtp(phone, otp);
+    } catch (deliveryError) {
+      console.error('OTP delivery error:', deliveryError);
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to deliver OTP. Please try again shortly'
       });
     }
 
+    // The code itself never leaves the server.
     return res.status(200).json({
       success: true,
-      message: response.message || 'OTP stored successfully',
+      message: 'OTP sent successfully',
       data: {
         phone: response.phone || phone,
-        otp_sent: response.otp_sent || true,
+        otp_sent: true,
+        remaining_otp_requests_in_24h: response.remaining_otp_requests_in_24h,
         next_screen: 'otp_verification_confirm'
       }
     });
   } catch (error) {
-    console.error('Store OTP error:', error);
+    console.error('Send OTP error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to store OTP',
+      message: 'Failed to send OTP',
       error: error.message
     });
   }
@@ -726,6 +782,7 @@ const verifyOTP = async (req, res) => {
   try {
     const phone = (req.body.phone || req.body.phone_number || '').toString().trim();
     const otp = (req.body.otp || '').toString().trim();
+    const deviceLabel = (req.body.device_label || '').toString().trim().slice(0, 100) || null;
 
     if (!phone) {
       return res.status(400).json({
@@ -741,12 +798,15 @@ const verifyOTP = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT verify_otp_and_activate_user($1, $2) AS result', [phone, otp]);
+    const dbResult = await query(
+      'SELECT verify_otp_and_activate_user($1, $2, $3) AS result',
+      [phone, otp, deviceLabel]
+    );
     const response = dbResult.rows[0].result;
 
-    // verify_otp_and_activate_user contract: 0=success, 1=invalid OTP, 2=error
+    // verify_otp_and_activate_user contract: 0=success, 1=invalid OTP, 2=error, 3=suspended
     if (!response || response.code !== 0) {
-      return res.status(400).json({
+      return res.status(response?.code === 3 ? 403 : 400).json({
         success: false,
         message: response?.message || 'OTP verification failed'
       });
@@ -762,6 +822,9 @@ const verifyOTP = async (req, res) => {
       message: response.message || 'OTP verified successfully',
       data: {
         session_token: response.session_token,
+        refresh_token: response.refresh_token,
+        expires_at: response.expires_at,
+        refresh_expires_at: response.refresh_expires_at,
         user_id: response.user_id,
         phone: response.phone || phone,
         role: response.role,
@@ -779,21 +842,148 @@ const verifyOTP = async (req, res) => {
 };
 
 
-// Profile completion: customer
+// Session rotation: exchange a refresh token for a new token pair
 
-const enterDetailsCustomer = async (req, res) => {
+const refreshSession = async (req, res) => {
+  try {
+    const refreshToken = (req.body.refresh_token || '').toString().trim();
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const dbResult = await query('SELECT rotate_session($1) AS result', [refreshToken]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(401).json({
+        success: false,
+        message: response?.message || 'Failed to refresh session'
+      });
+    }
+
+    // The previous access token no longer exists.
+    invalidateUserSessions(response.user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Session refreshed',
+      data: {
+        session_token: response.session_token,
+        refresh_token: response.refresh_token,
+        expires_at: response.expires_at,
+        refresh_expires_at: response.refresh_expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: error.message
+    });
+  }
+};
+
+
+// Device sessions: list the user's signed-in devices
+
+const listSessions = async (req, res) => {
+  try {
+    const dbResult = await query(
+      'SELECT list_user_sessions($1, $2) AS result',
+      [req.user.userId, req.user.sessionId]
+    );
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to fetch sessions'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: response.sessions || []
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+
+// Device sessions: revoke another signed-in device
+
+const revokeSession = async (req, res) => {
   try {
-    const auth = await getAuthenticatedUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const sessionId = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid session id is required'
+      });
+    }
+
+    const dbResult = await query(
+      'SELECT revoke_user_session($1, $2, $3) AS result',
+      [req.user.userId, sessionId, req.user.sessionId]
+    );
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = response?.message || 'Failed to revoke session';
+      return res.status(message.includes('not found') ? 404 : 400).json({
         success: false,
-        message: auth.message
+        message
       });
     }
 
-    const userId = auth.userId;
+    invalidateUserSessions(req.user.userId);
+
+    // Kick any live socket still attached to the revoked device.
+    disconnectSession(sessionId);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Session revoked',
+      data: { session_id: sessionId }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+
+// Order lifecycle: states, transitions and who may trigger them (static, no DB)
+
+const getOrderStates = (req, res) => res.status(200).json({
+  success: true,
+  data: describeOrderStates()
+});
+
+
+// Profile completion: customer
+
+const enterDetailsCustomer = async (req, res) => {
+  try {
+    const userId = req.user.userId;
     const name = (req.body.name || '').toString().trim();
     const homeAddress = req.body.home_address || null;
+    const homeCoordinates = parseCoordinates(req.body, 'home_latitude', 'home_longitude');
 
     if (!name) {
       return res.status(400).json({
@@ -802,9 +992,25 @@ const enterDetailsCustomer = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT enter_details_customer($1, $2, $3) AS result', [userId, name, homeAddress]);
+    if (homeCoordinates.error) {
+      return res.status(400).json({
+        success: false,
+        message: homeCoordinates.error
+      });
+    }
+
+    const dbResult = await query('SELECT enter_details_customer($1, $2, $3, $4, $5) AS result', [
+      userId,
+      name,
+      homeAddress,
+      homeCoordinates.latitude,
+      homeCoordinates.longitude
+    ]);
     const response = dbResult.rows[0].result;
 
+    // Role is assigned here, so the cached 'undefined' role must not linger.
+    invalidateUserSessions(userId);
+
     if (!response || response.code !== 1) {
       return res.status(400).json({
         success: false,
@@ -836,15 +1042,7 @@ const enterDetailsCustomer = async (req, res) => {
 
 const enterDetailsDriver = async (req, res) => {
   try {
-    const auth = await getAuthenticatedUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const userId = auth.userId;
+    const userId = req.user.userId;
     const name = (req.body.name || '').toString().trim();
 
     if (!name) {
@@ -857,6 +1055,9 @@ const enterDetailsDriver = async (req, res) => {
     const dbResult = await query('SELECT enter_details_driver($1, $2) AS result', [userId, name]);
     const response = dbResult.rows[0].result;
 
+    // Role assigned, or the account was removed for re-onboarding.
+    invalidateUserSessions(userId);
+
     if (!response || response.code !== 1) {
       if (response?.force_reonboard) {
         return res.status(401).json({
@@ -898,15 +1099,7 @@ const enterDetailsDriver = async (req, res) => {
 
 const enterDetailsSupplier = async (req, res) => {
   try {
-    const auth = await getAuthenticatedUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const userId = auth.userId;
+    const userId = req.user.userId;
     const name = (req.body.name || '').toString().trim();
     const yardLocation = (req.body.yard_location || '').toString().trim();
     const businessContact = (req.body.business_contact || '').toString().trim();
@@ -926,14 +1119,26 @@ const enterDetailsSupplier = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT enter_details_supplier($1, $2, $3, $4) AS result', [
+    const yardCoordinates = parseCoordinates(req.body, 'yard_latitude', 'yard_longitude');
+    if (yardCoordinates.error) {
+      return res.status(400).json({
+        success: false,
+        message: yardCoordinates.error
+      });
+    }
+
+    const dbResult = await query('SELECT enter_details_supplier($1, $2, $3, $4, $5, $6) AS result', [
       userId,
       name,
       yardLocation,
-      businessContact
+      businessContact,
+      yardCoordinates.latitude,
+      yardCoordinates.longitude
     ]);
     const response = dbResult.rows[0].result;
 
+    invalidateUserSessions(userId);
+
     if (!response || response.code !== 1) {
       return res.status(400).json({
         success: false,
@@ -961,20 +1166,103 @@ const enterDetailsSupplier = async (req, res) => {
 };
 
 
+// Supplier profile: marketplace service area (radius and/or districts).
+const getSupplierServiceArea = async (req, res) => {
+  try {
+    const dbResult = await query('SELECT get_supplier_service_area($1) AS result', [req.user.userId]);
+    const response = dbResult.rows[0].result;
 
+    if (!response || response.code !== 1) {
+      return res.status(404).json({
+        success: false,
+        message: response?.message || 'Supplier not found'
+      });
+    }
 
-// Supplier dashboard: add a driver phone to roster.
-const addSupplierDriver = async (req, res) => {
+    return res.status(200).json({
+      success: true,
+      data: response
+    });
+  } catch (error) {
+    console.error('Get service area error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service area',
+      error: error.message
+    });
+  }
+};
+
+const updateSupplierServiceArea = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const radiusRaw = req.body.service_radius_km;
+    const districtsRaw = req.body.service_districts;
+
+    let radiusKm = null;
+    if (radiusRaw !== undefined && radiusRaw !== null && radiusRaw !== '') {
+      radiusKm = Number(radiusRaw);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'service_radius_km must be a positive number'
+        });
+      }
+    }
+
+    if (districtsRaw !== undefined && districtsRaw !== null && !Array.isArray(districtsRaw)) {
+      return res.status(400).json({
+        success: false,
+        message: 'service_districts must be an array of district names'
+      });
+    }
+    const districts = (districtsRaw || []).map((district) => String(district));
+
+    const yardCoordinates = parseCoordinates(req.body, 'yard_latitude', 'yard_longitude');
+    if (yardCoordinates.error) {
+      return res.status(400).json({
+        success: false,
+        message: yardCoordinates.error
+      });
+    }
+
+    const dbResult = await query('SELECT update_supplier_service_area($1, $2, $3, $4, $5) AS result', [
+      req.user.userId,
+      radiusKm,
+      districts,
+      yardCoordinates.latitude,
+      yardCoordinates.longitude
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: response?.message || 'Failed to update service area'
       });
     }
 
-    const supplierId = auth.userId;
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Service area updated',
+      data: response
+    });
+  } catch (error) {
+    console.error('Update service area error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update service area',
+      error: error.message
+    });
+  }
+};
+
+
+
+
+// Supplier dashboard: add a driver phone to roster.
+const addSupplierDriver = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
     const driverPhone = (req.body.driver_phone_num || '').toString().trim();
 
     if (!driverPhone) {
@@ -1021,15 +1309,7 @@ const addSupplierDriver = async (req, res) => {
 // Supplier dashboard: list roster drivers.
 const listSupplierDrivers = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const supplierId = auth.userId;
+    const supplierId = req.user.userId;
 
     const dbResult = await query(
       `
@@ -1039,9 +1319,14 @@ const listSupplierDrivers = async (req, res) => {
         sd.available,
         sd.joined_at,
         u.name AS driver_name,
-        u.phone AS linked_phone
+        u.phone AS linked_phone,
+        v.vehicle_id,
+        v.registration_number,
+        v.capacity_gallons,
+        v.status AS vehicle_status
       FROM supplier_drivers sd
       LEFT JOIN users u ON u.user_id = sd.driver_user_id
+      LEFT JOIN vehicles v ON v.vehicle_id = sd.vehicle_id
       WHERE sd.supplier_user_id = $1
       ORDER BY sd.joined_at DESC NULLS LAST, sd.driver_phone_num ASC
       `,
@@ -1055,7 +1340,15 @@ const listSupplierDrivers = async (req, res) => {
       available: row.available,
       joined_at: row.joined_at,
       driver_name: row.driver_name || null,
-      linked_phone: row.linked_phone || null
+      linked_phone: row.linked_phone || null,
+      vehicle: row.vehicle_id
+        ? {
+          vehicle_id: row.vehicle_id,
+          registration_number: row.registration_number,
+          capacity_gallons: row.capacity_gallons,
+          status: row.vehicle_status
+        }
+        : null
     }));
 
     return res.status(200).json({
@@ -1079,15 +1372,7 @@ const listSupplierDrivers = async (req, res) => {
 // Supplier dashboard: remove driver phone from roster.
 const removeSupplierDriver = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const supplierId = auth.userId;
+    const supplierId = req.user.userId;
     const driverPhone = (req.body.driver_phone_num || '').toString().trim();
 
     if (!driverPhone) {
@@ -1110,6 +1395,8 @@ const removeSupplierDriver = async (req, res) => {
       });
     }
 
+    invalidateUserSessions(response.driver_user_id);
+
     return res.status(200).json({
       success: true,
       message: response.message || 'Driver removed successfully'
@@ -1124,18 +1411,251 @@ const removeSupplierDriver = async (req, res) => {
   }
 };
 
-// Supplier dashboard: readiness checks for order screen.
-const getSupplierDriverReadiness = async (req, res) => {
+// Status code for a failed fleet function: missing vehicle/driver 404,
+// conflicts with other records or running orders 409, bad input 400.
+const vehicleFailureStatus = (message) => {
+  const msg = (message || '').toString().toLowerCase();
+  if (msg.includes('not found') || msg.includes('does not belong')) return 404;
+  if (msg.includes('already') || msg.includes('active order')) return 409;
+  return 400;
+};
+
+// Supplier fleet: list tankers with their paired drivers.
+const listSupplierVehicles = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+
+    const dbResult = await query('SELECT list_supplier_vehicles($1) AS result', [supplierId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to list vehicles'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        vehicles: Array.isArray(response.vehicles) ? response.vehicles : []
+      }
+    });
+  } catch (error) {
+    console.error('List supplier vehicles error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list vehicles',
+      error: error.message
+    });
+  }
+};
+
+// Supplier fleet: register a tanker.
+const addSupplierVehicle = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+    const registrationNumber = (req.body.registration_number || '').toString().trim();
+    const capacityGallons = Number(req.body.capacity_gallons);
+
+    if (!registrationNumber || registrationNumber.length > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'registration_number is required (max 20 characters)'
+      });
+    }
+
+    if (!Number.isInteger(capacityGallons) || capacityGallons <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'capacity_gallons must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT add_vehicle_supplier($1, $2, $3) AS result', [
+      supplierId,
+      registrationNumber,
+      capacityGallons
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(vehicleFailureStatus(response?.message)).json({
+        success: false,
+        message: response?.message || 'Failed to add vehicle'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: response.message || 'Vehicle added successfully',
+      data: {
+        vehicle_id: response.vehicle_id
+      }
+    });
+  } catch (error) {
+    console.error('Add supplier vehicle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add vehicle',
+      error: error.message
+    });
+  }
+};
+
+// Supplier fleet: put a tanker into maintenance or back into service.
+const updateSupplierVehicleStatus = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+    const vehicleId = Number(req.params.vehicleId);
+    const status = (req.body.status || '').toString().trim().toLowerCase();
+
+    if (!Number.isInteger(vehicleId) || vehicleId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'vehicleId must be a positive integer'
+      });
+    }
+
+    if (!['active', 'maintenance'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "status must be 'active' or 'maintenance'"
+      });
+    }
+
+    const dbResult = await query('SELECT set_vehicle_status_supplier($1, $2, $3) AS result', [
+      supplierId,
+      vehicleId,
+      status
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(vehicleFailureStatus(response?.message)).json({
+        success: false,
+        message: response?.message || 'Failed to update vehicle'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Vehicle status updated',
+      data: {
+        vehicle_id: vehicleId,
+        status: response.status
+      }
+    });
+  } catch (error) {
+    console.error('Update supplier vehicle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update vehicle',
+      error: error.message
+    });
+  }
+};
+
+// Supplier fleet: remove a tanker that is not out on an order.
+const removeSupplierVehicle = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+    const vehicleId = Number(req.params.vehicleId);
+
+    if (!Number.isInteger(vehicleId) || vehicleId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'vehicleId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT remove_vehicle_supplier($1, $2) AS result', [
+      supplierId,
+      vehicleId
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(vehicleFailureStatus(response?.message)).json({
+        success: false,
+        message: response?.message || 'Failed to remove vehicle'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Vehicle removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove supplier vehicle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove vehicle',
+      error: error.message
+    });
+  }
+};
+
+// Supplier fleet: pair a roster driver with a tanker (vehicle_id null unpairs).
+const pairSupplierDriverVehicle = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const supplierId = req.user.userId;
+    const driverPhone = (req.body.driver_phone_num || '').toString().trim();
+    const rawVehicleId = req.body.vehicle_id;
+    const vehicleId = rawVehicleId === null || rawVehicleId === undefined || rawVehicleId === ''
+      ? null
+      : Number(rawVehicleId);
+
+    if (!driverPhone) {
+      return res.status(400).json({
+        success: false,
+        message: 'driver_phone_num is required'
+      });
+    }
+
+    if (vehicleId !== null && (!Number.isInteger(vehicleId) || vehicleId <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'vehicle_id must be a positive integer or null'
+      });
+    }
+
+    const dbResult = await query('SELECT pair_driver_vehicle_supplier($1, $2, $3) AS result', [
+      supplierId,
+      driverPhone,
+      vehicleId
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(vehicleFailureStatus(response?.message)).json({
         success: false,
-        message: auth.message
+        message: response?.message || 'Failed to pair driver with vehicle'
       });
     }
 
-    const supplierId = auth.userId;
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Driver paired with vehicle',
+      data: {
+        driver_phone_num: response.driver_phone_num,
+        vehicle_id: response.vehicle_id
+      }
+    });
+  } catch (error) {
+    console.error('Pair driver vehicle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to pair driver with vehicle',
+      error: error.message
+    });
+  }
+};
+
+// Supplier dashboard: readiness checks for order screen.
+const getSupplierDriverReadiness = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
 
     const [hasAnyResult, hasActiveResult] = await Promise.all([
       query('SELECT check_supplier_has_drivers($1) AS result', [supplierId]),
@@ -1167,23 +1687,48 @@ const getSupplierDriverReadiness = async (req, res) => {
 
 
 
-// Customer dashboard: fetch available quantity-price options.
+// Customer dashboard: fetch available quantity-price options. Beyond the
+// single-tanker sizes, multi-tanker quantities are offered in steps of 5000
+// gallons as far as plan_order_legs can split them. Each quantity carries the
+// price band START_ORDER will apply for the optional district and scheduled_for
+// (now when omitted): suggested_price is the base price adjusted by any
+// pricing rule for that zone and time, rule_name says which.
 const getCustomerQuantityPricing = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const district = typeof req.query.district === 'string' && req.query.district.trim()
+      ? req.query.district.trim()
+      : null;
+    const scheduledFor = parseOptionalTimestamp(req.query, 'scheduled_for');
+    if (scheduledFor.error) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: scheduledFor.error
       });
     }
 
     const pricingResult = await query(
       `
-      SELECT quantity_in_gallon, base_price
-      FROM quantity_pricing
-      ORDER BY quantity_in_gallon ASC
-      `
+      SELECT q.quantity_in_gallon,
+             band.base_price,
+             band.suggested_price,
+             band.min_price::float8 AS min_price,
+             band.max_price::float8 AS max_price,
+             band.rule_name,
+             q.leg_count
+      FROM (
+        SELECT quantity_in_gallon, 1 AS leg_count
+        FROM quantity_pricing
+        UNION ALL
+        SELECT bulk.quantity_in_gallon,
+               array_length(plan_order_legs(bulk.quantity_in_gallon), 1)
+        FROM generate_series(5000, 5 * (SELECT MAX(quantity_in_gallon) FROM quantity_pricing), 5000) AS bulk(quantity_in_gallon)
+        WHERE bulk.quantity_in_gallon > (SELECT MAX(quantity_in_gallon) FROM quantity_pricing)
+          AND plan_order_legs(bulk.quantity_in_gallon) IS NOT NULL
+      ) q
+      CROSS JOIN LATERAL order_price_band(q.quantity_in_gallon, $1, COALESCE($2::timestamptz, CURRENT_TIMESTAMP)) AS band
+      ORDER BY q.quantity_in_gallon ASC
+      `,
+      [district, scheduledFor.value]
     );
 
     return res.status(200).json({
@@ -1205,25 +1750,55 @@ const getCustomerQuantityPricing = async (req, res) => {
 // Customer dashboard: create order when customer has no active order.
 const startCustomerOrder = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
     await query('SELECT cleanup_expired_failures()');
 
-    const deliveryLocation = (req.body.delivery_location || '').toString().trim();
+    let deliveryLocation = (req.body.delivery_location || '').toString().trim();
+    let deliveryDistrict = (req.body.delivery_district || '').toString().trim() || null;
     const requestedCapacityRaw = req.body.requested_capacity;
     const customerBidPriceRaw = req.body.customer_bid_price;
 
+    // A saved address (address book) can stand in for the free-text location.
+    const addressIdRaw = req.body.address_id;
+    let savedAddress = null;
+    if (addressIdRaw !== undefined && addressIdRaw !== null && addressIdRaw !== '') {
+      const addressId = Number(addressIdRaw);
+      if (!Number.isInteger(addressId) || addressId <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'address_id must be a positive integer'
+        });
+      }
+
+      if (deliveryLocation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send either address_id or delivery_location, not both'
+        });
+      }
+
+      const addressResult = await query(
+        `SELECT address, latitude, longitude, district
+         FROM customer_addresses
+         WHERE address_id = $1 AND customer_id = $2`,
+        [addressId, customerId]
+      );
+      savedAddress = addressResult.rows[0];
+      if (!savedAddress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved address not found'
+        });
+      }
+
+      deliveryDistrict = savedAddress.district || null;
+      deliveryLocation = deliveryDistrict ? `${savedAddress.address}, ${deliveryDistrict}` : savedAddress.address;
+    }
+
     if (!deliveryLocation) {
       return res.status(400).json({
         success: false,
-        message: 'delivery_location is required'
+        message: 'delivery_location or address_id is required'
       });
     }
 
@@ -1258,36 +1833,77 @@ const startCustomerOrder = async (req, res) => {
       });
     }
 
-    const activeOrderCheckResult = await query(
-      `SELECT order_id, status
-       FROM orders
-       WHERE customer_id = $1
-         AND status IN ('open', 'supplier_timer', 'accepted', 'ride_started', 'reached', 'finished')
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [customerId]
-    );
+    const deliveryCoordinates = savedAddress
+      ? parseCoordinates(savedAddress, 'latitude', 'longitude')
+      : parseCoordinates(req.body, 'delivery_latitude', 'delivery_longitude');
+    if (deliveryCoordinates.error) {
+      return res.status(400).json({
+        success: false,
+        message: deliveryCoordinates.error
+      });
+    }
 
-    const existingActiveOrder = activeOrderCheckResult.rows[0] || null;
-    if (existingActiveOrder) {
-      return res.status(409).json({
+    const scheduledFor = parseOptionalTimestamp(req.body, 'scheduled_for');
+    const deliveryWindowEnd = parseOptionalTimestamp(req.body, 'delivery_window_end');
+    const timestampError = scheduledFor.error || deliveryWindowEnd.error;
+    if (timestampError) {
+      return res.status(400).json({
         success: false,
-        message: 'You already have an active order. Complete or cancel it before placing a new one',
-        data: {
-          active_order_id: existingActiveOrder.order_id,
-          active_order_status: existingActiveOrder.status
-        }
+        message: timestampError
+      });
+    }
+
+    // Direct orders: sent to one supplier from the customer's history first.
+    const preferredSupplierRaw = req.body.preferred_supplier_id;
+    let preferredSupplierId = null;
+    if (preferredSupplierRaw !== undefined && preferredSupplierRaw !== null && preferredSupplierRaw !== '') {
+      preferredSupplierId = Number(preferredSupplierRaw);
+      if (!Number.isInteger(preferredSupplierId) || preferredSupplierId <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'preferred_supplier_id must be a positive integer'
+        });
+      }
+    }
+
+    const fallbackToMarket = req.body.fallback_to_market;
+    if (fallbackToMarket !== undefined && fallbackToMarket !== null && typeof fallbackToMarket !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'fallback_to_market must be a boolean'
       });
     }
 
-    const dbResult = await query('SELECT START_ORDER($1, $2, $3, $4) AS result', [
+
+    // START_ORDER enforces one active order per customer (orders for a later
+    // window are left out until they are within the surfacing lead time).
+    const dbResult = await query('SELECT START_ORDER($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) AS result', [
       customerId,
       deliveryLocation,
       requestedCapacity,
-      customerBidPrice
+      customerBidPrice,
+      deliveryCoordinates.latitude,
+      deliveryCoordinates.longitude,
+      deliveryDistrict,
+      scheduledFor.value,
+      deliveryWindowEnd.value,
+      preferredSupplierId,
+      fallbackToMarket !== false,
+      scheduledOrderLeadMinutes()
     ]);
     const response = dbResult.rows[0].result;
 
+    if (response?.active_order_id) {
+      return res.status(409).json({
+        success: false,
+        message: response.message,
+        data: {
+          active_order_id: response.active_order_id,
+          active_order_status: response.active_order_status
+        }
+      });
+    }
+
     if (!response || response.code !== 1) {
       return res.status(400).json({
         success: false,
@@ -1295,12 +1911,13 @@ const startCustomerOrder = async (req, res) => {
       });
     }
 
-    emitToSuppliers('market_updated', { order_id: response.order_id });
     return res.status(200).json({
       success: true,
       message: response.message || 'Order created successfully',
       data: {
         order_id: response.order_id,
+        status: response.status,
+        direct_offer_expires_at: response.direct_offer_expires_at,
         next_screen: 'orders_marketplace'
       }
     });
@@ -1317,15 +1934,7 @@ const startCustomerOrder = async (req, res) => {
 // Customer marketplace: view valid supplier bids for own open order.
 const listBidsForCustomerOpenOrder = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
     const orderId = Number(req.params.orderId);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
@@ -1371,15 +1980,7 @@ const listBidsForCustomerOpenOrder = async (req, res) => {
 // Customer marketplace: update own bid on open order.
 const updateCustomerOpenOrderBid = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
     const orderId = Number(req.params.orderId);
     const customerBidPrice = Number(req.body.customer_bid_price);
 
@@ -1397,10 +1998,11 @@ const updateCustomerOpenOrderBid = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT update_customer_open_order_bid($1, $2, $3) AS result', [
+    const dbResult = await query('SELECT update_customer_open_order_bid($1, $2, $3, $4) AS result', [
       customerId,
       orderId,
-      customerBidPrice
+      customerBidPrice,
+      statusesAllowing('update_price', 'customer')
     ]);
     const response = dbResult.rows[0].result;
 
@@ -1408,7 +2010,8 @@ const updateCustomerOpenOrderBid = async (req, res) => {
       const message = (response?.message || '').toString().toLowerCase();
       const statusCode = message.includes('does not belong to you')
         ? 403
-        : message.includes('cannot update bid')
+        : response?.order_status
+          || message.includes('cannot update bid')
           || message.includes('cannot be lower than original')
           || message.includes('increase by at least 50')
           || message.includes('increments of 50')
@@ -1421,7 +2024,6 @@ const updateCustomerOpenOrderBid = async (req, res) => {
       });
     }
 
-    emitToSuppliers('market_updated', { order_id: response.order_id });
     return res.status(200).json({
       success: true,
       message: response.message || 'Order bid updated successfully',
@@ -1443,15 +2045,7 @@ const updateCustomerOpenOrderBid = async (req, res) => {
 // Customer marketplace: accept supplier bid for own open order.
 const acceptSupplierBidForCustomer = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
     const orderId = Number(req.params.orderId);
     const bidId = Number(req.body.bid_id);
 
@@ -1481,17 +2075,20 @@ const acceptSupplierBidForCustomer = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT accept_bid($1, $2) AS result', [
+    const dbResult = await query('SELECT accept_bid($1, $2, $3) AS result', [
       bidId,
-      customerId
+      customerId,
+      statusesAllowing('accept_bid', 'customer')
     ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const message = (response?.message || '').toString().toLowerCase();
-      const statusCode = message.includes('expired')
-        ? 410
-        : message.includes('capacity') || message.includes('not available') || message.includes('no available drivers')
+      const statusCode = message.includes('not found')
+        ? 404
+        : message.includes('expired')
+          ? 410
+          : response?.order_status || message.includes('capacity') || message.includes('not available') || message.includes('no available drivers')
           ? 409
           : 400;
 
@@ -1501,8 +2098,6 @@ const acceptSupplierBidForCustomer = async (req, res) => {
       });
     }
 
-    emitToUser(bidBelongsResult.rows[0]?.supplier_id, 'order_status_changed', { order_id: orderId });
-    emitToSuppliers('market_updated', { order_id: orderId });
     return res.status(200).json({
       success: true,
       message: response.message || 'Bid accepted successfully',
@@ -1522,19 +2117,14 @@ const acceptSupplierBidForCustomer = async (req, res) => {
   }
 };
 
-// Customer post-delivery: submit rating or explicitly skip rating (null).
-const submitOrderRatingForCustomer = async (req, res) => {
+// Customer marketplace: counter a live bid with a price between the customer's
+// offer and the bid; the supplier is prompted to accept or decline.
+const counterBidCustomer = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const customerId = auth.userId;
+    const customerId = req.user.userId;
     const orderId = Number(req.params.orderId);
+    const bidId = Number(req.params.bidId);
+    const counterPrice = Number(req.body.counter_price);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({
@@ -1543,466 +2133,585 @@ const submitOrderRatingForCustomer = async (req, res) => {
       });
     }
 
-    let rating = null;
-    if (Object.prototype.hasOwnProperty.call(req.body || {}, 'rating')) {
-      const rawRating = req.body.rating;
-      if (rawRating !== null && rawRating !== undefined && rawRating !== '') {
-        rating = Number(rawRating);
-      }
+    if (!Number.isInteger(bidId) || bidId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'bidId must be a positive integer'
+      });
     }
 
-    if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    if (!Number.isInteger(counterPrice) || counterPrice <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'rating must be null or an integer between 1 and 5'
+        message: 'counter_price must be a positive integer'
       });
     }
 
-    const dbResult = await query('SELECT submit_rating($1, $2, $3) AS result', [
-      customerId,
-      orderId,
-      rating
-    ]);
-    const response = dbResult.rows[0].result;
+    const bidBelongsResult = await query(
+      'SELECT supplier_id FROM bids WHERE bid_id = $1 AND order_id = $2',
+      [bidId, orderId]
+    );
 
-    if (!response || response.code !== 1) {
-      const msg = (response?.message || '').toString().toLowerCase();
-      const statusCode = msg.includes('already submitted') ? 409 : 400;
+    if (bidBelongsResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bid not found for this order'
+      });
+    }
+
+    const dbResult = await query('SELECT counter_bid($1, $2, $3, $4) AS result', [
+      customerId,
+      bidId,
+      counterPrice,
+      statusesAllowing('counter_bid', 'customer')
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      const statusCode = message.includes('not found')
+        ? 404
+        : message.includes('expired')
+          ? 410
+          : message.includes('must be at least')
+            ? 400
+            : 409;
 
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to submit rating'
+        message: response?.message || 'Failed to counter bid'
       });
     }
 
+    emitToUser(response.supplier_id, BID_COUNTERED, {
+      order_id: response.order_id,
+      bid_id: bidId,
+      bid_price: response.bid_price,
+      counter_price: response.counter_price,
+      expires_at: response.expires_at
+    });
+
     return res.status(200).json({
       success: true,
-      message: response.message || 'Rating submitted successfully',
+      message: response.message || 'Counter-offer sent',
       data: {
-        order_id: orderId,
-        rating: rating
+        order_id: response.order_id,
+        bid_id: bidId,
+        counter_price: response.counter_price,
+        expires_at: response.expires_at
       }
     });
   } catch (error) {
-    console.error('Submit rating error:', error);
+    console.error('Counter bid error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to submit rating',
+      message: 'Failed to counter bid',
       error: error.message
     });
   }
 };
 
+// Customer post-delivery: submit rating or explicitly skip rating (null).
+const submitOrderRatingForCustomer = async (req, res) => {
+  try {
+    const customerId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
 
+    let rating = null;
+    if (Object.prototype.hasOwnProperty.call(req.body || {}, 'rating')) {
+      const rawRating = req.body.rating;
+      if (rawRating !== null && rawRating !== undefined && rawRating !== '') {
+        rating = Number(rawRating);
+      }
+    }
 
-// Supplier marketplace: view currently open orders.
-const listAvailableOrdersForSupplier = async (req, res) => {
-  try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: 'rating must be null or an integer between 1 and 5'
       });
     }
 
-    const dbResult = await query('SELECT view_available_orders() AS result');
+    const dbResult = await query('SELECT submit_rating($1, $2, $3, $4) AS result', [
+      customerId,
+      orderId,
+      rating,
+      statusesAllowing('rate', 'customer')
+    ]);
     const response = dbResult.rows[0].result;
 
-    if (response && !Array.isArray(response) && response.error) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      const msg = (response?.message || '').toString().toLowerCase();
+      const statusCode = msg.includes('not found')
+        ? 404
+        : response?.order_status || msg.includes('already submitted')
+          ? 409
+          : 400;
+
+      return res.status(statusCode).json({
         success: false,
-        message: response.error
+        message: response?.message || 'Failed to submit rating'
       });
     }
 
     return res.status(200).json({
       success: true,
+      message: response.message || 'Rating submitted successfully',
       data: {
-        orders: Array.isArray(response) ? response : []
+        order_id: orderId,
+        rating: rating
       }
     });
   } catch (error) {
-    console.error('List available orders error:', error);
+    console.error('Submit rating error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch available orders',
+      message: 'Failed to submit rating',
       error: error.message
     });
   }
 };
 
-// Supplier marketplace: view details of one open order.
-const viewOneAvailableOrderSupplier = async (req, res) => {
-  try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
+// Shared body validation for address book create/update. Label, length and
+// coordinate range rules are repeated in save_customer_address.
+const parseAddressBody = (body) => {
+  const label = (body.label || '').toString().trim();
+  const address = (body.address || '').toString().trim();
+  const district = (body.district || '').toString().trim() || null;
 
-    const orderId = Number(req.params.orderId);
-    if (!Number.isInteger(orderId) || orderId <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'orderId must be a positive integer'
-      });
-    }
+  if (!label || !address) {
+    return { error: 'label and address are required' };
+  }
 
-    const orderResult = await query(
-      `SELECT status FROM orders WHERE order_id = $1`,
-      [orderId]
-    );
-    const order = orderResult.rows[0];
+  if (body.is_default !== undefined && body.is_default !== null && typeof body.is_default !== 'boolean') {
+    return { error: 'is_default must be a boolean' };
+  }
 
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
-    }
+  const coordinates = parseCoordinates(body, 'latitude', 'longitude');
+  if (coordinates.error) {
+    return { error: coordinates.error };
+  }
 
-    if (order.status !== 'open') {
-      return res.status(403).json({ success: false, message: `Order is not available (status: ${order.status})` });
-    }
+  return {
+    params: [label, address, coordinates.latitude, coordinates.longitude, district, body.is_default === true]
+  };
+};
+
+const addressFailureStatus = (message) => {
+  const msg = (message || '').toString().toLowerCase();
+  if (msg.includes('not found')) return 404;
+  if (msg.includes('at most 10') || msg.includes('already have')) return 409;
+  return 400;
+};
+
+// Customer address book: saved delivery addresses, default first.
+const listCustomerAddresses = async (req, res) => {
+  try {
+    const customerId = req.user.userId;
 
-    const dbResult = await query('SELECT view_one_available_order_supplier($1, $2) AS result', [orderId, auth.userId]);
+    const dbResult = await query('SELECT list_customer_addresses($1) AS result', [customerId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      const message = (response?.message || '').toString().toLowerCase();
-      const statusCode = message.includes('available linked driver') ? 403 : 400;
-
-      return res.status(statusCode).json({
+      return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to fetch order details'
+        message: response?.message || 'Failed to fetch addresses'
       });
     }
 
     return res.status(200).json({
       success: true,
-      data: response
+      data: {
+        addresses: Array.isArray(response.addresses) ? response.addresses : []
+      }
     });
   } catch (error) {
-    console.error('Get available order details error:', error);
+    console.error('List addresses error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch order details',
+      message: 'Failed to fetch addresses',
       error: error.message
     });
   }
 };
 
-// Supplier marketplace: place bid on open order.
-const placeSupplierBid = async (req, res) => {
+// Customer address book: add an address (POST) or replace one (PUT /:addressId).
+const saveCustomerAddress = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const supplierId = auth.userId;
-    const orderId = Number(req.params.orderId);
-    const bidPrice = Number(req.body.bid_price);
+    const customerId = req.user.userId;
+    const isUpdate = req.params.addressId !== undefined;
+    const addressId = isUpdate ? Number(req.params.addressId) : null;
 
-    if (!Number.isInteger(orderId) || orderId <= 0) {
+    if (isUpdate && (!Number.isInteger(addressId) || addressId <= 0)) {
       return res.status(400).json({
         success: false,
-        message: 'orderId must be a positive integer'
+        message: 'addressId must be a positive integer'
       });
     }
 
-    if (!Number.isFinite(bidPrice) || bidPrice <= 0) {
+    const parsed = parseAddressBody(req.body || {});
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Bid price must be greater than 0'
+        message: parsed.error
       });
     }
 
-    const customerPriceResult = await query(
-      `SELECT customer_bid_price, customer_id FROM orders WHERE order_id = $1`,
-      [orderId]
+    const dbResult = await query(
+      'SELECT save_customer_address($1, $2, $3, $4, $5, $6, $7, $8) AS result',
+      [customerId, addressId, ...parsed.params]
     );
-    const customerBidPrice = Number(customerPriceResult.rows[0]?.customer_bid_price);
-    const bidOrderCustomerId = customerPriceResult.rows[0]?.customer_id;
+    const response = dbResult.rows[0].result;
 
-    if (Number.isFinite(customerBidPrice)) {
-      if (bidPrice < customerBidPrice) {
-        return res.status(409).json({
-          success: false,
-          message: "Bid price must be at least customer's offer"
-        });
-      }
+    if (!response || response.code !== 1) {
+      return res.status(addressFailureStatus(response?.message)).json({
+        success: false,
+        message: response?.message || 'Failed to save address'
+      });
+    }
 
-      const maxAllowedPrice = customerBidPrice * 1.5;
-      if (bidPrice > maxAllowedPrice) {
-        return res.status(409).json({
-          success: false,
-          message: "Bid price cannot exceed 150% of customer's offer"
-        });
+    return res.status(isUpdate ? 200 : 201).json({
+      success: true,
+      message: response.message,
+      data: {
+        address_id: response.address_id,
+        is_default: response.is_default
       }
-    }
+    });
+  } catch (error) {
+    console.error('Save address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save address',
+      error: error.message
+    });
+  }
+};
 
-    const supplierDriverAvailabilityResult = await query(
-      `SELECT COUNT(*)::int AS available_driver_count
-       FROM supplier_drivers
-       WHERE supplier_user_id = $1
-         AND driver_user_id IS NOT NULL
-         AND available = TRUE`,
-      [supplierId]
-    );
+// Customer address book: remove an address (the next one becomes default if needed).
+const deleteCustomerAddress = async (req, res) => {
+  try {
+    const customerId = req.user.userId;
+    const addressId = Number(req.params.addressId);
 
-    const availableDriverCount = supplierDriverAvailabilityResult.rows[0]?.available_driver_count || 0;
-    if (availableDriverCount <= 0) {
-      return res.status(409).json({
+    if (!Number.isInteger(addressId) || addressId <= 0) {
+      return res.status(400).json({
         success: false,
-        message: 'You need at least one available linked driver before placing bids'
+        message: 'addressId must be a positive integer'
       });
     }
 
-    const dbResult = await query('SELECT send_bid($1, $2, $3) AS result', [
-      orderId,
-      supplierId,
-      bidPrice
-    ]);
+    const dbResult = await query('SELECT delete_customer_address($1, $2) AS result', [customerId, addressId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      const message = (response?.message || '').toString().toLowerCase();
-      const statusCode = response?.retry_after_seconds
-        ? 429
-        : message.includes('order not found')
-          ? 404
-          : message.includes('not available')
-            || message.includes('capacity')
-            || message.includes('at least customer')
-            || message.includes('150%')
-            ? 409
-            : 400;
-
-      return res.status(statusCode).json({
+      return res.status(addressFailureStatus(response?.message)).json({
         success: false,
-        message: response?.message || 'Failed to place bid',
-        data: response?.retry_after_seconds
-          ? { retry_after_seconds: response.retry_after_seconds }
-          : undefined
+        message: response?.message || 'Failed to delete address'
       });
     }
 
-    emitToUser(bidOrderCustomerId, 'bid_posted', { order_id: orderId });
     return res.status(200).json({
       success: true,
-      message: response.message || 'Bid placed successfully',
+      message: response.message,
       data: {
-        order_id: orderId,
-        supplier_id: supplierId,
-        expires_at: response.expires_at || null
+        address_id: addressId,
+        new_default_address_id: response.new_default_address_id ?? null
       }
     });
   } catch (error) {
-    console.error('Place supplier bid error:', error);
+    console.error('Delete address error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to place supplier bid',
+      message: 'Failed to delete address',
       error: error.message
     });
   }
 };
 
-// Supplier dashboard: view all active orders assigned to supplier.
-const listActiveOrdersSupplier = async (req, res) => {
+// Customer direct orders: suppliers from completed history that can be sent an order directly.
+const listPreferredSuppliersCustomer = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const customerId = req.user.userId;
+
+    const dbResult = await query('SELECT list_preferred_suppliers($1) AS result', [customerId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: response?.message || 'Failed to fetch preferred suppliers'
       });
     }
 
-    const supplierId = auth.userId;
-    const dbResult = await query('SELECT list_active_orders_supplier($1) AS result', [supplierId]);
+    return res.status(200).json({
+      success: true,
+      data: {
+        suppliers: Array.isArray(response.suppliers) ? response.suppliers : []
+      }
+    });
+  } catch (error) {
+    console.error('List preferred suppliers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferred suppliers',
+      error: error.message
+    });
+  }
+};
+
+const SUBSCRIPTION_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Customer subscriptions: list active and paused recurring deliveries.
+const listCustomerSubscriptions = async (req, res) => {
+  try {
+    const customerId = req.user.userId;
+
+    const dbResult = await query('SELECT list_customer_subscriptions($1) AS result', [customerId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to fetch active supplier orders'
+        message: response?.message || 'Failed to fetch subscriptions'
       });
     }
 
     return res.status(200).json({
       success: true,
       data: {
-        supplier_user_id: supplierId,
-        orders: Array.isArray(response.orders) ? response.orders : []
+        subscriptions: Array.isArray(response.subscriptions) ? response.subscriptions : []
       }
     });
   } catch (error) {
-    console.error('List active supplier orders error:', error);
+    console.error('List subscriptions error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch active supplier orders',
+      message: 'Failed to fetch subscriptions',
       error: error.message
     });
   }
 };
 
-// Supplier dashboard: view details for one active/assigned order.
-const viewOneActiveOrderSupplier = async (req, res) => {
+// Customer subscriptions: create a recurring delivery (weekdays + local time).
+const createCustomerSubscription = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const customerId = req.user.userId;
+    const body = req.body || {};
+
+    const deliveryLocation = (body.delivery_location || '').toString().trim();
+    const deliveryDistrict = (body.delivery_district || '').toString().trim() || null;
+    const requestedCapacity = Number(body.requested_capacity);
+    const customerBidPrice = Number(body.customer_bid_price);
+    const deliveryTime = (body.delivery_time || '').toString().trim();
+    const windowHours = body.window_hours === undefined || body.window_hours === null || body.window_hours === ''
+      ? 2
+      : Number(body.window_hours);
+    const timezone = (body.timezone || '').toString().trim() || 'Asia/Karachi';
+    const daysOfWeek = Array.isArray(body.days_of_week) ? body.days_of_week.map(Number) : null;
+
+    if (!deliveryLocation) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: 'delivery_location is required'
       });
     }
 
-    const supplierId = auth.userId;
-    const orderId = Number(req.params.orderId);
+    if (!Number.isFinite(requestedCapacity) || requestedCapacity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'requested_capacity must be a positive number'
+      });
+    }
 
-    if (!Number.isInteger(orderId) || orderId <= 0) {
+    if (!Number.isFinite(customerBidPrice) || customerBidPrice <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'orderId must be a positive integer'
+        message: 'customer_bid_price must be a positive number'
       });
     }
 
-    const orderResult = await query(
-      `SELECT status, time_limit_for_supplier,
-          (status = 'supplier_timer'
-           AND time_limit_for_supplier IS NOT NULL
-           AND CURRENT_TIMESTAMP > time_limit_for_supplier) AS supplier_timer_expired,
-          CASE
-            WHEN time_limit_for_supplier IS NULL THEN NULL
-            ELSE GREATEST(0, CEIL(EXTRACT(EPOCH FROM (time_limit_for_supplier - CURRENT_TIMESTAMP))))::int
-          END AS remaining_supplier_seconds
-       FROM orders WHERE order_id = $1 AND supplier_id = $2`,
-      [orderId, supplierId]
-    );
-    const order = orderResult.rows[0];
+    if (!daysOfWeek || daysOfWeek.length === 0 || daysOfWeek.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days_of_week must be a non-empty array of integers from 0 (Sunday) to 6 (Saturday)'
+      });
+    }
 
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found or does not belong to you' });
+    if (!SUBSCRIPTION_TIME_PATTERN.test(deliveryTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'delivery_time must be in HH:MM (24-hour) format'
+      });
     }
 
-    if (!['supplier_timer', 'accepted', 'ride_started', 'reached'].includes(order.status)) {
-      return res.status(409).json({ success: false, message: `Order is no longer active (status: ${order.status})` });
+    if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'window_hours must be an integer between 1 and 12'
+      });
     }
 
-    if (order.supplier_timer_expired) {
-      return res.status(410).json({ success: false, message: 'Supplier time limit has expired for this order' });
+    const deliveryCoordinates = parseCoordinates(body, 'delivery_latitude', 'delivery_longitude');
+    if (deliveryCoordinates.error) {
+      return res.status(400).json({
+        success: false,
+        message: deliveryCoordinates.error
+      });
     }
 
-    const dbResult = await query('SELECT view_one_active_order_supplier($1, $2) AS result', [
-      supplierId,
-      orderId
-    ]);
+    const dbResult = await query(
+      'SELECT create_subscription($1, $2, $3, $4, $5::smallint[], $6::time, $7, $8, $9, $10, $11) AS result',
+      [
+        customerId,
+        deliveryLocation,
+        requestedCapacity,
+        customerBidPrice,
+        daysOfWeek,
+        deliveryTime,
+        windowHours,
+        deliveryCoordinates.latitude,
+        deliveryCoordinates.longitude,
+        deliveryDistrict,
+        timezone
+      ]
+    );
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const msg = (response?.message || '').toString().toLowerCase();
-      const statusCode = msg.includes('supplier time limit has expired') ? 410 :
-        msg.includes('no longer active') ? 409 : 400;
+      const statusCode = msg.includes('at most') ? 409 : 400;
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to fetch supplier order details'
+        message: response?.message || 'Failed to create subscription'
       });
     }
 
-    return res.status(200).json({
+    return res.status(201).json({
       success: true,
+      message: response.message || 'Subscription created successfully',
       data: {
-        ...response,
-        time_limit_for_supplier: order.time_limit_for_supplier || null,
-        remaining_supplier_seconds: Number.isFinite(Number(order.remaining_supplier_seconds))
-          ? Number(order.remaining_supplier_seconds)
-          : null
+        subscription_id: response.subscription_id,
+        next_run_at: response.next_run_at
       }
     });
   } catch (error) {
-    console.error('Get active supplier order details error:', error);
+    console.error('Create subscription error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch supplier order details',
+      message: 'Failed to create subscription',
       error: error.message
     });
   }
 };
 
-// Supplier dashboard: list assignable drivers for one active order.
-const listAssignableDriversForSupplierOrder = async (req, res) => {
+// Shared by the pause/resume/skip/cancel endpoints: each is one DB call on a
+// subscription the customer owns.
+const changeCustomerSubscription = (sql, failureMessage) => async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const supplierId = auth.userId;
-    const orderId = Number(req.params.orderId);
+    const customerId = req.user.userId;
+    const subscriptionId = Number(req.params.subscriptionId);
 
-    if (!Number.isInteger(orderId) || orderId <= 0) {
+    if (!Number.isInteger(subscriptionId) || subscriptionId <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'orderId must be a positive integer'
+        message: 'subscriptionId must be a positive integer'
       });
     }
 
-    // DB function enforces supplier timer, order ownership, and status checks.
-    const dbResult = await query('SELECT get_available_drivers_for_supplier($1, $2) AS result', [
-      supplierId,
-      orderId
-    ]);
+    const dbResult = await query(sql, [customerId, subscriptionId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const msg = (response?.message || '').toString().toLowerCase();
-      const statusCode = msg.includes('time limit') ? 410 : 400;
-
+      const statusCode = msg.includes('not found') ? 404 : 409;
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to fetch assignable drivers'
+        message: response?.message || failureMessage
       });
     }
 
+    const { code, message, ...data } = response;
     return res.status(200).json({
       success: true,
-      data: {
-        order_id: orderId,
-        drivers: Array.isArray(response.drivers) ? response.drivers : []
-      }
+      message,
+      data
     });
   } catch (error) {
-    console.error('List assignable drivers error:', error);
+    console.error(`${failureMessage}:`, error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch assignable drivers',
+      message: failureMessage,
       error: error.message
     });
   }
 };
 
-// Supplier dashboard: assign one driver to one active order.
-const assignDriverForSupplierOrder = async (req, res) => {
+// Customer subscriptions: pause / resume deliveries.
+const pauseCustomerSubscription = changeCustomerSubscription(
+  'SELECT set_subscription_paused($1, $2, TRUE) AS result',
+  'Failed to pause subscription'
+);
+
+const resumeCustomerSubscription = changeCustomerSubscription(
+  'SELECT set_subscription_paused($1, $2, FALSE) AS result',
+  'Failed to resume subscription'
+);
+
+// Customer subscriptions: skip the next delivery that has not been placed yet.
+const skipNextCustomerSubscription = changeCustomerSubscription(
+  'SELECT skip_next_subscription_run($1, $2) AS result',
+  'Failed to skip delivery'
+);
+
+// Customer subscriptions: stop all future deliveries.
+const cancelCustomerSubscription = changeCustomerSubscription(
+  'SELECT cancel_subscription($1, $2) AS result',
+  'Failed to cancel subscription'
+);
+
+
+
+// Supplier marketplace: view currently open orders.
+const listAvailableOrdersForSupplier = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const dbResult = await query('SELECT view_available_orders($1) AS result', [req.user.userId]);
+    const response = dbResult.rows[0].result;
+
+    if (response && !Array.isArray(response) && response.error) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: response.error
       });
     }
 
-    const supplierId = auth.userId;
-    const orderId = Number(req.params.orderId);
-    const driverId = Number(req.body.driver_id);
+    return res.status(200).json({
+      success: true,
+      data: {
+        orders: Array.isArray(response) ? response : []
+      }
+    });
+  } catch (error) {
+    console.error('List available orders error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch available orders',
+      error: error.message
+    });
+  }
+};
 
+// Supplier marketplace: view details of one open order.
+const viewOneAvailableOrderSupplier = async (req, res) => {
+  try {
+    const orderId = Number(req.params.orderId);
     if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({
         success: false,
@@ -2010,69 +2719,53 @@ const assignDriverForSupplierOrder = async (req, res) => {
       });
     }
 
-    if (!Number.isInteger(driverId) || driverId <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'driver_id must be a positive integer'
-      });
+    const orderResult = await query(
+      `SELECT status FROM orders WHERE order_id = $1`,
+      [orderId]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    // DB function enforces supplier timer, order ownership, driver checks.
-    const dbResult = await query('SELECT assign_driver_to_order($1, $2, $3) AS result', [
-      orderId,
-      supplierId,
-      driverId
-    ]);
+    if (!canTransition('place_bid', 'supplier', order.status)) {
+      return res.status(403).json({ success: false, message: `Order is not available (status: ${order.status})` });
+    }
+
+    const dbResult = await query('SELECT view_one_available_order_supplier($1, $2) AS result', [orderId, req.user.userId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const message = (response?.message || '').toString().toLowerCase();
-      const statusCode = message.includes('time limit')
-        ? 410
-        : message.includes('pending assignment')
-          ? 409
-          : 400;
+      const statusCode = message.includes('available linked driver') || message.includes('not available to you') ? 403 : 400;
 
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to assign driver'
+        message: response?.message || 'Failed to fetch order details'
       });
     }
 
-    const assignCustRow = await query('SELECT customer_id FROM orders WHERE order_id = $1', [orderId]);
-    emitToUser(assignCustRow.rows[0]?.customer_id, 'order_updated', { order_id: orderId });
-    emitToUser(driverId, 'order_assigned', { order_id: orderId });
     return res.status(200).json({
       success: true,
-      message: response.message || 'Driver assigned successfully',
-      data: {
-        order_id: orderId,
-        driver_id: driverId
-      }
+      data: response
     });
   } catch (error) {
-    console.error('Assign driver error:', error);
+    console.error('Get available order details error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to assign driver',
+      message: 'Failed to fetch order details',
       error: error.message
     });
   }
 };
 
-// Driver flow: accept assigned order.
-const acceptAssignedOrderForDriver = async (req, res) => {
+// Supplier marketplace: place bid on open order.
+const placeSupplierBid = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const driverId = auth.userId;
+    const supplierId = req.user.userId;
     const orderId = Number(req.params.orderId);
+    const bidPrice = Number(req.body.bid_price);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({
@@ -2081,111 +2774,141 @@ const acceptAssignedOrderForDriver = async (req, res) => {
       });
     }
 
-    const acceptCustRow = await query('SELECT customer_id, supplier_id FROM orders WHERE order_id = $1', [orderId]);
-    const dbResult = await query('SELECT accept_order_driver($1, $2) AS result', [
-      driverId,
-      orderId
+    if (!Number.isFinite(bidPrice) || bidPrice <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bid price must be greater than 0'
+      });
+    }
+
+    const customerPriceResult = await query(
+      `SELECT customer_bid_price, customer_id FROM orders WHERE order_id = $1`,
+      [orderId]
+    );
+    const customerBidPrice = Number(customerPriceResult.rows[0]?.customer_bid_price);
+    const bidOrderCustomerId = customerPriceResult.rows[0]?.customer_id;
+
+    if (Number.isFinite(customerBidPrice)) {
+      if (bidPrice < customerBidPrice) {
+        return res.status(409).json({
+          success: false,
+          message: "Bid price must be at least customer's offer"
+        });
+      }
+
+      const maxAllowedPrice = customerBidPrice * 1.5;
+      if (bidPrice > maxAllowedPrice) {
+        return res.status(409).json({
+          success: false,
+          message: "Bid price cannot exceed 150% of customer's offer"
+        });
+      }
+    }
+
+    const supplierDriverAvailabilityResult = await query(
+      `SELECT COUNT(*)::int AS available_driver_count
+       FROM supplier_drivers
+       WHERE supplier_user_id = $1
+         AND driver_user_id IS NOT NULL
+         AND available = TRUE`,
+      [supplierId]
+    );
+
+    const availableDriverCount = supplierDriverAvailabilityResult.rows[0]?.available_driver_count || 0;
+    if (availableDriverCount <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You need at least one available linked driver before placing bids'
+      });
+    }
+
+    const dbResult = await query('SELECT send_bid($1, $2, $3, $4) AS result', [
+      orderId,
+      supplierId,
+      bidPrice,
+      statusesAllowing('place_bid', 'supplier')
     ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const message = (response?.message || '').toString().toLowerCase();
-      const statusCode = message.includes('expired') ? 410 : 409;
+      const statusCode = response?.retry_after_seconds
+        ? 429
+        : message.includes('order not found')
+          ? 404
+          : response?.order_status
+            || message.includes('not available')
+            || message.includes('capacity')
+            || message.includes('at least customer')
+            || message.includes('150%')
+            ? 409
+            : 400;
 
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to accept assigned order'
+        message: response?.message || 'Failed to place bid',
+        data: response?.retry_after_seconds
+          ? { retry_after_seconds: response.retry_after_seconds }
+          : undefined
       });
     }
 
-    emitToUser(acceptCustRow.rows[0]?.customer_id, 'order_updated', { order_id: orderId });
-    emitToUser(acceptCustRow.rows[0]?.supplier_id, 'driver_responded', { order_id: orderId });
+    emitToUser(bidOrderCustomerId, BID_POSTED, { order_id: orderId });
     return res.status(200).json({
       success: true,
-      message: response.message || 'Order confirmed successfully',
+      message: response.message || 'Bid placed successfully',
       data: {
         order_id: orderId,
-        next_screen: 'driver_active_order'
+        supplier_id: supplierId,
+        expires_at: response.expires_at || null
       }
     });
   } catch (error) {
-    console.error('Driver accept order error:', error);
+    console.error('Place supplier bid error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to accept assigned order',
+      message: 'Failed to place supplier bid',
       error: error.message
     });
   }
 };
 
-// Driver flow: reject assigned order.
-const rejectAssignedOrderForDriver = async (req, res) => {
+// Supplier direct orders: offers customers sent straight to this supplier.
+const listDirectOffersSupplier = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const driverId = auth.userId;
-    const orderId = Number(req.params.orderId);
-
-    if (!Number.isInteger(orderId) || orderId <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'orderId must be a positive integer'
-      });
-    }
+    const supplierId = req.user.userId;
 
-    const rejectSuppRow = await query('SELECT supplier_id FROM orders WHERE order_id = $1', [orderId]);
-    const dbResult = await query('SELECT reject_order_driver($1, $2) AS result', [
-      driverId,
-      orderId
-    ]);
+    const dbResult = await query('SELECT list_direct_offers_supplier($1) AS result', [supplierId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      const message = (response?.message || '').toString().toLowerCase();
-      const statusCode = message.includes('expired') ? 410 : 409;
-
-      return res.status(statusCode).json({
+      return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to reject assigned order'
+        message: response?.message || 'Failed to fetch direct offers'
       });
     }
 
-    emitToUser(rejectSuppRow.rows[0]?.supplier_id, 'driver_responded', { order_id: orderId });
     return res.status(200).json({
       success: true,
-      message: response.message || 'Order rejected successfully',
       data: {
-        order_id: orderId
+        offers: Array.isArray(response.offers) ? response.offers : []
       }
     });
   } catch (error) {
-    console.error('Driver reject order error:', error);
+    console.error('List direct offers error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to reject assigned order',
+      message: 'Failed to fetch direct offers',
       error: error.message
     });
   }
 };
 
-// Driver flow: move accepted order to ride_started.
-const startRideForDriver = async (req, res) => {
+// Supplier direct orders: accept moves the order to supplier_timer at the
+// customer's price; decline releases it like a timeout.
+const respondToDirectOffer = (accept, failureMessage) => async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const driverId = auth.userId;
+    const supplierId = req.user.userId;
     const orderId = Number(req.params.orderId);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
@@ -2195,182 +2918,186 @@ const startRideForDriver = async (req, res) => {
       });
     }
 
-    const startRideCustRow = await query('SELECT customer_id FROM orders WHERE order_id = $1', [orderId]);
-    const dbResult = await query('SELECT start_ride($1, $2) AS result', [driverId, orderId]);
-    const response = dbResult.rows[0].result;
+    const dbResult = await query('SELECT respond_direct_offer($1, $2, $3, $4) AS result', [
+      supplierId,
+      orderId,
+      accept,
+      statusesAllowing(accept ? 'accept_direct_offer' : 'decline_direct_offer', 'supplier')
+    ]);
+    const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      return res.status(409).json({
+      const msg = (response?.message || '').toString().toLowerCase();
+      const statusCode = msg.includes('not found') ? 404 : msg.includes('cannot be null') ? 400 : 409;
+      return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to start ride'
+        message: response?.message || failureMessage
+      });
+    }
+
+    if (!accept) {
+      emitToUser(response.customer_id, DIRECT_OFFER_DECLINED, {
+        order_id: orderId,
+        fell_back_to_market: response.fell_back_to_market === true
       });
     }
 
-    emitToUser(startRideCustRow.rows[0]?.customer_id, 'order_updated', { order_id: orderId });
     return res.status(200).json({
       success: true,
-      message: response.message || 'Ride started successfully',
+      message: response.message,
       data: {
         order_id: orderId,
-        status: 'ride_started'
+        status: response.status || null,
+        fell_back_to_market: response.fell_back_to_market === true
       }
     });
   } catch (error) {
-    console.error('Driver start ride error:', error);
+    console.error(`${failureMessage}:`, error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to start ride',
+      message: failureMessage,
       error: error.message
     });
   }
 };
 
-// Driver flow: mark ride as reached.
-const markOrderReachedForDriver = async (req, res) => {
-  try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const driverId = auth.userId;
-    const orderId = Number(req.params.orderId);
+const acceptDirectOfferSupplier = respondToDirectOffer(true, 'Failed to accept direct order');
+const declineDirectOfferSupplier = respondToDirectOffer(false, 'Failed to decline direct order');
 
-    if (!Number.isInteger(orderId) || orderId <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'orderId must be a positive integer'
-      });
-    }
+// Supplier counter-offers: pending counters on this supplier's bids.
+const listCounterOffersSupplier = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
 
-    const reachedCustRow = await query('SELECT customer_id FROM orders WHERE order_id = $1', [orderId]);
-    const dbResult = await query('SELECT mark_order_reached($1, $2) AS result', [driverId, orderId]);
+    const dbResult = await query('SELECT list_counter_offers_supplier($1) AS result', [supplierId]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      return res.status(409).json({
+      return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to mark order as reached'
+        message: response?.message || 'Failed to fetch counter-offers'
       });
     }
 
-    emitToUser(reachedCustRow.rows[0]?.customer_id, 'order_updated', { order_id: orderId });
     return res.status(200).json({
       success: true,
-      message: response.message || 'Marked as reached successfully',
       data: {
-        order_id: orderId,
-        status: 'reached'
+        counters: Array.isArray(response.counters) ? response.counters : []
       }
     });
   } catch (error) {
-    console.error('Driver mark reached error:', error);
+    console.error('List counter-offers error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to mark order as reached',
+      message: 'Failed to fetch counter-offers',
       error: error.message
     });
   }
 };
 
-// Driver flow: finish delivery and archive order snapshot.
-const finishOrderForDriver = async (req, res) => {
+// Supplier counter-offers: accepting goes through accept_bid at the countered
+// price (the order moves to supplier_timer); declining keeps the bid as it was.
+const respondToCounterOffer = (accept, failureMessage) => async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    const driverId = auth.userId;
-    const orderId = Number(req.params.orderId);
+    const supplierId = req.user.userId;
+    const bidId = Number(req.params.bidId);
 
-    if (!Number.isInteger(orderId) || orderId <= 0) {
+    if (!Number.isInteger(bidId) || bidId <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'orderId must be a positive integer'
+        message: 'bidId must be a positive integer'
       });
     }
 
-    const finishCustRow = await query(
-  'SELECT customer_id, supplier_id, requested_capacity, accepted_price FROM orders WHERE order_id = $1', 
-  [orderId]
-);
-
-    const dbResult = await query('SELECT finish_order($1, $2) AS result', [driverId, orderId]);
+    const dbResult = await query('SELECT respond_counter_offer($1, $2, $3, $4) AS result', [
+      supplierId,
+      bidId,
+      accept,
+      statusesAllowing(accept ? 'accept_counter' : 'decline_counter', 'supplier')
+    ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
-      return res.status(409).json({
+      const msg = (response?.message || '').toString().toLowerCase();
+      const statusCode = msg.includes('not found')
+        ? 404
+        : msg.includes('expired')
+          ? 410
+          : msg.includes('cannot be null')
+            ? 400
+            : 409;
+      return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to finish order'
+        message: response?.message || failureMessage
       });
     }
 
-    const custId = finishCustRow.rows[0]?.customer_id;
-    const suppId = finishCustRow.rows[0]?.supplier_id;
-
-    const quantity = finishCustRow.rows[0]?.requested_capacity;
-const price = finishCustRow.rows[0]?.accepted_price;
-
-if (custId) {
-  emitToUser(custId, 'order_updated', { order_id: orderId });
-  emitToUser(custId, 'order_completed', { order_id: orderId, quantity, price });
-}
-if (suppId) {
-  emitToUser(suppId, 'order_updated', { order_id: orderId });
-  emitToUser(suppId, 'order_completed', { order_id: orderId, quantity, price });
-}
+    emitToUser(response.customer_id, COUNTER_OFFER_ANSWERED, {
+      order_id: response.order_id,
+      bid_id: bidId,
+      accepted: response.accepted === true,
+      price: response.price
+    });
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Order completed successfully',
+      message: response.message,
       data: {
-        order_id: orderId,
-        status: 'completed'
+        order_id: response.order_id,
+        bid_id: bidId,
+        accepted: response.accepted === true,
+        price: response.price,
+        status: response.accepted === true ? 'supplier_timer' : 'open'
       }
     });
   } catch (error) {
-    console.error('Driver finish order error:', error);
+    console.error(`${failureMessage}:`, error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to finish order',
+      message: failureMessage,
       error: error.message
     });
   }
 };
 
+const acceptCounterOfferSupplier = respondToCounterOffer(true, 'Failed to accept counter-offer');
+const declineCounterOfferSupplier = respondToCounterOffer(false, 'Failed to decline counter-offer');
 
-
-
-
-// Cancel order: customer
-const cancelOrderCustomer = async (req, res) => {
+// Supplier dashboard: view all active orders assigned to supplier.
+const listActiveOrdersSupplier = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
+    const supplierId = req.user.userId;
+    const dbResult = await query('SELECT list_active_orders_supplier($1) AS result', [supplierId]);
+    const response = dbResult.rows[0].result;
 
-    // Explicit role check
-    const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [auth.userId]);
-    const role = roleResult.rows[0]?.role;
-    if (role !== 'customer') {
-      return res.status(403).json({
+    if (!response || response.code !== 1) {
+      return res.status(400).json({
         success: false,
-        message: 'Forbidden: customer access required'
+        message: response?.message || 'Failed to fetch active supplier orders'
       });
     }
 
-    const customerId = auth.userId;
+    return res.status(200).json({
+      success: true,
+      data: {
+        supplier_user_id: supplierId,
+        orders: Array.isArray(response.orders) ? response.orders : []
+      }
+    });
+  } catch (error) {
+    console.error('List active supplier orders error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active supplier orders',
+      error: error.message
+    });
+  }
+};
+
+// Supplier dashboard: view details for one active/assigned order.
+const viewOneActiveOrderSupplier = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
     const orderId = Number(req.params.orderId);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
@@ -2380,98 +3107,74 @@ const cancelOrderCustomer = async (req, res) => {
       });
     }
 
-    // Enforce allowed states for customer cancellation
-    const allowedStates = ['open', 'supplier_timer', 'accepted', 'ride_started', 'reached'];
-    const orderResult = await query('SELECT status, supplier_id, driver_id FROM orders WHERE order_id = $1 AND customer_id = $2', [orderId, customerId]);
+    const orderResult = await query(
+      `SELECT status, time_limit_for_supplier,
+          (status = 'supplier_timer'
+           AND time_limit_for_supplier IS NOT NULL
+           AND CURRENT_TIMESTAMP > time_limit_for_supplier) AS supplier_timer_expired,
+          CASE
+            WHEN time_limit_for_supplier IS NULL THEN NULL
+            ELSE GREATEST(0, CEIL(EXTRACT(EPOCH FROM (time_limit_for_supplier - CURRENT_TIMESTAMP))))::int
+          END AS remaining_supplier_seconds
+       FROM orders WHERE order_id = $1 AND supplier_id = $2`,
+      [orderId, supplierId]
+    );
     const order = orderResult.rows[0];
+
     if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found or does not belong to you'
-      });
+      return res.status(404).json({ success: false, message: 'Order not found or does not belong to you' });
     }
-    if (!allowedStates.includes(order.status)) {
-      return res.status(409).json({
-        success: false,
-        message: `Order cannot be cancelled in state: ${order.status}`
-      });
+
+    if (!isActiveStatus(order.status)) {
+      return res.status(409).json({ success: false, message: `Order is no longer active (status: ${order.status})` });
     }
 
-    const dbResult = await query('SELECT cancel_order($1, $2, $3) AS result', [orderId, customerId, 'customer']);
+    if (order.supplier_timer_expired) {
+      return res.status(410).json({ success: false, message: 'Supplier time limit has expired for this order' });
+    }
+
+    const dbResult = await query('SELECT view_one_active_order_supplier($1, $2) AS result', [
+      supplierId,
+      orderId
+    ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const msg = (response?.message || '').toString().toLowerCase();
-      const statusCode = msg.includes('already completed') ? 409 : 400;
+      const statusCode = msg.includes('supplier time limit has expired') ? 410 :
+        msg.includes('no longer active') ? 409 : 400;
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to cancel order'
+        message: response?.message || 'Failed to fetch supplier order details'
       });
     }
 
-    if (order.supplier_id) {
-  emitToUser(order.supplier_id, 'order_updated', { order_id: orderId });
-  emitToUser(order.supplier_id, 'order_cancelled', { order_id: orderId, cancelled_by: 'customer' });
-}
-if (order.driver_id) {
-  emitToUser(order.driver_id, 'order_updated', { order_id: orderId });
-  emitToUser(order.driver_id, 'order_cancelled', { order_id: orderId, cancelled_by: 'customer' });
-}
-// Also notify driver sitting in driver_assignment during supplier_timer
-if (order.status === 'supplier_timer') {
-  const assignedDriverResult = await query(
-  `SELECT driver_id FROM driver_assignment 
-   WHERE order_id = $1 AND COALESCE(order_rejected, FALSE) = FALSE`,
-  [orderId]
-);
-  const assignedDriverId = assignedDriverResult.rows[0]?.driver_id;
-  if (assignedDriverId && assignedDriverId !== order.driver_id) {
-    emitToUser(assignedDriverId, 'order_cancelled', { order_id: orderId, cancelled_by: 'customer' });
-  }
-}
-if (order.status === 'open') emitToSuppliers('market_updated', { order_id: orderId });
-
     return res.status(200).json({
       success: true,
-      message: response.message || 'Order cancelled successfully',
       data: {
-        order_id: orderId,
-        status: 'cancelled'
+        ...response,
+        time_limit_for_supplier: order.time_limit_for_supplier || null,
+        remaining_supplier_seconds: Number.isFinite(Number(order.remaining_supplier_seconds))
+          ? Number(order.remaining_supplier_seconds)
+          : null
       }
     });
   } catch (error) {
-    console.error('Cancel order (customer) error:', error);
+    console.error('Get active supplier order details error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to cancel order',
+      message: 'Failed to fetch supplier order details',
       error: error.message
     });
   }
 };
 
-// Cancel order: supplier
-const cancelOrderSupplier = async (req, res) => {
+// Supplier dashboard: let the driver finish without the customer's handover code (audited).
+const overrideHandoverSupplier = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    // Explicit role check
-    const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [auth.userId]);
-    const role = roleResult.rows[0]?.role;
-    if (role !== 'supplier') {
-      return res.status(403).json({
-        success: false,
-        message: 'Forbidden: supplier access required'
-      });
-    }
-
-    const supplierId = auth.userId;
+    const supplierId = req.user.userId;
     const orderId = Number(req.params.orderId);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({
@@ -2480,93 +3183,56 @@ const cancelOrderSupplier = async (req, res) => {
       });
     }
 
-    // Enforce allowed states for supplier cancellation
-    const allowedStates = ['supplier_timer', 'accepted', 'ride_started', 'reached'];
-    const orderResult = await query('SELECT status, supplier_id, customer_id, driver_id FROM orders WHERE order_id = $1', [orderId]);
-    const order = orderResult.rows[0];
-    if (!order || order.supplier_id !== supplierId) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found or not assigned to you'
-      });
-    }
-    if (!allowedStates.includes(order.status)) {
-      return res.status(409).json({
+    if (reason.length < 5) {
+      return res.status(400).json({
         success: false,
-        message: `Order cannot be cancelled in state: ${order.status}`
+        message: 'reason must be at least 5 characters'
       });
     }
 
-    const dbResult = await query('SELECT cancel_order($1, $2, $3) AS result', [orderId, supplierId, 'supplier']);
+    const dbResult = await query('SELECT override_handover_code($1, $2, $3, $4) AS result', [
+      supplierId,
+      orderId,
+      reason,
+      statusesAllowing('override_handover', 'supplier')
+    ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const msg = (response?.message || '').toString().toLowerCase();
-      const statusCode = msg.includes('already completed') ? 409 : 400;
+      const statusCode = msg.includes('not found') ? 404 : 409;
       return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to cancel order'
+        message: response?.message || 'Failed to override handover'
       });
     }
 
-    emitToUser(order.customer_id, 'order_updated', { order_id: orderId });
-if (order.driver_id) emitToUser(order.driver_id, 'order_updated', { order_id: orderId });
-
-emitToUser(order.customer_id, 'order_cancelled', { order_id: orderId, cancelled_by: 'supplier' });
-if (order.driver_id) emitToUser(order.driver_id, 'order_cancelled', { order_id: orderId, cancelled_by: 'supplier' });
-// Also notify driver sitting in driver_assignment during supplier_timer
-if (order.status === 'supplier_timer') {
-  const assignedDriverResult = await query(
-    `SELECT driver_id FROM driver_assignment 
-     WHERE order_id = $1 AND order_rejected = FALSE`,
-    [orderId]
-  );
-  const assignedDriverId = assignedDriverResult.rows[0]?.driver_id;
-  if (assignedDriverId && assignedDriverId !== order.driver_id) {
-    emitToUser(assignedDriverId, 'order_cancelled', { order_id: orderId, cancelled_by: 'supplier' });
-  }
-}
+    const payload = { order_id: orderId };
+    emitToUser(response.driver_id, HANDOVER_OVERRIDDEN, payload);
+    emitToUser(response.customer_id, HANDOVER_OVERRIDDEN, payload);
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Order cancelled successfully',
+      message: response.message,
       data: {
         order_id: orderId,
-        status: 'cancelled'
+        override_id: response.override_id
       }
     });
   } catch (error) {
-    console.error('Cancel order (supplier) error:', error);
+    console.error('Supplier handover override error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to cancel order',
+      message: 'Failed to override handover',
       error: error.message
     });
   }
 };
 
-// Cancel order: driver
-const cancelOrderDriver = async (req, res) => {
+// Supplier dashboard: list assignable drivers for one active order.
+const listAssignableDriversForSupplierOrder = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
-        success: false,
-        message: auth.message
-      });
-    }
-
-    // Explicit role check
-    const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [auth.userId]);
-    const role = roleResult.rows[0]?.role;
-    if (role !== 'driver') {
-      return res.status(403).json({
-        success: false,
-        message: 'Forbidden: driver access required'
-      });
-    }
-
-    const driverId = auth.userId;
+    const supplierId = req.user.userId;
     const orderId = Number(req.params.orderId);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
@@ -2576,153 +3242,1333 @@ const cancelOrderDriver = async (req, res) => {
       });
     }
 
-    // Enforce allowed states for driver cancellation
-    const allowedStates = ['accepted', 'ride_started', 'reached'];
-    const orderResult = await query('SELECT status, driver_id, customer_id, supplier_id FROM orders WHERE order_id = $1', [orderId]);
-    const order = orderResult.rows[0];
-    if (!order || order.driver_id !== driverId) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found or not assigned to you'
-      });
-    }
-    if (!allowedStates.includes(order.status)) {
-      return res.status(409).json({
-        success: false,
-        message: `Order cannot be cancelled in state: ${order.status}`
-      });
-    }
-
-    const dbResult = await query('SELECT cancel_order($1, $2, $3) AS result', [orderId, driverId, 'driver']);
+    // DB function enforces supplier timer, order ownership, and status checks.
+    const dbResult = await query('SELECT get_available_drivers_for_supplier($1, $2) AS result', [
+      supplierId,
+      orderId
+    ]);
     const response = dbResult.rows[0].result;
 
     if (!response || response.code !== 1) {
       const msg = (response?.message || '').toString().toLowerCase();
-      const statusCode = msg.includes('already completed') ? 409 : 400;
-      return res.status(statusCode).json({
+      const statusCode = msg.includes('time limit') ? 410 : 400;
+
+      return res.status(statusCode).json({
         success: false,
-        message: response?.message || 'Failed to cancel order'
+        message: response?.message || 'Failed to fetch assignable drivers'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        order_id: orderId,
+        drivers: Array.isArray(response.drivers) ? response.drivers : []
+      }
+    });
+  } catch (error) {
+    console.error('List assignable drivers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignable drivers',
+      error: error.message
+    });
+  }
+};
+
+// Supplier dashboard: assign one driver to one active order.
+const assignDriverForSupplierOrder = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+    const driverId = Number(req.body.driver_id);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    if (!Number.isInteger(driverId) || driverId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'driver_id must be a positive integer'
       });
     }
 
-    emitToUser(order.customer_id, 'order_updated', { order_id: orderId });
-    if (order.supplier_id) emitToUser(order.supplier_id, 'order_updated', { order_id: orderId });
+    // DB function enforces supplier timer, order ownership, driver checks.
+    const dbResult = await query('SELECT assign_driver_to_order($1, $2, $3, $4) AS result', [
+      orderId,
+      supplierId,
+      driverId,
+      statusesAllowing('assign_driver', 'supplier')
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      const statusCode = message.includes('time limit')
+        ? 410
+        : response?.order_status || message.includes('pending assignment')
+          ? 409
+          : 400;
 
-    emitToUser(order.customer_id, 'order_cancelled', { order_id: orderId, cancelled_by: 'driver' });
-    if (order.supplier_id) emitToUser(order.supplier_id, 'order_cancelled', { order_id: orderId, cancelled_by: 'driver' });
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to assign driver'
+      });
+    }
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Order cancelled successfully',
+      message: response.message || 'Driver assigned successfully',
       data: {
         order_id: orderId,
-        status: 'cancelled'
+        driver_id: driverId
       }
     });
   } catch (error) {
-    console.error('Cancel order (driver) error:', error);
+    console.error('Assign driver error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to cancel order',
+      message: 'Failed to assign driver',
       error: error.message
     });
   }
 };
 
-// View past order history for any role
-const viewPastOrders = async (req, res) => {
+// Driver flow: accept assigned order.
+const acceptAssignedOrderForDriver = async (req, res) => {
   try {
-    const auth = await getAuthenticatedUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: 'orderId must be a positive integer'
       });
     }
 
-    const userId = auth.userId;
-    const dbResult = await query('SELECT view_past_orders($1) AS result', [userId]);
+    const dbResult = await query('SELECT accept_order_driver($1, $2, $3) AS result', [
+      driverId,
+      orderId,
+      statusesAllowing('accept_assignment', 'driver')
+    ]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      const statusCode = message.includes('not assigned') ? 404 : message.includes('expired') ? 410 : 409;
+
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to accept assigned order'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Order confirmed successfully',
+      data: {
+        order_id: orderId,
+        next_screen: 'driver_active_order'
+      }
+    });
+  } catch (error) {
+    console.error('Driver accept order error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to accept assigned order',
+      error: error.message
+    });
+  }
+};
+
+// Driver flow: reject assigned order.
+const rejectAssignedOrderForDriver = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to fetch order history'
+        message: 'orderId must be a positive integer'
       });
     }
 
-    // response is an object with 'orders' array
-    const orders = response.orders || [];
+    const dbResult = await query('SELECT reject_order_driver($1, $2, $3) AS result', [
+      driverId,
+      orderId,
+      statusesAllowing('reject_assignment', 'driver')
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      const statusCode = message.includes('not assigned') ? 404 : message.includes('expired') ? 410 : 409;
+
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to reject assigned order'
+      });
+    }
 
     return res.status(200).json({
       success: true,
+      message: response.message || 'Order rejected successfully',
       data: {
-        total_orders: orders.length,
-        orders: orders
+        order_id: orderId
+      }
+    });
+  } catch (error) {
+    console.error('Driver reject order error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reject assigned order',
+      error: error.message
+    });
+  }
+};
+
+// Push a recomputed arrival estimate (see estimate_order_eta) to the order parties.
+const emitEtaUpdated = (orderId, eta, userIds) => {
+  if (!eta) return;
+  const payload = { order_id: orderId, ...eta };
+  userIds.forEach((userId) => emitToUser(userId, ETA_UPDATED, payload));
+};
+
+// Driver flow: move accepted order to ride_started.
+const startRideForDriver = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT start_ride($1, $2, $3) AS result', [
+      driverId,
+      orderId,
+      statusesAllowing('start_ride', 'driver')
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      return res.status(message.includes('not assigned') ? 404 : 409).json({
+        success: false,
+        message: response?.message || 'Failed to start ride'
+      });
+    }
+
+    // First estimate is measured from the yard until GPS points arrive.
+    emitEtaUpdated(orderId, response.eta, [response.customer_id, response.supplier_id]);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Ride started successfully',
+      data: {
+        order_id: orderId,
+        status: 'ride_started',
+        eta: response.eta || null
+      }
+    });
+  } catch (error) {
+    console.error('Driver start ride error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start ride',
+      error: error.message
+    });
+  }
+};
+
+// Driver flow: stream GPS position while the ride is in progress.
+const recordDriverLocation = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const position = parseCoordinates(req.body, 'latitude', 'longitude');
+    if (position.error || position.latitude === null) {
+      return res.status(400).json({
+        success: false,
+        message: position.error || 'latitude and longitude are required'
+      });
+    }
+
+    // Heading/speed are best-effort extras; junk values are dropped, not rejected.
+    const optionalNumber = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+    const heading = optionalNumber(req.body.heading);
+    const speedKmh = optionalNumber(req.body.speed_kmh);
+
+    const dbResult = await query('SELECT record_driver_location($1, $2, $3, $4, $5, $6) AS result', [
+      driverId,
+      orderId,
+      position.latitude,
+      position.longitude,
+      heading,
+      speedKmh
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      const statusCode = message.includes('not assigned to you') ? 403 : message.includes('not found') ? 404 : 409;
+
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to record location'
+      });
+    }
+
+    if (response.recorded) {
+      const payload = {
+        order_id: orderId,
+        latitude: position.latitude,
+        longitude: position.longitude,
+        heading,
+        speed_kmh: speedKmh,
+        recorded_at: response.recorded_at
+      };
+      emitToUser(response.customer_id, 'driver_location', payload);
+      emitToUser(response.supplier_id, 'driver_location', payload);
+      emitEtaUpdated(orderId, response.eta, [response.customer_id, response.supplier_id]);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: response.message,
+      data: {
+        order_id: orderId,
+        recorded: Boolean(response.recorded)
+      }
+    });
+  } catch (error) {
+    console.error('Record driver location error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record location',
+      error: error.message
+    });
+  }
+};
+
+// Any order party: recent driver GPS trail for the live map.
+const getOrderLocationTrail = async (req, res) => {
+  try {
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const limit = Number(req.query.limit) || null;
+    const dbResult = await query('SELECT get_order_location_trail($1, $2, $3) AS result', [
+      req.user.userId,
+      orderId,
+      limit
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(404).json({
+        success: false,
+        message: response?.message || 'Order not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: response
+    });
+  } catch (error) {
+    console.error('Get location trail error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch location trail',
+      error: error.message
+    });
+  }
+};
+
+// Shared by customers, suppliers and drivers; the DB decides which events each may see.
+const getOrderTimeline = async (req, res) => {
+  try {
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT get_order_timeline($1, $2) AS result', [
+      req.user.userId,
+      orderId
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(404).json({
+        success: false,
+        message: response?.message || 'Order not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: response
+    });
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order timeline',
+      error: error.message
+    });
+  }
+};
+
+// Driver flow: mark ride as reached.
+const markOrderReachedForDriver = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT mark_order_reached($1, $2, $3) AS result', [
+      driverId,
+      orderId,
+      statusesAllowing('mark_reached', 'driver')
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const message = (response?.message || '').toString().toLowerCase();
+      return res.status(message.includes('not assigned') ? 404 : 409).json({
+        success: false,
+        message: response?.message || 'Failed to mark order as reached'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Marked as reached successfully',
+      data: {
+        order_id: orderId,
+        status: 'reached'
+      }
+    });
+  } catch (error) {
+    console.error('Driver mark reached error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to mark order as reached',
+      error: error.message
+    });
+  }
+};
+
+// Driver flow: finish delivery with the customer's handover code and proof
+// (photo, optional signature, meter reading).
+const finishOrderForDriver = async (req, res) => {
+  const storage = getStorageProvider();
+  const storedKeys = [];
+
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const deliveredGallons = Number(req.body.delivered_gallons);
+    if (!Number.isInteger(deliveredGallons) || deliveredGallons <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'delivered_gallons must be a positive integer'
+      });
+    }
+
+    const handoverCode = req.body.handover_code == null ? null : String(req.body.handover_code).trim();
+    if (handoverCode !== null && !/^\d{4}$/.test(handoverCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'handover_code must be 4 digits'
+      });
+    }
+
+    const photo = parseImageUpload(req.body, 'photo');
+    const signature = parseImageUpload(req.body, 'signature');
+    const uploadError = photo.error || signature.error || (!photo.image ? 'photo is required' : null);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError
+      });
+    }
+
+    const finishCustRow = await query(
+  'SELECT customer_id, supplier_id, requested_capacity, accepted_price FROM orders WHERE order_id = $1', 
+  [orderId]
+);
+
+    // Upload first so the order is only finished once the proof is safely stored.
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const photoKey = `delivery-proof/${orderId}/${uploadId}-photo.${photo.image.extension}`;
+    await storage.putObject(photoKey, photo.image.buffer, photo.image.contentType);
+    storedKeys.push(photoKey);
+
+    let signatureKey = null;
+    if (signature.image) {
+      signatureKey = `delivery-proof/${orderId}/${uploadId}-signature.${signature.image.extension}`;
+      await storage.putObject(signatureKey, signature.image.buffer, signature.image.contentType);
+      storedKeys.push(signatureKey);
+    }
+
+    const dbResult = await query('SELECT finish_order($1, $2, $3, $4, $5, $6, $7) AS result', [
+      driverId,
+      orderId,
+      photoKey,
+      signatureKey,
+      deliveredGallons,
+      handoverCode,
+      statusesAllowing('finish', 'driver')
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      await Promise.allSettled(storedKeys.map((key) => storage.deleteObject(key)));
+
+      if (response?.handover_failed) {
+        return res.status(403).json({
+          success: false,
+          message: response.message,
+          data: {
+            attempts_remaining: response.attempts_remaining
+          }
+        });
+      }
+
+      const message = (response?.message || '').toString().toLowerCase();
+      return res.status(message.includes('not assigned') ? 404 : 409).json({
+        success: false,
+        message: response?.message || 'Failed to finish order'
+      });
+    }
+
+    const custId = finishCustRow.rows[0]?.customer_id;
+    const suppId = finishCustRow.rows[0]?.supplier_id;
+
+    const quantity = finishCustRow.rows[0]?.requested_capacity;
+const price = finishCustRow.rows[0]?.accepted_price;
+
+if (custId) {
+  emitToUser(custId, ORDER_COMPLETED, { order_id: orderId, quantity, price, delivered_gallons: deliveredGallons });
+}
+if (suppId) {
+  emitToUser(suppId, ORDER_COMPLETED, { order_id: orderId, quantity, price, delivered_gallons: deliveredGallons });
+}
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Order completed successfully',
+      data: {
+        order_id: orderId,
+        status: 'completed',
+        delivered_gallons: deliveredGallons
+      }
+    });
+  } catch (error) {
+    await Promise.allSettled(storedKeys.map((key) => storage.deleteObject(key)));
+    console.error('Driver finish order error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to finish order',
+      error: error.message
+    });
+  }
+};
+
+
+
+
+
+// Cancel order: customer
+const cancelOrderCustomer = async (req, res) => {
+  try {
+    const customerId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const orderResult = await query('SELECT status, supplier_id, driver_id, preferred_supplier_id FROM orders WHERE order_id = $1 AND customer_id = $2', [orderId, customerId]);
+    const order = orderResult.rows[0];
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or does not belong to you'
+      });
+    }
+    if (!canTransition('cancel', 'customer', order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order cannot be cancelled in state: ${order.status}`
+      });
+    }
+
+    const dbResult = await query('SELECT cancel_order($1, $2, $3) AS result', [orderId, customerId, 'customer']);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const msg = (response?.message || '').toString().toLowerCase();
+      const statusCode = msg.includes('already completed') ? 409 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to cancel order'
+      });
+    }
+
+    // A multi-tanker order is cancelled as a whole; its leg drivers are told too.
+    const cancelledOrderId = response.order_id || orderId;
+    const legDriverIds = Array.isArray(response.leg_driver_ids) ? response.leg_driver_ids : [];
+
+    if (order.supplier_id) {
+  emitToUser(order.supplier_id, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'customer' });
+}
+if (order.driver_id) {
+  emitToUser(order.driver_id, ORDER_CANCELLED, { order_id: orderId, cancelled_by: 'customer' });
+}
+if (order.status === 'direct_offer' && order.preferred_supplier_id) {
+  emitToUser(order.preferred_supplier_id, ORDER_CANCELLED, { order_id: orderId, cancelled_by: 'customer' });
+}
+// Also notify driver sitting in driver_assignment during supplier_timer
+if (order.status === 'supplier_timer') {
+  const assignedDriverResult = await query(
+  `SELECT driver_id FROM driver_assignment 
+   WHERE order_id = $1 AND COALESCE(order_rejected, FALSE) = FALSE`,
+  [orderId]
+);
+  const assignedDriverId = assignedDriverResult.rows[0]?.driver_id;
+  if (assignedDriverId && assignedDriverId !== order.driver_id) {
+    emitToUser(assignedDriverId, ORDER_CANCELLED, { order_id: orderId, cancelled_by: 'customer' });
+  }
+}
+legDriverIds.forEach((legDriverId) => {
+  emitToUser(legDriverId, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'customer' });
+});
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Order cancelled successfully',
+      data: {
+        order_id: cancelledOrderId,
+        status: 'cancelled'
+      }
+    });
+  } catch (error) {
+    console.error('Cancel order (customer) error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message
+    });
+  }
+};
+
+// Cancel order: supplier
+const cancelOrderSupplier = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const orderResult = await query('SELECT status, supplier_id, customer_id, driver_id FROM orders WHERE order_id = $1', [orderId]);
+    const order = orderResult.rows[0];
+    if (!order || order.supplier_id !== supplierId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or not assigned to you'
+      });
+    }
+    if (!canTransition('cancel', 'supplier', order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order cannot be cancelled in state: ${order.status}`
+      });
+    }
+
+    const dbResult = await query('SELECT cancel_order($1, $2, $3) AS result', [orderId, supplierId, 'supplier']);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const msg = (response?.message || '').toString().toLowerCase();
+      const statusCode = msg.includes('already completed') ? 409 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to cancel order'
+      });
+    }
+
+    // Cancelling a leg cancels its whole multi-tanker order.
+    const cancelledOrderId = response.order_id || orderId;
+    const legDriverIds = Array.isArray(response.leg_driver_ids) ? response.leg_driver_ids : [];
+
+emitToUser(order.customer_id, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'supplier' });
+if (order.driver_id) emitToUser(order.driver_id, ORDER_CANCELLED, { order_id: orderId, cancelled_by: 'supplier' });
+// Also notify driver sitting in driver_assignment during supplier_timer
+if (order.status === 'supplier_timer') {
+  const assignedDriverResult = await query(
+    `SELECT driver_id FROM driver_assignment 
+     WHERE order_id = $1 AND order_rejected = FALSE`,
+    [orderId]
+  );
+  const assignedDriverId = assignedDriverResult.rows[0]?.driver_id;
+  if (assignedDriverId && assignedDriverId !== order.driver_id) {
+    emitToUser(assignedDriverId, ORDER_CANCELLED, { order_id: orderId, cancelled_by: 'supplier' });
+  }
+}
+legDriverIds
+  .filter((legDriverId) => legDriverId !== order.driver_id)
+  .forEach((legDriverId) => emitToUser(legDriverId, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'supplier' }));
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Order cancelled successfully',
+      data: {
+        order_id: cancelledOrderId,
+        status: 'cancelled'
+      }
+    });
+  } catch (error) {
+    console.error('Cancel order (supplier) error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message
+    });
+  }
+};
+
+// Cancel order: driver. Before arrival the driver only drops out and the
+// order goes back to the supplier for another driver; at 'reached' the order
+// itself is cancelled.
+const cancelOrderDriver = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const orderResult = await query('SELECT status, driver_id, customer_id, supplier_id FROM orders WHERE order_id = $1', [orderId]);
+    const order = orderResult.rows[0];
+    if (!order || order.driver_id !== driverId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or not assigned to you'
+      });
+    }
+    const dropsOut = canTransition('drop_out', 'driver', order.status);
+    if (!dropsOut && !canTransition('cancel', 'driver', order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order cannot be cancelled in state: ${order.status}`
+      });
+    }
+
+    if (dropsOut) {
+      const dropResult = await query('SELECT drop_order_driver($1, $2) AS result', [driverId, orderId]);
+      const dropped = dropResult.rows[0].result;
+
+      if (!dropped || dropped.code !== 1) {
+        const msg = (dropped?.message || '').toString().toLowerCase();
+        const statusCode = msg.includes('not found') ? 404 : msg.includes('cannot be handed back') ? 409 : 400;
+        return res.status(statusCode).json({
+          success: false,
+          message: dropped?.message || 'Failed to cancel order'
+        });
+      }
+
+      // The customer follows the order they placed, the supplier the leg they reassign.
+      emitToUser(dropped.customer_id, DRIVER_DROPPED, {
+        order_id: dropped.parent_order_id || dropped.order_id,
+        needs_driver_until: dropped.needs_driver_until
+      });
+      emitToUser(dropped.supplier_id, DRIVER_DROPPED, {
+        order_id: dropped.order_id,
+        parent_order_id: dropped.parent_order_id,
+        needs_driver_until: dropped.needs_driver_until
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: dropped.message,
+        data: {
+          order_id: dropped.order_id,
+          status: 'supplier_timer',
+          needs_driver_until: dropped.needs_driver_until
+        }
+      });
+    }
+
+    const dbResult = await query('SELECT cancel_order($1, $2, $3) AS result', [orderId, driverId, 'driver']);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      const msg = (response?.message || '').toString().toLowerCase();
+      const statusCode = msg.includes('already completed') ? 409 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: response?.message || 'Failed to cancel order'
+      });
+    }
+
+    // Cancelling a leg cancels its whole multi-tanker order, so the other leg drivers are told too.
+    const cancelledOrderId = response.order_id || orderId;
+    const legDriverIds = Array.isArray(response.leg_driver_ids) ? response.leg_driver_ids : [];
+
+    emitToUser(order.customer_id, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'driver' });
+    if (order.supplier_id) emitToUser(order.supplier_id, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'driver' });
+    legDriverIds
+      .filter((legDriverId) => legDriverId !== driverId)
+      .forEach((legDriverId) => emitToUser(legDriverId, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'driver' }));
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Order cancelled successfully',
+      data: {
+        order_id: cancelledOrderId,
+        status: 'cancelled'
+      }
+    });
+  } catch (error) {
+    console.error('Cancel order (driver) error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message
+    });
+  }
+};
+
+// View past order history for any role
+const viewPastOrders = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const dbResult = await query('SELECT view_past_orders($1) AS result', [userId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to fetch order history'
+      });
+    }
+
+    // response is an object with 'orders' array
+    const orders = response.orders || [];
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        total_orders: orders.length,
+        orders: orders
+      }
+    });
+  }
+  catch (error) {
+    console.error('View past orders error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order history',
+      error: error.message
+    });
+  }
+};
+
+
+const viewPastOrderDetailsSupplier = async (req, res) => {
+  try {
+    const supplierId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT view_past_order_details_supplier($1, $2) AS result', [supplierId, orderId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to fetch order details'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await withDeliveryProofUrls(req, response.order)
+    });
+  } catch (error) {
+    console.error('View past order details (supplier) error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order details',
+      error: error.message
+    });
+  }
+};
+
+
+const viewPastOrderDetailsCustomer = async (req, res) => {
+  try {
+    const customerId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT view_past_order_details_customer($1, $2) AS result', [customerId, orderId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to fetch order details'
+      });
+    }
+
+    // Also fetch customer_rating which the DB function doesn't include
+    const ratingResult = await query(
+      'SELECT customer_rating FROM order_history WHERE order_id = $1',
+      [orderId]
+    );
+    const customerRating = ratingResult.rows.length > 0
+      ? (ratingResult.rows[0].customer_rating ?? null)
+      : null;
+
+    const order = await withDeliveryProofUrls(req, response.order);
+
+    return res.status(200).json({
+      success: true,
+      data: { ...order, order_id: orderId, customer_rating: customerRating }
+    });
+  } catch (error) {
+    console.error('View past order details (customer) error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order details',
+      error: error.message
+    });
+  }
+};
+
+const viewPastOrderDetailsDriver = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const orderId = Number(req.params.orderId);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT view_past_order_details_driver($1, $2) AS result', [driverId, orderId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to fetch order details'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: response.order
+    });
+  } catch (error) {
+    console.error('View past order details (driver) error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order details',
+      error: error.message
+    });
+  }
+};
+
+
+const deleteSupplierAccount = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const dbResult = await query('SELECT delete_supplier_account($1) AS result', [userId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to delete account'
+      });
+    }
+
+    invalidateUserSessions(userId);
+    (response.logged_out_driver_ids || []).forEach(invalidateUserSessions);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete supplier account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+};
+
+
+const logoutCustomer = async (req, res) => {
+  try {
+    const { userId, sessionToken } = req.user;
+
+    const dbResult = await query('SELECT logout_customer($1,$2) AS result', [userId, sessionToken]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to logout'
+      });
+    }
+
+    invalidateSessionToken(sessionToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  }
+  catch (error) {
+    console.error('Logout customer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+      error: error.message
+    });
+  }
+};
+
+
+const logoutDriver = async (req, res) => {
+  try {
+    const { userId, sessionToken } = req.user;
+
+    const dbResult = await query('SELECT logout_driver($1, $2) AS result', [userId, sessionToken]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to logout'
+      });
+    }
+
+    invalidateSessionToken(sessionToken);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout driver error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+      error: error.message
+    });
+  }
+};
+
+
+const logoutSupplier = async (req, res) => {
+  try {
+    const { userId, sessionToken } = req.user;
+
+    const dbResult = await query('SELECT logout_supplier($1, $2) AS result', [userId, sessionToken]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to logout'
+      });
+    }
+
+    invalidateSessionToken(sessionToken);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout supplier error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+      error: error.message
+    });
+  }
+};
+
+
+const deleteCustomerAccount = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const dbResult = await query('SELECT delete_customer_account($1) AS result', [userId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to delete account'
+      });
+    }
+
+    invalidateUserSessions(userId);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete customer account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+};
+
+
+const deleteDriverAccount = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const dbResult = await query('SELECT delete_driver_account($1) AS result', [userId]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code === 0) {
+      return res.status(400).json({
+        success: false,
+        message: response?.message || 'Failed to delete account'
+      });
+    }
+
+    invalidateUserSessions(userId);
+
+    return res.status(200).json({
+      success: true,
+      message: response.message || 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete driver account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+};
+
+
+// Back office (admin role). Every handler here sits behind requireRole('admin')
+// and the SQL functions check the role again.
+
+const adminFailureStatus = (message) => {
+  const msg = (message || '').toString().toLowerCase();
+  if (msg.includes('admin access')) return 403;
+  if (msg.includes('not found')) return 404;
+  return 400;
+};
+
+// Admin: search users by name, phone or id.
+const searchUsersAdmin = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const searchText = (req.query.q || '').toString().trim() || null;
+    const role = (req.query.role || '').toString().trim() || null;
+    const limit = req.query.limit === undefined ? 25 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const dbResult = await query('SELECT search_users_admin($1, $2, $3, $4) AS result', [
+      adminId,
+      searchText,
+      role,
+      limit
+    ]);
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(adminFailureStatus(response?.message)).json({
+        success: false,
+        message: response?.message || 'Failed to search users'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        users: Array.isArray(response.users) ? response.users : []
       }
     });
-  }
-  catch (error) {
-    console.error('View past orders error:', error);
+  } catch (error) {
+    console.error('Admin search users error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch order history',
+      message: 'Failed to search users',
       error: error.message
     });
   }
 };
 
-
-const viewPastOrderDetailsSupplier = async (req, res) => {
+// Admin: suspend or reinstate an account. Suspension ends its sessions.
+const setUserSuspensionAdmin = (suspend) => async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
+    const adminId = req.user.userId;
+    const userId = Number(req.params.userId);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-    const supplierId = auth.userId;
-    const orderId = Number(req.params.orderId);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId must be a positive integer'
+      });
+    }
 
-    if (!Number.isInteger(orderId) || orderId <= 0) {
+    if (suspend && reason.length < 5) {
       return res.status(400).json({
         success: false,
-        message: 'orderId must be a positive integer'
+        message: 'reason must be at least 5 characters'
       });
     }
 
-    const dbResult = await query('SELECT view_past_order_details_supplier($1, $2) AS result', [supplierId, orderId]);
+    const dbResult = await query('SELECT set_user_suspension_admin($1, $2, $3, $4) AS result', [
+      adminId,
+      userId,
+      suspend,
+      reason || null
+    ]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      const statusCode = adminFailureStatus(response?.message);
+      return res.status(statusCode === 400 ? 409 : statusCode).json({
         success: false,
-        message: response?.message || 'Failed to fetch order details'
+        message: response?.message || 'Failed to update suspension'
       });
     }
 
+    if (suspend) {
+      invalidateUserSessions(userId);
+      (response.ended_session_ids || []).forEach((sessionId) => disconnectSession(sessionId));
+    }
+
     return res.status(200).json({
       success: true,
-      data: response.order
+      message: response.message,
+      data: {
+        user_id: userId,
+        suspended: response.suspended,
+        active_order_ids: response.active_order_ids || []
+      }
     });
   } catch (error) {
-    console.error('View past order details (supplier) error:', error);
+    console.error('Admin suspension error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch order details',
+      message: 'Failed to update suspension',
       error: error.message
     });
   }
 };
 
+const suspendUserAdmin = setUserSuspensionAdmin(true);
+const unsuspendUserAdmin = setUserSuspensionAdmin(false);
 
-const viewPastOrderDetailsCustomer = async (req, res) => {
+// Admin: any order, live or archived, with its timeline.
+const getOrderAdmin = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const customerId = auth.userId;
+    const adminId = req.user.userId;
     const orderId = Number(req.params.orderId);
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
@@ -2732,48 +4578,37 @@ const viewPastOrderDetailsCustomer = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT view_past_order_details_customer($1, $2) AS result', [customerId, orderId]);
+    const dbResult = await query('SELECT get_order_admin($1, $2) AS result', [adminId, orderId]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      return res.status(adminFailureStatus(response?.message)).json({
         success: false,
-        message: response?.message || 'Failed to fetch order details'
+        message: response?.message || 'Failed to fetch order'
       });
     }
 
-    // Also fetch customer_rating which the DB function doesn't include
-    const ratingResult = await query(
-      'SELECT customer_rating FROM order_history WHERE order_id = $1',
-      [orderId]
-    );
-    const customerRating = ratingResult.rows.length > 0
-      ? (ratingResult.rows[0].customer_rating ?? null)
-      : null;
-
+    const { code, ...data } = response;
     return res.status(200).json({
       success: true,
-      data: { ...response.order, order_id: orderId, customer_rating: customerRating }
+      data
     });
   } catch (error) {
-    console.error('View past order details (customer) error:', error);
+    console.error('Admin get order error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch order details',
+      message: 'Failed to fetch order',
       error: error.message
     });
   }
 };
 
-const viewPastOrderDetailsDriver = async (req, res) => {
+// Admin: force-cancel a stuck order through cancel_order.
+const cancelOrderAdmin = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const driverId = auth.userId;
+    const adminId = req.user.userId;
     const orderId = Number(req.params.orderId);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
     if (!Number.isInteger(orderId) || orderId <= 0) {
       return res.status(400).json({
@@ -2782,267 +4617,420 @@ const viewPastOrderDetailsDriver = async (req, res) => {
       });
     }
 
-    const dbResult = await query('SELECT view_past_order_details_driver($1, $2) AS result', [driverId, orderId]);
+    if (reason.length < 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason must be at least 5 characters'
+      });
+    }
+
+    const dbResult = await query('SELECT cancel_order_admin($1, $2, $3, $4) AS result', [
+      adminId,
+      orderId,
+      reason,
+      statusesAllowing('cancel', 'admin')
+    ]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      const statusCode = adminFailureStatus(response?.message);
+      return res.status(statusCode === 400 ? 409 : statusCode).json({
         success: false,
-        message: response?.message || 'Failed to fetch order details'
+        message: response?.message || 'Failed to cancel order'
       });
     }
 
+    const cancelledOrderId = response.order_id || orderId;
+    (response.notify_user_ids || []).forEach((userId) => {
+      emitToUser(userId, ORDER_CANCELLED, { order_id: cancelledOrderId, cancelled_by: 'admin' });
+    });
+
     return res.status(200).json({
       success: true,
-      data: response.order
+      message: response.message || 'Order cancelled',
+      data: {
+        order_id: cancelledOrderId,
+        previous_status: response.previous_status,
+        status: 'cancelled'
+      }
     });
   } catch (error) {
-    console.error('View past order details (driver) error:', error);
+    console.error('Admin cancel order error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch order details',
+      message: 'Failed to cancel order',
       error: error.message
     });
   }
 };
 
-
-const deleteSupplierAccount = async (req, res) => {
+// Admin: every pricing version, newest first, with its prices and who
+// published it. status is 'scheduled', 'in_force' or 'superseded'.
+const listPricingVersionsAdmin = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const userId = auth.userId;
-
-    const dbResult = await query('SELECT delete_supplier_account($1) AS result', [userId]);
-    const response = dbResult.rows[0].result;
-
-    if (!response || response.code === 0) {
-      return res.status(400).json({
-        success: false,
-        message: response?.message || 'Failed to delete account'
-      });
-    }
+    const versionsResult = await query(
+      `
+      SELECT pv.version_id,
+             pv.effective_from,
+             pv.note,
+             pv.created_by,
+             u.name AS created_by_name,
+             pv.created_at,
+             CASE
+               WHEN pv.effective_from > CURRENT_TIMESTAMP THEN 'scheduled'
+               WHEN pv.version_id = pricing_version_at() THEN 'in_force'
+               ELSE 'superseded'
+             END AS status,
+             (
+               SELECT json_agg(json_build_object('quantity_in_gallon', vp.quantity_in_gallon, 'base_price', vp.base_price)
+                               ORDER BY vp.quantity_in_gallon)
+               FROM pricing_version_prices vp
+               WHERE vp.version_id = pv.version_id
+             ) AS prices
+      FROM pricing_versions pv
+      LEFT JOIN users u ON u.user_id = pv.created_by
+      ORDER BY pv.effective_from DESC, pv.version_id DESC
+      `
+    );
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Account deleted successfully'
+      data: {
+        versions: versionsResult.rows
+      }
     });
   } catch (error) {
-    console.error('Delete supplier account error:', error);
+    console.error('Admin list pricing versions error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to delete account',
+      message: 'Failed to fetch pricing versions',
       error: error.message
     });
   }
 };
 
-
-const logoutCustomer = async (req, res) => {
+// Admin: publish a complete price list, now or from a later effective_from.
+const createPricingVersionAdmin = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const adminId = req.user.userId;
+    const { prices, note } = req.body;
+
+    if (!Array.isArray(prices) || prices.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: 'prices must be a non-empty array of { quantity_in_gallon, base_price }'
       });
     }
 
-    const userId = auth.userId;
-
-    //  Manaully extracting token again
-
-    const authHeader = req.headers.authorization || '';
-    const bearerToken = authHeader.startsWith('Bearer ') ?
-      authHeader.slice(7).trim() : '';
-
-    const sessionToken = bearerToken || req.headers['x-session-token'] || null;
+    const invalidPrice = prices.some((item) => !item
+      || !Number.isInteger(Number(item.quantity_in_gallon))
+      || !Number.isInteger(Number(item.base_price)));
+    if (invalidPrice) {
+      return res.status(400).json({
+        success: false,
+        message: 'quantity_in_gallon and base_price must be integers'
+      });
+    }
 
-    if (!sessionToken) {
-      return res.status(401).json({
+    const effectiveFrom = parseOptionalTimestamp(req.body, 'effective_from');
+    if (effectiveFrom.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Unauthorized: missing session token'
-      })
+        message: effectiveFrom.error
+      });
     }
 
-    const dbResult = await query('SELECT logout_customer($1,$2) AS result', [userId, sessionToken]);
+    const normalizedPrices = prices.map((item) => ({
+      quantity_in_gallon: Number(item.quantity_in_gallon),
+      base_price: Number(item.base_price)
+    }));
+
+    const dbResult = await query('SELECT create_pricing_version_admin($1, $2, $3, $4) AS result', [
+      adminId,
+      JSON.stringify(normalizedPrices),
+      effectiveFrom.value,
+      typeof note === 'string' ? note : null
+    ]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      return res.status(adminFailureStatus(response?.message)).json({
         success: false,
-        message: response?.message || 'Failed to logout'
+        message: response?.message || 'Failed to publish prices'
       });
     }
 
-    return res.status(200).json({
+    return res.status(201).json({
       success: true,
-      message: 'Logged out successfully'
+      message: response.message,
+      data: {
+        version_id: response.version_id,
+        effective_from: response.effective_from,
+        quantity_count: response.quantity_count
+      }
     });
-  }
-  catch (error) {
-    console.error('Logout customer error:', error);
+  } catch (error) {
+    console.error('Admin create pricing version error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to logout',
+      message: 'Failed to publish prices',
       error: error.message
     });
   }
 };
 
-
-const logoutDriver = async (req, res) => {
+// Admin: withdraw a pricing version that has not taken over yet.
+const cancelPricingVersionAdmin = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({
+    const adminId = req.user.userId;
+    const versionId = Number(req.params.versionId);
+
+    if (!Number.isInteger(versionId) || versionId <= 0) {
+      return res.status(400).json({
         success: false,
-        message: auth.message
+        message: 'versionId must be a positive integer'
       });
     }
 
-    const userId = auth.userId;
-    // Manual token extraction
-    const authHeader = req.headers.authorization || '';
-    const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
-    const sessionToken = bearerToken || req.headers['x-session-token'] || null;
-
-    if (!sessionToken) {
-      return res.status(401).json({ success: false, message: 'Unauthorized: missing session token' });
-    }
-
-    const dbResult = await query('SELECT logout_driver($1, $2) AS result', [userId, sessionToken]);
+    const dbResult = await query('SELECT cancel_pricing_version_admin($1, $2) AS result', [adminId, versionId]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      const statusCode = adminFailureStatus(response?.message);
+      return res.status(statusCode === 400 ? 409 : statusCode).json({
         success: false,
-        message: response?.message || 'Failed to logout'
+        message: response?.message || 'Failed to withdraw prices'
       });
     }
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Logged out successfully'
+      message: response.message,
+      data: {
+        version_id: versionId
+      }
     });
   } catch (error) {
-    console.error('Logout driver error:', error);
+    console.error('Admin cancel pricing version error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to logout',
+      message: 'Failed to withdraw prices',
       error: error.message
     });
   }
 };
 
+// Admin: dynamic pricing rules, highest priority first (the order they are
+// tried in).
+const listPricingRulesAdmin = async (req, res) => {
+  try {
+    const rulesResult = await query(
+      `
+      SELECT r.*, u.name AS created_by_name
+      FROM pricing_rules r
+      LEFT JOIN users u ON u.user_id = r.created_by
+      ORDER BY r.is_active DESC, r.priority DESC, r.rule_id DESC
+      `
+    );
 
-const logoutSupplier = async (req, res) => {
+    return res.status(200).json({
+      success: true,
+      data: {
+        rules: rulesResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('Admin list pricing rules error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pricing rules',
+      error: error.message
+    });
+  }
+};
+
+// Optional number from a pricing rule body; missing or empty means fallback.
+const optionalRuleNumber = (body, key, fallback = null) => {
+  const raw = body[key];
+  if (raw === undefined || raw === null || raw === '') return { value: fallback };
+  const value = Number(raw);
+  return Number.isFinite(value) ? { value } : { error: `${key} must be a number` };
+};
+
+// Admin: create a pricing rule (POST) or replace one (PUT /:ruleId). Every
+// field is sent each time; omitted conditions match everything.
+const savePricingRuleAdmin = async (req, res) => {
   try {
-    const auth = await getSupplierUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
+    const adminId = req.user.userId;
+    const body = req.body || {};
+    const ruleId = req.params.ruleId === undefined ? null : Number(req.params.ruleId);
+
+    if (ruleId !== null && (!Number.isInteger(ruleId) || ruleId <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ruleId must be a positive integer'
+      });
     }
 
-    const userId = auth.userId;
-    // Manual token extraction
-    const authHeader = req.headers.authorization || '';
-    const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
-    const sessionToken = bearerToken || req.headers['x-session-token'] || null;
+    const name = (body.name || '').toString().trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
 
-    if (!sessionToken) {
-      return res.status(401).json({ success: false, message: 'Unauthorized: missing session token' });
+    const districts = Array.isArray(body.districts) && body.districts.length > 0
+      ? body.districts.map((district) => String(district))
+      : null;
+    const daysOfWeek = Array.isArray(body.days_of_week) && body.days_of_week.length > 0
+      ? body.days_of_week.map(Number)
+      : null;
+    if (daysOfWeek && daysOfWeek.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days_of_week must be integers from 0 (Sunday) to 6 (Saturday)'
+      });
     }
 
-    const dbResult = await query('SELECT logout_supplier($1, $2) AS result', [userId, sessionToken]);
-    const response = dbResult.rows[0].result;
+    const startTime = (body.start_time || '').toString().trim() || null;
+    const endTime = (body.end_time || '').toString().trim() || null;
+    if ((startTime && !SUBSCRIPTION_TIME_PATTERN.test(startTime)) || (endTime && !SUBSCRIPTION_TIME_PATTERN.test(endTime))) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_time and end_time must be in HH:MM (24-hour) format'
+      });
+    }
 
-    if (!response || response.code === 0) {
+    const numbers = {
+      min_quantity: optionalRuleNumber(body, 'min_quantity'),
+      max_quantity: optionalRuleNumber(body, 'max_quantity'),
+      price_multiplier: optionalRuleNumber(body, 'price_multiplier', 1),
+      min_price_ratio: optionalRuleNumber(body, 'min_price_ratio', 0.85),
+      max_price_ratio: optionalRuleNumber(body, 'max_price_ratio', 3),
+      priority: optionalRuleNumber(body, 'priority', 0)
+    };
+    const numberError = Object.values(numbers).find((item) => item.error);
+    if (numberError) {
       return res.status(400).json({
         success: false,
-        message: response?.message || 'Failed to logout'
+        message: numberError.error
       });
     }
 
-    return res.status(200).json({
+    const fractionalKey = ['min_quantity', 'max_quantity', 'priority']
+      .find((key) => numbers[key].value !== null && !Number.isInteger(numbers[key].value));
+    if (fractionalKey) {
+      return res.status(400).json({
+        success: false,
+        message: `${fractionalKey} must be an integer`
+      });
+    }
+
+    const dbResult = await query(
+      `SELECT save_pricing_rule_admin(
+         $1, $2, $3, $4::text[], $5::smallint[], $6::time, $7::time, $8,
+         $9, $10, $11, $12, $13, $14, $15
+       ) AS result`,
+      [
+        adminId,
+        ruleId,
+        name,
+        districts,
+        daysOfWeek,
+        startTime,
+        endTime,
+        (body.timezone || '').toString().trim() || 'Asia/Karachi',
+        numbers.min_quantity.value,
+        numbers.max_quantity.value,
+        numbers.price_multiplier.value,
+        numbers.min_price_ratio.value,
+        numbers.max_price_ratio.value,
+        numbers.priority.value,
+        body.is_active === undefined ? true : body.is_active === true || body.is_active === 'true'
+      ]
+    );
+    const response = dbResult.rows[0].result;
+
+    if (!response || response.code !== 1) {
+      return res.status(adminFailureStatus(response?.message)).json({
+        success: false,
+        message: response?.message || 'Failed to save pricing rule'
+      });
+    }
+
+    return res.status(ruleId === null ? 201 : 200).json({
       success: true,
-      message: response.message || 'Logged out successfully'
+      message: response.message,
+      data: {
+        rule_id: response.rule_id
+      }
     });
   } catch (error) {
-    console.error('Logout supplier error:', error);
+    console.error('Admin save pricing rule error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to logout',
+      message: 'Failed to save pricing rule',
       error: error.message
     });
   }
 };
 
-
-const deleteCustomerAccount = async (req, res) => {
+const deletePricingRuleAdmin = async (req, res) => {
   try {
-    const auth = await getCustomerUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
+    const adminId = req.user.userId;
+    const ruleId = Number(req.params.ruleId);
 
-    const userId = auth.userId;
+    if (!Number.isInteger(ruleId) || ruleId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ruleId must be a positive integer'
+      });
+    }
 
-    const dbResult = await query('SELECT delete_customer_account($1) AS result', [userId]);
+    const dbResult = await query('SELECT delete_pricing_rule_admin($1, $2) AS result', [adminId, ruleId]);
     const response = dbResult.rows[0].result;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
+    if (!response || response.code !== 1) {
+      return res.status(adminFailureStatus(response?.message)).json({
         success: false,
-        message: response?.message || 'Failed to delete account'
+        message: response?.message || 'Failed to delete pricing rule'
       });
     }
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Account deleted successfully'
+      message: response.message,
+      data: {
+        rule_id: ruleId
+      }
     });
   } catch (error) {
-    console.error('Delete customer account error:', error);
+    console.error('Admin delete pricing rule error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to delete account',
+      message: 'Failed to delete pricing rule',
       error: error.message
     });
   }
 };
 
-
-const deleteDriverAccount = async (req, res) => {
+const logoutAdmin = async (req, res) => {
   try {
-    const auth = await getDriverUserId(req);
-    if (!auth.ok) {
-      return res.status(auth.status).json({ success: false, message: auth.message });
-    }
-
-    const userId = auth.userId;
-
-    const dbResult = await query('SELECT delete_driver_account($1) AS result', [userId]);
-    const response = dbResult.rows[0].result;
+    const { userId, sessionToken } = req.user;
 
-    if (!response || response.code === 0) {
-      return res.status(400).json({
-        success: false,
-        message: response?.message || 'Failed to delete account'
-      });
-    }
+    await query('DELETE FROM sessions WHERE token = $1 AND user_id = $2', [sessionToken, userId]);
+    invalidateSessionToken(sessionToken);
 
     return res.status(200).json({
       success: true,
-      message: response.message || 'Account deleted successfully'
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Delete driver account error:', error);
+    console.error('Logout admin error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to delete account',
+      message: 'Failed to logout',
       error: error.message
     });
   }
@@ -3052,35 +5040,67 @@ const deleteDriverAccount = async (req, res) => {
 module.exports = {
   appStartup,
   enterNumber,
-  storeOTP,
+  sendOTP,
   verifyOTP,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  getOrderStates,
   enterDetailsCustomer,
   enterDetailsDriver,
   enterDetailsSupplier,
+  getSupplierServiceArea,
+  updateSupplierServiceArea,
   addSupplierDriver,
   listSupplierDrivers,
   removeSupplierDriver,
+  listSupplierVehicles,
+  addSupplierVehicle,
+  updateSupplierVehicleStatus,
+  removeSupplierVehicle,
+  pairSupplierDriverVehicle,
   getSupplierDriverReadiness,
   getCustomerQuantityPricing,
   startCustomerOrder,
   listBidsForCustomerOpenOrder,
   updateCustomerOpenOrderBid,
   acceptSupplierBidForCustomer,
+  counterBidCustomer,
   rejectBidCustomer,
   submitOrderRatingForCustomer,
+  listCustomerAddresses,
+  saveCustomerAddress,
+  deleteCustomerAddress,
+  listPreferredSuppliersCustomer,
+  listCustomerSubscriptions,
+  createCustomerSubscription,
+  pauseCustomerSubscription,
+  resumeCustomerSubscription,
+  skipNextCustomerSubscription,
+  cancelCustomerSubscription,
   getCurrentOrderCustomer,
   getOrderDetailsDriver,
   getCurrentOrderDriver,
   listAvailableOrdersForSupplier,
   viewOneAvailableOrderSupplier,
   placeSupplierBid,
+  listDirectOffersSupplier,
+  acceptDirectOfferSupplier,
+  declineDirectOfferSupplier,
+  listCounterOffersSupplier,
+  acceptCounterOfferSupplier,
+  declineCounterOfferSupplier,
   listActiveOrdersSupplier,
   viewOneActiveOrderSupplier,
+  overrideHandoverSupplier,
   listAssignableDriversForSupplierOrder,
   assignDriverForSupplierOrder,
   acceptAssignedOrderForDriver,
   rejectAssignedOrderForDriver,
   startRideForDriver,
+  recordDriverLocation,
+  getOrderLocationTrail,
+  getOrderTimeline,
   markOrderReachedForDriver,
   finishOrderForDriver,
   cancelOrderCustomer,
@@ -3096,6 +5116,18 @@ module.exports = {
   logoutCustomer,
   logoutDriver,
   logoutSupplier,
+  searchUsersAdmin,
+  suspendUserAdmin,
+  unsuspendUserAdmin,
+  getOrderAdmin,
+  cancelOrderAdmin,
+  listPricingVersionsAdmin,
+  createPricingVersionAdmin,
+  cancelPricingVersionAdmin,
+  listPricingRulesAdmin,
+  savePricingRuleAdmin,
+  deletePricingRuleAdmin,
+  logoutAdmin,
 };
 
 
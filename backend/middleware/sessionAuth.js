@@ -0,0 +1,144 @@
+const { query } = require('../config/database');
+
+const SESSION_CACHE_TTL_MS = Number(process.env.SESSION_CACHE_TTL_MS) || 30 * 1000;
+const SESSION_CACHE_MAX_ENTRIES = 5000;
+
+// token -> { user, cachedUntil }
+const sessionCache = new Map();
+
+const getSessionToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
+  return bearerToken || req.headers['x-session-token'] || null;
+};
+
+const pruneSessionCache = (now) => {
+  for (const [token, entry] of sessionCache) {
+    if (entry.cachedUntil <= now) {
+      sessionCache.delete(token);
+    }
+  }
+
+  // Still full of live entries: drop the oldest insertions first.
+  while (sessionCache.size >= SESSION_CACHE_MAX_ENTRIES) {
+    sessionCache.delete(sessionCache.keys().next().value);
+  }
+};
+
+// Resolve a session token to { userId, role, sessionId, sessionExpiresAt }.
+// Session and role are fetched in a single query and cached briefly.
+const resolveSession = async (sessionToken) => {
+  if (!sessionToken) {
+    return {
+      ok: false,
+      status: 401,
+      message: 'Unauthorized: missing session token'
+    };
+  }
+
+  const now = Date.now();
+  const cached = sessionCache.get(sessionToken);
+  if (cached && cached.cachedUntil > now) {
+    return { ok: true, user: cached.user };
+  }
+  sessionCache.delete(sessionToken);
+
+  const sessionResult = await query(
+    `SELECT s.result, u.role
+     FROM (SELECT check_session($1) AS result) s
+     LEFT JOIN users u ON u.user_id = (s.result->>'user_id')::INTEGER`,
+    [sessionToken]
+  );
+  const sessionResponse = sessionResult.rows[0]?.result;
+  const role = sessionResult.rows[0]?.role;
+
+  if (!sessionResponse || sessionResponse.code !== 1 || !sessionResponse.user_id || !role) {
+    return {
+      ok: false,
+      status: 401,
+      message: sessionResponse?.expired
+        ? 'Unauthorized: session expired'
+        : 'Unauthorized: invalid session'
+    };
+  }
+
+  const user = {
+    userId: sessionResponse.user_id,
+    role,
+    sessionId: sessionResponse.session_id,
+    sessionExpiresAt: new Date(sessionResponse.expires_at).getTime(),
+    sessionToken
+  };
+
+  if (sessionCache.size >= SESSION_CACHE_MAX_ENTRIES) {
+    pruneSessionCache(now);
+  }
+  sessionCache.set(sessionToken, {
+    user,
+    cachedUntil: Math.min(now + SESSION_CACHE_TTL_MS, user.sessionExpiresAt)
+  });
+
+  return { ok: true, user };
+};
+
+// Drop a single token, e.g. on logout.
+const invalidateSessionToken = (sessionToken) => {
+  if (sessionToken) {
+    sessionCache.delete(sessionToken);
+  }
+};
+
+// Drop every cached token for a user, e.g. on account deletion, role change or revoke.
+const invalidateUserSessions = (userId) => {
+  if (!userId) return;
+
+  for (const [token, entry] of sessionCache) {
+    if (entry.user.userId === userId) {
+      sessionCache.delete(token);
+    }
+  }
+};
+
+const authenticate = (allowedRoles) => async (req, res, next) => {
+  try {
+    const auth = await resolveSession(getSessionToken(req));
+    if (!auth.ok) {
+      return res.status(auth.status).json({
+        success: false,
+        message: auth.message
+      });
+    }
+
+    if (allowedRoles && !allowedRoles.includes(auth.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Forbidden: ${allowedRoles.join(' or ')} access required`
+      });
+    }
+
+    req.user = auth.user;
+    return next();
+  } catch (error) {
+    console.error('Session auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request',
+      error: error.message
+    });
+  }
+};
+
+// Any signed-in user, regardless of role (e.g. onboarding with role 'undefined').
+const requireAuth = authenticate(null);
+
+// Signed-in user whose role is one of the given roles.
+const requireRole = (...roles) => authenticate(roles);
+
+module.exports = {
+  getSessionToken,
+  resolveSession,
+  invalidateSessionToken,
+  invalidateUserSessions,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const startupController = require('../controllers/startupController');
+const { requireRole } = require('../middleware/sessionAuth');
+
+// Everything here requires a signed-in admin.
+router.use(requireRole('admin'));
+
+// Back office: find accounts and suspend or reinstate them.
+router.get('/users', startupController.searchUsersAdmin);
+router.post('/users/:userId/suspend', startupController.suspendUserAdmin);
+router.post('/users/:userId/unsuspend', startupController.unsuspendUserAdmin);
+
+// Back office: inspect any order and force-cancel stuck ones.
+router.get('/orders/:orderId', startupController.getOrderAdmin);
+router.post('/orders/:orderId/cancel', startupController.cancelOrderAdmin);
+
+// Back office: pricing versions.
+router.get('/pricing', startupController.listPricingVersionsAdmin);
+router.post('/pricing/versions', startupController.createPricingVersionAdmin);
+router.delete('/pricing/versions/:versionId', startupController.cancelPricingVersionAdmin);
+
+// Back office: dynamic pricing rules (zone, time and quantity adjustments).
+router.get('/pricing/rules', startupController.listPricingRulesAdmin);
+router.post('/pricing/rules', startupController.savePricingRuleAdmin);
+router.put('/pricing/rules/:ruleId', startupController.savePricingRuleAdmin);
+router.delete('/pricing/rules/:ruleId', startupController.deletePricingRuleAdmin);
+
+router.post('/logout', startupController.logoutAdmin);
+
+module.exports = router;
@@ -1,25 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const startupController = require('../controllers/startupController');
+const { requireAuth, requireRole } = require('../middleware/sessionAuth');
 
 // Customer profile completion endpoint.
-router.post('/enter-details', startupController.enterDetailsCustomer);
+router.post('/enter-details', requireAuth, startupController.enterDetailsCustomer);
+
+// Everything below requires a signed-in customer.
+router.use(requireRole('customer'));
 
 // Customer dashboard: order creation and pricing options.
 router.get('/orders/quantities', startupController.getCustomerQuantityPricing);
 router.get('/orders/current', startupController.getCurrentOrderCustomer);
+router.get('/orders/:orderId/location-trail', startupController.getOrderLocationTrail);
+router.get('/orders/:orderId/timeline', startupController.getOrderTimeline);
 router.post('/orders/start', startupController.startCustomerOrder);
 router.get('/orders/:orderId/bids', startupController.listBidsForCustomerOpenOrder);
 router.patch('/orders/:orderId/bid', startupController.updateCustomerOpenOrderBid);
 router.post('/orders/:orderId/bids/:bidId/reject', startupController.rejectBidCustomer);
+router.post('/orders/:orderId/bids/:bidId/counter', startupController.counterBidCustomer);
 router.post('/orders/:orderId/accept-bid', startupController.acceptSupplierBidForCustomer);
 
+// Address book: saved delivery addresses usable as address_id on /orders/start
+router.get('/addresses', startupController.listCustomerAddresses);
+router.post('/addresses', startupController.saveCustomerAddress);
+router.put('/addresses/:addressId', startupController.saveCustomerAddress);
+router.delete('/addresses/:addressId', startupController.deleteCustomerAddress);
+
+// Direct orders: suppliers from history that can receive an order directly
+router.get('/preferred-suppliers', startupController.listPreferredSuppliersCustomer);
+
 // Cancel order
 router.post('/orders/:orderId/cancel', startupController.cancelOrderCustomer);
 
 // Submit rating
 router.post('/orders/:orderId/rating', startupController.submitOrderRatingForCustomer);
 
+// Recurring delivery subscriptions
+router.get('/subscriptions', startupController.listCustomerSubscriptions);
+router.post('/subscriptions', startupController.createCustomerSubscription);
+router.post('/subscriptions/:subscriptionId/pause', startupController.pauseCustomerSubscription);
+router.post('/subscriptions/:subscriptionId/resume', startupController.resumeCustomerSubscription);
+router.post('/subscriptions/:subscriptionId/skip-next', startupController.skipNextCustomerSubscription);
+router.post('/subscriptions/:subscriptionId/cancel', startupController.cancelCustomerSubscription);
+
 // Viewing past orders
 router.get('/history', startupController.viewPastOrders);
 router.get('/history/:orderId', startupController.viewPastOrderDetailsCustomer);
@@ -1,14 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const startupController = require('../controllers/startupController');
+const { requireAuth, requireRole } = require('../middleware/sessionAuth');
 
 // Driver profile completion endpoint.
-router.post('/enter-details', startupController.enterDetailsDriver);
+router.post('/enter-details', requireAuth, startupController.enterDetailsDriver);
+
+// Everything below requires a signed-in driver.
+router.use(requireRole('driver'));
+
 router.get('/orders/current', startupController.getCurrentOrderDriver);
 router.get('/orders/:orderId/details', startupController.getOrderDetailsDriver);
+router.get('/orders/:orderId/timeline', startupController.getOrderTimeline);
 router.post('/orders/:orderId/accept', startupController.acceptAssignedOrderForDriver);
 router.post('/orders/:orderId/reject', startupController.rejectAssignedOrderForDriver);
 router.post('/orders/:orderId/start-ride', startupController.startRideForDriver);
+router.post('/orders/:orderId/location', startupController.recordDriverLocation);
 router.post('/orders/:orderId/reached', startupController.markOrderReachedForDriver);
 
 // Cancel order (driver)
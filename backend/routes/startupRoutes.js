@@ -2,12 +2,13 @@ const express = require('express');
 const router = express.Router();
 const startupController = require('../controllers/startupController');
 const { createPhoneRateLimiter } = require('../middleware/phoneRateLimiter');
+const { requireAuth } = require('../middleware/sessionAuth');
 
-const otpStoreRateLimiter = createPhoneRateLimiter({
+const otpSendRateLimiter = createPhoneRateLimiter({
 	windowMs: 15 * 60 * 1000,
 	max: 20,
-	keyName: 'store-otp',
-	message: 'Too many OTP store requests. Please try again later.'
+	keyName: 'send-otp',
+	message: 'Too many OTP send requests. Please try again later.'
 });
 
 const otpVerifyRateLimiter = createPhoneRateLimiter({
@@ -23,10 +24,22 @@ router.post('/startup', startupController.appStartup);
 // Enter-number step endpoint.
 router.post('/enter-number', startupController.enterNumber);
 
-// Store OTP endpoint.
-router.post('/store-otp', otpStoreRateLimiter, startupController.storeOTP);
+// Send OTP endpoint (code is generated and delivered server-side).
+router.post('/send-otp', otpSendRateLimiter, startupController.sendOTP);
 
 // Verify OTP endpoint.
 router.post('/verify-otp', otpVerifyRateLimiter, startupController.verifyOTP);
 
+// Rotate session tokens using the refresh token.
+router.post('/sessions/refresh', startupController.refreshSession);
+
+// List signed-in devices for the current user.
+router.get('/sessions', requireAuth, startupController.listSessions);
+
+// Revoke another signed-in device.
+router.delete('/sessions/:id', requireAuth, startupController.revokeSession);
+
+// Order lifecycle the app uses to decide which actions to offer.
+router.get('/order-states', startupController.getOrderStates);
+
 module.exports = router;
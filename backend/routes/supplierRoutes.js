@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const startupController = require('../controllers/startupController');
+const { requireAuth, requireRole } = require('../middleware/sessionAuth');
 
 // Supplier profile completion endpoint.
-router.post('/enter-details', startupController.enterDetailsSupplier);
+router.post('/enter-details', requireAuth, startupController.enterDetailsSupplier);
+
+// Everything below requires a signed-in supplier.
+router.use(requireRole('supplier'));
+
+// Supplier profile: which orders show up in the marketplace.
+router.get('/service-area', startupController.getSupplierServiceArea);
+router.put('/service-area', startupController.updateSupplierServiceArea);
 
 // Supplier dashboard: driver roster management.
 router.post('/drivers/add', startupController.addSupplierDriver);
@@ -11,21 +19,44 @@ router.get('/drivers', startupController.listSupplierDrivers);
 router.delete('/drivers/remove', startupController.removeSupplierDriver);
 router.get('/supplierdriverready', startupController.getSupplierDriverReadiness);
 
+// Supplier fleet: tankers and which driver drives which.
+router.get('/vehicles', startupController.listSupplierVehicles);
+router.post('/vehicles', startupController.addSupplierVehicle);
+router.patch('/vehicles/:vehicleId', startupController.updateSupplierVehicleStatus);
+router.delete('/vehicles/:vehicleId', startupController.removeSupplierVehicle);
+router.put('/drivers/vehicle', startupController.pairSupplierDriverVehicle);
+
 // Supplier marketplace: available orders, details, and bidding.
 router.get('/orders/available', startupController.listAvailableOrdersForSupplier);
 router.get('/orders/available/:orderId', startupController.viewOneAvailableOrderSupplier);
 router.post('/orders/:orderId/bids', startupController.placeSupplierBid);
 
+// Customer counter-offers on this supplier's bids: answer within 15 seconds.
+router.get('/bids/counters', startupController.listCounterOffersSupplier);
+router.post('/bids/:bidId/counter/accept', startupController.acceptCounterOfferSupplier);
+router.post('/bids/:bidId/counter/decline', startupController.declineCounterOfferSupplier);
+
+// Direct orders sent to this supplier: accept or decline before they time out.
+router.get('/orders/direct', startupController.listDirectOffersSupplier);
+router.post('/orders/direct/:orderId/accept', startupController.acceptDirectOfferSupplier);
+router.post('/orders/direct/:orderId/decline', startupController.declineDirectOfferSupplier);
+
 // Supplier dashboard: active assigned orders.
 router.get('/orders/active', startupController.listActiveOrdersSupplier);
 router.get('/orders/active/:orderId', startupController.viewOneActiveOrderSupplier);
 router.get('/orders/active/:orderId/drivers', startupController.listAssignableDriversForSupplierOrder);
+router.get('/orders/active/:orderId/location-trail', startupController.getOrderLocationTrail);
 
 // Cancel order (supplier)
 router.post('/orders/active/:orderId/cancel', startupController.cancelOrderSupplier);
 router.post('/orders/active/:orderId/assign-driver', startupController.assignDriverForSupplierOrder);
+router.post('/orders/active/:orderId/handover-override', startupController.overrideHandoverSupplier);
 router.get('/history', startupController.viewPastOrders);
 router.get('/history/:orderId', startupController.viewPastOrderDetailsSupplier);
+
+// Event timeline for any order the supplier bid on or handled, live or archived.
+router.get('/orders/:orderId/timeline', startupController.getOrderTimeline);
+
 router.post('/logout', startupController.logoutSupplier);
 router.delete('/', startupController.deleteSupplierAccount);
 
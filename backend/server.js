@@ -4,6 +4,10 @@ const cors = require('cors');
 require('dotenv').config();
 const { closePool } = require('./config/database');
 const { init: initSocket } = require('./socket');
+const scheduler = require('./services/scheduler');
+const { registerJobs } = require('./services/jobs');
+const { startDbEventFanout } = require('./services/dbEvents');
+const { getStorageProvider } = require('./services/storage');
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -12,7 +16,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true
 }));
-app.use(express.json());
+// Delivery proof photos arrive base64-encoded, so allow larger JSON bodies.
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '12mb' }));
 
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -20,10 +25,17 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded files are only served from here when stored on local disk.
+const storage = getStorageProvider();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.directory, { index: false }));
+}
+
 app.use('/api/app', require('./routes/startupRoutes'));
 app.use('/api/customer', require('./routes/customerRoutes'));
 app.use('/api/driver', require('./routes/driverRoutes'));
 app.use('/api/supplier', require('./routes/supplierRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 
 app.use((req, res) => {
   res.status(404).json({
@@ -33,6 +45,13 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
+  if (err?.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: 'Request body is too large'
+    });
+  }
+
   console.error('Unhandled server error:', err);
   res.status(500).json({
     success: false,
@@ -43,16 +62,30 @@ app.use((err, req, res, next) => {
 const server = http.createServer(app);
 initSocket(server);
 
+// Row-level NOTIFY payloads from the orders/driver_assignment triggers are
+// routed to socket rooms, so controllers do not emit state changes by hand.
+const stopDbEventFanout = startDbEventFanout();
+
+// Set SCHEDULER_ENABLED=false on extra instances so only one runs the sweeps.
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  registerJobs(scheduler);
+}
+
 server.listen(port, () => {
   console.log('Server listening on port ' + port);
+  scheduler.start();
 });
 
 process.on('SIGINT', async () => {
+  scheduler.stop();
+  await stopDbEventFanout();
   await closePool();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
+  scheduler.stop();
+  await stopDbEventFanout();
   await closePool();
   process.exit(0);
 });
@@ -0,0 +1,99 @@
+const { query, listen } = require('../config/database');
+const { emitToUser } = require('../socket');
+const { transitionEvent } = require('./orderStateMachine');
+
+const DIRECT_ORDER_OFFERED = transitionEvent('place_order', 'direct_order_offered');
+const ORDER_ASSIGNED = transitionEvent('assign_driver', 'order_assigned');
+const DRIVER_RESPONDED = transitionEvent('accept_assignment', 'driver_responded');
+
+const ORDERS_CHANNEL = 'orders_channel';
+const DRIVER_ASSIGNMENT_CHANNEL = 'driver_assignment_channel';
+
+const uniqueIds = (...ids) => [...new Set(ids.filter(Boolean))];
+
+// market_updated only goes to suppliers whose service area covers the
+// order's delivery point, mirroring the view_available_orders filter.
+const notifyCoveringSuppliers = async (change) => {
+  const dbResult = await query('SELECT suppliers_covering_location($1, $2, $3) AS supplier_ids', [
+    change.delivery_district,
+    change.delivery_latitude,
+    change.delivery_longitude
+  ]);
+  const supplierIds = dbResult.rows[0].supplier_ids || [];
+
+  supplierIds.forEach((supplierId) => emitToUser(supplierId, 'market_updated', { order_id: change.order_id }));
+};
+
+// Every party on the order (including a supplier/driver that was just
+// swapped out, and the preferred supplier while a direct offer is pending or
+// just resolved) gets order_updated; the marketplace refreshes whenever an
+// order enters, leaves or changes while in 'open'.
+const routeOrderChange = async (change) => {
+  const payload = {
+    order_id: change.order_id,
+    status: change.new_status,
+    previous_status: change.old_status
+  };
+  const involvesDirectOffer = change.old_status === 'direct_offer' || change.new_status === 'direct_offer';
+
+  uniqueIds(
+    change.customer_id,
+    change.supplier_id,
+    change.old_supplier_id,
+    change.driver_id,
+    change.old_driver_id,
+    involvesDirectOffer && change.preferred_supplier_id
+  ).forEach((userId) => emitToUser(userId, 'order_updated', payload));
+
+  if (change.new_status === 'direct_offer' && change.old_status !== 'direct_offer') {
+    emitToUser(change.preferred_supplier_id, DIRECT_ORDER_OFFERED, { order_id: change.order_id });
+  }
+
+  if (change.old_status === 'open' || change.new_status === 'open') {
+    await notifyCoveringSuppliers(change);
+  }
+};
+
+const routeAssignmentChange = (change) => {
+  const payload = { order_id: change.order_id, driver_id: change.driver_id };
+
+  if (change.op === 'INSERT') {
+    emitToUser(change.driver_id, ORDER_ASSIGNED, payload);
+    emitToUser(change.customer_id, 'order_updated', { order_id: change.order_id });
+    return;
+  }
+
+  // Rejected, accepted (row removed) or dropped with its order.
+  emitToUser(change.supplier_id, DRIVER_RESPONDED, payload);
+  if (change.op === 'DELETE') {
+    emitToUser(change.driver_id, 'order_updated', payload);
+  }
+};
+
+const routers = {
+  [ORDERS_CHANNEL]: routeOrderChange,
+  [DRIVER_ASSIGNMENT_CHANNEL]: routeAssignmentChange
+};
+
+const handleNotification = ({ channel, payload }) => {
+  const route = routers[channel];
+  if (!route) return;
+
+  let change;
+  try {
+    change = JSON.parse(payload);
+  } catch (error) {
+    console.error(`[DB events] Ignoring non-JSON payload on ${channel}:`, payload);
+    return;
+  }
+
+  Promise.resolve(route(change)).catch((error) => {
+    console.error(`[DB events] Failed to route ${channel} change:`, error.message);
+  });
+};
+
+// Start fanning out row-level DB notifications to socket rooms.
+// Returns an async stop() function.
+const startDbEventFanout = () => listen(Object.keys(routers), handleNotification);
+
+module.exports = { startDbEventFanout };
@@ -0,0 +1,73 @@
+const { query } = require('../../config/database');
+const { emitToUser } = require('../../socket');
+const { transitionEvent } = require('../orderStateMachine');
+
+const ORDER_REOPENED = transitionEvent('reopen', 'order_reopened');
+const ASSIGNMENT_EXPIRED = transitionEvent('expire_assignment', 'assignment_expired');
+const DIRECT_OFFER_EXPIRED = transitionEvent('expire_direct_offer', 'direct_offer_expired');
+const ORDER_CANCELLED = transitionEvent('expire_reassignment', 'order_cancelled');
+
+// Every few seconds is enough: bid windows and timers are checked against
+// their own timestamps in SQL, so a late sweep only delays the notification.
+const DEFAULT_INTERVAL_MS = 5000;
+
+// Enforce supplier timers, driver response windows, bid validity and direct
+// offer deadlines, then tell every affected party what just expired or was
+// reopened. Generic order_updated/market_updated events come from the DB
+// notify fan-out.
+const runExpirySweep = async () => {
+  const dbResult = await query('SELECT expire_timed_out_records() AS result');
+  const response = dbResult.rows[0].result;
+
+  if (!response || response.code !== 1) {
+    throw new Error(response?.message || 'Expiry sweep failed');
+  }
+
+  // The supplier missed the assignment window: the order is back on the
+  // marketplace without them, and any driver offers on it are withdrawn.
+  (response.reopened_orders || []).forEach((order) => {
+    const payload = { order_id: order.order_id, status: order.status, reason: 'supplier_timer_expired' };
+    emitToUser(order.customer_id, ORDER_REOPENED, payload);
+    emitToUser(order.supplier_id, ORDER_REOPENED, payload);
+    (order.driver_ids || []).forEach((driverId) => emitToUser(driverId, ASSIGNMENT_EXPIRED, { order_id: order.order_id, driver_id: driverId }));
+  });
+
+  // A leg's driver dropped out and nobody replaced them while the rest of
+  // the order was under way, so the whole order was cancelled.
+  (response.cancelled_reassignments || []).forEach((order) => {
+    emitToUser(order.customer_id, ORDER_CANCELLED, { order_id: order.order_id, cancelled_by: 'timer' });
+    emitToUser(order.supplier_id, ORDER_CANCELLED, { order_id: order.order_id, cancelled_by: 'timer expiry' });
+    (order.leg_driver_ids || []).forEach((driverId) => emitToUser(driverId, ORDER_CANCELLED, { order_id: order.order_id, cancelled_by: 'timer' }));
+  });
+
+  (response.expired_assignments || []).forEach((assignment) => {
+    const payload = { order_id: assignment.order_id, driver_id: assignment.driver_id };
+    emitToUser(assignment.driver_id, ASSIGNMENT_EXPIRED, payload);
+    emitToUser(assignment.supplier_id, ASSIGNMENT_EXPIRED, payload);
+  });
+
+  (response.expired_bids || []).forEach((bid) => {
+    const payload = { order_id: bid.order_id, bid_id: bid.bid_id };
+    emitToUser(bid.customer_id, 'bid_expired', payload);
+    emitToUser(bid.supplier_id, 'bid_expired', payload);
+  });
+
+  (response.expired_direct_offers || []).forEach((offer) => {
+    const payload = { order_id: offer.order_id, fell_back_to_market: offer.fell_back_to_market === true };
+    emitToUser(offer.customer_id, DIRECT_OFFER_EXPIRED, payload);
+    emitToUser(offer.supplier_id, DIRECT_OFFER_EXPIRED, payload);
+  });
+};
+
+const registerExpiryJob = (scheduler) => {
+  scheduler.registerJob({
+    name: 'expire-timeouts',
+    intervalMs: Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+    run: runExpirySweep
+  });
+};
+
+module.exports = {
+  runExpirySweep,
+  registerExpiryJob
+};
@@ -0,0 +1,12 @@
+const { registerExpiryJob } = require('./expiryJob');
+const { registerScheduledOrdersJob } = require('./scheduledOrdersJob');
+const { registerSubscriptionJob } = require('./subscriptionJob');
+
+// Register every background job with the scheduler.
+const registerJobs = (scheduler) => {
+  registerExpiryJob(scheduler);
+  registerScheduledOrdersJob(scheduler);
+  registerSubscriptionJob(scheduler);
+};
+
+module.exports = { registerJobs };
@@ -0,0 +1,50 @@
+const { query } = require('../../config/database');
+const { emitToUser } = require('../../socket');
+const { transitionEvent } = require('../orderStateMachine');
+
+const ORDER_EXPIRED = transitionEvent('miss_window', 'order_expired');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DEFAULT_LEAD_MINUTES = 120;
+
+// Also how close to its window an order must be before it counts towards the
+// customer's one-active-order limit (START_ORDER, current order lookup).
+const scheduledOrderLeadMinutes = () => {
+  const configured = Number(process.env.SCHEDULED_ORDER_LEAD_MINUTES);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_LEAD_MINUTES;
+};
+
+// Put scheduled orders on the marketplace once their delivery window is
+// within the lead time (held back while the customer has another live order),
+// and drop the ones nobody took before the window closed. Surfacing is a scheduled -> open status change, so the customer's
+// order_updated and the suppliers' market_updated come from the DB notify
+// fan-out.
+const runScheduledOrdersSweep = async () => {
+  const dbResult = await query('SELECT surface_scheduled_orders($1) AS result', [scheduledOrderLeadMinutes()]);
+  const response = dbResult.rows[0].result;
+
+  if (!response || response.code !== 1) {
+    throw new Error(response?.message || 'Scheduled orders sweep failed');
+  }
+
+  (response.missed_orders || []).forEach((order) => {
+    emitToUser(order.customer_id, ORDER_EXPIRED, {
+      order_id: order.order_id,
+      reason: 'scheduled_window_missed'
+    });
+  });
+};
+
+const registerScheduledOrdersJob = (scheduler) => {
+  scheduler.registerJob({
+    name: 'surface-scheduled-orders',
+    intervalMs: Number(process.env.SCHEDULED_ORDER_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+    run: runScheduledOrdersSweep
+  });
+};
+
+module.exports = {
+  scheduledOrderLeadMinutes,
+  runScheduledOrdersSweep,
+  registerScheduledOrdersJob
+};
@@ -0,0 +1,57 @@
+const { query } = require('../../config/database');
+const { emitToUser } = require('../../socket');
+const { scheduledOrderLeadMinutes } = require('./scheduledOrdersJob');
+
+const DEFAULT_INTERVAL_MS = 60000;
+const DEFAULT_AHEAD_MINUTES = 1440;
+
+const aheadMinutes = () => {
+  const configured = Number(process.env.SUBSCRIPTION_ORDER_AHEAD_MINUTES);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_AHEAD_MINUTES;
+};
+
+// Turn upcoming subscription deliveries into scheduled orders. Placed a day
+// ahead they sit outside the one-active-order limit until the lead time, so
+// they neither block nor wait for the customer's ad-hoc orders. The new order
+// itself reaches the customer as order_updated through the DB notify fan-out;
+// these events let the subscriptions screen refresh its next/last run.
+const runSubscriptionSweep = async () => {
+  const dbResult = await query('SELECT materialize_due_subscriptions($1, $2) AS result', [
+    aheadMinutes(),
+    scheduledOrderLeadMinutes()
+  ]);
+  const response = dbResult.rows[0].result;
+
+  if (!response || response.code !== 1) {
+    throw new Error(response?.message || 'Subscription sweep failed');
+  }
+
+  (response.created_orders || []).forEach((run) => {
+    emitToUser(run.customer_id, 'subscription_order_created', {
+      subscription_id: run.subscription_id,
+      order_id: run.order_id,
+      scheduled_for: run.scheduled_for
+    });
+  });
+
+  (response.missed_runs || []).forEach((run) => {
+    emitToUser(run.customer_id, 'subscription_run_missed', {
+      subscription_id: run.subscription_id,
+      scheduled_for: run.scheduled_for,
+      reason: run.reason
+    });
+  });
+};
+
+const registerSubscriptionJob = (scheduler) => {
+  scheduler.registerJob({
+    name: 'materialize-subscriptions',
+    intervalMs: Number(process.env.SUBSCRIPTION_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+    run: runSubscriptionSweep
+  });
+};
+
+module.exports = {
+  runSubscriptionSweep,
+  registerSubscriptionJob
+};
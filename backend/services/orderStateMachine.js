@@ -0,0 +1,155 @@
+// Order lifecycle in one place: every status an order can be in, the
+// transitions between them, which role may trigger each one and what it sets
+// off. The PL/pgSQL function behind a transition still re-checks it inside
+// its own transaction; controllers consult this table first so impossible
+// requests are turned away consistently, and the app reads it from
+// GET /api/app/order-states to decide which buttons to show.
+//
+// `cancelled` and `completed` are not values of orders.status: the row is
+// removed and, as their descriptions say, archived to order_history.
+
+// active: taken by a supplier and not delivered yet
+// withDriver: a driver has accepted it and is working on it
+const ORDER_STATES = [
+  { status: 'scheduled', label: 'Scheduled', active: false, terminal: false, withDriver: false,
+    description: 'Placed for a later delivery window; goes to the marketplace at the lead time' },
+  { status: 'direct_offer', label: 'Sent to supplier', active: false, terminal: false, withDriver: false,
+    description: "Waiting for the customer's chosen supplier to accept or decline" },
+  { status: 'open', label: 'Open for bids', active: false, terminal: false, withDriver: false,
+    description: 'On the marketplace; suppliers bid and the customer accepts one' },
+  { status: 'supplier_timer', label: 'Awaiting driver', active: true, terminal: false, withDriver: false,
+    description: 'A supplier has the order and must get a driver to accept before the timer runs out' },
+  { status: 'accepted', label: 'Driver assigned', active: true, terminal: false, withDriver: true,
+    description: 'A driver accepted and is preparing to leave' },
+  { status: 'ride_started', label: 'On the way', active: true, terminal: false, withDriver: true,
+    description: 'The driver is on the way and reporting GPS' },
+  { status: 'reached', label: 'Arrived', active: true, terminal: false, withDriver: true,
+    description: "The driver is at the drop-off and needs the customer's handover code" },
+  { status: 'finished', label: 'Delivered', active: false, terminal: false, withDriver: false,
+    description: 'Delivered; archived once the customer rates or skips' },
+  { status: 'completed', label: 'Completed', active: false, terminal: true, withDriver: false,
+    description: 'Archived to order history after delivery' },
+  { status: 'cancelled', label: 'Cancelled', active: false, terminal: true, withDriver: false,
+    description: 'Removed; archived to order history if a driver had already accepted' }
+];
+
+const CANCELLABLE_BEFORE_DELIVERY = ['scheduled', 'direct_offer', 'open', 'supplier_timer', 'accepted', 'ride_started', 'reached'];
+
+// from: statuses the transition starts from (null = the order does not exist yet)
+// to: possible resulting statuses
+// dbFunction: where the transition is enforced
+// eventType: what it records in order_events
+// socketEvents: events emitted on top of the order_updated/market_updated
+//   fan-out. Emitters resolve their event names through transitionEvent(),
+//   so an event missing here stops the server at startup.
+const TRANSITIONS = [
+  { action: 'place_order', roles: ['customer'], from: null, to: ['scheduled', 'direct_offer', 'open'],
+    dbFunction: 'START_ORDER', eventType: 'created', socketEvents: ['direct_order_offered'] },
+  { action: 'surface', roles: ['system'], from: ['scheduled'], to: ['open'],
+    dbFunction: 'surface_scheduled_orders', eventType: 'surfaced', socketEvents: [] },
+  { action: 'miss_window', roles: ['system'], from: ['scheduled', 'direct_offer', 'open'], to: ['cancelled'],
+    dbFunction: 'surface_scheduled_orders', eventType: 'expired', socketEvents: ['order_expired'] },
+  { action: 'accept_direct_offer', roles: ['supplier'], from: ['direct_offer'], to: ['supplier_timer'],
+    dbFunction: 'respond_direct_offer', eventType: 'direct_offer_accepted', socketEvents: [] },
+  { action: 'decline_direct_offer', roles: ['supplier'], from: ['direct_offer'], to: ['open', 'scheduled', 'cancelled'],
+    dbFunction: 'respond_direct_offer', eventType: 'direct_offer_declined', socketEvents: ['direct_offer_declined'] },
+  { action: 'expire_direct_offer', roles: ['system'], from: ['direct_offer'], to: ['open', 'scheduled', 'cancelled'],
+    dbFunction: 'expire_timed_out_records', eventType: 'direct_offer_expired', socketEvents: ['direct_offer_expired'] },
+  { action: 'place_bid', roles: ['supplier'], from: ['open'], to: ['open'],
+    dbFunction: 'send_bid', eventType: 'bid_placed', socketEvents: ['bid_posted'] },
+  { action: 'update_price', roles: ['customer'], from: ['open'], to: ['open'],
+    dbFunction: 'update_customer_open_order_bid', eventType: 'price_updated', socketEvents: [] },
+  { action: 'reject_bid', roles: ['customer'], from: ['open'], to: ['open'],
+    dbFunction: 'reject_bid', eventType: 'bid_rejected', socketEvents: [] },
+  { action: 'accept_bid', roles: ['customer'], from: ['open'], to: ['supplier_timer'],
+    dbFunction: 'accept_bid', eventType: 'bid_accepted', socketEvents: [] },
+  { action: 'counter_bid', roles: ['customer'], from: ['open'], to: ['open'],
+    dbFunction: 'counter_bid', eventType: 'bid_countered', socketEvents: ['bid_countered'] },
+  { action: 'accept_counter', roles: ['supplier'], from: ['open'], to: ['supplier_timer'],
+    dbFunction: 'respond_counter_offer', eventType: 'bid_counter_accepted', socketEvents: ['counter_offer_answered'] },
+  { action: 'decline_counter', roles: ['supplier'], from: ['open'], to: ['open'],
+    dbFunction: 'respond_counter_offer', eventType: 'bid_counter_declined', socketEvents: ['counter_offer_answered'] },
+  { action: 'assign_driver', roles: ['supplier'], from: ['supplier_timer'], to: ['supplier_timer'],
+    dbFunction: 'assign_driver_to_order', eventType: 'driver_assigned', socketEvents: ['order_assigned'] },
+  { action: 'accept_assignment', roles: ['driver'], from: ['supplier_timer'], to: ['accepted'],
+    dbFunction: 'accept_order_driver', eventType: 'driver_accepted', socketEvents: ['driver_responded'] },
+  { action: 'reject_assignment', roles: ['driver'], from: ['supplier_timer'], to: ['supplier_timer'],
+    dbFunction: 'reject_order_driver', eventType: 'driver_rejected', socketEvents: ['driver_responded'] },
+  { action: 'expire_assignment', roles: ['system'], from: ['supplier_timer'], to: ['supplier_timer'],
+    dbFunction: 'expire_timed_out_records', eventType: 'driver_assignment_expired', socketEvents: ['assignment_expired'] },
+  { action: 'reopen', roles: ['system'], from: ['supplier_timer'], to: ['open', 'scheduled'],
+    dbFunction: 'reopen_expired_supplier_orders', eventType: 'reopened', socketEvents: ['order_reopened', 'assignment_expired'] },
+  { action: 'start_ride', roles: ['driver'], from: ['accepted'], to: ['ride_started'],
+    dbFunction: 'start_ride', eventType: 'ride_started', socketEvents: ['eta_updated'] },
+  { action: 'mark_reached', roles: ['driver'], from: ['ride_started'], to: ['reached'],
+    dbFunction: 'mark_order_reached', eventType: 'reached', socketEvents: [] },
+  { action: 'override_handover', roles: ['supplier'], from: ['reached'], to: ['reached'],
+    dbFunction: 'override_handover_code', eventType: 'handover_overridden', socketEvents: ['handover_overridden'] },
+  { action: 'finish', roles: ['driver'], from: ['reached'], to: ['finished'],
+    dbFunction: 'finish_order', eventType: 'finished', socketEvents: ['order_completed'] },
+  { action: 'rate', roles: ['customer'], from: ['finished'], to: ['completed'],
+    dbFunction: 'submit_rating', eventType: 'rated', socketEvents: [] },
+  { action: 'drop_out', roles: ['driver'], from: ['accepted', 'ride_started'], to: ['supplier_timer'],
+    dbFunction: 'drop_order_driver', eventType: 'driver_dropped', socketEvents: ['driver_dropped'] },
+  { action: 'expire_reassignment', roles: ['system'], from: ['supplier_timer'], to: ['cancelled'],
+    dbFunction: 'expire_driver_reassignments', eventType: 'cancelled', socketEvents: ['order_cancelled'] },
+  { action: 'cancel', roles: ['customer', 'admin'], from: CANCELLABLE_BEFORE_DELIVERY, to: ['cancelled'],
+    dbFunction: 'cancel_order', eventType: 'cancelled', socketEvents: ['order_cancelled'] },
+  { action: 'cancel', roles: ['supplier'], from: ['supplier_timer', 'accepted', 'ride_started', 'reached'], to: ['cancelled'],
+    dbFunction: 'cancel_order', eventType: 'cancelled', socketEvents: ['order_cancelled'] },
+  // Before arrival a driver drops out instead (see drop_out).
+  { action: 'cancel', roles: ['driver'], from: ['reached'], to: ['cancelled'],
+    dbFunction: 'cancel_order', eventType: 'cancelled', socketEvents: ['order_cancelled'] }
+];
+
+const findTransition = (action, role, status) =>
+  TRANSITIONS.find((transition) =>
+    transition.action === action
+    && transition.roles.includes(role)
+    && (transition.from || []).includes(status)) || null;
+
+const canTransition = (action, role, status) => Boolean(findTransition(action, role, status));
+
+// Statuses from which `role` may perform `action`.
+const statusesAllowing = (action, role) => [...new Set(
+  TRANSITIONS
+    .filter((transition) => transition.action === action && transition.roles.includes(role))
+    .flatMap((transition) => transition.from || [])
+)];
+
+const availableActions = (role, status) => [...new Set(
+  TRANSITIONS
+    .filter((transition) => transition.roles.includes(role) && (transition.from || []).includes(status))
+    .map((transition) => transition.action)
+)];
+
+// The event name, once some `action` transition is found to declare it. Call
+// at module load: `const ORDER_CANCELLED = transitionEvent('cancel', 'order_cancelled')`.
+const transitionEvent = (action, event) => {
+  const declared = TRANSITIONS.some((transition) =>
+    transition.action === action && transition.socketEvents.includes(event));
+  if (!declared) {
+    throw new Error(`Order transition "${action}" does not declare socket event "${event}"`);
+  }
+  return event;
+};
+
+// A supplier has taken the order and it is not delivered yet.
+const isActiveStatus = (status) => ORDER_STATES.some((state) => state.status === status && state.active);
+
+const describeOrderStates = () => ({
+  states: ORDER_STATES,
+  transitions: TRANSITIONS
+});
+
+module.exports = {
+  ORDER_STATES,
+  TRANSITIONS,
+  findTransition,
+  canTransition,
+  statusesAllowing,
+  availableActions,
+  transitionEvent,
+  isActiveStatus,
+  describeOrderStates
+};
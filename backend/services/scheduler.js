@@ -0,0 +1,58 @@
+// Minimal in-process job scheduler.
+// Each job runs on its own interval and never overlaps with itself: a slow
+// run simply delays the next tick instead of stacking queries on the pool.
+
+const _jobs = new Map();
+let _started = false;
+
+const scheduleNext = (job) => {
+  job.timer = setTimeout(() => runJob(job), job.intervalMs);
+};
+
+const runJob = async (job) => {
+  job.timer = null;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`[Scheduler] Job "${job.name}" failed:`, error.message);
+  }
+
+  if (_started && _jobs.get(job.name) === job) {
+    scheduleNext(job);
+  }
+};
+
+function registerJob({ name, intervalMs, run }) {
+  if (!name || typeof run !== 'function' || !(intervalMs > 0)) {
+    throw new Error('registerJob requires name, intervalMs > 0 and run()');
+  }
+  if (_jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  const job = { name, intervalMs, run, timer: null };
+  _jobs.set(name, job);
+
+  if (_started) {
+    scheduleNext(job);
+  }
+}
+
+function start() {
+  if (_started) return;
+  _started = true;
+  _jobs.forEach(scheduleNext);
+  console.log(`[Scheduler] Started ${_jobs.size} job(s)`);
+}
+
+function stop() {
+  _started = false;
+  _jobs.forEach((job) => {
+    if (job.timer) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+  });
+}
+
+module.exports = { registerJob, start, stop };
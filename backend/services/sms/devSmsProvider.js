@@ -0,0 +1,23 @@
+const fs = require('fs');
+
+// Development provider: prints the OTP to the server console and optionally
+// appends it to a local file so it can be read without a real SMS gateway.
+const createDevSmsProvider = ({ logFile } = {}) => {
+  return {
+    name: 'dev',
+    sendOtp: async (phone, otp) => {
+      console.log(`[DEV] OTP for ${phone}: ${otp}`);
+
+      if (logFile) {
+        const line = `${new Date().toISOString()} ${phone} ${otp}\n`;
+        await fs.promises.appendFile(logFile, line, 'utf8');
+      }
+
+      return { delivered: true };
+    }
+  };
+};
+
+module.exports = {
+  createDevSmsProvider
+};
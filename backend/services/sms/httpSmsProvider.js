@@ -0,0 +1,51 @@
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// HTTP gateway provider: POSTs the message as JSON to a configurable URL.
+// Works against a hosted SMS gateway or a local stub during development.
+const createHttpSmsProvider = ({ url, apiKey, senderId, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+  if (!url) {
+    throw new Error('SMS_GATEWAY_URL is required when SMS_PROVIDER=http');
+  }
+
+  return {
+    name: 'http',
+    sendOtp: async (phone, otp) => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            to: phone,
+            sender_id: senderId || undefined,
+            message: `Your Pani Chahye verification code is ${otp}. It expires in 10 minutes.`
+          }),
+          signal: controller.signal
+        });
+      } catch (error) {
+        if (error?.name === 'AbortError') {
+          throw new Error('SMS gateway request timed out');
+        }
+        throw new Error('SMS gateway unreachable: ' + error.message);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (!response.ok) {
+        throw new Error('SMS gateway responded with status ' + response.status);
+      }
+
+      return { delivered: true };
+    }
+  };
+};
+
+module.exports = {
+  createHttpSmsProvider
+};
@@ -0,0 +1,35 @@
+const { createDevSmsProvider } = require('./devSmsProvider');
+const { createHttpSmsProvider } = require('./httpSmsProvider');
+
+let _provider = null;
+
+// Resolve the configured SMS provider once. Every provider exposes
+// sendOtp(phone, otp) and rejects when the message could not be handed off.
+const getSmsProvider = () => {
+  if (_provider) {
+    return _provider;
+  }
+
+  const providerName = (process.env.SMS_PROVIDER || 'dev').toLowerCase();
+
+  if (providerName === 'http') {
+    _provider = createHttpSmsProvider({
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      senderId: process.env.SMS_SENDER_ID,
+      timeoutMs: Number(process.env.SMS_GATEWAY_TIMEOUT_MS) || undefined
+    });
+  } else if (providerName === 'dev') {
+    _provider = createDevSmsProvider({
+      logFile: process.env.SMS_DEV_LOG_FILE || null
+    });
+  } else {
+    throw new Error('Unknown SMS_PROVIDER: ' + providerName);
+  }
+
+  return _provider;
+};
+
+module.exports = {
+  getSmsProvider
+};
@@ -0,0 +1,38 @@
+const { createLocalStorageProvider } = require('./localStorageProvider');
+const { createS3StorageProvider } = require('./s3StorageProvider');
+
+let _provider = null;
+
+// Resolve the configured file storage once. Every provider exposes
+// putObject(key, body, contentType), deleteObject(key) and getObjectUrl(key).
+const getStorageProvider = () => {
+  if (_provider) {
+    return _provider;
+  }
+
+  const providerName = (process.env.STORAGE_PROVIDER || 'local').toLowerCase();
+
+  if (providerName === 's3') {
+    _provider = createS3StorageProvider({
+      endpoint: process.env.S3_ENDPOINT,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || undefined,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      urlExpirySeconds: Number(process.env.S3_URL_EXPIRY_SECONDS) || undefined
+    });
+  } else if (providerName === 'local') {
+    _provider = createLocalStorageProvider({
+      directory: process.env.UPLOAD_DIR || undefined,
+      publicBaseUrl: process.env.UPLOAD_PUBLIC_BASE_URL || undefined
+    });
+  } else {
+    throw new Error('Unknown STORAGE_PROVIDER: ' + providerName);
+  }
+
+  return _provider;
+};
+
+module.exports = {
+  getStorageProvider
+};
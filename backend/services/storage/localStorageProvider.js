@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk provider: writes objects under a directory that server.js serves
+// at /uploads. Keys are random, so URLs are hard to guess but not private.
+const createLocalStorageProvider = ({ directory, publicBaseUrl } = {}) => {
+  const root = path.resolve(directory || path.join(__dirname, '..', '..', 'uploads'));
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key: ' + key);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory: root,
+    putObject: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      return { key };
+    },
+    deleteObject: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+    // Relative URLs are resolved against the request host by the caller.
+    getObjectUrl: async (key) => `${publicBaseUrl || ''}/uploads/${key}`
+  };
+};
+
+module.exports = {
+  createLocalStorageProvider
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_URL_EXPIRY_SECONDS = 3600;
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone).
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+// S3-compatible provider (AWS S3, MinIO, R2, ...). Uses path-style URLs and
+// AWS Signature V4, so no SDK is needed. Objects stay private; reads go
+// through short-lived presigned URLs.
+const createS3StorageProvider = ({
+  endpoint,
+  bucket,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  urlExpirySeconds = DEFAULT_URL_EXPIRY_SECONDS,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required when STORAGE_PROVIDER=s3');
+  }
+
+  const baseUrl = new URL(endpoint);
+  const host = baseUrl.host;
+  const origin = baseUrl.origin;
+
+  const objectPath = (key) => '/' + [bucket, ...key.split('/')].map(encodeRfc3986).join('/');
+
+  const signingContext = () => {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const signingKey = hmac(hmac(hmac(hmac('AWS4' + secretAccessKey, dateStamp), region), 's3'), 'aws4_request');
+    return { amzDate, scope, signingKey };
+  };
+
+  const sign = ({ signingKey, amzDate, scope }, canonicalRequest) => {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  };
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const context = signingContext();
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    const headers = {
+      ...(contentType ? { 'content-type': contentType } : {}),
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': context.amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      objectPath(key),
+      '',
+      signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+    const signature = sign(context, canonicalRequest);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      // fetch sets Host itself; it is only part of the signature.
+      const { host: _host, ...requestHeaders } = headers;
+      response = await fetch(origin + objectPath(key), {
+        method,
+        headers: {
+          ...requestHeaders,
+          Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${context.scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+        },
+        body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw new Error('Object storage request timed out');
+      }
+      throw new Error('Object storage unreachable: ' + error.message);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Object storage ${method} responded with status ${response.status}`);
+    }
+  };
+
+  return {
+    name: 's3',
+    putObject: async (key, body, contentType) => {
+      await send('PUT', key, { body, contentType });
+      return { key };
+    },
+    deleteObject: async (key) => {
+      await send('DELETE', key);
+    },
+    getObjectUrl: async (key) => {
+      const context = signingContext();
+      const params = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${context.scope}`,
+        'X-Amz-Date': context.amzDate,
+        'X-Amz-Expires': String(urlExpirySeconds),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const canonicalQuery = Object.keys(params)
+        .sort()
+        .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+        .join('&');
+      const canonicalRequest = ['GET', objectPath(key), canonicalQuery, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+      const signature = sign(context, canonicalRequest);
+      return `${origin}${objectPath(key)}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    }
+  };
+};
+
+module.exports = {
+  createS3StorageProvider
+};
@@ -1,8 +1,12 @@
 const { Server } = require('socket.io');
 const { query } = require('./config/database');
+const { resolveSession } = require('./middleware/sessionAuth');
 
 let _io = null;
 
+// setTimeout overflows past ~24.8 days; sessions are far shorter than that.
+const MAX_TIMER_MS = 2147483647;
+
 function init(httpServer) {
   _io = new Server(httpServer, {
     cors: { origin: '*', credentials: true }
@@ -16,19 +20,24 @@ function init(httpServer) {
     }
 
     try {
-      const sessionResult = await query('SELECT check_session($1) AS result', [token]);
-      const sessionResponse = sessionResult.rows[0]?.result;
+      const auth = await resolveSession(token);
 
-      if (!sessionResponse || sessionResponse.code !== 1 || !sessionResponse.user_id) {
+      if (!auth.ok) {
         socket.disconnect(true);
         return;
       }
 
-      const userId = sessionResponse.user_id;
+      const { userId, role, sessionId, sessionExpiresAt } = auth.user;
       socket.join(`user_${userId}`);
+      socket.join(`session_${sessionId}`);
+
+      // Drop the socket once its session expires; the client must rotate and reconnect.
+      const expiresInMs = sessionExpiresAt - Date.now();
+      const expiryTimer = setTimeout(() => {
+        socket.emit('session_expired');
+        socket.disconnect(true);
+      }, Math.min(Math.max(expiresInMs, 0), MAX_TIMER_MS));
 
-      const roleResult = await query('SELECT role FROM users WHERE user_id = $1', [userId]);
-      const role = roleResult.rows[0]?.role;
       if (role === 'supplier') {
         socket.join('suppliers');
       }
@@ -58,6 +67,7 @@ function init(httpServer) {
       console.log(`[Socket] User ${userId} (${role || 'unknown'}) connected (socket ${socket.id})`);
 
       socket.on('disconnect', () => {
+        clearTimeout(expiryTimer);
         console.log(`[Socket] User ${userId} disconnected`);
       });
     } catch (err) {
@@ -81,4 +91,10 @@ function emitToSuppliers(event, payload) {
   }
 }
 
-module.exports = { init, emitToUser, emitToSuppliers };
+function disconnectSession(sessionId) {
+  if (_io && sessionId) {
+    _io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+}
+
+module.exports = { init, emitToUser, emitToSuppliers, disconnectSession };
@@ -0,0 +1,1037 @@
+-- Purpose: True when the user is a back-office admin
+-- Parameters:
+--   p_user_id: User ID
+-- Returns: BOOLEAN
+CREATE OR REPLACE FUNCTION is_admin(
+    p_user_id INTEGER
+)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM users
+        WHERE user_id = p_user_id
+          AND role = 'admin'
+          AND suspended_at IS NULL
+    );
+$$ LANGUAGE sql STABLE;
+
+
+-- ============================================================================
+-- FUNCTION: Promote a freshly verified account to admin
+-- ============================================================================
+-- Purpose: Run by an operator from psql; there is no API for it. The person
+--          signs in with their phone number first (leaving the account on
+--          role 'undefined'), then:
+--              SELECT promote_user_to_admin('+923001234567');
+--          Accounts that already picked a role are refused so customer,
+--          supplier and driver data never ends up on an admin.
+-- Parameters:
+--   p_phone: Phone number of the account to promote
+-- Returns: JSON object with status
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION promote_user_to_admin(
+    p_phone VARCHAR(20)
+)
+RETURNS JSON AS $$
+DECLARE
+    v_user RECORD;
+BEGIN
+    SELECT user_id, role INTO v_user
+    FROM users
+    WHERE phone = btrim(COALESCE(p_phone, ''))
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('code', 0, 'message', 'No account with this phone number. Sign in once with it first.');
+    END IF;
+
+    IF v_user.role = 'admin' THEN
+        RETURN json_build_object('code', 0, 'message', 'This account is already an admin');
+    END IF;
+
+    IF v_user.role != 'undefined' THEN
+        RETURN json_build_object('code', 0, 'message', 'Only accounts that have not picked a role can become admins');
+    END IF;
+
+    UPDATE users
+    SET role = 'admin',
+        name = CASE WHEN name = '' THEN 'Admin' ELSE name END
+    WHERE user_id = v_user.user_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Account promoted to admin',
+        'user_id', v_user.user_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to promote user: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Search users
+-- ============================================================================
+-- Purpose: Back-office user lookup by name, phone or user id, optionally
+--          narrowed to one role. Newest accounts first.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_query: Text to match (name/phone substring, or an exact user id)
+--   p_role: Optional role filter
+--   p_limit: Maximum rows (1-100, default 25)
+-- Returns: JSON object with users array
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION search_users_admin(
+    p_admin_id INTEGER,
+    p_query TEXT DEFAULT NULL,
+    p_role VARCHAR(20) DEFAULT NULL,
+    p_limit INTEGER DEFAULT 25
+)
+RETURNS JSON AS $$
+DECLARE
+    v_query TEXT := NULLIF(btrim(COALESCE(p_query, '')), '');
+    v_limit INTEGER := LEAST(GREATEST(COALESCE(p_limit, 25), 1), 100);
+    v_users JSON;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    IF p_role IS NOT NULL AND p_role NOT IN ('customer', 'supplier', 'driver', 'admin', 'undefined') THEN
+        RETURN json_build_object('code', 0, 'message', 'Invalid role filter');
+    END IF;
+
+    SELECT COALESCE(json_agg(row_data ORDER BY created_at DESC, user_id DESC), '[]'::json)
+    INTO v_users
+    FROM (
+        SELECT
+            u.user_id,
+            u.created_at,
+            json_build_object(
+                'user_id', u.user_id,
+                'name', u.name,
+                'phone', u.phone,
+                'role', u.role,
+                'verified', u.verified,
+                'created_at', u.created_at,
+                'suspended_at', u.suspended_at,
+                'suspension_reason', u.suspension_reason,
+                'supplier_rating', s.rating,
+                'active_orders', (
+                    SELECT COUNT(*)
+                    FROM orders o
+                    WHERE o.parent_order_id IS NULL
+                      AND (o.customer_id = u.user_id OR o.supplier_id = u.user_id OR o.driver_id = u.user_id)
+                ) + (
+                    SELECT COUNT(*)
+                    FROM orders o
+                    WHERE o.parent_order_id IS NOT NULL
+                      AND o.driver_id = u.user_id
+                )
+            ) AS row_data
+        FROM users u
+        LEFT JOIN suppliers s ON s.user_id = u.user_id
+        WHERE (p_role IS NULL OR u.role = p_role)
+          AND (
+                v_query IS NULL
+                OR u.name ILIKE '%' || v_query || '%'
+                OR u.phone ILIKE '%' || v_query || '%'
+                OR (v_query ~ '^[0-9]{1,9}$' AND u.user_id = v_query::INTEGER)
+          )
+        ORDER BY u.created_at DESC, u.user_id DESC
+        LIMIT v_limit
+    ) matches;
+
+    RETURN json_build_object(
+        'code', 1,
+        'users', v_users
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to search users: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: View any order with its timeline
+-- ============================================================================
+-- Purpose: Everything the back office needs to untangle an order, live or
+--          archived: the order row with party names, its legs, bids, driver
+--          assignments, history rows, and a timeline assembled from the
+--          timestamps the other tables already keep (creation, bids,
+--          confirmation, GPS tracking, handover overrides, proof of delivery,
+--          archiving, rating and admin actions). events is the full
+--          order_events log, unfiltered; orders placed before the log existed
+--          only have the assembled timeline.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_order_id: Order ID (a multi-tanker order's legs are included)
+-- Returns: JSON object with order (NULL once archived), legs, bids,
+--          driver_assignments, history, timeline and events
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_order_admin(
+    p_admin_id INTEGER,
+    p_order_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order_ids INTEGER[];
+    v_order JSON;
+    v_legs JSON;
+    v_bids JSON;
+    v_assignments JSON;
+    v_history JSON;
+    v_timeline JSON;
+    v_events JSON;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    IF p_order_id IS NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'Order ID cannot be null');
+    END IF;
+
+    -- The order and its legs, whether still live or already archived
+    v_order_ids := ARRAY(
+        SELECT order_id FROM orders
+        WHERE order_id = p_order_id OR parent_order_id = p_order_id
+        UNION
+        SELECT order_id FROM order_history
+        WHERE order_id = p_order_id OR parent_order_id = p_order_id
+        UNION
+        SELECT order_id FROM order_events
+        WHERE order_id = p_order_id OR parent_order_id = p_order_id
+    );
+
+    IF cardinality(v_order_ids) = 0 THEN
+        RETURN json_build_object('code', 0, 'message', 'Order not found');
+    END IF;
+
+    SELECT json_build_object(
+        'order_id', o.order_id,
+        'status', o.status,
+        'customer_id', o.customer_id,
+        'customer_name', cu.name,
+        'customer_phone', cu.phone,
+        'supplier_id', o.supplier_id,
+        'supplier_name', su.name,
+        'supplier_phone', su.phone,
+        'driver_id', o.driver_id,
+        'driver_name', du.name,
+        'driver_phone', du.phone,
+        'delivery_location', o.delivery_location,
+        'delivery_district', o.delivery_district,
+        'requested_capacity', o.requested_capacity,
+        'customer_bid_price', o.customer_bid_price,
+        'accepted_price', o.accepted_price,
+        'time_limit_for_supplier', o.time_limit_for_supplier,
+        'scheduled_for', o.scheduled_for,
+        'delivery_window_end', o.delivery_window_end,
+        'preferred_supplier_id', o.preferred_supplier_id,
+        'direct_offer_expires_at', o.direct_offer_expires_at,
+        'parent_order_id', o.parent_order_id,
+        'leg_number', o.leg_number,
+        'leg_count', o.leg_count,
+        'pricing_version_id', o.pricing_version_id,
+        'handover_failed_attempts', o.handover_failed_attempts,
+        'created_at', o.created_at,
+        'updated_at', o.updated_at
+    )
+    INTO v_order
+    FROM orders o
+    JOIN users cu ON cu.user_id = o.customer_id
+    LEFT JOIN users su ON su.user_id = o.supplier_id
+    LEFT JOIN users du ON du.user_id = o.driver_id
+    WHERE o.order_id = p_order_id;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'order_id', o.order_id,
+        'leg_number', o.leg_number,
+        'status', o.status,
+        'quantity', o.requested_capacity,
+        'driver_id', o.driver_id,
+        'driver_name', du.name,
+        'driver_phone', du.phone
+    ) ORDER BY o.leg_number), '[]'::json)
+    INTO v_legs
+    FROM orders o
+    LEFT JOIN users du ON du.user_id = o.driver_id
+    WHERE o.parent_order_id = p_order_id;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'bid_id', b.bid_id,
+        'supplier_id', b.supplier_id,
+        'supplier_name', u.name,
+        'bid_price', b.bid_price,
+        'created_at', b.created_at
+    ) ORDER BY b.created_at), '[]'::json)
+    INTO v_bids
+    FROM bids b
+    LEFT JOIN users u ON u.user_id = b.supplier_id
+    WHERE b.order_id = ANY(v_order_ids);
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'order_id', da.order_id,
+        'driver_id', da.driver_id,
+        'driver_name', u.name,
+        'supplier_id', da.supplier_id,
+        'time_limit_for_driver', da.time_limit_for_driver,
+        'order_rejected', da.order_rejected
+    ) ORDER BY da.order_id, da.driver_id), '[]'::json)
+    INTO v_assignments
+    FROM driver_assignment da
+    LEFT JOIN users u ON u.user_id = da.driver_id
+    WHERE da.order_id = ANY(v_order_ids);
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'history_id', h.history_id,
+        'order_id', h.order_id,
+        'parent_order_id', h.parent_order_id,
+        'leg_number', h.leg_number,
+        'status', h.status,
+        'reason', h.reason,
+        'price', h.price,
+        'quantity', h.quantity,
+        'pricing_version_id', h.pricing_version_id,
+        'customer_name', h.customer_name,
+        'supplier_name', h.supplier_name,
+        'driver_name', h.driver_name,
+        'customer_rating', h.customer_rating,
+        'order_date', h.order_date,
+        'created_at', h.created_at
+    ) ORDER BY h.created_at, h.history_id), '[]'::json)
+    INTO v_history
+    FROM order_history h
+    WHERE h.order_id = ANY(v_order_ids);
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'at', e.at,
+        'order_id', e.order_id,
+        'event', e.event,
+        'details', e.details
+    ) ORDER BY e.at, e.seq), '[]'::json)
+    INTO v_timeline
+    FROM (
+        SELECT o.created_at AS at, 1 AS seq, o.order_id, 'created' AS event,
+               json_build_object('quantity', o.requested_capacity, 'customer_bid_price', o.customer_bid_price) AS details
+        FROM orders o WHERE o.order_id = ANY(v_order_ids)
+        UNION ALL
+        SELECT h.order_date, 1, h.order_id, 'created', json_build_object('quantity', h.quantity)
+        FROM order_history h
+        WHERE h.order_id = ANY(v_order_ids)
+          AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.order_id = h.order_id)
+        UNION ALL
+        SELECT o.surfaced_at, 2, o.order_id, 'surfaced', NULL
+        FROM orders o WHERE o.order_id = ANY(v_order_ids) AND o.surfaced_at IS NOT NULL
+        UNION ALL
+        SELECT b.created_at, 3, b.order_id, 'bid_placed',
+               json_build_object('supplier_id', b.supplier_id, 'bid_price', b.bid_price)
+        FROM bids b WHERE b.order_id = ANY(v_order_ids)
+        UNION ALL
+        SELECT o.order_confirmed_at, 4, o.order_id, 'supplier_confirmed',
+               json_build_object('supplier_id', o.supplier_id, 'accepted_price', o.accepted_price)
+        FROM orders o WHERE o.order_id = ANY(v_order_ids) AND o.order_confirmed_at IS NOT NULL
+        UNION ALL
+        SELECT x.created_at, 4, x.order_id, 'reopened',
+               json_build_object('supplier_id', x.supplier_id, 'accepted_price', x.accepted_price, 'reason', x.reason)
+        FROM order_supplier_exclusions x WHERE x.order_id = ANY(v_order_ids)
+        UNION ALL
+        SELECT MIN(t.recorded_at), 5, t.order_id, 'tracking_started', json_build_object('driver_id', MIN(t.driver_id))
+        FROM order_location_trail t WHERE t.order_id = ANY(v_order_ids)
+        GROUP BY t.order_id
+        UNION ALL
+        SELECT MAX(t.recorded_at), 6, t.order_id, 'last_location', json_build_object('points', COUNT(*))
+        FROM order_location_trail t WHERE t.order_id = ANY(v_order_ids)
+        GROUP BY t.order_id
+        UNION ALL
+        SELECT l.created_at, 7, l.order_id, 'handover_overridden',
+               json_build_object('supplier_id', l.supplier_id, 'reason', l.reason, 'failed_attempts', l.failed_attempts)
+        FROM handover_override_log l WHERE l.order_id = ANY(v_order_ids)
+        UNION ALL
+        SELECT p.created_at, 8, p.order_id, 'delivered',
+               json_build_object('driver_id', p.driver_id, 'delivered_gallons', p.delivered_gallons)
+        FROM delivery_proof p WHERE p.order_id = ANY(v_order_ids)
+        UNION ALL
+        SELECT h.created_at, 9, h.order_id, h.status,
+               json_build_object('price', h.price, 'reason', h.reason)
+        FROM order_history h WHERE h.order_id = ANY(v_order_ids)
+        UNION ALL
+        SELECT h.rated_at, 10, h.order_id, 'rated', json_build_object('rating', h.customer_rating)
+        FROM order_history h WHERE h.order_id = ANY(v_order_ids) AND h.rated_at IS NOT NULL
+        UNION ALL
+        SELECT a.created_at, 11, a.target_id, 'admin_' || a.action,
+               json_build_object('admin_id', a.admin_id, 'details', a.details)
+        FROM admin_action_log a WHERE a.target_type = 'order' AND a.target_id = ANY(v_order_ids)
+    ) e;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'event_id', e.event_id,
+        'order_id', e.order_id,
+        'event_type', e.event_type,
+        'from_status', e.from_status,
+        'to_status', e.to_status,
+        'actor_id', e.actor_id,
+        'actor_role', e.actor_role,
+        'customer_id', e.customer_id,
+        'supplier_id', e.supplier_id,
+        'driver_id', e.driver_id,
+        'payload', e.payload,
+        'created_at', e.created_at
+    ) ORDER BY e.created_at, e.event_id), '[]'::json)
+    INTO v_events
+    FROM order_events e
+    WHERE e.order_id = ANY(v_order_ids);
+
+    RETURN json_build_object(
+        'code', 1,
+        'order', v_order,
+        'legs', v_legs,
+        'bids', v_bids,
+        'driver_assignments', v_assignments,
+        'history', v_history,
+        'timeline', v_timeline,
+        'events', v_events
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to get order: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Force-cancel an order
+-- ============================================================================
+-- Purpose: Back-office cancellation of a stuck order at any stage short of
+--          finished, through cancel_order (so history and driver release work
+--          as usual; the supplier is not penalised). Cancelling a leg cancels
+--          its whole multi-tanker order. Logged to admin_action_log.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_order_id: Order ID
+--   p_reason: Why the order is being cancelled (min 5 characters)
+--   p_allowed_statuses: Statuses the state machine allows cancel from, checked
+--                       on the whole order (NULL skips the check)
+-- Returns: JSON object with the cancelled order_id and every user to notify
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+DROP FUNCTION IF EXISTS cancel_order_admin(INTEGER, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION cancel_order_admin(
+    p_admin_id INTEGER,
+    p_order_id INTEGER,
+    p_reason TEXT,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_reason TEXT := btrim(COALESCE(p_reason, ''));
+    v_order RECORD;
+    v_refusal JSON;
+    v_notify_user_ids JSON;
+    v_result JSON;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    IF p_order_id IS NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'Order ID cannot be null');
+    END IF;
+
+    IF length(v_reason) < 5 THEN
+        RETURN json_build_object('code', 0, 'message', 'A reason of at least 5 characters is required');
+    END IF;
+
+    SELECT order_id, status INTO v_order
+    FROM orders
+    WHERE order_id = (
+        SELECT COALESCE(parent_order_id, order_id)
+        FROM orders
+        WHERE order_id = p_order_id
+    )
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('code', 0, 'message', 'Order not found or already archived');
+    END IF;
+
+    v_refusal := transition_refusal('cancel', v_order.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    -- Everyone with a stake in the order, collected before it is deleted
+    SELECT COALESCE(json_agg(DISTINCT party.user_id), '[]'::json)
+    INTO v_notify_user_ids
+    FROM (
+        SELECT o.customer_id AS user_id FROM orders o
+        WHERE o.order_id = v_order.order_id
+        UNION
+        SELECT CASE WHEN o.status = 'direct_offer' THEN o.preferred_supplier_id ELSE o.supplier_id END
+        FROM orders o
+        WHERE o.order_id = v_order.order_id
+        UNION
+        SELECT o.driver_id FROM orders o
+        WHERE o.order_id = v_order.order_id OR o.parent_order_id = v_order.order_id
+        UNION
+        SELECT da.driver_id FROM driver_assignment da
+        JOIN orders o ON o.order_id = da.order_id
+        WHERE (o.order_id = v_order.order_id OR o.parent_order_id = v_order.order_id)
+          AND da.order_rejected = FALSE
+    ) party
+    WHERE party.user_id IS NOT NULL;
+
+    v_result := cancel_order(v_order.order_id, p_admin_id, 'Cancelled by support: ' || v_reason);
+
+    IF (v_result->>'code')::INTEGER IS DISTINCT FROM 1 THEN
+        RETURN v_result;
+    END IF;
+
+    INSERT INTO admin_action_log (admin_id, action, target_type, target_id, details)
+    VALUES (
+        p_admin_id,
+        'cancel_order',
+        'order',
+        v_order.order_id,
+        jsonb_build_object('reason', v_reason, 'status', v_order.status)
+    );
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Order cancelled',
+        'order_id', v_order.order_id,
+        'previous_status', v_order.status,
+        'notify_user_ids', v_notify_user_ids
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to cancel order: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Suspend or reinstate an account
+-- ============================================================================
+-- Purpose: Suspension blocks sign-in (verify_otp_and_activate_user refuses
+--          the account) and ends every session it has; a suspended driver is
+--          unlinked from the roster by the session-delete trigger, as on
+--          logout. Orders in progress are left alone; cancel them separately
+--          if needed. Admin accounts cannot be suspended this way.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_user_id: Account to change
+--   p_suspend: TRUE to suspend, FALSE to reinstate
+--   p_reason: Why (min 5 characters, required when suspending)
+-- Returns: JSON object with the ended session ids and open order ids
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION set_user_suspension_admin(
+    p_admin_id INTEGER,
+    p_user_id INTEGER,
+    p_suspend BOOLEAN,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_reason TEXT := NULLIF(btrim(COALESCE(p_reason, '')), '');
+    v_user RECORD;
+    v_session_ids JSON := '[]'::json;
+    v_active_order_ids JSON;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    IF p_user_id IS NULL OR p_suspend IS NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'User ID and suspend flag are required');
+    END IF;
+
+    SELECT user_id, role, suspended_at INTO v_user
+    FROM users
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('code', 0, 'message', 'User not found');
+    END IF;
+
+    IF v_user.role = 'admin' THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin accounts cannot be suspended');
+    END IF;
+
+    IF p_suspend THEN
+        IF v_user.suspended_at IS NOT NULL THEN
+            RETURN json_build_object('code', 0, 'message', 'User is already suspended');
+        END IF;
+
+        IF length(COALESCE(v_reason, '')) < 5 THEN
+            RETURN json_build_object('code', 0, 'message', 'A reason of at least 5 characters is required');
+        END IF;
+
+        UPDATE users
+        SET suspended_at = CURRENT_TIMESTAMP,
+            suspension_reason = v_reason
+        WHERE user_id = p_user_id;
+
+        SELECT COALESCE(json_agg(session_id), '[]'::json)
+        INTO v_session_ids
+        FROM sessions
+        WHERE user_id = p_user_id;
+
+        DELETE FROM sessions WHERE user_id = p_user_id;
+    ELSE
+        IF v_user.suspended_at IS NULL THEN
+            RETURN json_build_object('code', 0, 'message', 'User is not suspended');
+        END IF;
+
+        UPDATE users
+        SET suspended_at = NULL,
+            suspension_reason = NULL
+        WHERE user_id = p_user_id;
+    END IF;
+
+    SELECT COALESCE(json_agg(order_id ORDER BY order_id), '[]'::json)
+    INTO v_active_order_ids
+    FROM orders
+    WHERE customer_id = p_user_id OR supplier_id = p_user_id OR driver_id = p_user_id;
+
+    INSERT INTO admin_action_log (admin_id, action, target_type, target_id, details)
+    VALUES (
+        p_admin_id,
+        CASE WHEN p_suspend THEN 'suspend_user' ELSE 'unsuspend_user' END,
+        'user',
+        p_user_id,
+        jsonb_build_object('reason', v_reason, 'role', v_user.role)
+    );
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', CASE WHEN p_suspend THEN 'User suspended' ELSE 'User reinstated' END,
+        'user_id', p_user_id,
+        'suspended', p_suspend,
+        'ended_session_ids', v_session_ids,
+        'active_order_ids', v_active_order_ids
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to update suspension: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Single-quantity edits were replaced by whole pricing versions.
+DROP FUNCTION IF EXISTS set_quantity_price_admin(INTEGER, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS delete_quantity_price_admin(INTEGER, INTEGER);
+
+
+-- ============================================================================
+-- FUNCTION: Publish a pricing version
+-- ============================================================================
+-- Purpose: Adds a complete price list that takes over at p_effective_from
+--          (now when NULL). Quantities left out are off sale from then on.
+--          Orders keep the version they were placed under, so a version can
+--          start now or later but never in the past.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_prices: JSON array of {quantity_in_gallon, base_price}; quantities
+--             1-99999 gallons, each listed once, prices > 0
+--   p_effective_from: When the version takes over (optional)
+--   p_note: Optional note shown in the version list
+-- Returns: JSON object with version_id and effective_from
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION create_pricing_version_admin(
+    p_admin_id INTEGER,
+    p_prices JSON,
+    p_effective_from TIMESTAMPTZ DEFAULT NULL,
+    p_note TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_effective_from TIMESTAMP := COALESCE(p_effective_from, CURRENT_TIMESTAMP)::TIMESTAMP;
+    v_version_id INTEGER;
+    v_price_count INTEGER;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    -- A minute of slack for clocks and request time.
+    IF v_effective_from < CURRENT_TIMESTAMP - INTERVAL '1 minute' THEN
+        RETURN json_build_object('code', 0, 'message', 'Effective date cannot be in the past');
+    END IF;
+
+    IF p_prices IS NULL OR json_typeof(p_prices) <> 'array' OR json_array_length(p_prices) = 0 THEN
+        RETURN json_build_object('code', 0, 'message', 'At least one quantity is required');
+    END IF;
+
+    -- orders.requested_capacity is NUMERIC(5,0)
+    IF EXISTS (
+        SELECT 1
+        FROM json_to_recordset(p_prices) AS item(quantity_in_gallon NUMERIC, base_price NUMERIC)
+        WHERE quantity_in_gallon IS NULL
+           OR quantity_in_gallon <> TRUNC(quantity_in_gallon)
+           OR quantity_in_gallon NOT BETWEEN 1 AND 99999
+    ) THEN
+        RETURN json_build_object('code', 0, 'message', 'Quantities must be whole numbers between 1 and 99999 gallons');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM json_to_recordset(p_prices) AS item(quantity_in_gallon NUMERIC, base_price NUMERIC)
+        WHERE base_price IS NULL
+           OR base_price <> TRUNC(base_price)
+           OR base_price <= 0
+    ) THEN
+        RETURN json_build_object('code', 0, 'message', 'Base prices must be whole numbers greater than 0');
+    END IF;
+
+    SELECT COUNT(*) INTO v_price_count
+    FROM json_to_recordset(p_prices) AS item(quantity_in_gallon NUMERIC, base_price NUMERIC);
+
+    IF EXISTS (
+        SELECT 1
+        FROM json_to_recordset(p_prices) AS item(quantity_in_gallon NUMERIC, base_price NUMERIC)
+        GROUP BY quantity_in_gallon
+        HAVING COUNT(*) > 1
+    ) THEN
+        RETURN json_build_object('code', 0, 'message', 'Each quantity can only be listed once');
+    END IF;
+
+    INSERT INTO pricing_versions (effective_from, note, created_by)
+    VALUES (v_effective_from, NULLIF(btrim(p_note), ''), p_admin_id)
+    RETURNING version_id INTO v_version_id;
+
+    INSERT INTO pricing_version_prices (version_id, quantity_in_gallon, base_price)
+    SELECT v_version_id, quantity_in_gallon, base_price
+    FROM json_to_recordset(p_prices) AS item(quantity_in_gallon NUMERIC, base_price NUMERIC);
+
+    INSERT INTO admin_action_log (admin_id, action, target_type, target_id, details)
+    VALUES (
+        p_admin_id,
+        'create_pricing_version',
+        'pricing_version',
+        v_version_id,
+        jsonb_build_object(
+            'effective_from', v_effective_from,
+            'note', NULLIF(btrim(p_note), ''),
+            'prices', (
+                SELECT jsonb_agg(jsonb_build_object('quantity_in_gallon', quantity_in_gallon, 'base_price', base_price)
+                                 ORDER BY quantity_in_gallon)
+                FROM pricing_version_prices
+                WHERE version_id = v_version_id
+            )
+        )
+    );
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', CASE WHEN v_effective_from <= CURRENT_TIMESTAMP THEN 'Prices updated' ELSE 'Price change scheduled' END,
+        'version_id', v_version_id,
+        'effective_from', v_effective_from,
+        'quantity_count', v_price_count
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to publish prices: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Withdraw a scheduled pricing version
+-- ============================================================================
+-- Purpose: Deletes a version that has not taken over yet (no order can point
+--          at it). Versions already in force stay for the orders priced
+--          under them; publish a new one instead.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_version_id: Version to withdraw
+-- Returns: JSON object with status
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION cancel_pricing_version_admin(
+    p_admin_id INTEGER,
+    p_version_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_version RECORD;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    SELECT version_id, effective_from, note INTO v_version
+    FROM pricing_versions
+    WHERE version_id = p_version_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('code', 0, 'message', 'Pricing version not found');
+    END IF;
+
+    IF v_version.effective_from <= CURRENT_TIMESTAMP THEN
+        RETURN json_build_object('code', 0, 'message', 'Pricing version is already in force');
+    END IF;
+
+    INSERT INTO admin_action_log (admin_id, action, target_type, target_id, details)
+    VALUES (
+        p_admin_id,
+        'cancel_pricing_version',
+        'pricing_version',
+        p_version_id,
+        jsonb_build_object(
+            'effective_from', v_version.effective_from,
+            'prices', (
+                SELECT jsonb_agg(jsonb_build_object('quantity_in_gallon', quantity_in_gallon, 'base_price', base_price)
+                                 ORDER BY quantity_in_gallon)
+                FROM pricing_version_prices
+                WHERE version_id = p_version_id
+            )
+        )
+    );
+
+    DELETE FROM pricing_versions WHERE version_id = p_version_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Scheduled price change withdrawn',
+        'version_id', p_version_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to withdraw prices: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Create or update a dynamic pricing rule
+-- ============================================================================
+-- Purpose: Inserts a rule when p_rule_id is NULL, otherwise replaces every
+--          field of that rule. See PRICING_RULES for what each condition
+--          means; NULL conditions match everything. Takes effect on the
+--          next START_ORDER, bid update or quantity list.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_rule_id: Rule to update, or NULL for a new one
+--   p_name: Label shown to customers next to the suggested price
+--   p_districts: Zone (delivery districts), or NULL for all
+--   p_days_of_week: 0=Sunday .. 6=Saturday, or NULL for every day
+--   p_start_time, p_end_time: Local time range (both or neither)
+--   p_timezone: IANA timezone for the days and times
+--   p_min_quantity, p_max_quantity: Inclusive gallon bounds (optional)
+--   p_price_multiplier: Base price multiplier (0.50-5.00)
+--   p_min_price_ratio, p_max_price_ratio: Offer band around the adjusted price
+--   p_priority: Higher wins when several rules match
+--   p_is_active: Inactive rules are kept but never applied
+-- Returns: JSON object with rule_id
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION save_pricing_rule_admin(
+    p_admin_id INTEGER,
+    p_rule_id INTEGER,
+    p_name TEXT,
+    p_districts TEXT[],
+    p_days_of_week SMALLINT[],
+    p_start_time TIME,
+    p_end_time TIME,
+    p_timezone VARCHAR(64),
+    p_min_quantity INTEGER,
+    p_max_quantity INTEGER,
+    p_price_multiplier NUMERIC,
+    p_min_price_ratio NUMERIC,
+    p_max_price_ratio NUMERIC,
+    p_priority INTEGER,
+    p_is_active BOOLEAN
+)
+RETURNS JSON AS $$
+DECLARE
+    v_rule_id INTEGER;
+    v_districts TEXT[];
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    IF p_name IS NULL OR btrim(p_name) = '' OR length(btrim(p_name)) > 80 THEN
+        RETURN json_build_object('code', 0, 'message', 'Rule name must be 1 to 80 characters');
+    END IF;
+
+    v_districts := NULLIF(ARRAY(
+        SELECT DISTINCT btrim(d) FROM unnest(p_districts) AS d WHERE btrim(COALESCE(d, '')) <> '' ORDER BY 1
+    ), '{}');
+
+    IF p_days_of_week IS NOT NULL AND (
+        COALESCE(array_length(p_days_of_week, 1), 0) = 0
+        OR EXISTS (SELECT 1 FROM unnest(p_days_of_week) AS d WHERE d IS NULL OR d NOT BETWEEN 0 AND 6)
+    ) THEN
+        RETURN json_build_object('code', 0, 'message', 'Days must be 0 (Sunday) to 6 (Saturday)');
+    END IF;
+
+    IF (p_start_time IS NULL) <> (p_end_time IS NULL) OR p_start_time = p_end_time THEN
+        RETURN json_build_object('code', 0, 'message', 'Give both a start and an end time, and make them different');
+    END IF;
+
+    IF p_timezone IS NULL OR NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = p_timezone) THEN
+        RETURN json_build_object('code', 0, 'message', 'Unknown timezone');
+    END IF;
+
+    IF p_min_quantity <= 0 OR p_max_quantity <= 0 OR p_min_quantity > p_max_quantity THEN
+        RETURN json_build_object('code', 0, 'message', 'Quantity bounds must be positive, minimum first');
+    END IF;
+
+    IF p_price_multiplier IS NULL OR p_price_multiplier NOT BETWEEN 0.5 AND 5 THEN
+        RETURN json_build_object('code', 0, 'message', 'Price multiplier must be between 0.50 and 5.00');
+    END IF;
+
+    IF p_min_price_ratio IS NULL OR p_min_price_ratio <= 0 OR p_min_price_ratio > 1
+       OR p_max_price_ratio IS NULL OR p_max_price_ratio < 1 OR p_max_price_ratio > 5 THEN
+        RETURN json_build_object('code', 0, 'message', 'Price band ratios must be above 0 and at most 1.00 (minimum), 1.00 to 5.00 (maximum)');
+    END IF;
+
+    IF p_rule_id IS NULL THEN
+        INSERT INTO pricing_rules (
+            name, districts, days_of_week, start_time, end_time, timezone,
+            min_quantity, max_quantity, price_multiplier, min_price_ratio, max_price_ratio,
+            priority, is_active, created_by
+        ) VALUES (
+            btrim(p_name), v_districts, p_days_of_week, p_start_time, p_end_time, p_timezone,
+            p_min_quantity, p_max_quantity, p_price_multiplier, p_min_price_ratio, p_max_price_ratio,
+            COALESCE(p_priority, 0), COALESCE(p_is_active, TRUE), p_admin_id
+        )
+        RETURNING rule_id INTO v_rule_id;
+    ELSE
+        UPDATE pricing_rules
+        SET name = btrim(p_name),
+            districts = v_districts,
+            days_of_week = p_days_of_week,
+            start_time = p_start_time,
+            end_time = p_end_time,
+            timezone = p_timezone,
+            min_quantity = p_min_quantity,
+            max_quantity = p_max_quantity,
+            price_multiplier = p_price_multiplier,
+            min_price_ratio = p_min_price_ratio,
+            max_price_ratio = p_max_price_ratio,
+            priority = COALESCE(p_priority, 0),
+            is_active = COALESCE(p_is_active, TRUE),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE rule_id = p_rule_id
+        RETURNING rule_id INTO v_rule_id;
+
+        IF v_rule_id IS NULL THEN
+            RETURN json_build_object('code', 0, 'message', 'Pricing rule not found');
+        END IF;
+    END IF;
+
+    INSERT INTO admin_action_log (admin_id, action, target_type, target_id, details)
+    SELECT
+        p_admin_id,
+        CASE WHEN p_rule_id IS NULL THEN 'create_pricing_rule' ELSE 'update_pricing_rule' END,
+        'pricing_rule',
+        v_rule_id,
+        to_jsonb(r) - 'created_by' - 'created_at' - 'updated_at'
+    FROM pricing_rules r
+    WHERE r.rule_id = v_rule_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', CASE WHEN p_rule_id IS NULL THEN 'Pricing rule created' ELSE 'Pricing rule updated' END,
+        'rule_id', v_rule_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to save pricing rule: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Delete a dynamic pricing rule
+-- ============================================================================
+-- Purpose: Removes a rule. Orders already placed keep their prices; to pause
+--          a rule instead, save it with p_is_active = FALSE.
+-- Parameters:
+--   p_admin_id: Admin user_id
+--   p_rule_id: Rule to delete
+-- Returns: JSON object with status
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION delete_pricing_rule_admin(
+    p_admin_id INTEGER,
+    p_rule_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_rule JSONB;
+BEGIN
+    IF NOT is_admin(p_admin_id) THEN
+        RETURN json_build_object('code', 0, 'message', 'Admin access required');
+    END IF;
+
+    DELETE FROM pricing_rules r
+    WHERE r.rule_id = p_rule_id
+    RETURNING to_jsonb(r) - 'created_by' - 'created_at' - 'updated_at' INTO v_rule;
+
+    IF v_rule IS NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'Pricing rule not found');
+    END IF;
+
+    INSERT INTO admin_action_log (admin_id, action, target_type, target_id, details)
+    VALUES (p_admin_id, 'delete_pricing_rule', 'pricing_rule', p_rule_id, v_rule);
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Pricing rule deleted',
+        'rule_id', p_rule_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to delete pricing rule: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
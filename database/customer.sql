@@ -3,17 +3,23 @@
 --   p_user_id: User ID
 --   p_name: Customer name
 --   p_home_address: Home address (optional, can be NULL or empty)
+--   p_home_latitude, p_home_longitude: Optional home coordinates (both or neither)
 -- Returns: JSON object with success status
 -- Code: 1=Success, 0=Failure/Already exists
+DROP FUNCTION IF EXISTS enter_details_customer(INTEGER, VARCHAR, TEXT);
+
 CREATE OR REPLACE FUNCTION enter_details_customer(
     p_user_id INTEGER,
     p_name VARCHAR,
-    p_home_address TEXT
+    p_home_address TEXT,
+    p_home_latitude NUMERIC DEFAULT NULL,
+    p_home_longitude NUMERIC DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_address_exists BOOLEAN;
     v_current_role VARCHAR(20);
+    v_coordinates_error TEXT;
 BEGIN
     -- Validate user_id
     IF p_user_id IS NULL THEN
@@ -41,7 +47,22 @@ BEGIN
             'message', 'Role already assigned. Details update is not allowed.'
         );
     END IF;
-    
+
+    -- Validate optional home coordinates
+    v_coordinates_error := coordinates_error(p_home_latitude, p_home_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
+
+    IF p_home_latitude IS NOT NULL AND (p_home_address IS NULL OR TRIM(p_home_address) = '') THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Home address is required when coordinates are provided'
+        );
+    END IF;
     
     -- Handle home address if provided
     IF p_home_address IS NOT NULL AND TRIM(p_home_address) != '' THEN
@@ -51,13 +72,20 @@ BEGIN
         IF v_address_exists THEN
             -- Update existing address
             UPDATE customer_address
-            SET home_address = TRIM(p_home_address)
+            SET home_address = TRIM(p_home_address),
+                home_latitude = p_home_latitude,
+                home_longitude = p_home_longitude
             WHERE user_id = p_user_id;
         ELSE
             -- Insert new address
-            INSERT INTO customer_address (user_id, home_address)
-            VALUES (p_user_id, TRIM(p_home_address));
+            INSERT INTO customer_address (user_id, home_address, home_latitude, home_longitude)
+            VALUES (p_user_id, TRIM(p_home_address), p_home_latitude, p_home_longitude);
         END IF;
+
+        -- Start the address book with it as the default 'Home' entry
+        INSERT INTO customer_addresses (customer_id, label, address, latitude, longitude, is_default)
+        SELECT p_user_id, 'Home', TRIM(p_home_address), p_home_latitude, p_home_longitude, TRUE
+        WHERE NOT EXISTS (SELECT 1 FROM customer_addresses WHERE customer_id = p_user_id);
     END IF;
     
      -- Update user name and set role to customer
@@ -86,21 +114,72 @@ $$ LANGUAGE plpgsql;
 --              ORDERS
 ---------------------------------------
 
+-- Purpose: Customer opens a new order on the marketplace
+-- Parameters:
+--   p_customer_id: Customer user_id
+--   p_delivery_location: Delivery address text
+--   p_requested_capacity: Gallons. One of the sizes in the pricing version in
+--                         force now, or a larger multi-tanker quantity that
+--                         plan_order_legs can split (the order is then
+--                         delivered in legs). The order records that version.
+--   p_customer_bid_price: Customer's offer, between the min_price and
+--                         max_price order_price_band() gives for the quantity,
+--                         district and delivery time (the pricing rule in
+--                         force scales the base price; for multi-tanker
+--                         orders the legs' base prices added up)
+--   p_delivery_latitude, p_delivery_longitude: Optional delivery coordinates (both or neither)
+--   p_delivery_district: Optional service district, used for supplier area matching
+--   p_scheduled_for: Optional start of the delivery window (up to 7 days ahead).
+--                    Scheduled orders start as 'scheduled' and reach the
+--                    marketplace via surface_scheduled_orders().
+--   p_delivery_window_end: Optional end of the delivery window (up to 12 hours
+--                          after p_scheduled_for); requires p_scheduled_for
+--   p_preferred_supplier_id: Optional supplier from the customer's completed
+--                            orders. The order skips the marketplace and starts
+--                            as 'direct_offer' for that supplier to accept or
+--                            decline (2 minutes, or 30 for scheduled orders).
+--   p_fallback_to_market: Whether a declined/unanswered direct offer moves to
+--                         the marketplace (TRUE) or is dropped (FALSE)
+--   p_lead_minutes: The surfacing lead time. A customer has one active order
+--                   at a time, but orders further ahead than this (see
+--                   order_is_upcoming) neither count nor are refused.
+-- Returns: JSON object with order_id and status
+-- Code: 1=Success, 0=Failure
+DROP FUNCTION IF EXISTS START_ORDER(INTEGER, TEXT, NUMERIC, NUMERIC);
+DROP FUNCTION IF EXISTS START_ORDER(INTEGER, TEXT, NUMERIC, NUMERIC, NUMERIC, NUMERIC);
+DROP FUNCTION IF EXISTS START_ORDER(INTEGER, TEXT, NUMERIC, NUMERIC, NUMERIC, NUMERIC, VARCHAR);
+DROP FUNCTION IF EXISTS START_ORDER(INTEGER, TEXT, NUMERIC, NUMERIC, NUMERIC, NUMERIC, VARCHAR, TIMESTAMPTZ, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS START_ORDER(INTEGER, TEXT, NUMERIC, NUMERIC, NUMERIC, NUMERIC, VARCHAR, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, BOOLEAN);
+
 CREATE OR REPLACE FUNCTION START_ORDER (
     p_customer_id INTEGER,
     p_delivery_location TEXT,
     p_requested_capacity NUMERIC (5,0),
-    p_customer_bid_price NUMERIC (7,0)
+    p_customer_bid_price NUMERIC (7,0),
+    p_delivery_latitude NUMERIC DEFAULT NULL,
+    p_delivery_longitude NUMERIC DEFAULT NULL,
+    p_delivery_district VARCHAR(50) DEFAULT NULL,
+    p_scheduled_for TIMESTAMPTZ DEFAULT NULL,
+    p_delivery_window_end TIMESTAMPTZ DEFAULT NULL,
+    p_preferred_supplier_id INTEGER DEFAULT NULL,
+    p_fallback_to_market BOOLEAN DEFAULT TRUE,
+    p_lead_minutes INTEGER DEFAULT 120
 )
 RETURNS JSON AS $$
 DECLARE
+    v_coordinates_error TEXT;
+    v_initial_status VARCHAR(20);
+    v_direct_offer_expires_at TIMESTAMP;
     v_customer_role VARCHAR(20);
+    v_customer_phone VARCHAR(20);
     v_new_order_id INTEGER;
     v_existing_active_order_id INTEGER;
     v_existing_active_order_status VARCHAR(20);
     v_base_price INTEGER;
     v_min_price NUMERIC(10,2);
     v_max_price NUMERIC(10,2);
+    v_leg_count INTEGER;
+    v_pricing_version_id INTEGER;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -113,7 +192,7 @@ BEGIN
     END IF;
     
     -- Check if user exists and has customer role
-    SELECT role INTO v_customer_role
+    SELECT role, phone INTO v_customer_role, v_customer_phone
     FROM users
     WHERE user_id = p_customer_id;
     
@@ -138,8 +217,16 @@ BEGIN
             'message', 'Delivery location cannot be empty'
         );
     END IF;
+
+    v_coordinates_error := coordinates_error(p_delivery_latitude, p_delivery_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
     
-    -- Validate requested capacity exists in quantity_pricing table
+    -- Validate requested capacity against the prices in force now
     IF p_requested_capacity IS NULL OR p_requested_capacity <= 0 THEN
         RETURN json_build_object(
             'code', 0,
@@ -147,21 +234,26 @@ BEGIN
         );
     END IF;
     
-    -- Check if requested capacity is one of the allowed quantities
-    SELECT base_price INTO v_base_price
-    FROM quantity_pricing
-    WHERE quantity_in_gallon = p_requested_capacity;
+    -- Check if requested capacity is an allowed quantity (single or multi-tanker)
+    -- and get the price band for the district at delivery time
+    v_pricing_version_id := pricing_version_at();
+    SELECT base_price, min_price, max_price
+    INTO v_base_price, v_min_price, v_max_price
+    FROM order_price_band(
+        p_requested_capacity,
+        p_delivery_district,
+        COALESCE(p_scheduled_for, CURRENT_TIMESTAMP),
+        v_pricing_version_id
+    );
     
-    IF NOT FOUND THEN
+    IF v_base_price IS NULL THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'Invalid quantity. Please select from available options'
      );
     END IF;
-    
-    -- Calculate min and max allowed bid prices (85% to 300% of base price)
-    v_min_price := v_base_price * 0.85;
-    v_max_price := v_base_price * 3.0;
+
+    v_leg_count := array_length(plan_order_legs(p_requested_capacity, v_pricing_version_id), 1);
     
     -- Validate customer bid price
     IF p_customer_bid_price IS NULL OR p_customer_bid_price <= 0 THEN
@@ -175,20 +267,83 @@ BEGIN
     IF p_customer_bid_price < v_min_price OR p_customer_bid_price > v_max_price THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Incorrect pricing'
+            'message', format('Incorrect pricing. Offer between %s and %s for this delivery', CEIL(v_min_price), FLOOR(v_max_price))
         );
     END IF;
 
-    -- Enforce one active order per customer.
-    SELECT order_id, status
-    INTO v_existing_active_order_id, v_existing_active_order_status
-    FROM orders
-    WHERE customer_id = p_customer_id
-      AND status IN ('open', 'supplier_timer', 'accepted', 'ride_started', 'reached', 'finished')
-    ORDER BY created_at DESC
-    LIMIT 1;
+    -- Validate the optional delivery window
+    IF p_delivery_window_end IS NOT NULL AND p_scheduled_for IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Delivery window end requires a scheduled time'
+        );
+    END IF;
 
-    IF FOUND THEN
+    IF p_scheduled_for IS NOT NULL THEN
+        IF p_scheduled_for <= CURRENT_TIMESTAMP THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Scheduled time must be in the future'
+            );
+        END IF;
+
+        IF p_scheduled_for > CURRENT_TIMESTAMP + INTERVAL '7 days' THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Orders can be scheduled at most 7 days ahead'
+            );
+        END IF;
+
+        IF p_delivery_window_end IS NOT NULL
+           AND (p_delivery_window_end <= p_scheduled_for
+                OR p_delivery_window_end > p_scheduled_for + INTERVAL '12 hours') THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Delivery window must end after it starts and last at most 12 hours'
+            );
+        END IF;
+    END IF;
+
+    -- Direct orders only go to suppliers who have completed an order for this customer.
+    IF p_preferred_supplier_id IS NOT NULL THEN
+        IF NOT EXISTS (
+            SELECT 1
+            FROM order_history oh
+            JOIN suppliers s ON s.user_id = oh.supplier_id
+            WHERE oh.supplier_id = p_preferred_supplier_id
+              AND oh.customer_phone = v_customer_phone
+              AND oh.status = 'completed'
+        ) THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Preferred supplier must be one you have completed an order with'
+            );
+        END IF;
+
+        v_initial_status := 'direct_offer';
+        v_direct_offer_expires_at := CURRENT_TIMESTAMP + CASE WHEN p_scheduled_for IS NULL
+                                                             THEN INTERVAL '2 minutes'
+                                                             ELSE INTERVAL '30 minutes' END;
+    ELSE
+        v_initial_status := CASE WHEN p_scheduled_for IS NULL THEN 'open' ELSE 'scheduled' END;
+    END IF;
+
+    -- Enforce one active order per customer. Orders for a later window only
+    -- count once they are close to it, so they neither block nor are blocked
+    -- by what the customer orders for now.
+    IF NOT order_is_upcoming(v_initial_status, p_scheduled_for::TIMESTAMP, NULL, p_lead_minutes) THEN
+        SELECT order_id, status
+        INTO v_existing_active_order_id, v_existing_active_order_status
+        FROM orders
+        WHERE customer_id = p_customer_id
+          AND parent_order_id IS NULL
+          AND status IN ('scheduled', 'direct_offer', 'open', 'supplier_timer', 'accepted', 'ride_started', 'reached', 'finished')
+          AND NOT order_is_upcoming(status, scheduled_for, surfaced_at, p_lead_minutes)
+        ORDER BY created_at DESC
+        LIMIT 1;
+    END IF;
+
+    IF v_existing_active_order_id IS NOT NULL THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'You already have an active order. Complete or cancel it before placing a new one',
@@ -197,28 +352,64 @@ BEGIN
         );
     END IF;
     
-    -- Insert new order with status 'open'
+    -- Insert new order with status 'open' (or 'scheduled' for a future window,
+    -- or 'direct_offer' when sent to a preferred supplier)
     INSERT INTO ORDERS (
         CUSTOMER_ID,
         DELIVERY_LOCATION,
+        DELIVERY_LATITUDE,
+        DELIVERY_LONGITUDE,
+        DELIVERY_DISTRICT,
         REQUESTED_CAPACITY,
         CUSTOMER_BID_PRICE,
+        SCHEDULED_FOR,
+        DELIVERY_WINDOW_END,
+        PREFERRED_SUPPLIER_ID,
+        DIRECT_OFFER_EXPIRES_AT,
+        FALLBACK_TO_MARKET,
+        LEG_COUNT,
+        PRICING_VERSION_ID,
         STATUS,
         CREATED_AT
     ) VALUES (
         p_customer_id,
         TRIM(p_delivery_location),
+        p_delivery_latitude,
+        p_delivery_longitude,
+        NULLIF(TRIM(p_delivery_district), ''),
         p_requested_capacity,
         p_customer_bid_price,
-        'open',
+        p_scheduled_for,
+        p_delivery_window_end,
+        p_preferred_supplier_id,
+        v_direct_offer_expires_at,
+        COALESCE(p_fallback_to_market, TRUE),
+        v_leg_count,
+        v_pricing_version_id,
+        v_initial_status,
         CURRENT_TIMESTAMP
     )
     RETURNING ORDER_ID INTO v_new_order_id;
+
+    PERFORM log_order_event(v_new_order_id, 'created', p_customer_id, NULL, v_initial_status, jsonb_build_object(
+        'quantity', p_requested_capacity,
+        'customer_bid_price', p_customer_bid_price,
+        'scheduled_for', p_scheduled_for,
+        'preferred_supplier_id', p_preferred_supplier_id,
+        'pricing_version_id', v_pricing_version_id
+    ));
     
     RETURN json_build_object(
         'code', 1,
         'order_id', v_new_order_id,
-        'message', 'Order created successfully'
+        'status', v_initial_status,
+        'leg_count', v_leg_count,
+        'pricing_version_id', v_pricing_version_id,
+        'direct_offer_expires_at', v_direct_offer_expires_at,
+        'message', CASE v_initial_status
+                        WHEN 'scheduled' THEN 'Order scheduled successfully'
+                        WHEN 'direct_offer' THEN 'Order sent to your supplier'
+                        ELSE 'Order created successfully' END
     );
     
 EXCEPTION
@@ -239,17 +430,23 @@ $$ LANGUAGE plpgsql;
 -- Parameters:
 --   p_bid_id: Bid ID to accept
 --   p_customer_id: Customer user_id (for validation)
+--   p_allowed_statuses: Statuses the state machine allows accept_bid from
+--                       (NULL for internal callers such as respond_counter_offer)
 -- Returns: JSON object with success status
 -- Code: 1=Success, 0=Failure/Bid not found or invalid
 -- ============================================================================
+DROP FUNCTION IF EXISTS accept_bid(INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION accept_bid(
     p_bid_id INTEGER,
-    p_customer_id INTEGER
+    p_customer_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_bid_record RECORD;
-    v_order_exists BOOLEAN;
+    v_order RECORD;
+    v_refusal JSON;
     v_available_driver_count INTEGER;
     v_active_order_count INTEGER;
     v_rows_updated INTEGER;
@@ -271,16 +468,16 @@ BEGIN
         );
     END IF;
     
-        -- Remove this bid if it has already expired (15-second validity).
+        -- Remove this bid if it has already expired (see bid_expires_at).
         DELETE FROM bids
         WHERE bid_id = p_bid_id
-            AND created_at < (CURRENT_TIMESTAMP - INTERVAL '15 seconds');
+            AND bid_expires_at(created_at, counter_status, countered_at) < CURRENT_TIMESTAMP;
 
         -- Get bid details only if still valid.
         SELECT order_id, supplier_id, bid_price INTO v_bid_record
     FROM bids
         WHERE bid_id = p_bid_id
-            AND created_at >= (CURRENT_TIMESTAMP - INTERVAL '15 seconds');
+            AND bid_expires_at(created_at, counter_status, countered_at) >= CURRENT_TIMESTAMP;
     
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -295,33 +492,42 @@ BEGIN
     WHERE user_id = v_bid_record.supplier_id
     FOR UPDATE;
     
-    -- Verify order belongs to customer AND is still open (combined check)
-    SELECT EXISTS(
-        SELECT 1 FROM orders
-        WHERE order_id = v_bid_record.order_id
-          AND customer_id = p_customer_id
-          AND status = 'open'
-    ) INTO v_order_exists;
-    
-    IF NOT v_order_exists THEN
+    -- A bid on someone else's order reads as missing.
+    SELECT customer_id, status INTO v_order
+    FROM orders
+    WHERE order_id = v_bid_record.order_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_order.customer_id IS DISTINCT FROM p_customer_id THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Bid not found or expired'
+        );
+    END IF;
+
+    v_refusal := transition_refusal('accept_bid', v_order.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    IF v_order.status != 'open' THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'Order is not available for bid acceptance'
         );
     END IF;
 
-    -- Supplier can hold multiple active orders only up to available linked drivers.
-    SELECT COUNT(*)
+    -- The supplier needs an available driver whose tanker can carry this order
+    -- (its largest leg, for multi-tanker orders).
+    SELECT count_capable_drivers(v_bid_record.supplier_id, (plan_order_legs(requested_capacity, pricing_version_id))[1])
     INTO v_available_driver_count
-    FROM supplier_drivers
-    WHERE supplier_user_id = v_bid_record.supplier_id
-      AND driver_user_id IS NOT NULL
-      AND available = TRUE;
+    FROM orders
+    WHERE order_id = v_bid_record.order_id;
 
     IF v_available_driver_count <= 0 THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Selected supplier has no available drivers for a new active order'
+            'message', 'Selected supplier has no available drivers with tanker capacity for this order'
         );
     END IF;
 
@@ -331,7 +537,11 @@ BEGIN
     UPDATE orders
     SET supplier_id = v_bid_record.supplier_id,
         accepted_price = v_bid_record.bid_price,
-        time_limit_for_supplier = CURRENT_TIMESTAMP + INTERVAL '5 minutes',
+        -- Scheduled orders give the supplier until the window opens to assign a driver.
+        time_limit_for_supplier = GREATEST(
+            CURRENT_TIMESTAMP + INTERVAL '5 minutes',
+            COALESCE(scheduled_for, CURRENT_TIMESTAMP)
+        ),
         status = 'supplier_timer'
     WHERE order_id = v_bid_record.order_id
       AND customer_id = p_customer_id
@@ -346,6 +556,14 @@ BEGIN
         );
     END IF;
 
+    PERFORM create_order_legs(v_bid_record.order_id);
+
+    PERFORM log_order_event(v_bid_record.order_id, 'bid_accepted', p_customer_id, 'open', 'supplier_timer', jsonb_build_object(
+        'bid_id', p_bid_id,
+        'supplier_id', v_bid_record.supplier_id,
+        'bid_price', v_bid_record.bid_price
+    ));
+
     -- Clear all pending bids for this order as it is no longer open
     DELETE FROM bids
     WHERE order_id = v_bid_record.order_id;
@@ -370,6 +588,7 @@ $$ LANGUAGE plpgsql;
 -- ============================================================================
 -- Purpose: Returns currently valid supplier bids (15-second validity window)
 --          for a customer's own order, only while order is still open.
+--          Each bid carries the customer's counter-offer on it, if any.
 -- ============================================================================
 CREATE OR REPLACE FUNCTION view_order_bids_customer(
     p_customer_id INTEGER,
@@ -391,7 +610,7 @@ BEGIN
         -- Remove expired bids first so customer only sees currently valid bids.
     DELETE FROM bids
     WHERE order_id = p_order_id
-            AND created_at < (CURRENT_TIMESTAMP - INTERVAL '15 seconds');
+            AND bid_expires_at(created_at, counter_status, countered_at) < CURRENT_TIMESTAMP;
 
     SELECT customer_id, status
     INTO v_order_customer_id, v_order_status
@@ -427,16 +646,18 @@ BEGIN
             'supplier_phone', u.phone,
             'supplier_rating', s.rating,
             'bid_price', b.bid_price,
+            'counter_price', b.counter_price,
+            'counter_status', b.counter_status,
             'created_at', b.created_at,
-            'expires_at', (b.created_at + INTERVAL '15 seconds'),
-            'remaining_seconds', GREATEST(0, CEIL(EXTRACT(EPOCH FROM ((b.created_at + INTERVAL '15 seconds') - CURRENT_TIMESTAMP)))::int)
+            'expires_at', bid_expires_at(b.created_at, b.counter_status, b.countered_at),
+            'remaining_seconds', GREATEST(0, CEIL(EXTRACT(EPOCH FROM (bid_expires_at(b.created_at, b.counter_status, b.countered_at) - CURRENT_TIMESTAMP)))::int)
         ) ORDER BY b.bid_price ASC, b.created_at DESC
     ), '[]'::json) INTO v_bids
     FROM bids b
     JOIN users u ON u.user_id = b.supplier_id
     LEFT JOIN suppliers s ON s.user_id = b.supplier_id
     WHERE b.order_id = p_order_id
-    AND b.created_at >= (CURRENT_TIMESTAMP - INTERVAL '15 seconds');
+    AND bid_expires_at(b.created_at, b.counter_status, b.countered_at) >= CURRENT_TIMESTAMP;
 
     RETURN json_build_object(
         'code', 1,
@@ -459,17 +680,26 @@ $$ LANGUAGE plpgsql;
 -- ============================================================================
 -- Purpose: Customer can adjust own bid while order remains open.
 --          Any existing supplier bids are cleared when customer changes price.
+--          p_allowed_statuses is the state machine's list for update_price
+--          (see transition_refusal).
 -- ============================================================================
+DROP FUNCTION IF EXISTS update_customer_open_order_bid(INTEGER, INTEGER, NUMERIC);
+
 CREATE OR REPLACE FUNCTION update_customer_open_order_bid(
     p_customer_id INTEGER,
     p_order_id INTEGER,
-    p_customer_bid_price NUMERIC(7,0)
+    p_customer_bid_price NUMERIC(7,0),
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
+    v_refusal JSON;
     v_order_customer_id INTEGER;
     v_order_status VARCHAR(20);
     v_requested_capacity NUMERIC(5,0);
+    v_delivery_district VARCHAR(50);
+    v_scheduled_for TIMESTAMP;
+    v_pricing_version_id INTEGER;
     v_current_customer_bid_price NUMERIC(10,0);
     v_increment NUMERIC(10,0);
     v_base_price INTEGER;
@@ -490,10 +720,13 @@ BEGIN
         );
     END IF;
 
-    SELECT customer_id, status, requested_capacity, customer_bid_price
-    INTO v_order_customer_id, v_order_status, v_requested_capacity, v_current_customer_bid_price
+    SELECT customer_id, status, requested_capacity, delivery_district, scheduled_for,
+           pricing_version_id, customer_bid_price
+    INTO v_order_customer_id, v_order_status, v_requested_capacity, v_delivery_district, v_scheduled_for,
+         v_pricing_version_id, v_current_customer_bid_price
     FROM orders
-    WHERE order_id = p_order_id;
+    WHERE order_id = p_order_id
+    FOR UPDATE;
 
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -509,6 +742,11 @@ BEGIN
         );
     END IF;
 
+    v_refusal := transition_refusal('update_price', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
     IF v_order_status != 'open' THEN
         RETURN json_build_object(
             'code', 0,
@@ -516,24 +754,28 @@ BEGIN
         );
     END IF;
 
-    SELECT base_price INTO v_base_price
-    FROM quantity_pricing
-    WHERE quantity_in_gallon = v_requested_capacity;
+    -- Base prices stay those the order was placed under; pricing rules are
+    -- read for the delivery time as START_ORDER does.
+    SELECT base_price, min_price, max_price
+    INTO v_base_price, v_min_price, v_max_price
+    FROM order_price_band(
+        v_requested_capacity,
+        v_delivery_district,
+        COALESCE(v_scheduled_for::TIMESTAMPTZ, CURRENT_TIMESTAMP),
+        v_pricing_version_id
+    );
 
-    IF NOT FOUND THEN
+    IF v_base_price IS NULL THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'Invalid order quantity pricing setup'
         );
     END IF;
 
-    v_min_price := v_base_price * 0.85;
-    v_max_price := v_base_price * 3.0;
-
     IF p_customer_bid_price < v_min_price OR p_customer_bid_price > v_max_price THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Incorrect pricing'
+            'message', format('Incorrect pricing. Offer between %s and %s for this delivery', CEIL(v_min_price), FLOOR(v_max_price))
         );
     END IF;
 
@@ -571,6 +813,11 @@ BEGIN
     DELETE FROM bids
     WHERE order_id = p_order_id;
 
+    PERFORM log_order_event(p_order_id, 'price_updated', p_customer_id, 'open', 'open', jsonb_build_object(
+        'previous_price', v_current_customer_bid_price,
+        'customer_bid_price', p_customer_bid_price
+    ));
+
     RETURN json_build_object(
         'code', 1,
         'message', 'Order bid updated successfully',
@@ -604,16 +851,24 @@ BEGIN
     END IF;
 
     SELECT 
-        order_id,
-        delivery_location,
-        requested_capacity,
-        customer_bid_price,
-        status,
-        created_at
+        o.order_id,
+        o.delivery_location,
+        o.requested_capacity,
+        o.customer_bid_price,
+        o.status,
+        o.scheduled_for,
+        o.delivery_window_end,
+        o.preferred_supplier_id,
+        ps.name AS preferred_supplier_name,
+        o.direct_offer_expires_at,
+        o.fallback_to_market,
+        o.leg_count,
+        o.created_at
     INTO v_order_record
-    FROM orders
-    WHERE order_id = p_order_id
-      AND customer_id = p_customer_id;
+    FROM orders o
+    LEFT JOIN users ps ON ps.user_id = o.preferred_supplier_id
+    WHERE o.order_id = p_order_id
+      AND o.customer_id = p_customer_id;
 
     IF NOT FOUND THEN
         RETURN json_build_object('code', 0, 'message', 'Order not found or does not belong to you');
@@ -626,6 +881,13 @@ BEGIN
         'quantity', v_order_record.requested_capacity,
         'customer_bid_price', v_order_record.customer_bid_price,
         'status', v_order_record.status,
+        'scheduled_for', v_order_record.scheduled_for,
+        'delivery_window_end', v_order_record.delivery_window_end,
+        'preferred_supplier_id', v_order_record.preferred_supplier_id,
+        'preferred_supplier_name', v_order_record.preferred_supplier_name,
+        'direct_offer_expires_at', v_order_record.direct_offer_expires_at,
+        'fallback_to_market', v_order_record.fallback_to_market,
+        'leg_count', v_order_record.leg_count,
         'created_at', v_order_record.created_at
     );
 EXCEPTION
@@ -642,7 +904,10 @@ $$ LANGUAGE plpgsql;
 -- Parameters:
 --   p_customer_id: Customer user_id (for authorization)
 --   p_order_id: Order ID to get details for
--- Returns: JSON object with order details
+-- Returns: JSON object with order details (plus handover_code while 'reached').
+--          Multi-tanker orders add a legs array with each leg's driver,
+--          status and handover code, and the ETA follows the first leg on
+--          the road.
 -- Code: 1=Success with data, 0=Failure/Not authorized
 -- ============================================================================
 CREATE OR REPLACE FUNCTION get_order_details_customer(
@@ -652,6 +917,8 @@ CREATE OR REPLACE FUNCTION get_order_details_customer(
 RETURNS JSON AS $$
 DECLARE
     v_order_record RECORD;
+    v_legs JSON;
+    v_tracked_order_id INTEGER;
 BEGIN
     -- Validate inputs
     IF p_customer_id IS NULL THEN
@@ -673,9 +940,15 @@ BEGIN
         o.order_id,
         o.customer_id,
         o.delivery_location,
+        o.delivery_latitude,
+        o.delivery_longitude,
         o.requested_capacity,
         o.accepted_price,
         o.status,
+        o.handover_code,
+        o.scheduled_for,
+        o.delivery_window_end,
+        o.leg_count,
         o.created_at,
         s.yard_location AS supplier_yard_location,
         s.business_contact AS supplier_business_contact,
@@ -688,7 +961,8 @@ BEGIN
     LEFT JOIN users su ON s.user_id = su.user_id
     LEFT JOIN users du ON o.driver_id = du.user_id
     WHERE o.order_id = p_order_id
-      AND o.customer_id = p_customer_id;
+      AND o.customer_id = p_customer_id
+      AND o.parent_order_id IS NULL;
     
     -- Check if order exists and belongs to customer
     IF NOT FOUND THEN
@@ -697,12 +971,37 @@ BEGIN
             'message', 'Order not found or does not belong to you'
         );
     END IF;
+
+    v_tracked_order_id := v_order_record.order_id;
+
+    IF v_order_record.leg_count > 1 THEN
+        SELECT COALESCE(json_agg(json_build_object(
+                   'order_id', l.order_id,
+                   'leg_number', l.leg_number,
+                   'quantity', l.requested_capacity,
+                   'status', l.status,
+                   'driver_name', du.name,
+                   'driver_phone', du.phone,
+                   'handover_code', CASE WHEN l.status = 'reached' THEN l.handover_code END
+               ) ORDER BY l.leg_number), '[]'::json)
+        INTO v_legs
+        FROM orders l
+        LEFT JOIN users du ON du.user_id = l.driver_id
+        WHERE l.parent_order_id = v_order_record.order_id;
+
+        SELECT COALESCE(MIN(order_id), v_tracked_order_id) INTO v_tracked_order_id
+        FROM orders
+        WHERE parent_order_id = v_order_record.order_id
+          AND status = 'ride_started';
+    END IF;
     
     -- Return order details
     RETURN json_build_object(
         'code', 1,
         'order_id', v_order_record.order_id,
         'delivery_location', v_order_record.delivery_location,
+        'delivery_latitude', v_order_record.delivery_latitude,
+        'delivery_longitude', v_order_record.delivery_longitude,
         'quantity', v_order_record.requested_capacity,
         'accepted_price', v_order_record.accepted_price,
         'status', v_order_record.status,
@@ -710,7 +1009,15 @@ BEGIN
         'supplier_business_contact', v_order_record.supplier_business_contact,
         'supplier_yard_location', v_order_record.supplier_yard_location,
         'driver_name', v_order_record.driver_name,
-        'driver_phone', v_order_record.driver_phone
+        'driver_phone', v_order_record.driver_phone,
+        'scheduled_for', v_order_record.scheduled_for,
+        'delivery_window_end', v_order_record.delivery_window_end,
+        'leg_count', v_order_record.leg_count,
+        'legs', COALESCE(v_legs, '[]'::json),
+        'tracked_order_id', v_tracked_order_id,
+        'eta', estimate_order_eta(v_tracked_order_id),
+        -- Only the customer ever sees the code; they read it out to the driver
+        'handover_code', CASE WHEN v_order_record.status = 'reached' THEN v_order_record.handover_code END
     );
     
 EXCEPTION
@@ -733,16 +1040,22 @@ $$ LANGUAGE plpgsql;
 --   p_customer_id: Customer user_id (for authorization)
 --   p_order_id: Order ID to rate
 --   p_rating: Rating value (1-5)
+--   p_allowed_statuses: Statuses the state machine allows rate from; only
+--                       checked while the order is still active
 -- Returns: JSON object with code field
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS submit_rating(INTEGER, INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION submit_rating(
     p_customer_id INTEGER,
     p_order_id INTEGER,
-    p_rating INTEGER
+    p_rating INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
+    v_refusal JSON;
     v_customer_phone VARCHAR(20);
     v_supplier_id INTEGER;
     v_order_status VARCHAR(20);
@@ -792,7 +1105,8 @@ BEGIN
     -- 1. Try to find the order in active orders
     SELECT * INTO v_order_record
     FROM orders
-    WHERE order_id = p_order_id AND customer_id = p_customer_id;
+    WHERE order_id = p_order_id AND customer_id = p_customer_id
+    FOR UPDATE;
 
     IF NOT FOUND THEN
         -- 2. Fallback: check if it was already archived 
@@ -812,6 +1126,16 @@ BEGIN
 
         v_already_archived := TRUE;
     ELSE
+        -- Legs are rated through the order they belong to
+        IF v_order_record.parent_order_id IS NOT NULL THEN
+            RETURN json_build_object('code', 0, 'message', 'Rate the whole order, not a single delivery leg');
+        END IF;
+
+        v_refusal := transition_refusal('rate', v_order_record.status, p_allowed_statuses);
+        IF v_refusal IS NOT NULL THEN
+            RETURN v_refusal;
+        END IF;
+
         -- Verify status if in active orders
         IF v_order_record.status != 'finished' THEN
             RETURN json_build_object('code', 0, 'message', 'Only finished orders can be rated. Current status: ' || v_order_record.status);
@@ -840,42 +1164,57 @@ BEGIN
         END IF;
     END IF;
 
+    PERFORM log_order_event(
+        p_order_id, 'rated', p_customer_id,
+        CASE WHEN v_already_archived THEN NULL ELSE 'finished' END, NULL,
+        jsonb_build_object('rating', p_rating)
+    );
+
     -- 4. Finalize History
     IF v_already_archived THEN
         UPDATE order_history 
         SET customer_rating = p_rating, rated_at = CURRENT_TIMESTAMP
         WHERE order_id = p_order_id AND customer_phone = v_customer_phone;
     ELSE
-        -- Standard Flow: Snapshot to history
+        -- Standard Flow: Snapshot to history. A multi-tanker order archives
+        -- each leg with its driver first, then the order with the totals and
+        -- the rating; deleting the order removes the legs.
         DECLARE
             v_snap RECORD;
         BEGIN
-            SELECT u.name AS customer_name, u.phone AS customer_phone,
-                   s.name AS supplier_name, s.phone AS supplier_phone,
-                   d.name AS driver_name, d.phone AS driver_phone,
-                   sp.yard_location AS yard_location
-            INTO v_snap
-            FROM orders o
-            LEFT JOIN users u ON o.customer_id = u.user_id
-            LEFT JOIN users s ON o.supplier_id = s.user_id
-            LEFT JOIN users d ON o.driver_id = d.user_id
-            LEFT JOIN suppliers sp ON o.supplier_id = sp.user_id
-            WHERE o.order_id = p_order_id;
-
-            INSERT INTO order_history (
-                order_id, supplier_id, customer_name, customer_phone, supplier_name, supplier_phone, driver_name, driver_phone,
-                customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at, created_at
-            ) VALUES (
-                p_order_id, v_supplier_id,
-                COALESCE(v_snap.customer_name, ''),
-                COALESCE(v_snap.customer_phone, ''),
-                v_snap.supplier_name, v_snap.supplier_phone,
-                v_snap.driver_name, v_snap.driver_phone,
-                v_order_record.delivery_location, COALESCE(v_snap.yard_location, ''),
-                v_order_record.accepted_price, v_order_record.requested_capacity,
-                'completed', v_order_record.order_confirmed_at,
-                NULL, p_rating, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
-            );
+            FOR v_snap IN (
+                SELECT o.*,
+                       u.name AS customer_name, u.phone AS customer_phone,
+                       s.name AS supplier_name, s.phone AS supplier_phone,
+                       d.name AS driver_name, d.phone AS driver_phone,
+                       sp.yard_location AS yard_location
+                FROM orders o
+                LEFT JOIN users u ON o.customer_id = u.user_id
+                LEFT JOIN users s ON o.supplier_id = s.user_id
+                LEFT JOIN users d ON o.driver_id = d.user_id
+                LEFT JOIN suppliers sp ON o.supplier_id = sp.user_id
+                WHERE o.order_id = p_order_id OR o.parent_order_id = p_order_id
+                ORDER BY o.parent_order_id NULLS LAST, o.leg_number
+            ) LOOP
+                INSERT INTO order_history (
+                    order_id, supplier_id, customer_name, customer_phone, supplier_name, supplier_phone, driver_name, driver_phone,
+                    customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at,
+                    parent_order_id, leg_number, leg_count, pricing_version_id, created_at
+                ) VALUES (
+                    v_snap.order_id, v_supplier_id,
+                    COALESCE(v_snap.customer_name, ''),
+                    COALESCE(v_snap.customer_phone, ''),
+                    v_snap.supplier_name, v_snap.supplier_phone,
+                    v_snap.driver_name, v_snap.driver_phone,
+                    v_snap.delivery_location, COALESCE(v_snap.yard_location, ''),
+                    v_snap.accepted_price, v_snap.requested_capacity,
+                    'completed', v_snap.order_confirmed_at,
+                    NULL,
+                    CASE WHEN v_snap.parent_order_id IS NULL THEN p_rating END,
+                    CASE WHEN v_snap.parent_order_id IS NULL THEN CURRENT_TIMESTAMP END,
+                    v_snap.parent_order_id, v_snap.leg_number, v_snap.leg_count, v_snap.pricing_version_id, CURRENT_TIMESTAMP
+                );
+            END LOOP;
 
             DELETE FROM orders WHERE order_id = p_order_id;
         END;
@@ -896,7 +1235,7 @@ $$ LANGUAGE plpgsql;
 -- Parameters:
 --   p_customer_id: Customer user_id (for authorization)
 --   p_order_id: Order ID to view details for
--- Returns: JSON object with order details
+-- Returns: JSON object with order details and proof of delivery (if any)
 -- ============================================================================
 CREATE OR REPLACE FUNCTION view_past_order_details_customer(
     p_customer_id INTEGER,
@@ -949,7 +1288,10 @@ BEGIN
             'driver_name', v_order_record.driver_name,
             'supplier_name', v_order_record.supplier_name,
             'customer_location', v_order_record.customer_location,
-            'yard_location', v_order_record.yard_location
+            'yard_location', v_order_record.yard_location,
+            'delivery_proof', get_delivery_proof(v_order_record.order_id),
+            'leg_count', v_order_record.leg_count,
+            'legs', get_order_history_legs(v_order_record.order_id)
         )
     );
     
@@ -963,6 +1305,69 @@ END;
 $$ LANGUAGE plpgsql;
 
 
+-- ============================================================================
+-- FUNCTION: List suppliers a customer can send direct orders to
+-- ============================================================================
+-- Purpose: Suppliers who have completed at least one order for the customer,
+--          most recently used first. These are the only valid values for
+--          START_ORDER's p_preferred_supplier_id.
+-- Parameters:
+--   p_customer_id: Customer user_id
+-- Returns: JSON object with suppliers array
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION list_preferred_suppliers(
+    p_customer_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_customer_phone VARCHAR(20);
+    v_suppliers JSON;
+BEGIN
+    IF p_customer_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID cannot be null'
+        );
+    END IF;
+
+    SELECT phone INTO v_customer_phone
+    FROM users
+    WHERE user_id = p_customer_id;
+
+    SELECT COALESCE(json_agg(row_to_json(t) ORDER BY t.last_order_date DESC), '[]'::json)
+    INTO v_suppliers
+    FROM (
+        SELECT
+            oh.supplier_id,
+            u.name AS supplier_name,
+            s.yard_location,
+            s.rating,
+            COUNT(*) AS completed_orders,
+            MAX(oh.order_date) AS last_order_date
+        FROM order_history oh
+        JOIN suppliers s ON s.user_id = oh.supplier_id
+        JOIN users u ON u.user_id = oh.supplier_id
+        WHERE oh.customer_phone = v_customer_phone
+          AND oh.status = 'completed'
+        GROUP BY oh.supplier_id, u.name, s.yard_location, s.rating
+    ) t;
+
+    RETURN json_build_object(
+        'code', 1,
+        'suppliers', v_suppliers
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to list preferred suppliers: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
 
 
 -- ============================================================================
@@ -970,7 +1375,9 @@ $$ LANGUAGE plpgsql;
 -- ============================================================================
 -- Purpose: Safely log out a customer. 
 --          1. Blocks logout if there is an active delivery in progress.
---          2. If an 'open' order exists, deletes it (and its bids via cascade).
+--          2. If an 'open' or 'direct_offer' order exists, deletes it (and its
+--             bids via cascade). Scheduled orders are kept; the customer
+--             planned them ahead.
 --          3. Deletes the session token.
 -- Parameters:
 --   p_user_id: Customer user_id
@@ -990,7 +1397,7 @@ BEGIN
     SELECT EXISTS(
         SELECT 1 FROM orders 
         WHERE customer_id = p_user_id 
-        AND status NOT IN ('open', 'finished')
+        AND status NOT IN ('scheduled', 'direct_offer', 'open', 'finished')
     ) INTO v_active_order_exists;
 
     IF v_active_order_exists THEN
@@ -1000,9 +1407,17 @@ BEGIN
         );
     END IF;
 
-    -- 2. Handle 'open' orders: delete them (bids will cascade delete)
-    DELETE FROM orders
-    WHERE customer_id = p_user_id AND status = 'open';
+    -- 2. Handle 'open' and 'direct_offer' orders: delete them (bids will cascade delete)
+    WITH removed AS (
+        DELETE FROM orders
+        WHERE customer_id = p_user_id
+          AND status IN ('open', 'direct_offer')
+          AND scheduled_for IS NULL
+        RETURNING order_id, status
+    )
+    INSERT INTO order_events (order_id, event_type, from_status, actor_id, actor_role, customer_id, payload)
+    SELECT order_id, 'removed', status, p_user_id, 'customer', p_user_id, jsonb_build_object('reason', 'logout')
+    FROM removed;
 
     -- 3. Delete the session
     DELETE FROM sessions 
@@ -1030,26 +1445,37 @@ $$ LANGUAGE plpgsql;
 -- Parameters:
 --   p_user_id: Customer user_id (for authorization)
 --   p_bid_id: Bid ID to reject
+--   p_allowed_statuses: Statuses the state machine allows reject_bid from
+--                       (NULL skips the check, see transition_refusal)
 -- Returns: JSON object with status
 -- ============================================================================
+DROP FUNCTION IF EXISTS reject_bid(INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION reject_bid(
     p_user_id INTEGER,
-    p_bid_id INTEGER
+    p_bid_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_order_id INTEGER;
     v_order_status VARCHAR(20);
     v_customer_id INTEGER;
+    v_bid_supplier_id INTEGER;
+    v_bid_price INTEGER;
+    v_refusal JSON;
 BEGIN
-    -- 1. Find the order associated with this bid
+    -- 1. Find the order associated with this bid; only the customer who owns
+    --    the order can reject its bids, so anyone else's bid reads as missing.
     SELECT b.order_id, o.status, o.customer_id 
     INTO v_order_id, v_order_status, v_customer_id
     FROM bids b
     JOIN orders o ON b.order_id = o.order_id
-    WHERE b.bid_id = p_bid_id;
+    WHERE b.bid_id = p_bid_id
+      AND o.customer_id = p_user_id
+    FOR UPDATE OF o;
 
-    -- 2. Validate existence
+    -- 2. Validate existence and ownership
     IF NOT FOUND THEN
         RETURN json_build_object(
             'code', 0,
@@ -1057,12 +1483,9 @@ BEGIN
         );
     END IF;
 
-    -- 3. Validate ownership (only the customer who owns the order can reject bids)
-    IF v_customer_id != p_user_id THEN
-        RETURN json_build_object(
-            'code', 0,
-            'message', 'Not authorized to reject this bid'
-        );
+    v_refusal := transition_refusal('reject_bid', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
     END IF;
 
     -- 4. Validate order status (can only reject bids while order is still 'open')
@@ -1075,7 +1498,14 @@ BEGIN
 
     -- 5. Delete the bid
     DELETE FROM bids
-    WHERE bid_id = p_bid_id;
+    WHERE bid_id = p_bid_id
+    RETURNING supplier_id, bid_price INTO v_bid_supplier_id, v_bid_price;
+
+    PERFORM log_order_event(v_order_id, 'bid_rejected', p_user_id, 'open', 'open', jsonb_build_object(
+        'bid_id', p_bid_id,
+        'supplier_id', v_bid_supplier_id,
+        'bid_price', v_bid_price
+    ));
 
     RETURN json_build_object(
         'code', 1,
@@ -1092,6 +1522,127 @@ END;
 $$ LANGUAGE plpgsql;
 
 
+-- ============================================================================
+-- FUNCTION: Counter a supplier bid
+-- ============================================================================
+-- Purpose: Customer proposes a price between their own offer and a live bid.
+--          The supplier gets 15 seconds from countered_at to accept (see
+--          respond_counter_offer) or decline; the bid stays alive until then
+--          and keeps its created_at, so send_bid's cooldown is unchanged.
+--          One counter per bid: after a decline the bid stands at its price.
+-- Parameters:
+--   p_customer_id: Customer user_id (must own the order)
+--   p_bid_id: Bid ID to counter
+--   p_counter_price: Proposed price (customer_bid_price <= price < bid_price)
+--   p_allowed_statuses: Statuses the state machine allows counter_bid from
+-- Returns: JSON object with order_id, supplier_id, bid_price, counter_price
+--          and expires_at
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+DROP FUNCTION IF EXISTS counter_bid(INTEGER, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION counter_bid(
+    p_customer_id INTEGER,
+    p_bid_id INTEGER,
+    p_counter_price INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_bid RECORD;
+    v_refusal JSON;
+BEGIN
+    IF p_customer_id IS NULL OR p_bid_id IS NULL OR p_counter_price IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID, bid ID and counter price cannot be null'
+        );
+    END IF;
+
+    SELECT b.bid_id, b.order_id, b.supplier_id, b.bid_price, b.counter_status, b.created_at, b.countered_at,
+           o.customer_id, o.status, o.customer_bid_price
+    INTO v_bid
+    FROM bids b
+    JOIN orders o ON o.order_id = b.order_id
+    WHERE b.bid_id = p_bid_id
+      AND o.customer_id = p_customer_id
+    FOR UPDATE OF b, o;
+
+    IF NOT FOUND OR bid_expires_at(v_bid.created_at, v_bid.counter_status, v_bid.countered_at) < CURRENT_TIMESTAMP THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Bid not found or expired'
+        );
+    END IF;
+
+    v_refusal := transition_refusal('counter_bid', v_bid.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    IF v_bid.status != 'open' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Bids can only be countered while the order is open'
+        );
+    END IF;
+
+    IF v_bid.counter_status = 'pending' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'The supplier has not answered your counter-offer on this bid yet'
+        );
+    END IF;
+
+    IF v_bid.counter_status = 'declined' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'The supplier already declined a counter-offer on this bid'
+        );
+    END IF;
+
+    IF p_counter_price < v_bid.customer_bid_price OR p_counter_price >= v_bid.bid_price THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Counter-offer must be at least your offer of ' || v_bid.customer_bid_price
+                       || ' and below the bid of ' || v_bid.bid_price
+        );
+    END IF;
+
+    UPDATE bids
+    SET counter_price = p_counter_price,
+        counter_status = 'pending',
+        countered_at = CURRENT_TIMESTAMP
+    WHERE bid_id = p_bid_id;
+
+    PERFORM log_order_event(v_bid.order_id, 'bid_countered', p_customer_id, 'open', 'open', jsonb_build_object(
+        'bid_id', p_bid_id,
+        'supplier_id', v_bid.supplier_id,
+        'bid_price', v_bid.bid_price,
+        'counter_price', p_counter_price
+    ));
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Counter-offer sent',
+        'bid_id', p_bid_id,
+        'order_id', v_bid.order_id,
+        'supplier_id', v_bid.supplier_id,
+        'bid_price', v_bid.bid_price,
+        'counter_price', p_counter_price,
+        'expires_at', (CURRENT_TIMESTAMP + INTERVAL '15 seconds')
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to counter bid: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
 -- ============================================================================
 -- FUNCTION: Delete customer account
 -- ============================================================================
@@ -1144,7 +1695,8 @@ BEGIN
         -- Archive as 'completed' with skip rating
         INSERT INTO order_history (
             order_id, supplier_id, customer_name, customer_phone, supplier_name, supplier_phone, driver_name, driver_phone,
-            customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at, created_at
+            customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at,
+            parent_order_id, leg_number, leg_count, pricing_version_id, created_at
         ) VALUES (
             v_order_record.order_id, v_order_record.supplier_id,
             COALESCE(v_order_record.customer_name, ''),
@@ -1154,9 +1706,13 @@ BEGIN
             v_order_record.delivery_location, COALESCE(v_order_record.yard_location, ''),
             v_order_record.accepted_price, v_order_record.requested_capacity,
             'completed', v_order_record.order_confirmed_at,
-            NULL, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+            NULL, NULL, CURRENT_TIMESTAMP,
+            v_order_record.parent_order_id, v_order_record.leg_number, v_order_record.leg_count, v_order_record.pricing_version_id, CURRENT_TIMESTAMP
         );
         
+        PERFORM log_order_event(v_order_record.order_id, 'archived', p_user_id, 'finished', NULL,
+                                jsonb_build_object('reason', 'customer_account_deleted'));
+
         -- Delete from orders (to avoid double cascade)
         DELETE FROM orders WHERE order_id = v_order_record.order_id;
     END LOOP;
@@ -1178,3 +1734,951 @@ EXCEPTION
         );
 END;
 $$ LANGUAGE plpgsql;
+
+
+---------------------------------------
+--           ADDRESS BOOK
+---------------------------------------
+
+-- ============================================================================
+-- FUNCTION: List a customer's saved addresses
+-- ============================================================================
+-- Purpose: Address book for the order form, default address first
+-- Parameters:
+--   p_customer_id: Customer user_id
+-- Returns: JSON object with addresses array
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION list_customer_addresses(
+    p_customer_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_addresses JSON;
+BEGIN
+    IF p_customer_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID cannot be null'
+        );
+    END IF;
+
+    SELECT COALESCE(json_agg(
+        json_build_object(
+            'address_id', a.address_id,
+            'label', a.label,
+            'address', a.address,
+            'latitude', a.latitude,
+            'longitude', a.longitude,
+            'district', a.district,
+            'is_default', a.is_default
+        )
+        ORDER BY a.is_default DESC, LOWER(a.label)
+    ), '[]'::json)
+    INTO v_addresses
+    FROM customer_addresses a
+    WHERE a.customer_id = p_customer_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'addresses', v_addresses
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to list addresses: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Create or update a saved address
+-- ============================================================================
+-- Purpose: Adds an address to the customer's address book (p_address_id NULL)
+--          or replaces the fields of an existing one. Labels are unique per
+--          customer, case-insensitively; a customer keeps at most 10 addresses.
+-- Parameters:
+--   p_customer_id: Customer user_id
+--   p_address_id: Address to update, or NULL to create
+--   p_label: Short name shown in the picker (Home, Office, Plot 2...)
+--   p_address: Street address text
+--   p_latitude, p_longitude: Optional coordinates (both or neither)
+--   p_district: Optional service district, copied onto orders for area matching
+--   p_is_default: TRUE makes this the default address. FALSE/NULL leaves the
+--                 default unchanged; a customer's first address is always
+--                 the default.
+-- Returns: JSON object with address_id and is_default
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION save_customer_address(
+    p_customer_id INTEGER,
+    p_address_id INTEGER,
+    p_label VARCHAR,
+    p_address TEXT,
+    p_latitude NUMERIC DEFAULT NULL,
+    p_longitude NUMERIC DEFAULT NULL,
+    p_district VARCHAR(50) DEFAULT NULL,
+    p_is_default BOOLEAN DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_customer_role VARCHAR(20);
+    v_coordinates_error TEXT;
+    v_address_count INTEGER;
+    v_address_id INTEGER;
+    v_is_default BOOLEAN;
+BEGIN
+    SELECT role INTO v_customer_role
+    FROM users
+    WHERE user_id = p_customer_id;
+
+    IF NOT FOUND OR v_customer_role != 'customer' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'User is not a customer'
+        );
+    END IF;
+
+    IF p_label IS NULL OR TRIM(p_label) = '' OR LENGTH(TRIM(p_label)) > 40 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Label is required and must be at most 40 characters'
+        );
+    END IF;
+
+    IF p_address IS NULL OR TRIM(p_address) = '' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Address cannot be empty'
+        );
+    END IF;
+
+    v_coordinates_error := coordinates_error(p_latitude, p_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
+
+    -- Serialize address book changes for this customer (limit and default flag).
+    PERFORM 1 FROM users WHERE user_id = p_customer_id FOR UPDATE;
+
+    SELECT COUNT(*) INTO v_address_count
+    FROM customer_addresses
+    WHERE customer_id = p_customer_id;
+
+    IF p_address_id IS NULL THEN
+        IF v_address_count >= 10 THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'You can save at most 10 addresses'
+            );
+        END IF;
+
+        v_is_default := COALESCE(p_is_default, FALSE) OR v_address_count = 0;
+    ELSE
+        SELECT is_default INTO v_is_default
+        FROM customer_addresses
+        WHERE address_id = p_address_id
+          AND customer_id = p_customer_id;
+
+        IF NOT FOUND THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Address not found'
+            );
+        END IF;
+
+        v_is_default := v_is_default OR COALESCE(p_is_default, FALSE);
+    END IF;
+
+    IF v_is_default THEN
+        UPDATE customer_addresses
+        SET is_default = FALSE,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = p_customer_id
+          AND is_default
+          AND address_id IS DISTINCT FROM p_address_id;
+    END IF;
+
+    IF p_address_id IS NULL THEN
+        INSERT INTO customer_addresses (
+            customer_id, label, address, latitude, longitude, district, is_default
+        ) VALUES (
+            p_customer_id,
+            TRIM(p_label),
+            TRIM(p_address),
+            p_latitude,
+            p_longitude,
+            NULLIF(TRIM(p_district), ''),
+            v_is_default
+        )
+        RETURNING address_id INTO v_address_id;
+    ELSE
+        UPDATE customer_addresses
+        SET label = TRIM(p_label),
+            address = TRIM(p_address),
+            latitude = p_latitude,
+            longitude = p_longitude,
+            district = NULLIF(TRIM(p_district), ''),
+            is_default = v_is_default,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE address_id = p_address_id
+        RETURNING address_id INTO v_address_id;
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', CASE WHEN p_address_id IS NULL THEN 'Address saved' ELSE 'Address updated' END,
+        'address_id', v_address_id,
+        'is_default', v_is_default
+    );
+
+EXCEPTION
+    WHEN unique_violation THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'You already have an address labelled ' || TRIM(p_label)
+        );
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to save address: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Delete a saved address
+-- ============================================================================
+-- Purpose: Removes an address from the customer's address book. If it was the
+--          default, the most recently updated remaining address takes over.
+--          Orders keep their own copy of the delivery location.
+-- Parameters:
+--   p_customer_id: Customer user_id
+--   p_address_id: Address to delete
+-- Returns: JSON object with new_default_address_id (NULL if none)
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION delete_customer_address(
+    p_customer_id INTEGER,
+    p_address_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_was_default BOOLEAN;
+    v_new_default_id INTEGER;
+BEGIN
+    PERFORM 1 FROM users WHERE user_id = p_customer_id FOR UPDATE;
+
+    DELETE FROM customer_addresses
+    WHERE address_id = p_address_id
+      AND customer_id = p_customer_id
+    RETURNING is_default INTO v_was_default;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Address not found'
+        );
+    END IF;
+
+    IF v_was_default THEN
+        UPDATE customer_addresses
+        SET is_default = TRUE,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE address_id = (
+            SELECT address_id
+            FROM customer_addresses
+            WHERE customer_id = p_customer_id
+            ORDER BY updated_at DESC, address_id DESC
+            LIMIT 1
+        )
+        RETURNING address_id INTO v_new_default_id;
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Address deleted',
+        'new_default_address_id', v_new_default_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to delete address: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+---------------------------------------
+--           SUBSCRIPTIONS
+---------------------------------------
+
+-- ============================================================================
+-- FUNCTION: Next occurrence of a subscription schedule
+-- ============================================================================
+-- Purpose: First delivery time strictly after p_after that falls on one of the
+--          subscription's weekdays at its wall-clock time, in its timezone.
+-- Parameters:
+--   p_days_of_week: Weekdays, 0=Sunday .. 6=Saturday
+--   p_delivery_time: Local start of the delivery window
+--   p_timezone: IANA timezone name the schedule is written in
+--   p_after: Reference instant
+-- Returns: TIMESTAMPTZ, or NULL when p_days_of_week is empty
+-- ============================================================================
+CREATE OR REPLACE FUNCTION next_subscription_run(
+    p_days_of_week SMALLINT[],
+    p_delivery_time TIME,
+    p_timezone TEXT,
+    p_after TIMESTAMPTZ
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+    v_local_date DATE;
+    v_candidate TIMESTAMPTZ;
+BEGIN
+    v_local_date := (p_after AT TIME ZONE p_timezone)::date;
+
+    -- Today plus a full week always contains the next matching weekday.
+    FOR v_offset IN 0..7 LOOP
+        v_candidate := ((v_local_date + v_offset) + p_delivery_time) AT TIME ZONE p_timezone;
+        IF EXTRACT(DOW FROM v_local_date + v_offset)::INTEGER = ANY(p_days_of_week)
+           AND v_candidate > p_after THEN
+            RETURN v_candidate;
+        END IF;
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+
+-- ============================================================================
+-- FUNCTION: Create a recurring delivery subscription
+-- ============================================================================
+-- Purpose: Customer sets up a repeating order (e.g. every Mon/Thu at 08:00).
+--          Quantity and price are checked the same way START_ORDER checks
+--          them, so a bad subscription is rejected up front.
+-- Parameters:
+--   p_customer_id: Customer user_id
+--   p_delivery_location: Delivery address text
+--   p_requested_capacity: Gallons (same rules as START_ORDER)
+--   p_customer_bid_price: Offer used for every order, within order_price_band()
+--                         for the first delivery (later runs are rechecked by
+--                         START_ORDER)
+--   p_days_of_week: Weekdays to deliver on, 0=Sunday .. 6=Saturday
+--   p_delivery_time: Local start of each delivery window
+--   p_window_hours: Length of each delivery window (1-12 hours)
+--   p_delivery_latitude, p_delivery_longitude: Optional coordinates (both or neither)
+--   p_delivery_district: Optional service district
+--   p_timezone: IANA timezone for p_delivery_time
+-- Returns: JSON object with subscription_id and next_run_at
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION create_subscription(
+    p_customer_id INTEGER,
+    p_delivery_location TEXT,
+    p_requested_capacity NUMERIC,
+    p_customer_bid_price NUMERIC,
+    p_days_of_week SMALLINT[],
+    p_delivery_time TIME,
+    p_window_hours INTEGER DEFAULT 2,
+    p_delivery_latitude NUMERIC DEFAULT NULL,
+    p_delivery_longitude NUMERIC DEFAULT NULL,
+    p_delivery_district VARCHAR(50) DEFAULT NULL,
+    p_timezone VARCHAR(64) DEFAULT 'Asia/Karachi'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_customer_role VARCHAR(20);
+    v_coordinates_error TEXT;
+    v_base_price INTEGER;
+    v_min_price NUMERIC(10,2);
+    v_max_price NUMERIC(10,2);
+    v_days SMALLINT[];
+    v_active_count INTEGER;
+    v_next_run_at TIMESTAMPTZ;
+    v_subscription_id INTEGER;
+BEGIN
+    IF p_customer_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID cannot be null'
+        );
+    END IF;
+
+    SELECT role INTO v_customer_role
+    FROM users
+    WHERE user_id = p_customer_id;
+
+    IF NOT FOUND OR v_customer_role != 'customer' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'User is not a customer'
+        );
+    END IF;
+
+    IF p_delivery_location IS NULL OR TRIM(p_delivery_location) = '' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Delivery location cannot be empty'
+        );
+    END IF;
+
+    v_coordinates_error := coordinates_error(p_delivery_latitude, p_delivery_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
+
+    v_base_price := order_base_price(p_requested_capacity);
+
+    IF v_base_price IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Invalid quantity. Please select from available options'
+        );
+    END IF;
+
+    IF p_customer_bid_price IS NULL OR p_customer_bid_price <= 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Bid price must be greater than 0'
+        );
+    END IF;
+
+    IF p_days_of_week IS NULL OR COALESCE(array_length(p_days_of_week, 1), 0) = 0
+       OR EXISTS (SELECT 1 FROM unnest(p_days_of_week) AS d WHERE d IS NULL OR d NOT BETWEEN 0 AND 6) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Pick at least one delivery day (0=Sunday to 6=Saturday)'
+        );
+    END IF;
+
+    IF p_delivery_time IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Delivery time cannot be null'
+        );
+    END IF;
+
+    IF p_window_hours IS NULL OR p_window_hours NOT BETWEEN 1 AND 12 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Delivery window must be between 1 and 12 hours'
+        );
+    END IF;
+
+    IF p_timezone IS NULL OR NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = p_timezone) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Unknown timezone'
+        );
+    END IF;
+
+    SELECT COUNT(*) INTO v_active_count
+    FROM customer_subscriptions
+    WHERE customer_id = p_customer_id
+      AND status IN ('active', 'paused');
+
+    IF v_active_count >= 5 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'You can have at most 5 subscriptions. Cancel one before adding another'
+        );
+    END IF;
+
+    v_days := ARRAY(SELECT DISTINCT d FROM unnest(p_days_of_week) AS d ORDER BY d);
+    v_next_run_at := next_subscription_run(v_days, p_delivery_time, p_timezone, CURRENT_TIMESTAMP);
+
+    -- Checked for the first delivery; pricing rules can differ on other days,
+    -- in which case that run records START_ORDER's message in last_run_error.
+    SELECT min_price, max_price
+    INTO v_min_price, v_max_price
+    FROM order_price_band(p_requested_capacity, p_delivery_district, v_next_run_at);
+
+    IF p_customer_bid_price < v_min_price OR p_customer_bid_price > v_max_price THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', format('Incorrect pricing. Offer between %s and %s for this delivery', CEIL(v_min_price), FLOOR(v_max_price))
+        );
+    END IF;
+
+    INSERT INTO customer_subscriptions (
+        customer_id,
+        delivery_location,
+        delivery_latitude,
+        delivery_longitude,
+        delivery_district,
+        requested_capacity,
+        customer_bid_price,
+        days_of_week,
+        delivery_time,
+        window_hours,
+        timezone,
+        next_run_at
+    ) VALUES (
+        p_customer_id,
+        TRIM(p_delivery_location),
+        p_delivery_latitude,
+        p_delivery_longitude,
+        NULLIF(TRIM(p_delivery_district), ''),
+        p_requested_capacity,
+        p_customer_bid_price,
+        v_days,
+        p_delivery_time,
+        p_window_hours,
+        p_timezone,
+        v_next_run_at
+    )
+    RETURNING subscription_id INTO v_subscription_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'subscription_id', v_subscription_id,
+        'next_run_at', v_next_run_at,
+        'message', 'Subscription created successfully'
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to create subscription: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: List a customer's subscriptions
+-- ============================================================================
+-- Purpose: Active and paused subscriptions (cancelled ones are hidden)
+-- Parameters:
+--   p_customer_id: Customer user_id
+-- Returns: JSON object with a subscriptions array
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION list_customer_subscriptions(
+    p_customer_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_subscriptions JSON;
+BEGIN
+    IF p_customer_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID cannot be null'
+        );
+    END IF;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'subscription_id', cs.subscription_id,
+        'delivery_location', cs.delivery_location,
+        'delivery_district', cs.delivery_district,
+        'requested_capacity', cs.requested_capacity,
+        'customer_bid_price', cs.customer_bid_price,
+        'days_of_week', cs.days_of_week,
+        'delivery_time', to_char(cs.delivery_time, 'HH24:MI'),
+        'window_hours', cs.window_hours,
+        'timezone', cs.timezone,
+        'status', cs.status,
+        'next_run_at', cs.next_run_at,
+        'last_run_at', cs.last_run_at,
+        'last_order_id', cs.last_order_id,
+        'last_run_error', cs.last_run_error,
+        'created_at', cs.created_at
+    ) ORDER BY cs.created_at), '[]'::json)
+    INTO v_subscriptions
+    FROM customer_subscriptions cs
+    WHERE cs.customer_id = p_customer_id
+      AND cs.status != 'cancelled';
+
+    RETURN json_build_object(
+        'code', 1,
+        'subscriptions', v_subscriptions
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to list subscriptions: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Pause or resume a subscription
+-- ============================================================================
+-- Purpose: Paused subscriptions place no orders. Pausing keeps next_run_at,
+--          so a skip made before the pause still holds; resuming keeps it if
+--          it is still ahead, otherwise picks the next occurrence after both
+--          now and the last one an order was placed for. Missed occurrences
+--          are not back-filled and placed ones are not placed again.
+-- Parameters:
+--   p_customer_id: Customer user_id (ownership check)
+--   p_subscription_id: Subscription to change
+--   p_paused: TRUE to pause, FALSE to resume
+-- Returns: JSON object with status and next_run_at
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION set_subscription_paused(
+    p_customer_id INTEGER,
+    p_subscription_id INTEGER,
+    p_paused BOOLEAN
+)
+RETURNS JSON AS $$
+DECLARE
+    v_subscription RECORD;
+    v_next_run_at TIMESTAMPTZ;
+BEGIN
+    IF p_customer_id IS NULL OR p_subscription_id IS NULL OR p_paused IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID, subscription ID and paused flag cannot be null'
+        );
+    END IF;
+
+    SELECT * INTO v_subscription
+    FROM customer_subscriptions
+    WHERE subscription_id = p_subscription_id
+      AND customer_id = p_customer_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_subscription.status = 'cancelled' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Subscription not found or does not belong to you'
+        );
+    END IF;
+
+    IF p_paused THEN
+        IF v_subscription.status = 'paused' THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Subscription is already paused'
+            );
+        END IF;
+
+        v_next_run_at := v_subscription.next_run_at;
+
+        UPDATE customer_subscriptions
+        SET status = 'paused',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE subscription_id = p_subscription_id;
+    ELSE
+        IF v_subscription.status = 'active' THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Subscription is not paused'
+            );
+        END IF;
+
+        IF v_subscription.next_run_at > CURRENT_TIMESTAMP THEN
+            v_next_run_at := v_subscription.next_run_at;
+        ELSE
+            v_next_run_at := next_subscription_run(
+                v_subscription.days_of_week, v_subscription.delivery_time,
+                v_subscription.timezone,
+                GREATEST(CURRENT_TIMESTAMP, COALESCE(v_subscription.last_scheduled_for, CURRENT_TIMESTAMP))
+            );
+        END IF;
+
+        UPDATE customer_subscriptions
+        SET status = 'active',
+            next_run_at = v_next_run_at,
+            last_run_error = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE subscription_id = p_subscription_id;
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'subscription_id', p_subscription_id,
+        'status', CASE WHEN p_paused THEN 'paused' ELSE 'active' END,
+        'next_run_at', v_next_run_at,
+        'message', CASE WHEN p_paused THEN 'Subscription paused' ELSE 'Subscription resumed' END
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to update subscription: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Skip the next subscription delivery
+-- ============================================================================
+-- Purpose: Moves next_run_at one occurrence forward. An order that was
+--          already placed for an occurrence is not touched; the customer
+--          cancels that order instead.
+-- Parameters:
+--   p_customer_id: Customer user_id (ownership check)
+--   p_subscription_id: Subscription to skip
+-- Returns: JSON object with skipped_run_at and next_run_at
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION skip_next_subscription_run(
+    p_customer_id INTEGER,
+    p_subscription_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_subscription RECORD;
+    v_next_run_at TIMESTAMPTZ;
+BEGIN
+    IF p_customer_id IS NULL OR p_subscription_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID and subscription ID cannot be null'
+        );
+    END IF;
+
+    SELECT * INTO v_subscription
+    FROM customer_subscriptions
+    WHERE subscription_id = p_subscription_id
+      AND customer_id = p_customer_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_subscription.status = 'cancelled' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Subscription not found or does not belong to you'
+        );
+    END IF;
+
+    IF v_subscription.status != 'active' OR v_subscription.next_run_at IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Only active subscriptions can skip a delivery'
+        );
+    END IF;
+
+    v_next_run_at := next_subscription_run(
+        v_subscription.days_of_week, v_subscription.delivery_time,
+        v_subscription.timezone, v_subscription.next_run_at
+    );
+
+    UPDATE customer_subscriptions
+    SET next_run_at = v_next_run_at,
+        last_run_error = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE subscription_id = p_subscription_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'subscription_id', p_subscription_id,
+        'skipped_run_at', v_subscription.next_run_at,
+        'next_run_at', v_next_run_at,
+        'message', 'Next delivery skipped'
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to skip delivery: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Cancel a subscription
+-- ============================================================================
+-- Purpose: Stops all future deliveries. Orders already placed by the
+--          subscription stay as they are.
+-- Parameters:
+--   p_customer_id: Customer user_id (ownership check)
+--   p_subscription_id: Subscription to cancel
+-- Returns: JSON object with code field
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION cancel_subscription(
+    p_customer_id INTEGER,
+    p_subscription_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_rows_updated INTEGER;
+BEGIN
+    IF p_customer_id IS NULL OR p_subscription_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Customer ID and subscription ID cannot be null'
+        );
+    END IF;
+
+    UPDATE customer_subscriptions
+    SET status = 'cancelled',
+        next_run_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE subscription_id = p_subscription_id
+      AND customer_id = p_customer_id
+      AND status != 'cancelled';
+
+    GET DIAGNOSTICS v_rows_updated = ROW_COUNT;
+
+    IF v_rows_updated = 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Subscription not found or does not belong to you'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'subscription_id', p_subscription_id,
+        'message', 'Subscription cancelled'
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to cancel subscription: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Place orders for due subscriptions
+-- ============================================================================
+-- Purpose: Scheduler sweep. Every active subscription whose next occurrence
+--          starts within p_ahead_minutes becomes a scheduled order through
+--          START_ORDER, then moves on to the following occurrence.
+-- Parameters:
+--   p_ahead_minutes: How far ahead of an occurrence to place its order
+--                    (at most 7 days, START_ORDER's scheduling limit)
+--   p_lead_minutes: The surfacing lead time, passed on to START_ORDER. Runs
+--                   placed further ahead than this are upcoming orders: they
+--                   do not wait for the customer's live order to finish and
+--                   do not stop the customer ordering in the meantime.
+-- Returns: JSON object listing created orders and missed occurrences so the
+--          caller can notify customers
+-- Code: 1=Success, 0=Failure
+-- Notes:
+--   - When START_ORDER refuses (e.g. a run already within the lead time and
+--     the customer still has an active order) the reason is kept in
+--     last_run_error and the next sweep retries.
+--   - An occurrence whose start time passes without an order is reported as
+--     missed and the subscription moves on.
+-- ============================================================================
+DROP FUNCTION IF EXISTS materialize_due_subscriptions(INTEGER);
+
+CREATE OR REPLACE FUNCTION materialize_due_subscriptions(
+    p_ahead_minutes INTEGER,
+    p_lead_minutes INTEGER DEFAULT 120
+)
+RETURNS JSON AS $$
+DECLARE
+    v_subscription RECORD;
+    v_result JSON;
+    v_created JSONB := '[]'::jsonb;
+    v_missed JSONB := '[]'::jsonb;
+    v_reason TEXT;
+BEGIN
+    IF p_ahead_minutes IS NULL OR p_ahead_minutes NOT BETWEEN 0 AND 10080 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Lead time must be between 0 and 10080 minutes'
+        );
+    END IF;
+
+    FOR v_subscription IN
+        SELECT *
+        FROM customer_subscriptions
+        WHERE status = 'active'
+          AND next_run_at IS NOT NULL
+          AND next_run_at <= CURRENT_TIMESTAMP + make_interval(mins => p_ahead_minutes)
+        ORDER BY next_run_at
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        IF v_subscription.next_run_at <= CURRENT_TIMESTAMP THEN
+            v_reason := COALESCE(v_subscription.last_run_error, 'Delivery time passed before an order could be placed');
+
+            UPDATE customer_subscriptions
+            SET next_run_at = next_subscription_run(days_of_week, delivery_time, timezone, CURRENT_TIMESTAMP),
+                last_run_at = CURRENT_TIMESTAMP,
+                last_run_error = v_reason,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE subscription_id = v_subscription.subscription_id;
+
+            v_missed := v_missed || jsonb_build_object(
+                'subscription_id', v_subscription.subscription_id,
+                'customer_id', v_subscription.customer_id,
+                'scheduled_for', v_subscription.next_run_at,
+                'reason', v_reason
+            );
+            CONTINUE;
+        END IF;
+
+        v_result := START_ORDER(
+            v_subscription.customer_id,
+            v_subscription.delivery_location,
+            v_subscription.requested_capacity,
+            v_subscription.customer_bid_price,
+            v_subscription.delivery_latitude,
+            v_subscription.delivery_longitude,
+            v_subscription.delivery_district,
+            v_subscription.next_run_at,
+            v_subscription.next_run_at + make_interval(hours => v_subscription.window_hours),
+            p_lead_minutes => p_lead_minutes
+        );
+
+        IF (v_result->>'code')::INTEGER = 1 THEN
+            UPDATE customer_subscriptions
+            SET next_run_at = next_subscription_run(days_of_week, delivery_time, timezone, v_subscription.next_run_at),
+                last_run_at = CURRENT_TIMESTAMP,
+                last_order_id = (v_result->>'order_id')::INTEGER,
+                last_scheduled_for = v_subscription.next_run_at,
+                last_run_error = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE subscription_id = v_subscription.subscription_id;
+
+            v_created := v_created || jsonb_build_object(
+                'subscription_id', v_subscription.subscription_id,
+                'customer_id', v_subscription.customer_id,
+                'order_id', (v_result->>'order_id')::INTEGER,
+                'scheduled_for', v_subscription.next_run_at
+            );
+        ELSE
+            UPDATE customer_subscriptions
+            SET last_run_error = v_result->>'message',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE subscription_id = v_subscription.subscription_id;
+        END IF;
+    END LOOP;
+
+    RETURN json_build_object(
+        'code', 1,
+        'created_orders', v_created,
+        'missed_runs', v_missed
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to place subscription orders: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
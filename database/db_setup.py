@@ -67,6 +67,7 @@ def main():
             "customer.sql",  # Customer-specific functions
             "supplier.sql",  # Supplier-specific functions
             "driver.sql",  # Driver-specific functions
+            "admin.sql",  # Back-office (admin) functions
         ]
 
         print(f"\nExecuting {len(sql_files)} SQL files...")
@@ -160,15 +160,20 @@ CREATE TRIGGER trigger_relink_driver_on_session_insert
 -- Returns: JSON object with code field
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS accept_order_driver(INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION accept_order_driver(
     p_driver_id INTEGER,
-    p_order_id INTEGER
+    p_order_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_assignment_exists BOOLEAN;
     v_time_limit TIMESTAMP;
     v_supplier_time_limit TIMESTAMP;
+    v_order_status VARCHAR(20);
+    v_refusal JSON;
     v_rows_updated INTEGER;
 BEGIN
     PERFORM cleanup_expired_failures();
@@ -203,9 +208,15 @@ BEGIN
     END IF;
     
     -- Check supplier time limit
-    SELECT time_limit_for_supplier INTO v_supplier_time_limit
+    SELECT time_limit_for_supplier, status INTO v_supplier_time_limit, v_order_status
     FROM orders
-    WHERE order_id = p_order_id;
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    v_refusal := transition_refusal('accept_assignment', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
     
     IF CURRENT_TIMESTAMP > v_supplier_time_limit THEN
         RETURN json_build_object(
@@ -242,8 +253,12 @@ BEGIN
     -- Update order status to 'accepted' and set confirmation timestamp
     UPDATE orders
     SET status = 'accepted',
-        order_confirmed_at = CURRENT_TIMESTAMP
+        order_confirmed_at = CURRENT_TIMESTAMP,
+        driver_dropped_at = NULL
     WHERE order_id = p_order_id;
+
+    PERFORM log_order_event(p_order_id, 'driver_accepted', p_driver_id, 'supplier_timer', 'accepted',
+                            jsonb_build_object('driver_id', p_driver_id));
     
     -- Delete all other pending driver assignments for this order
     DELETE FROM driver_assignment
@@ -275,13 +290,18 @@ $$ LANGUAGE plpgsql;
 -- Returns: JSON object with code field
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS reject_order_driver(INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION reject_order_driver(
     p_driver_id INTEGER,
-    p_order_id INTEGER
+    p_order_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_time_limit TIMESTAMP;
+    v_order_status VARCHAR(20);
+    v_refusal JSON;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -318,6 +338,16 @@ BEGIN
         );
     END IF;
     
+    SELECT status INTO v_order_status
+    FROM orders
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    v_refusal := transition_refusal('reject_assignment', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
     -- Check if timer expired (can't reject expired assignments)
     IF CURRENT_TIMESTAMP > v_time_limit THEN
         RETURN json_build_object(
@@ -331,6 +361,9 @@ BEGIN
     SET order_rejected = TRUE
     WHERE order_id = p_order_id
       AND driver_id = p_driver_id;
+
+    PERFORM log_order_event(p_order_id, 'driver_rejected', p_driver_id, 'supplier_timer', 'supplier_timer',
+                            jsonb_build_object('driver_id', p_driver_id));
     
     RETURN json_build_object(
         'code', 1,
@@ -347,6 +380,121 @@ END;
 $$ LANGUAGE plpgsql;
 
 
+-- ============================================================================
+-- FUNCTION: drop_order_driver
+-- ============================================================================
+-- Purpose: Driver drops out of an accepted or started delivery. Instead of
+--          cancelling, the order (or leg) goes back to 'supplier_timer' with
+--          driver_dropped_at set and a fresh window for the same supplier to
+--          assign another driver. The driver is made available again and
+--          recorded as having rejected the order so they are not offered it
+--          again; the GPS trail of the abandoned ride is discarded.
+--          If the window runs out the order is reopened to the marketplace
+--          (see reopen_expired_supplier_orders) or, for a leg of an order
+--          already under way, cancelled (see expire_driver_reassignments).
+-- Parameters:
+--   p_driver_id: Driver user_id dropping out
+--   p_order_id: Order ID (a leg for multi-tanker orders)
+-- Returns: JSON object with code field, the order's parties and
+--          needs_driver_until
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION drop_order_driver(
+    p_driver_id INTEGER,
+    p_order_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order_record RECORD;
+    v_deadline TIMESTAMP;
+BEGIN
+    PERFORM cleanup_expired_failures();
+
+    IF p_driver_id IS NULL OR p_order_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Driver ID and Order ID cannot be null'
+        );
+    END IF;
+
+    SELECT order_id, parent_order_id, customer_id, supplier_id, driver_id, status, scheduled_for
+    INTO v_order_record
+    FROM orders
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_order_record.driver_id IS DISTINCT FROM p_driver_id THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found or not assigned to you'
+        );
+    END IF;
+
+    IF v_order_record.status NOT IN ('accepted', 'ride_started') THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order cannot be handed back in state: ' || v_order_record.status
+        );
+    END IF;
+
+    -- Same window as after bid acceptance.
+    v_deadline := GREATEST(
+        CURRENT_TIMESTAMP + INTERVAL '5 minutes',
+        COALESCE(v_order_record.scheduled_for, CURRENT_TIMESTAMP)
+    );
+
+    UPDATE supplier_drivers
+    SET available = TRUE
+    WHERE driver_user_id = p_driver_id;
+
+    DELETE FROM order_location_trail
+    WHERE order_id = p_order_id;
+
+    INSERT INTO driver_assignment (order_id, driver_id, supplier_id, time_limit_for_driver, order_rejected)
+    VALUES (p_order_id, p_driver_id, v_order_record.supplier_id, NULL, TRUE)
+    ON CONFLICT (order_id, driver_id) DO UPDATE SET order_rejected = TRUE;
+
+    -- If every leg ends up waiting for a driver the parent rolls back to
+    -- 'supplier_timer' too, so it needs a live deadline before the leg moves.
+    IF v_order_record.parent_order_id IS NOT NULL THEN
+        UPDATE orders
+        SET time_limit_for_supplier = GREATEST(COALESCE(time_limit_for_supplier, v_deadline), v_deadline)
+        WHERE order_id = v_order_record.parent_order_id;
+    END IF;
+
+    UPDATE orders
+    SET driver_id = NULL,
+        status = 'supplier_timer',
+        time_limit_for_supplier = v_deadline,
+        driver_dropped_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = p_order_id;
+
+    PERFORM log_order_event(p_order_id, 'driver_dropped', p_driver_id, v_order_record.status, 'supplier_timer', jsonb_build_object(
+        'driver_id', p_driver_id,
+        'needs_driver_until', v_deadline
+    ));
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'You have been taken off this order; the supplier will assign another driver',
+        'order_id', v_order_record.order_id,
+        'parent_order_id', v_order_record.parent_order_id,
+        'customer_id', v_order_record.customer_id,
+        'supplier_id', v_order_record.supplier_id,
+        'needs_driver_until', v_deadline
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to hand back order: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
 -- ============================================================================
 -- FUNCTION: Get order details for driver
 -- ============================================================================
@@ -386,9 +534,15 @@ BEGIN
     SELECT 
         o.order_id,
         o.delivery_location,
+        o.delivery_latitude,
+        o.delivery_longitude,
         o.requested_capacity,
         o.accepted_price,
         o.status,
+        o.handover_failed_attempts,
+        o.handover_overridden_at,
+        o.leg_number,
+        o.leg_count,
         cu.name AS customer_name,
         cu.phone AS customer_phone
     INTO v_order_record
@@ -411,9 +565,17 @@ BEGIN
         'code', 1,
         'order_id', v_order_record.order_id,
         'delivery_location', v_order_record.delivery_location,
+        'delivery_latitude', v_order_record.delivery_latitude,
+        'delivery_longitude', v_order_record.delivery_longitude,
         'quantity', v_order_record.requested_capacity,
         'price', v_order_record.accepted_price,
         'status', v_order_record.status,
+        -- The code itself is never sent to the driver
+        'handover_failed_attempts', v_order_record.handover_failed_attempts,
+        'handover_overridden', v_order_record.handover_overridden_at IS NOT NULL,
+        -- Set when this is one tanker load of a multi-tanker order
+        'leg_number', v_order_record.leg_number,
+        'leg_count', v_order_record.leg_count,
         'customer_name', v_order_record.customer_name,
         'customer_phone', v_order_record.customer_phone
     );
@@ -436,17 +598,23 @@ $$ LANGUAGE plpgsql;
 -- Parameters:
 --   p_driver_id: Driver user_id starting the ride
 --   p_order_id: Order ID to start ride for
--- Returns: JSON object with code field
+-- Returns: JSON object with code field, order parties and the initial ETA
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS start_ride(INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION start_ride(
     p_driver_id INTEGER,
-    p_order_id INTEGER
+    p_order_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_order_status VARCHAR(20);
     v_order_driver_id INTEGER;
+    v_customer_id INTEGER;
+    v_supplier_id INTEGER;
+    v_refusal JSON;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -466,9 +634,11 @@ BEGIN
     END IF;
     
     -- Get order status and driver_id
-    SELECT status, driver_id INTO v_order_status, v_order_driver_id
+    SELECT status, driver_id, customer_id, supplier_id
+    INTO v_order_status, v_order_driver_id, v_customer_id, v_supplier_id
     FROM orders
-    WHERE order_id = p_order_id;
+    WHERE order_id = p_order_id
+    FOR UPDATE;
     
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -478,12 +648,17 @@ BEGIN
     END IF;
     
     -- Check if this driver owns the order
-    IF v_order_driver_id != p_driver_id THEN
+    IF v_order_driver_id IS DISTINCT FROM p_driver_id THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'This order is not assigned to you'
         );
     END IF;
+
+    v_refusal := transition_refusal('start_ride', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
     
     -- Check if order status is 'accepted'
     IF v_order_status != 'accepted' THEN
@@ -497,10 +672,15 @@ BEGIN
     UPDATE orders
     SET status = 'ride_started'
     WHERE order_id = p_order_id;
+
+    PERFORM log_order_event(p_order_id, 'ride_started', p_driver_id, 'accepted', 'ride_started', NULL);
     
     RETURN json_build_object(
         'code', 1,
-        'message', 'Ride started successfully'
+        'message', 'Ride started successfully',
+        'customer_id', v_customer_id,
+        'supplier_id', v_supplier_id,
+        'eta', estimate_order_eta(p_order_id)
     );
     
 EXCEPTION
@@ -513,25 +693,153 @@ END;
 $$ LANGUAGE plpgsql;
 
 
+-- ============================================================================
+-- FUNCTION: Record driver GPS point
+-- ============================================================================
+-- Purpose: Appends a point to the order's location trail while the ride is
+--          in progress. Points arriving within 2 seconds of the previous one
+--          are dropped so a chatty client cannot flood the table.
+-- Parameters:
+--   p_driver_id: Driver user_id reporting the location
+--   p_order_id: Order being delivered
+--   p_latitude, p_longitude: Position in degrees
+--   p_heading: Optional bearing in degrees (0-360)
+--   p_speed_kmh: Optional speed
+-- Returns: JSON object with recorded flag, the parties to relay to and the
+--          recomputed ETA
+-- Code: 1=Success (recorded or throttled), 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION record_driver_location(
+    p_driver_id INTEGER,
+    p_order_id INTEGER,
+    p_latitude NUMERIC,
+    p_longitude NUMERIC,
+    p_heading NUMERIC DEFAULT NULL,
+    p_speed_kmh NUMERIC DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order_record RECORD;
+    v_coordinates_error TEXT;
+    v_recorded_at TIMESTAMP;
+BEGIN
+    IF p_driver_id IS NULL OR p_order_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Driver ID and Order ID cannot be null'
+        );
+    END IF;
+
+    IF p_latitude IS NULL OR p_longitude IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Latitude and longitude are required'
+        );
+    END IF;
+
+    v_coordinates_error := coordinates_error(p_latitude, p_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
+
+    SELECT order_id, customer_id, supplier_id, driver_id, status
+    INTO v_order_record
+    FROM orders
+    WHERE order_id = p_order_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found'
+        );
+    END IF;
+
+    IF v_order_record.driver_id IS DISTINCT FROM p_driver_id THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'This order is not assigned to you'
+        );
+    END IF;
+
+    IF v_order_record.status != 'ride_started' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Location can only be shared while the ride is in progress. Current status: ' || v_order_record.status
+        );
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM order_location_trail
+        WHERE order_id = p_order_id
+          AND recorded_at > CURRENT_TIMESTAMP - INTERVAL '2 seconds'
+    ) THEN
+        RETURN json_build_object(
+            'code', 1,
+            'recorded', FALSE,
+            'message', 'Location update throttled'
+        );
+    END IF;
+
+    INSERT INTO order_location_trail (order_id, driver_id, latitude, longitude, heading, speed_kmh)
+    VALUES (
+        p_order_id,
+        p_driver_id,
+        p_latitude,
+        p_longitude,
+        CASE WHEN p_heading BETWEEN 0 AND 360 THEN p_heading END,
+        CASE WHEN p_speed_kmh >= 0 AND p_speed_kmh < 10000 THEN p_speed_kmh END
+    )
+    RETURNING recorded_at INTO v_recorded_at;
+
+    RETURN json_build_object(
+        'code', 1,
+        'recorded', TRUE,
+        'message', 'Location recorded',
+        'order_id', p_order_id,
+        'customer_id', v_order_record.customer_id,
+        'supplier_id', v_order_record.supplier_id,
+        'recorded_at', v_recorded_at,
+        'eta', estimate_order_eta(p_order_id)
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to record location: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
 -- ============================================================================
 -- FUNCTION: Mark order as reached
 -- ============================================================================
 -- Purpose: Driver marks that they have arrived at delivery location
---          Changes status from 'ride_started' to 'reached'
+--          Changes status from 'ride_started' to 'reached' and issues the
+--          4-digit handover code the customer reads out to the driver
 -- Parameters:
 --   p_driver_id: Driver user_id marking arrival
 --   p_order_id: Order ID to mark as reached
 -- Returns: JSON object with code field
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS mark_order_reached(INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION mark_order_reached(
     p_driver_id INTEGER,
-    p_order_id INTEGER
+    p_order_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_order_status VARCHAR(20);
     v_order_driver_id INTEGER;
+    v_refusal JSON;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -553,7 +861,8 @@ BEGIN
     -- Get order status and driver_id
     SELECT status, driver_id INTO v_order_status, v_order_driver_id
     FROM orders
-    WHERE order_id = p_order_id;
+    WHERE order_id = p_order_id
+    FOR UPDATE;
     
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -563,12 +872,17 @@ BEGIN
     END IF;
     
     -- Check if this driver owns the order
-    IF v_order_driver_id != p_driver_id THEN
+    IF v_order_driver_id IS DISTINCT FROM p_driver_id THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'This order is not assigned to you'
         );
     END IF;
+
+    v_refusal := transition_refusal('mark_reached', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
     
     -- Check if order status is 'ride_started'
     IF v_order_status != 'ride_started' THEN
@@ -578,10 +892,15 @@ BEGIN
         );
     END IF;
     
-    -- Update order status to 'reached'
+    -- Update order status to 'reached' with a fresh handover code
     UPDATE orders
-    SET status = 'reached'
+    SET status = 'reached',
+        handover_code = lpad((('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint % 10000)::text, 4, '0'),
+        handover_failed_attempts = 0,
+        handover_overridden_at = NULL
     WHERE order_id = p_order_id;
+
+    PERFORM log_order_event(p_order_id, 'reached', p_driver_id, 'ride_started', 'reached', NULL);
     
     RETURN json_build_object(
         'code', 1,
@@ -602,20 +921,38 @@ $$ LANGUAGE plpgsql;
 -- FUNCTION: Finish order/delivery
 -- ============================================================================
 -- Purpose: Driver completes the delivery
---          Updates order_history, sets status to 'finished', makes driver available
+--          Checks the customer's handover code (max 5 wrong tries, unless the
+--          supplier overrode it), stores proof of delivery, sets status to
+--          'finished', makes driver available
 -- Parameters:
 --   p_driver_id: Driver user_id finishing the order
 --   p_order_id: Order ID to finish
--- Returns: JSON object with code field
+--   p_photo_key: Storage key of the delivery photo (required)
+--   p_signature_key: Storage key of the customer signature image (optional)
+--   p_delivered_gallons: Meter reading of gallons delivered
+--   p_handover_code: Code shown to the customer; ignored after an override
+-- Returns: JSON object with code field; a wrong code also returns
+--          handover_failed and attempts_remaining
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS finish_order(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS finish_order(INTEGER, INTEGER, TEXT, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS finish_order(INTEGER, INTEGER, TEXT, TEXT, INTEGER, VARCHAR);
+
 CREATE OR REPLACE FUNCTION finish_order(
     p_driver_id INTEGER,
-    p_order_id INTEGER
+    p_order_id INTEGER,
+    p_photo_key TEXT,
+    p_signature_key TEXT,
+    p_delivered_gallons INTEGER,
+    p_handover_code VARCHAR(4),
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
+    v_max_handover_attempts CONSTANT INTEGER := 5;
     v_order_record RECORD;
+    v_refusal JSON;
     v_yard_location TEXT;
     v_customer_name TEXT;
     v_customer_phone VARCHAR(20);
@@ -638,11 +975,26 @@ BEGIN
             'message', 'Order ID cannot be null'
         );
     END IF;
+
+    IF p_photo_key IS NULL OR btrim(p_photo_key) = '' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'A delivery photo is required'
+        );
+    END IF;
+
+    IF p_delivered_gallons IS NULL OR p_delivered_gallons <= 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Delivered gallons must be greater than 0'
+        );
+    END IF;
     
     -- Get order details
     SELECT * INTO v_order_record
     FROM orders
-    WHERE order_id = p_order_id;
+    WHERE order_id = p_order_id
+    FOR UPDATE;
     
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -652,12 +1004,17 @@ BEGIN
     END IF;
     
     -- Check if this driver owns the order
-    IF v_order_record.driver_id != p_driver_id THEN
+    IF v_order_record.driver_id IS DISTINCT FROM p_driver_id THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'This order is not assigned to you'
         );
     END IF;
+
+    v_refusal := transition_refusal('finish', v_order_record.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
     
     -- Check if order status is 'ride_started'
     IF v_order_record.status != 'reached' THEN
@@ -666,6 +1023,35 @@ BEGIN
             'message', 'Order must be in reached status to finish. Current status: ' || v_order_record.status
         );
     END IF;
+
+    -- Customer handover code, unless the supplier has overridden it
+    IF v_order_record.handover_overridden_at IS NULL THEN
+        IF v_order_record.handover_failed_attempts >= v_max_handover_attempts THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Too many wrong handover codes. Ask your supplier to override the handover.',
+                'handover_failed', TRUE,
+                'attempts_remaining', 0
+            );
+        END IF;
+
+        IF p_handover_code IS NULL OR p_handover_code IS DISTINCT FROM v_order_record.handover_code THEN
+            -- Returned (not raised) so the attempt counter is kept
+            UPDATE orders
+            SET handover_failed_attempts = handover_failed_attempts + 1
+            WHERE order_id = p_order_id;
+
+            PERFORM log_order_event(p_order_id, 'handover_failed', p_driver_id, 'reached', 'reached',
+                                    jsonb_build_object('failed_attempts', v_order_record.handover_failed_attempts + 1));
+
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Incorrect handover code',
+                'handover_failed', TRUE,
+                'attempts_remaining', GREATEST(0, v_max_handover_attempts - v_order_record.handover_failed_attempts - 1)
+            );
+        END IF;
+    END IF;
     
     -- Get supplier yard location
     SELECT yard_location INTO v_yard_location
@@ -685,12 +1071,21 @@ BEGIN
     FROM users
     WHERE user_id = v_order_record.driver_id;
     
+    -- Keep the proof outside orders so it survives archiving to order_history
+    INSERT INTO delivery_proof (order_id, driver_id, photo_key, signature_key, delivered_gallons)
+    VALUES (p_order_id, p_driver_id, p_photo_key, NULLIF(btrim(p_signature_key), ''), p_delivered_gallons);
+
     -- Mark order as finished
     UPDATE orders
     SET status = 'finished',
         updated_at = CURRENT_TIMESTAMP
     WHERE order_id = p_order_id;
 
+    PERFORM log_order_event(p_order_id, 'finished', p_driver_id, 'reached', 'finished', jsonb_build_object(
+        'delivered_gallons', p_delivered_gallons,
+        'handover_overridden', v_order_record.handover_overridden_at IS NOT NULL
+    ));
+
     -- Set driver as available again
     UPDATE supplier_drivers
     SET available = TRUE
@@ -772,7 +1167,9 @@ BEGIN
             'price', v_order_record.price,
             'quantity', v_order_record.quantity,
             'customer_location', v_order_record.customer_location,
-            'status', v_order_record.status
+            'status', v_order_record.status,
+            'leg_number', v_order_record.leg_number,
+            'leg_count', v_order_record.leg_count
         )
     );
     
@@ -904,7 +1301,8 @@ BEGIN
         -- Archive as 'completed' with skip rating
         INSERT INTO order_history (
             order_id, supplier_id, customer_name, customer_phone, supplier_name, supplier_phone, driver_name, driver_phone,
-            customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at, created_at
+            customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at,
+            parent_order_id, leg_number, leg_count, pricing_version_id, created_at
         ) VALUES (
             v_order_record.order_id, v_order_record.supplier_id,
             COALESCE(v_order_record.customer_name, ''),
@@ -922,9 +1320,16 @@ BEGIN
             NULL,
             NULL,
             CURRENT_TIMESTAMP,
+            v_order_record.parent_order_id,
+            v_order_record.leg_number,
+            v_order_record.leg_count,
+            v_order_record.pricing_version_id,
             CURRENT_TIMESTAMP
         );
         
+        PERFORM log_order_event(v_order_record.order_id, 'archived', p_user_id, 'finished', NULL,
+                                jsonb_build_object('reason', 'driver_account_deleted'));
+
         -- Delete from orders (to ensure history is the single record of truth)
         DELETE FROM orders WHERE order_id = v_order_record.order_id;
     END LOOP;
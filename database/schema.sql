@@ -11,11 +11,70 @@ CREATE TABLE IF NOT EXISTS users (
     CREATED_AT TIMESTAMP NOT NULL
 );
 
+-- Back-office operators have role 'admin'. Nobody signs up as one: a freshly
+-- verified account is promoted with promote_user_to_admin (see admin.sql).
+ALTER TABLE users
+    DROP CONSTRAINT IF EXISTS users_role_check;
+
+ALTER TABLE users
+    ADD CONSTRAINT users_role_check
+    CHECK (role IN ('customer', 'supplier', 'driver', 'admin', 'undefined'));
+
+-- Suspended accounts keep their data but cannot sign in; suspending one also
+-- ends its sessions.
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
 CREATE TABLE IF NOT EXISTS customer_address (
     user_id INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
-    home_address TEXT
+    home_address TEXT,
+    home_latitude NUMERIC(9,6),
+    home_longitude NUMERIC(9,6)
+);
+
+-- Backfill-safe migration for existing environments.
+ALTER TABLE customer_address
+    ADD COLUMN IF NOT EXISTS home_latitude NUMERIC(9,6);
+
+ALTER TABLE customer_address
+    ADD COLUMN IF NOT EXISTS home_longitude NUMERIC(9,6);
+
+-- Address book: any number of labelled delivery addresses per customer
+-- (Home, Office, Plot 2...), at most one of them the default. START_ORDER
+-- callers can pick one by address_id instead of typing the address again.
+CREATE TABLE IF NOT EXISTS CUSTOMER_ADDRESSES (
+    ADDRESS_ID SERIAL PRIMARY KEY,
+    CUSTOMER_ID INTEGER NOT NULL REFERENCES USERS(USER_ID) ON DELETE CASCADE,
+    LABEL VARCHAR(40) NOT NULL,
+    ADDRESS TEXT NOT NULL,
+    LATITUDE NUMERIC(9,6),
+    LONGITUDE NUMERIC(9,6),
+    DISTRICT VARCHAR(50),
+    IS_DEFAULT BOOLEAN NOT NULL DEFAULT FALSE,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE UNIQUE INDEX IF NOT EXISTS ux_customer_addresses_label
+    ON customer_addresses(customer_id, LOWER(label));
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_customer_addresses_default
+    ON customer_addresses(customer_id)
+    WHERE is_default;
+
+-- Seed the address book with the profile's home address (once per customer).
+INSERT INTO customer_addresses (customer_id, label, address, latitude, longitude, is_default)
+SELECT ca.user_id, 'Home', ca.home_address, ca.home_latitude, ca.home_longitude, TRUE
+FROM customer_address ca
+WHERE ca.home_address IS NOT NULL
+  AND TRIM(ca.home_address) <> ''
+  AND NOT EXISTS (
+        SELECT 1 FROM customer_addresses a WHERE a.customer_id = ca.user_id
+  );
+
 -- Pending users table for new registrations (before OTP verification)
 CREATE TABLE IF NOT EXISTS pending_users (
     phone VARCHAR(20) PRIMARY KEY,
@@ -32,12 +91,29 @@ CREATE TABLE IF NOT EXISTS pending_users (
 CREATE TABLE IF NOT EXISTS SUPPLIERS (
     USER_ID INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
     YARD_LOCATION TEXT NOT NULL,
+    YARD_LATITUDE NUMERIC(9,6),
+    YARD_LONGITUDE NUMERIC(9,6),
+    SERVICE_RADIUS_KM NUMERIC(6,2),
+    SERVICE_DISTRICTS TEXT[],
     BUSINESS_CONTACT VARCHAR(20) NOT NULL,
     RATING DECIMAL(3,2) DEFAULT 0.00,
     TOTAL_ORDERS INTEGER DEFAULT 0,
     CREATED_AT TIMESTAMP NOT NULL
 );
 
+-- Backfill-safe migration for existing environments.
+ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS yard_latitude NUMERIC(9,6);
+
+ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS yard_longitude NUMERIC(9,6);
+
+ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS service_radius_km NUMERIC(6,2);
+
+ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS service_districts TEXT[];
+
 
 CREATE TABLE IF NOT EXISTS SUPPLIER_DRIVERS(
     DRIVER_PHONE_NUM VARCHAR(20) UNIQUE NOT NULL,       -- as specified by supplier
@@ -48,23 +124,155 @@ CREATE TABLE IF NOT EXISTS SUPPLIER_DRIVERS(
     PRIMARY KEY (DRIVER_PHONE_NUM, SUPPLIER_USER_ID)
 );
 
+-- Supplier fleet: each tanker with the most it can carry. Only 'active'
+-- tankers count towards bidding and driver assignment; 'maintenance' keeps
+-- the record without offering it for work.
+CREATE TABLE IF NOT EXISTS VEHICLES (
+    VEHICLE_ID SERIAL PRIMARY KEY,
+    SUPPLIER_USER_ID INTEGER NOT NULL REFERENCES SUPPLIERS(USER_ID) ON DELETE CASCADE,
+    REGISTRATION_NUMBER VARCHAR(20) NOT NULL,
+    CAPACITY_GALLONS INTEGER NOT NULL CHECK (CAPACITY_GALLONS > 0),
+    STATUS VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (STATUS IN ('active', 'maintenance')),
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_vehicles_registration_number
+    ON vehicles(UPPER(registration_number));
+
+CREATE INDEX IF NOT EXISTS ix_vehicles_supplier_user_id
+    ON vehicles(supplier_user_id);
+
+-- Backfill-safe: the tanker a roster driver currently drives (one driver per tanker).
+ALTER TABLE supplier_drivers
+    ADD COLUMN IF NOT EXISTS vehicle_id INTEGER REFERENCES vehicles(vehicle_id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_supplier_drivers_vehicle_id
+    ON supplier_drivers(vehicle_id)
+    WHERE vehicle_id IS NOT NULL;
+
+
+-- Base prices are versioned. A version is a complete price list that takes
+-- over from EFFECTIVE_FROM; the one in force at any moment is the latest that
+-- has started (see pricing_version_at). Versions are only ever added, so every
+-- order can point at the list it was priced under. CREATED_BY is the admin
+-- who published it (NULL for the seeded list).
+CREATE TABLE IF NOT EXISTS PRICING_VERSIONS (
+    VERSION_ID SERIAL PRIMARY KEY,
+    EFFECTIVE_FROM TIMESTAMP NOT NULL,
+    NOTE TEXT,
+    CREATED_BY INTEGER REFERENCES USERS(USER_ID) ON DELETE SET NULL,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_pricing_versions_effective_from
+    ON pricing_versions(effective_from);
+
+CREATE TABLE IF NOT EXISTS PRICING_VERSION_PRICES (
+    VERSION_ID INTEGER NOT NULL REFERENCES PRICING_VERSIONS(VERSION_ID) ON DELETE CASCADE,
+    quantity_in_gallon INTEGER NOT NULL CHECK (quantity_in_gallon > 0),
+    base_price INTEGER NOT NULL CHECK (base_price > 0),
+    PRIMARY KEY (version_id, quantity_in_gallon)
+);
+
+-- Older environments kept a single QUANTITY_PRICING table that setup
+-- overwrote on every run. Its rows become the first version (in force since
+-- the first order, so existing orders can point at it); fresh installs get
+-- the 7 standard quantities instead. Either way this only happens once.
+DO $$
+DECLARE
+    v_version_id INTEGER;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pricing_versions) THEN
+        RETURN;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM pg_class
+        WHERE oid = to_regclass('quantity_pricing') AND relkind = 'r'
+    ) THEN
+        INSERT INTO pricing_versions (effective_from, note)
+        VALUES (
+            LEAST(CURRENT_TIMESTAMP, (SELECT MIN(created_at) FROM orders), (SELECT MIN(order_date) FROM order_history)),
+            'Prices before versioning'
+        )
+        RETURNING version_id INTO v_version_id;
+
+        EXECUTE 'INSERT INTO pricing_version_prices (version_id, quantity_in_gallon, base_price)
+                 SELECT $1, quantity_in_gallon, base_price FROM quantity_pricing'
+        USING v_version_id;
+
+        DROP TABLE quantity_pricing;
+    ELSE
+        INSERT INTO pricing_versions (effective_from, note)
+        VALUES (CURRENT_TIMESTAMP, 'Standard prices')
+        RETURNING version_id INTO v_version_id;
+
+        INSERT INTO pricing_version_prices (version_id, quantity_in_gallon, base_price) VALUES
+            (v_version_id, 1000, 6500),
+            (v_version_id, 2000, 10000),
+            (v_version_id, 3000, 15000),
+            (v_version_id, 4000, 22000),
+            (v_version_id, 5000, 25000),
+            (v_version_id, 6000, 30000),
+            (v_version_id, 7000, 35000);
+    END IF;
+END;
+$$;
 
-CREATE TABLE IF NOT EXISTS QUANTITY_PRICING (
-    quantity_in_gallon INTEGER PRIMARY KEY,
-    base_price INTEGER NOT NULL CHECK (base_price > 0)
+-- Purpose: The pricing version in force at p_at (latest one already started).
+CREATE OR REPLACE FUNCTION pricing_version_at(
+    p_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)
+RETURNS INTEGER AS $$
+    SELECT version_id
+    FROM pricing_versions
+    WHERE effective_from <= p_at
+    ORDER BY effective_from DESC, version_id DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- The prices in force right now, under the old table's name.
+CREATE OR REPLACE VIEW quantity_pricing AS
+SELECT version_id, quantity_in_gallon, base_price
+FROM pricing_version_prices
+WHERE version_id = pricing_version_at();
+
+-- Dynamic pricing rules, maintained by admins. A rule scales the base price
+-- (PRICE_MULTIPLIER, e.g. 1.25 for late nights) and sets the band customer
+-- offers must fall in, as ratios of that adjusted price. Conditions left
+-- NULL match everything: DISTRICTS is the zone (a list of delivery
+-- districts), DAYS_OF_WEEK uses 0=Sunday .. 6=Saturday, START_TIME/END_TIME
+-- is local wall-clock time in TIMEZONE (END_TIME before START_TIME wraps past
+-- midnight) and the quantity bounds are inclusive gallons. Of the active
+-- rules that match, the one with the highest PRIORITY applies (see
+-- matching_pricing_rule); with none, the price is the base price and the
+-- band 85%-300%.
+CREATE TABLE IF NOT EXISTS PRICING_RULES (
+    RULE_ID SERIAL PRIMARY KEY,
+    NAME VARCHAR(80) NOT NULL,
+    DISTRICTS TEXT[],
+    DAYS_OF_WEEK SMALLINT[],
+    START_TIME TIME,
+    END_TIME TIME,
+    TIMEZONE VARCHAR(64) NOT NULL DEFAULT 'Asia/Karachi',
+    MIN_QUANTITY INTEGER CHECK (MIN_QUANTITY > 0),
+    MAX_QUANTITY INTEGER CHECK (MAX_QUANTITY > 0),
+    PRICE_MULTIPLIER NUMERIC(4,2) NOT NULL DEFAULT 1.00 CHECK (PRICE_MULTIPLIER BETWEEN 0.50 AND 5.00),
+    MIN_PRICE_RATIO NUMERIC(4,2) NOT NULL DEFAULT 0.85 CHECK (MIN_PRICE_RATIO > 0 AND MIN_PRICE_RATIO <= 1),
+    MAX_PRICE_RATIO NUMERIC(4,2) NOT NULL DEFAULT 3.00 CHECK (MAX_PRICE_RATIO >= 1 AND MAX_PRICE_RATIO <= 5),
+    PRIORITY INTEGER NOT NULL DEFAULT 0,
+    IS_ACTIVE BOOLEAN NOT NULL DEFAULT TRUE,
+    CREATED_BY INTEGER REFERENCES USERS(USER_ID) ON DELETE SET NULL,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((START_TIME IS NULL) = (END_TIME IS NULL)),
+    CHECK (MIN_QUANTITY IS NULL OR MAX_QUANTITY IS NULL OR MIN_QUANTITY <= MAX_QUANTITY)
 );
 
--- Insert fixed pricing data for 7 available quantities
-INSERT INTO QUANTITY_PRICING (quantity_in_gallon, base_price) VALUES
-    (1000, 6500),
-    (2000, 10000),
-    (3000, 15000),
-    (4000, 22000),
-    (5000, 25000),
-    (6000, 30000),
-    (7000, 35000)
-ON CONFLICT (quantity_in_gallon) DO UPDATE SET base_price = EXCLUDED.base_price;
--- ON CONFLICT updates pricing if quantity already exists
+CREATE INDEX IF NOT EXISTS ix_pricing_rules_active
+    ON pricing_rules(priority DESC, rule_id DESC)
+    WHERE is_active = TRUE;
 
 
 
@@ -74,17 +282,152 @@ CREATE TABLE IF NOT EXISTS ORDERS (
     SUPPLIER_ID INTEGER REFERENCES SUPPLIERS(USER_ID) ON DELETE CASCADE,
     DRIVER_ID INTEGER REFERENCES USERS(USER_ID) ON DELETE CASCADE,
     DELIVERY_LOCATION TEXT NOT NULL,
+    DELIVERY_LATITUDE NUMERIC(9,6),
+    DELIVERY_LONGITUDE NUMERIC(9,6),
+    DELIVERY_DISTRICT VARCHAR(50),
     REQUESTED_CAPACITY NUMERIC(5,0) NOT NULL CHECK (REQUESTED_CAPACITY > 0),
     CUSTOMER_BID_PRICE NUMERIC(10,0) NOT NULL CHECK (CUSTOMER_BID_PRICE > 0),
     TIME_LIMIT_FOR_SUPPLIER TIMESTAMP,
     ACCEPTED_PRICE NUMERIC(10,0),
     ORDER_CONFIRMED_AT TIMESTAMP,
-    STATUS VARCHAR(20) DEFAULT 'open' NOT NULL CHECK (STATUS IN ('open', 'supplier_timer','accepted','ride_started','reached','finished')),
+    STATUS VARCHAR(20) DEFAULT 'open' NOT NULL CHECK (STATUS IN ('scheduled', 'direct_offer', 'open', 'supplier_timer','accepted','ride_started','reached','finished')),
     CREATED_AT TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UPDATED_AT TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT DRIVER_REQUIRES_SUPPLIER CHECK ((DRIVER_ID IS NULL) OR (SUPPLIER_ID IS NOT NULL))
 );
 
+-- Backfill-safe migration for existing environments.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS delivery_latitude NUMERIC(9,6);
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS delivery_longitude NUMERIC(9,6);
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS delivery_district VARCHAR(50);
+
+-- Handover code: generated when the driver marks 'reached', shown only to the
+-- customer and required by finish_order unless the supplier overrides it.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS handover_code VARCHAR(4);
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS handover_failed_attempts INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS handover_overridden_at TIMESTAMP;
+
+-- Scheduled orders: created as 'scheduled' with a delivery window and moved to
+-- 'open' by the scheduler once the window is within the configured lead time.
+-- surfaced_at records when that happened.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS delivery_window_end TIMESTAMP;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS surfaced_at TIMESTAMP;
+
+-- Direct orders: sent to one supplier from the customer's history as
+-- 'direct_offer' instead of the open marketplace. The supplier must answer
+-- before direct_offer_expires_at; on decline or timeout the order falls back
+-- to the marketplace when fallback_to_market is set, otherwise it is dropped.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS preferred_supplier_id INTEGER REFERENCES suppliers(user_id) ON DELETE SET NULL;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS direct_offer_expires_at TIMESTAMP;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS fallback_to_market BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE orders
+    DROP CONSTRAINT IF EXISTS orders_status_check;
+
+ALTER TABLE orders
+    ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('scheduled', 'direct_offer', 'open', 'supplier_timer', 'accepted', 'ride_started', 'reached', 'finished'));
+
+-- Multi-tanker orders: anything bigger than the largest priced quantity is
+-- split into legs (see plan_order_legs). Legs are child orders of the one the
+-- customer placed, created once a supplier takes it; each leg gets its own
+-- driver and status lifecycle, and the parent's status is rolled up from them.
+-- leg_count is the number of legs on both the parent and every leg (1 for an
+-- ordinary order).
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS parent_order_id INTEGER REFERENCES orders(order_id) ON DELETE CASCADE;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS leg_number INTEGER;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS leg_count INTEGER NOT NULL DEFAULT 1;
+
+-- The pricing version the order was placed under (legs copy the parent's).
+-- Bid limits and the multi-tanker split keep using it if prices change later.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS pricing_version_id INTEGER REFERENCES pricing_versions(version_id);
+
+UPDATE orders
+SET pricing_version_id = COALESCE(pricing_version_at(created_at), pricing_version_at())
+WHERE pricing_version_id IS NULL;
+
+-- Set when the driver drops out of an accepted/started delivery and the order
+-- (or leg) goes back to 'supplier_timer' for the same supplier to assign
+-- someone else (see drop_order_driver); cleared once a new driver accepts.
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS driver_dropped_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_orders_parent_leg_number
+    ON orders(parent_order_id, leg_number)
+    WHERE parent_order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS ix_orders_scheduled_for
+    ON orders(scheduled_for)
+    WHERE status = 'scheduled';
+
+CREATE INDEX IF NOT EXISTS ix_orders_preferred_supplier_id
+    ON orders(preferred_supplier_id)
+    WHERE status = 'direct_offer';
+
+
+-- GPS points streamed by the driver while an order is 'ride_started'.
+-- Rows go away with the order (finished/cancelled orders are deleted).
+CREATE TABLE IF NOT EXISTS ORDER_LOCATION_TRAIL (
+    POINT_ID SERIAL PRIMARY KEY,
+    ORDER_ID INTEGER NOT NULL REFERENCES ORDERS(ORDER_ID) ON DELETE CASCADE,
+    DRIVER_ID INTEGER NOT NULL REFERENCES USERS(USER_ID) ON DELETE CASCADE,
+    LATITUDE NUMERIC(9,6) NOT NULL,
+    LONGITUDE NUMERIC(9,6) NOT NULL,
+    HEADING NUMERIC(5,2),
+    SPEED_KMH NUMERIC(6,2),
+    RECORDED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_order_location_trail_order
+    ON order_location_trail(order_id, recorded_at);
+
+
+-- Average tanker speed by hour of day, used for arrival estimates.
+-- Seeded once; tune the rows in place for local traffic (re-running setup keeps edits).
+CREATE TABLE IF NOT EXISTS ETA_SPEED_PROFILE (
+    hour_of_day INTEGER PRIMARY KEY CHECK (hour_of_day BETWEEN 0 AND 23),
+    avg_speed_kmh NUMERIC(5,2) NOT NULL CHECK (avg_speed_kmh > 0)
+);
+
+INSERT INTO ETA_SPEED_PROFILE (hour_of_day, avg_speed_kmh)
+SELECT h,
+    CASE
+        WHEN h BETWEEN 8 AND 10 THEN 18     -- morning rush
+        WHEN h BETWEEN 17 AND 20 THEN 16    -- evening rush
+        WHEN h BETWEEN 11 AND 16 THEN 24
+        WHEN h BETWEEN 0 AND 5 THEN 35
+        ELSE 28
+    END
+FROM generate_series(0, 23) AS h
+ON CONFLICT (hour_of_day) DO NOTHING;
+
 
 CREATE TABLE IF NOT EXISTS DRIVER_ASSIGNMENT (
     ORDER_ID INTEGER NOT NULL REFERENCES ORDERS(ORDER_ID) ON DELETE CASCADE,
@@ -118,6 +461,20 @@ WHERE b.order_id = keep.order_id
 CREATE UNIQUE INDEX IF NOT EXISTS ux_bids_order_supplier
 ON bids(order_id, supplier_id);
 
+-- Customer counter-offers: one per bid, priced between the customer's offer
+-- and the bid. A pending counter gives the supplier 15 seconds from
+-- countered_at to answer and keeps the bid alive until then (created_at stays
+-- the bid's own time); a declined one stays on the bid so it is not repeated.
+ALTER TABLE bids
+    ADD COLUMN IF NOT EXISTS counter_price INTEGER CHECK (counter_price > 0);
+
+ALTER TABLE bids
+    ADD COLUMN IF NOT EXISTS counter_status VARCHAR(10)
+        CHECK (counter_status IN ('pending', 'declined'));
+
+ALTER TABLE bids
+    ADD COLUMN IF NOT EXISTS countered_at TIMESTAMP;
+
 
 
 CREATE TABLE IF NOT EXISTS ORDER_HISTORY (
@@ -149,13 +506,212 @@ ALTER TABLE order_history
 ALTER TABLE order_history
     ADD COLUMN IF NOT EXISTS rated_at TIMESTAMP;
 
+-- Multi-tanker orders are archived as one row per leg (parent_order_id set,
+-- carrying that leg's driver) plus the customer's order itself, which holds
+-- the totals and the rating.
+ALTER TABLE order_history
+    ADD COLUMN IF NOT EXISTS parent_order_id INTEGER;
+
+ALTER TABLE order_history
+    ADD COLUMN IF NOT EXISTS leg_number INTEGER;
+
+ALTER TABLE order_history
+    ADD COLUMN IF NOT EXISTS leg_count INTEGER NOT NULL DEFAULT 1;
+
+-- Pricing version of the archived order (see orders.pricing_version_id).
+ALTER TABLE order_history
+    ADD COLUMN IF NOT EXISTS pricing_version_id INTEGER REFERENCES pricing_versions(version_id);
+
+CREATE INDEX IF NOT EXISTS ix_order_history_parent_order_id
+    ON order_history(parent_order_id)
+    WHERE parent_order_id IS NOT NULL;
+
+
+-- Audit trail of supplier overrides of the handover code. No FK to orders so
+-- the record outlives the order once it is archived.
+CREATE TABLE IF NOT EXISTS HANDOVER_OVERRIDE_LOG (
+    OVERRIDE_ID SERIAL PRIMARY KEY,
+    ORDER_ID INTEGER NOT NULL,
+    SUPPLIER_ID INTEGER REFERENCES USERS(USER_ID) ON DELETE SET NULL,
+    DRIVER_ID INTEGER REFERENCES USERS(USER_ID) ON DELETE SET NULL,
+    REASON TEXT NOT NULL,
+    FAILED_ATTEMPTS INTEGER NOT NULL DEFAULT 0,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_handover_override_log_order
+    ON handover_override_log(order_id);
+
+
+-- Suppliers taken off an order because they let its supplier_timer window run
+-- out without assigning a driver. The order goes back to the marketplace and
+-- the supplier may not bid on it again. Doubles as the record of the reopen
+-- event, so like handover_override_log it has no FK to orders.
+CREATE TABLE IF NOT EXISTS ORDER_SUPPLIER_EXCLUSIONS (
+    ORDER_ID INTEGER NOT NULL,
+    SUPPLIER_ID INTEGER NOT NULL REFERENCES USERS(USER_ID) ON DELETE CASCADE,
+    REASON VARCHAR(40) NOT NULL DEFAULT 'supplier_timer_expired'
+        CHECK (REASON IN ('supplier_timer_expired')),
+    ACCEPTED_PRICE INTEGER,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (ORDER_ID, SUPPLIER_ID)
+);
+
+
+-- Append-only log of everything that happens to an order, written by the SQL
+-- functions that change order state (see log_order_event). customer_id,
+-- supplier_id and driver_id snapshot the order's parties at the time of the
+-- event; like the other audit tables nothing here references orders or users,
+-- so the log outlives the order and the accounts.
+CREATE TABLE IF NOT EXISTS ORDER_EVENTS (
+    EVENT_ID BIGSERIAL PRIMARY KEY,
+    ORDER_ID INTEGER NOT NULL,
+    PARENT_ORDER_ID INTEGER,
+    EVENT_TYPE VARCHAR(40) NOT NULL,
+    FROM_STATUS VARCHAR(20),
+    TO_STATUS VARCHAR(20),
+    ACTOR_ID INTEGER,
+    ACTOR_ROLE VARCHAR(20) NOT NULL DEFAULT 'system',
+    CUSTOMER_ID INTEGER,
+    SUPPLIER_ID INTEGER,
+    DRIVER_ID INTEGER,
+    PAYLOAD JSONB,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_order_events_order
+    ON order_events(order_id, created_at);
+
+CREATE INDEX IF NOT EXISTS ix_order_events_parent_order
+    ON order_events(parent_order_id)
+    WHERE parent_order_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION prevent_order_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'order_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_order_events_append_only ON order_events;
+CREATE TRIGGER trigger_order_events_append_only
+    BEFORE UPDATE OR DELETE ON order_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_order_event_changes();
+
+
+-- Audit trail of back-office actions (suspensions, forced cancellations,
+-- price edits). target_id is not a foreign key so entries survive the
+-- order or account they describe.
+CREATE TABLE IF NOT EXISTS ADMIN_ACTION_LOG (
+    ACTION_ID SERIAL PRIMARY KEY,
+    ADMIN_ID INTEGER REFERENCES USERS(USER_ID) ON DELETE SET NULL,
+    ACTION VARCHAR(40) NOT NULL,
+    TARGET_TYPE VARCHAR(20) NOT NULL,
+    TARGET_ID INTEGER,
+    DETAILS JSONB,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ix_admin_action_log_target
+    ON admin_action_log(target_type, target_id);
+
+
+-- Proof of delivery captured by the driver on finish. Keyed by order_id with
+-- no FK so it outlives the orders row once the order is archived to history.
+-- Photo/signature columns hold storage keys, not URLs (see services/storage).
+CREATE TABLE IF NOT EXISTS DELIVERY_PROOF (
+    ORDER_ID INTEGER PRIMARY KEY,
+    DRIVER_ID INTEGER REFERENCES USERS(USER_ID) ON DELETE SET NULL,
+    PHOTO_KEY TEXT NOT NULL,
+    SIGNATURE_KEY TEXT,
+    DELIVERED_GALLONS INTEGER NOT NULL CHECK (DELIVERED_GALLONS > 0),
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+
+-- Recurring deliveries. The scheduler turns each occurrence into a scheduled
+-- order through START_ORDER shortly before it is due (see
+-- materialize_due_subscriptions). days_of_week uses 0=Sunday .. 6=Saturday and
+-- delivery_time is wall-clock time in the subscription's timezone.
+CREATE TABLE IF NOT EXISTS CUSTOMER_SUBSCRIPTIONS (
+    SUBSCRIPTION_ID SERIAL PRIMARY KEY,
+    CUSTOMER_ID INTEGER NOT NULL REFERENCES USERS(USER_ID) ON DELETE CASCADE,
+    DELIVERY_LOCATION TEXT NOT NULL,
+    DELIVERY_LATITUDE NUMERIC(9,6),
+    DELIVERY_LONGITUDE NUMERIC(9,6),
+    DELIVERY_DISTRICT VARCHAR(50),
+    REQUESTED_CAPACITY NUMERIC(5,0) NOT NULL CHECK (REQUESTED_CAPACITY > 0),
+    CUSTOMER_BID_PRICE NUMERIC(10,0) NOT NULL CHECK (CUSTOMER_BID_PRICE > 0),
+    DAYS_OF_WEEK SMALLINT[] NOT NULL,
+    DELIVERY_TIME TIME NOT NULL,
+    WINDOW_HOURS INTEGER NOT NULL DEFAULT 2 CHECK (WINDOW_HOURS BETWEEN 1 AND 12),
+    TIMEZONE VARCHAR(64) NOT NULL DEFAULT 'Asia/Karachi',
+    STATUS VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (STATUS IN ('active', 'paused', 'cancelled')),
+    NEXT_RUN_AT TIMESTAMP,
+    LAST_RUN_AT TIMESTAMP,
+    LAST_ORDER_ID INTEGER,
+    LAST_RUN_ERROR TEXT,
+    CREATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UPDATED_AT TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Start of the latest occurrence an order was placed for, so resuming never
+-- lands on it again.
+ALTER TABLE customer_subscriptions
+    ADD COLUMN IF NOT EXISTS last_scheduled_for TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS ix_customer_subscriptions_customer
+    ON customer_subscriptions(customer_id);
+
+CREATE INDEX IF NOT EXISTS ix_customer_subscriptions_next_run
+    ON customer_subscriptions(next_run_at)
+    WHERE status = 'active';
+
 
 -- For local storage of tokens
+-- A user may hold one session per device. The access token expires after
+-- 7 days; the refresh token can rotate the pair for up to 30 days.
 CREATE TABLE IF NOT EXISTS sessions (
+    session_id SERIAL,
     token VARCHAR(255) PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    refresh_token VARCHAR(255),
+    device_label VARCHAR(100),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP + INTERVAL '7 days'),
+    refresh_expires_at TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP + INTERVAL '30 days')
 );
 
+-- Backfill-safe migration for existing environments.
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS session_id SERIAL;
+
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS refresh_token VARCHAR(255);
+
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS device_label VARCHAR(100);
+
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP + INTERVAL '7 days');
+
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS refresh_expires_at TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP + INTERVAL '30 days');
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_sessions_session_id
+    ON sessions(session_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_sessions_refresh_token
+    ON sessions(refresh_token);
+
 
 -- ============================================================================
 -- TRIGGER: Auto set driver_user_id to NULL when driver's session is deleted
@@ -174,8 +730,10 @@ BEGIN
     FROM users
     WHERE user_id = OLD.user_id;
     
-    -- If the user is a driver, unlink them from supplier_drivers
-    IF v_user_role = 'driver' THEN
+    -- If the user is a driver with no other device still signed in,
+    -- unlink them from supplier_drivers
+    IF v_user_role = 'driver'
+       AND NOT EXISTS (SELECT 1 FROM sessions WHERE user_id = OLD.user_id) THEN
         UPDATE supplier_drivers
         SET driver_user_id = NULL
         WHERE driver_user_id = OLD.user_id;
@@ -185,7 +743,6 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
-DROP TRIGGER IF EXISTS trigger_unlink_driver_on_session_delete ON sessions;
 DROP TRIGGER IF EXISTS trigger_unlink_driver_on_session_delete ON sessions;
 CREATE TRIGGER trigger_unlink_driver_on_session_delete
     AFTER DELETE ON sessions
@@ -197,36 +754,125 @@ CREATE TRIGGER trigger_unlink_driver_on_session_delete
 --FUNCTIONS AND PROCEDURES
 --------------------------------------------------------
 
--- Purpose: Check if a session token exists and return user_id if it does
+-- Purpose: Validate an optional latitude/longitude pair
+--          Coordinates are optional, but must be supplied together and in range
+-- Parameters:
+--   p_latitude: Latitude in degrees (-90 to 90) or NULL
+--   p_longitude: Longitude in degrees (-180 to 180) or NULL
+-- Returns: NULL when valid, otherwise an error message
+CREATE OR REPLACE FUNCTION coordinates_error(
+    p_latitude NUMERIC,
+    p_longitude NUMERIC
+)
+RETURNS TEXT AS $$
+BEGIN
+    IF p_latitude IS NULL AND p_longitude IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF p_latitude IS NULL OR p_longitude IS NULL THEN
+        RETURN 'Latitude and longitude must be provided together';
+    END IF;
+
+    IF p_latitude < -90 OR p_latitude > 90 THEN
+        RETURN 'Latitude must be between -90 and 90';
+    END IF;
+
+    IF p_longitude < -180 OR p_longitude > 180 THEN
+        RETURN 'Longitude must be between -180 and 180';
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+
+-- Purpose: Great-circle (haversine) distance between two points
+-- Parameters:
+--   p_lat1, p_lng1: First point in degrees
+--   p_lat2, p_lng2: Second point in degrees
+-- Returns: Distance in kilometres rounded to 2 decimals, NULL if any input is NULL
+CREATE OR REPLACE FUNCTION haversine_km(
+    p_lat1 NUMERIC,
+    p_lng1 NUMERIC,
+    p_lat2 NUMERIC,
+    p_lng2 NUMERIC
+)
+RETURNS NUMERIC AS $$
+DECLARE
+    v_dlat DOUBLE PRECISION;
+    v_dlng DOUBLE PRECISION;
+    v_a DOUBLE PRECISION;
+BEGIN
+    IF p_lat1 IS NULL OR p_lng1 IS NULL OR p_lat2 IS NULL OR p_lng2 IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    v_dlat := radians(p_lat2 - p_lat1);
+    v_dlng := radians(p_lng2 - p_lng1);
+    v_a := sin(v_dlat / 2) ^ 2
+        + cos(radians(p_lat1)) * cos(radians(p_lat2)) * sin(v_dlng / 2) ^ 2;
+
+    -- 6371 km = mean Earth radius
+    RETURN ROUND((6371 * 2 * asin(LEAST(1, sqrt(v_a))))::NUMERIC, 2);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+
+-- Purpose: Check if a session token exists and is not expired
+--          Touches last_seen_at (at most once per minute) for live sessions
+--          and removes sessions whose refresh window has also lapsed
 -- Parameters:
 --   p_token: Session token to check
 -- Returns: JSON object
--- Code: 0=Session doesn't exist, 1=Session exists (with user_id)
+-- Code: 0=Session doesn't exist or expired, 1=Session exists (with user_id)
 CREATE OR REPLACE FUNCTION check_session(
     p_token VARCHAR(255)
 )
 RETURNS JSON AS $$
 DECLARE
-    v_user_id INTEGER;
+    v_session RECORD;
 BEGIN
     
     -- Check if session exists and get user_id
-    SELECT user_id INTO v_user_id
+    SELECT session_id, user_id, expires_at, refresh_expires_at, last_seen_at
+    INTO v_session
     FROM sessions
     WHERE token = p_token;
     
-    IF v_user_id IS NULL THEN
+    IF NOT FOUND THEN
         -- Session doesn't exist
         RETURN json_build_object(
             'code', 0
         );
-    ELSE
-        -- Session exists, return user_id
+    END IF;
+
+    IF v_session.expires_at <= CURRENT_TIMESTAMP THEN
+        -- Nothing left to rotate: drop the row entirely
+        IF v_session.refresh_expires_at <= CURRENT_TIMESTAMP THEN
+            DELETE FROM sessions WHERE token = p_token;
+        END IF;
+
         RETURN json_build_object(
-            'code', 1,
-            'user_id', v_user_id
+            'code', 0,
+            'expired', true,
+            'message', 'Session expired'
         );
     END IF;
+
+    IF v_session.last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute' THEN
+        UPDATE sessions
+        SET last_seen_at = CURRENT_TIMESTAMP
+        WHERE token = p_token;
+    END IF;
+
+    -- Session exists, return user_id
+    RETURN json_build_object(
+        'code', 1,
+        'user_id', v_session.user_id,
+        'session_id', v_session.session_id,
+        'expires_at', v_session.expires_at
+    );
     
 END;
 $$ LANGUAGE plpgsql;
@@ -298,9 +944,10 @@ $$ LANGUAGE plpgsql;
 
 
 -- Purpose: Store or udpate OTP in pending_users table
+--          Only a bcrypt hash of the OTP is persisted
 -- Parameters:
 --   p_phone: Phone number
---   p_otp: Plain text OTP
+--   p_otp: Plain text OTP generated by the backend
 -- Returns: JSON object with success status
 CREATE OR REPLACE FUNCTION store_otp(
     p_phone VARCHAR(20),
@@ -365,9 +1012,9 @@ BEGIN
         );
     END IF;
     
-    -- Update OTP, timestamps, and reset wrong-attempt counter for this new OTP
+    -- Update OTP hash, timestamps, and reset wrong-attempt counter for this new OTP
     UPDATE pending_users
-    SET otp = p_otp,
+    SET otp = crypt(p_otp, gen_salt('bf')),
         created_at = CURRENT_TIMESTAMP,
         otp_attempt_count = 0,
         otp_sent_count = v_new_sent_count,
@@ -391,12 +1038,17 @@ END;
 $$ LANGUAGE plpgsql;
 
 
--- Purpose: Create a session token for a user
+-- Purpose: Create a session (access + refresh token) for a user on a device
+--          Other devices stay signed in; only fully lapsed sessions are pruned
 -- Parameters:
 --   p_user_id: User ID to create session for
+--   p_device_label: Optional human-readable device name
 -- Returns: Session token (VARCHAR)
+DROP FUNCTION IF EXISTS create_session(INTEGER);
+
 CREATE OR REPLACE FUNCTION create_session(
-    p_user_id INTEGER
+    p_user_id INTEGER,
+    p_device_label VARCHAR(100) DEFAULT NULL
 )
 RETURNS VARCHAR(255) AS $$
 DECLARE
@@ -405,12 +1057,19 @@ BEGIN
     -- Generate random 64-character hex token
     v_token := encode(gen_random_bytes(32), 'hex');
     
-    -- Delete any existing sessions for this user (one session per user)
-    DELETE FROM sessions WHERE user_id = p_user_id;
+    -- Delete this user's sessions that can no longer be refreshed
+    DELETE FROM sessions
+    WHERE user_id = p_user_id
+      AND refresh_expires_at <= CURRENT_TIMESTAMP;
     
     -- Insert new session
-    INSERT INTO sessions (token, user_id)
-    VALUES (v_token, p_user_id);
+    INSERT INTO sessions (token, user_id, refresh_token, device_label)
+    VALUES (
+        v_token,
+        p_user_id,
+        encode(gen_random_bytes(32), 'hex'),
+        NULLIF(TRIM(p_device_label), '')
+    );
     
     RETURN v_token;
     
@@ -425,13 +1084,16 @@ $$ LANGUAGE plpgsql;
 --          If user already exists, then set verified boolean to true
 -- Parameters:
 --   p_phone: Phone number
---   p_otp: Plain text OTP to verify
--- Returns: JSON object with success status and user_id
--- Code: 0=Success, 1=Invalid OTP, 2=Error
+--   p_otp: Plain text OTP to verify against the stored hash
+--   p_device_label: Optional device name stored on the new session
+-- Returns: JSON object with success status, user_id and session tokens
+-- Code: 0=Success, 1=Invalid OTP, 2=Error, 3=Account suspended
+DROP FUNCTION IF EXISTS verify_otp_and_activate_user(VARCHAR, VARCHAR);
 
 CREATE OR REPLACE FUNCTION verify_otp_and_activate_user(
     p_phone VARCHAR(20),
-    p_otp VARCHAR(6)
+    p_otp VARCHAR(6),
+    p_device_label VARCHAR(100) DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
@@ -439,6 +1101,7 @@ DECLARE
     v_existing_user_id INTEGER;
     v_new_user_id INTEGER;
     v_session_token VARCHAR(255);
+    v_session RECORD;
     v_user_role VARCHAR(20);
     v_current_attempt_count INTEGER;
 BEGIN
@@ -486,8 +1149,9 @@ BEGIN
         );
     END IF;
     
-    -- Verify OTP (plain text comparison)
-    IF p_otp != v_pending_record.otp THEN
+    -- Verify OTP against the stored bcrypt hash
+    IF v_pending_record.otp IS NULL
+       OR crypt(p_otp, v_pending_record.otp) != v_pending_record.otp THEN
         UPDATE pending_users
         SET otp_attempt_count = otp_attempt_count + 1
         WHERE phone = p_phone;
@@ -520,6 +1184,14 @@ BEGIN
     FROM users
     WHERE phone = p_phone;
 
+    IF EXISTS (SELECT 1 FROM users WHERE user_id = v_existing_user_id AND suspended_at IS NOT NULL) THEN
+        DELETE FROM pending_users WHERE phone = p_phone;
+        RETURN json_build_object(
+            'code', 3,
+            'message', 'This account has been suspended. Please contact support.'
+        );
+    END IF;
+
     IF v_existing_user_id IS NOT NULL THEN
         UPDATE users SET verified = TRUE 
         WHERE user_id = v_existing_user_id;
@@ -545,7 +1217,11 @@ BEGIN
     DELETE FROM pending_users WHERE phone = p_phone;
     
     -- Create session token
-    v_session_token := create_session(v_new_user_id);
+    v_session_token := create_session(v_new_user_id, p_device_label);
+
+    SELECT refresh_token, expires_at, refresh_expires_at INTO v_session
+    FROM sessions
+    WHERE token = v_session_token;
     
     -- Get user role
     SELECT role INTO v_user_role
@@ -556,6 +1232,9 @@ BEGIN
         'code', 0,
         'user_id', v_new_user_id,
         'session_token', v_session_token,
+        'refresh_token', v_session.refresh_token,
+        'expires_at', v_session.expires_at,
+        'refresh_expires_at', v_session.refresh_expires_at,
         'role', v_user_role,
         'message', 'OTP verified successfully'
     );
@@ -570,183 +1249,1263 @@ END;
 $$ LANGUAGE plpgsql;
 
 
--- Purpose: Cleanup failed timeout states.
--- Behavior:
---   1) Delete expired pending driver assignments.
---   2) Delete supplier_timer orders whose supplier window has expired.
--- Notes:
---   - Expired supplier failures are hard-deleted from orders.
---   - They are NOT inserted into order_history.
---   - Deleting an order cascades to driver_assignment rows for that order.
-CREATE OR REPLACE FUNCTION cleanup_expired_failures()
-RETURNS VOID AS $$
-BEGIN
-        -- Remove pending driver assignments that are past their own time limit.
-        DELETE FROM driver_assignment
-        WHERE order_rejected = FALSE
-            AND time_limit_for_driver IS NOT NULL
-            AND CURRENT_TIMESTAMP > time_limit_for_driver;
-
-        -- Remove assignments where supplier timer is already expired for the order.
-        DELETE FROM driver_assignment da
-        USING orders o
-        WHERE da.order_id = o.order_id
-            AND o.status = 'supplier_timer'
-            AND o.time_limit_for_supplier IS NOT NULL
-            AND CURRENT_TIMESTAMP > o.time_limit_for_supplier;
-
-        -- Remove expired supplier-timer orders (failure cleanup, no history logging).
-        DELETE FROM orders
-        WHERE status = 'supplier_timer'
-            AND time_limit_for_supplier IS NOT NULL
-            AND CURRENT_TIMESTAMP > time_limit_for_supplier;
-END;
-$$ LANGUAGE plpgsql;
-
-
--- Purpose: Cancel/remove an order - can be called by any user
+-- Purpose: Rotate a session using its refresh token
+--          Issues a new access token and refresh token for the same device
+--          session and extends both expiry windows. The old pair stops working.
 -- Parameters:
---   p_order_id: Order ID to cancel
---   p_user_id: User ID who is cancelling (for authorization)
---   p_reason: Reason for cancellation (optional)
--- Returns: JSON object with code field
--- Code: 1=Success, 0=Failure
--- If status is NOT IN ('open', 'supplier_timer'), inserts into order_history with reason
--- If supplier/driver cancels 'accepted'/'ride_started'/'reached', supplier rating -0.2
-CREATE OR REPLACE FUNCTION cancel_order(
-    p_order_id INTEGER,
-    p_user_id INTEGER,
-    p_reason TEXT DEFAULT NULL
+--   p_refresh_token: Refresh token issued with the session
+-- Returns: JSON object with the new token pair
+-- Code: 1=Success, 0=Invalid or expired refresh token
+CREATE OR REPLACE FUNCTION rotate_session(
+    p_refresh_token VARCHAR(255)
 )
 RETURNS JSON AS $$
 DECLARE
-    v_order_record RECORD;
-    v_yard_location TEXT;
-    v_customer_name TEXT;
-    v_customer_phone VARCHAR(20);
-    v_supplier_name TEXT;
-    v_supplier_phone VARCHAR(20);
-    v_driver_name TEXT;
-    v_driver_phone VARCHAR(20);
+    v_session RECORD;
+    v_new_token VARCHAR(255);
+    v_new_refresh_token VARCHAR(255);
 BEGIN
-    -- Validate inputs
-    IF p_order_id IS NULL OR p_user_id IS NULL THEN
+    IF p_refresh_token IS NULL OR TRIM(p_refresh_token) = '' THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order ID and User ID cannot be null'
+            'message', 'Refresh token is required'
         );
     END IF;
-    
-    -- Get order details
-    SELECT * INTO v_order_record
-    FROM orders
-    WHERE order_id = p_order_id;
-    
+
+    SELECT * INTO v_session
+    FROM sessions
+    WHERE refresh_token = p_refresh_token
+    FOR UPDATE;
+
     IF NOT FOUND THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order not found'
+            'message', 'Invalid refresh token'
         );
     END IF;
-    
-    -- Check if order status is 'finished' - cannot cancel finished orders
-    IF v_order_record.status = 'finished' THEN
+
+    IF v_session.refresh_expires_at <= CURRENT_TIMESTAMP THEN
+        DELETE FROM sessions WHERE session_id = v_session.session_id;
+
         RETURN json_build_object(
             'code', 0,
-            'message', 'Cannot cancel a finished order'
+            'message', 'Refresh token expired. Please login again'
         );
     END IF;
-    
-    -- If status is NOT 'open' or 'supplier_timer', insert into order_history
-    IF v_order_record.status NOT IN ('open', 'supplier_timer') THEN
-        -- Snapshot user names and phones for immutable history
-        SELECT name, phone INTO v_customer_name, v_customer_phone
-        FROM users
-        WHERE user_id = v_order_record.customer_id;
 
-        IF v_order_record.supplier_id IS NOT NULL THEN
-            SELECT name, phone INTO v_supplier_name, v_supplier_phone
-            FROM users
-            WHERE user_id = v_order_record.supplier_id;
-        END IF;
+    v_new_token := encode(gen_random_bytes(32), 'hex');
+    v_new_refresh_token := encode(gen_random_bytes(32), 'hex');
 
-        IF v_order_record.driver_id IS NOT NULL THEN
-            SELECT name, phone INTO v_driver_name, v_driver_phone
-            FROM users
-            WHERE user_id = v_order_record.driver_id;
-        END IF;
+    UPDATE sessions
+    SET token = v_new_token,
+        refresh_token = v_new_refresh_token,
+        last_seen_at = CURRENT_TIMESTAMP,
+        expires_at = CURRENT_TIMESTAMP + INTERVAL '7 days',
+        refresh_expires_at = CURRENT_TIMESTAMP + INTERVAL '30 days'
+    WHERE session_id = v_session.session_id
+    RETURNING * INTO v_session;
 
-        -- Get supplier yard location
-        SELECT yard_location INTO v_yard_location
-        FROM suppliers
-        WHERE user_id = v_order_record.supplier_id;
-        
-        -- Insert into order_history
-        INSERT INTO order_history (
-            order_id,
-            supplier_id,
-            customer_name,
-            customer_phone,
-            supplier_name,
-            supplier_phone,
-            driver_name,
-            driver_phone,
-            customer_location,
-            yard_location,
-            price,
-            quantity,
-            status,
-            order_date,
-            reason,
-            created_at
-        ) VALUES (
-            v_order_record.order_id,
-            v_order_record.supplier_id,
-            COALESCE(v_customer_name, ''),
-            COALESCE(v_customer_phone, ''),
-            v_supplier_name,
-            v_supplier_phone,
-            v_driver_name,
-            v_driver_phone,
-            v_order_record.delivery_location,
-            COALESCE(v_yard_location, ''),
-            0,
-            v_order_record.requested_capacity,
-            'cancelled',
-            v_order_record.created_at,
-            p_reason,
-            CURRENT_TIMESTAMP
-        );
-        
-        -- If status is 'accepted' or 'ride_started' or 'reached', penalize supplier if not customer
-        IF v_order_record.status IN ('accepted', 'ride_started', 'reached') THEN
-            -- If canceller is NOT the customer, penalize supplier (rating -0.2)
-            IF p_user_id != v_order_record.customer_id THEN
-                UPDATE suppliers
-                SET rating = GREATEST(rating - 0.2, 0.00)
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Session refreshed',
+        'user_id', v_session.user_id,
+        'session_id', v_session.session_id,
+        'session_token', v_session.token,
+        'refresh_token', v_session.refresh_token,
+        'expires_at', v_session.expires_at,
+        'refresh_expires_at', v_session.refresh_expires_at
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to refresh session: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: List a user's signed-in devices
+-- Parameters:
+--   p_user_id: Owner of the sessions
+--   p_current_session_id: Session making the request (flagged as current)
+-- Returns: JSON object with sessions array (tokens are never included)
+-- Code: 1=Success, 0=Failure
+CREATE OR REPLACE FUNCTION list_user_sessions(
+    p_user_id INTEGER,
+    p_current_session_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_sessions JSON;
+BEGIN
+    SELECT COALESCE(json_agg(json_build_object(
+        'session_id', s.session_id,
+        'device_label', s.device_label,
+        'created_at', s.created_at,
+        'last_seen_at', s.last_seen_at,
+        'expires_at', s.expires_at,
+        'is_current', s.session_id = p_current_session_id
+    ) ORDER BY s.last_seen_at DESC), '[]'::json)
+    INTO v_sessions
+    FROM sessions s
+    WHERE s.user_id = p_user_id
+      AND s.refresh_expires_at > CURRENT_TIMESTAMP;
+
+    RETURN json_build_object(
+        'code', 1,
+        'sessions', v_sessions
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to list sessions: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Revoke one of the user's other signed-in devices
+-- Parameters:
+--   p_user_id: Owner of the session
+--   p_session_id: Session to revoke
+--   p_current_session_id: Session making the request (cannot revoke itself)
+-- Returns: JSON object with code field
+-- Code: 1=Success, 0=Failure
+CREATE OR REPLACE FUNCTION revoke_user_session(
+    p_user_id INTEGER,
+    p_session_id INTEGER,
+    p_current_session_id INTEGER
+)
+RETURNS JSON AS $$
+BEGIN
+    IF p_session_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Session ID is required'
+        );
+    END IF;
+
+    IF p_session_id = p_current_session_id THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Cannot revoke the current session. Use logout instead'
+        );
+    END IF;
+
+    DELETE FROM sessions
+    WHERE session_id = p_session_id
+      AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Session not found'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Session revoked',
+        'session_id', p_session_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to revoke session: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Status a direct order returns to when its offer is declined or
+--          times out with fallback_to_market set (also used for orders
+--          reopened after a missed supplier_timer window).
+-- Returns: 'scheduled' for scheduled orders the surfacing sweep has not
+--          reached yet (it moves them to 'open' in time), otherwise 'open'.
+CREATE OR REPLACE FUNCTION direct_offer_fallback_status(
+    p_scheduled_for TIMESTAMP,
+    p_surfaced_at TIMESTAMP
+)
+RETURNS VARCHAR(20) AS $$
+BEGIN
+    IF p_scheduled_for IS NOT NULL AND p_surfaced_at IS NULL THEN
+        RETURN 'scheduled';
+    END IF;
+
+    RETURN 'open';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+
+-- Purpose: Whether an order is still waiting for a later delivery window:
+--          placed for the future, not surfaced, not within p_lead_minutes of
+--          its window and without a driver yet. Such orders do not count
+--          towards the customer's one-active-order limit.
+-- Parameters:
+--   p_lead_minutes: The surfacing lead time (SCHEDULED_ORDER_LEAD_MINUTES)
+CREATE OR REPLACE FUNCTION order_is_upcoming(
+    p_status VARCHAR(20),
+    p_scheduled_for TIMESTAMP,
+    p_surfaced_at TIMESTAMP,
+    p_lead_minutes INTEGER
+)
+RETURNS BOOLEAN AS $$
+    SELECT p_status IN ('scheduled', 'direct_offer', 'supplier_timer')
+       AND p_scheduled_for IS NOT NULL
+       AND p_surfaced_at IS NULL
+       AND p_scheduled_for > CURRENT_TIMESTAMP + make_interval(mins => GREATEST(COALESCE(p_lead_minutes, 0), 0));
+$$ LANGUAGE sql STABLE;
+
+
+-- Purpose: Refusal for an order transition the order's current status does
+--          not allow. p_allowed_statuses is the backend state machine's list
+--          for the action and the caller's role (statusesAllowing); NULL
+--          skips the check for internal callers. Call it after the ownership
+--          check, with the order row locked.
+-- Returns: JSON failure carrying order_status, or NULL when allowed
+CREATE OR REPLACE FUNCTION transition_refusal(
+    p_action VARCHAR(40),
+    p_status VARCHAR(20),
+    p_allowed_statuses VARCHAR(20)[]
+)
+RETURNS JSON AS $$
+    SELECT CASE
+               WHEN p_allowed_statuses IS NULL OR p_status = ANY(p_allowed_statuses) THEN NULL
+               ELSE json_build_object(
+                   'code', 0,
+                   'message', 'Action ' || p_action || ' is not allowed while the order is ' || p_status,
+                   'order_status', p_status
+               )
+           END;
+$$ LANGUAGE sql IMMUTABLE;
+
+
+-- Purpose: When a bid stops being valid: 15 seconds after it was placed, or
+--          15 seconds after a still-pending counter-offer on it was made.
+CREATE OR REPLACE FUNCTION bid_expires_at(
+    p_created_at TIMESTAMP,
+    p_counter_status VARCHAR(10),
+    p_countered_at TIMESTAMP
+)
+RETURNS TIMESTAMP AS $$
+    SELECT CASE
+               WHEN p_counter_status = 'pending' AND p_countered_at IS NOT NULL
+                   THEN GREATEST(p_created_at, p_countered_at)
+               ELSE p_created_at
+           END + INTERVAL '15 seconds';
+$$ LANGUAGE sql IMMUTABLE;
+
+
+-- Purpose: Append one row to order_events. Parties and parent_order_id are
+--          read from the order row as it is when called, so log after the
+--          change (and before deleting a row). p_actor_id NULL means the
+--          system (timers, sweeps); otherwise the role is the actor's.
+CREATE OR REPLACE FUNCTION log_order_event(
+    p_order_id INTEGER,
+    p_event_type VARCHAR(40),
+    p_actor_id INTEGER,
+    p_from_status VARCHAR(20),
+    p_to_status VARCHAR(20),
+    p_payload JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+    INSERT INTO order_events (
+        order_id, parent_order_id, event_type, from_status, to_status,
+        actor_id, actor_role, customer_id, supplier_id, driver_id, payload
+    )
+    SELECT
+        p_order_id,
+        o.parent_order_id,
+        p_event_type,
+        p_from_status,
+        p_to_status,
+        p_actor_id,
+        COALESCE((SELECT role FROM users WHERE user_id = p_actor_id), 'system'),
+        o.customer_id,
+        o.supplier_id,
+        o.driver_id,
+        p_payload
+    FROM (SELECT 1) one
+    LEFT JOIN orders o ON o.order_id = p_order_id;
+$$ LANGUAGE sql;
+
+
+-- Purpose: Whether the supplier was taken off the order for missing its
+--          supplier_timer window (see reopen_expired_supplier_orders).
+-- Returns: FALSE when either argument is NULL.
+CREATE OR REPLACE FUNCTION supplier_excluded_from_order(
+    p_order_id INTEGER,
+    p_supplier_id INTEGER
+)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM order_supplier_exclusions
+        WHERE order_id = p_order_id
+          AND supplier_id = p_supplier_id
+    );
+$$ LANGUAGE sql STABLE;
+
+
+-- Purpose: Number of a supplier's drivers who could take an order of the
+--          given size right now: linked, available, and paired with an
+--          active tanker of at least that capacity.
+-- Returns: 0 when p_capacity is NULL.
+CREATE OR REPLACE FUNCTION count_capable_drivers(
+    p_supplier_id INTEGER,
+    p_capacity INTEGER
+)
+RETURNS INTEGER AS $$
+    SELECT COUNT(*)::INTEGER
+    FROM supplier_drivers sd
+    JOIN vehicles v ON v.vehicle_id = sd.vehicle_id
+    WHERE sd.supplier_user_id = p_supplier_id
+      AND sd.driver_user_id IS NOT NULL
+      AND sd.available = TRUE
+      AND v.status = 'active'
+      AND v.capacity_gallons >= p_capacity;
+$$ LANGUAGE sql STABLE;
+
+
+-- Purpose: Whether a driver is tied to an order right now: one in progress
+--          (accepted / ride_started / reached) or a live pending assignment.
+--          Their tanker must not be swapped or removed meanwhile.
+-- Returns: FALSE for a NULL (unlinked) driver.
+CREATE OR REPLACE FUNCTION driver_has_work_in_progress(
+    p_driver_id INTEGER
+)
+RETURNS BOOLEAN AS $$
+    SELECT p_driver_id IS NOT NULL AND (
+        EXISTS (
+            SELECT 1 FROM orders
+            WHERE driver_id = p_driver_id
+              AND status IN ('accepted', 'ride_started', 'reached')
+        )
+        OR EXISTS (
+            SELECT 1 FROM driver_assignment
+            WHERE driver_id = p_driver_id
+              AND order_rejected = FALSE
+              AND CURRENT_TIMESTAMP <= time_limit_for_driver
+        )
+    );
+$$ LANGUAGE sql STABLE;
+
+
+-- Purpose: Tanker loads for an order of p_total gallons under pricing
+--          version p_version_id (the one in force now when NULL). Up to the
+--          largest priced quantity an order is a single load and must be one
+--          of the version's quantities. Larger orders (multi-tanker) must be
+--          whole thousands and are split into as few loads as the largest
+--          tanker size allows, at most p_max_legs, spread as evenly as possible.
+-- Returns: Leg sizes, largest first, or NULL when p_total cannot be delivered.
+DROP FUNCTION IF EXISTS plan_order_legs(NUMERIC, INTEGER);
+
+CREATE OR REPLACE FUNCTION plan_order_legs(
+    p_total NUMERIC,
+    p_version_id INTEGER DEFAULT NULL,
+    p_max_legs INTEGER DEFAULT 5
+)
+RETURNS INTEGER[] AS $$
+DECLARE
+    v_version_id INTEGER := COALESCE(p_version_id, pricing_version_at());
+    v_largest INTEGER;
+    v_units INTEGER;
+    v_leg_count INTEGER;
+    v_legs INTEGER[] := '{}';
+BEGIN
+    SELECT MAX(quantity_in_gallon) INTO v_largest
+    FROM pricing_version_prices
+    WHERE version_id = v_version_id;
+
+    IF p_total IS NULL OR p_total <= 0 OR v_largest IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF p_total <= v_largest THEN
+        IF EXISTS (
+            SELECT 1 FROM pricing_version_prices
+            WHERE version_id = v_version_id AND quantity_in_gallon = p_total
+        ) THEN
+            RETURN ARRAY[p_total::INTEGER];
+        END IF;
+        RETURN NULL;
+    END IF;
+
+    IF p_total % 1000 <> 0 THEN
+        RETURN NULL;
+    END IF;
+
+    v_leg_count := CEIL(p_total / v_largest)::INTEGER;
+    IF v_leg_count > p_max_legs THEN
+        RETURN NULL;
+    END IF;
+
+    -- Whole thousands per leg; the first legs take the remainder.
+    v_units := (p_total / 1000)::INTEGER;
+    FOR i IN 1..v_leg_count LOOP
+        v_legs := v_legs || ((v_units / v_leg_count + CASE WHEN i <= v_units % v_leg_count THEN 1 ELSE 0 END) * 1000);
+    END LOOP;
+
+    IF EXISTS (
+        SELECT 1
+        FROM unnest(v_legs) AS leg(size)
+        WHERE NOT EXISTS (
+            SELECT 1 FROM pricing_version_prices
+            WHERE version_id = v_version_id AND quantity_in_gallon = leg.size
+        )
+    ) THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN v_legs;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+
+-- Purpose: Base price of an order: the price of each of its legs under
+--          pricing version p_version_id (in force now when NULL) added up.
+--          Customer and bid prices are checked against this.
+-- Returns: NULL when the quantity cannot be delivered (see plan_order_legs).
+DROP FUNCTION IF EXISTS order_base_price(NUMERIC);
+
+CREATE OR REPLACE FUNCTION order_base_price(
+    p_total NUMERIC,
+    p_version_id INTEGER DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+    SELECT SUM(vp.base_price)::INTEGER
+    FROM unnest(plan_order_legs(p_total, COALESCE(p_version_id, pricing_version_at()))) AS leg(size)
+    JOIN pricing_version_prices vp
+      ON vp.version_id = COALESCE(p_version_id, pricing_version_at())
+     AND vp.quantity_in_gallon = leg.size;
+$$ LANGUAGE sql STABLE;
+
+
+-- Purpose: The pricing rule for an order of p_total gallons delivered in
+--          p_district at p_at: the active rule with the highest priority
+--          (newest first on ties) whose conditions all hold. Day and time
+--          are read in the rule's timezone, so a 23:00-02:00 Friday rule
+--          covers Friday 23:00-24:00 only; add Saturday for the rest.
+-- Returns: rule_id, or NULL when no rule applies.
+CREATE OR REPLACE FUNCTION matching_pricing_rule(
+    p_total NUMERIC,
+    p_district TEXT,
+    p_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+)
+RETURNS INTEGER AS $$
+    SELECT r.rule_id
+    FROM pricing_rules r
+    CROSS JOIN LATERAL (SELECT p_at AT TIME ZONE r.timezone AS local_at) l
+    WHERE r.is_active
+      AND (r.districts IS NULL
+           OR EXISTS (SELECT 1 FROM unnest(r.districts) AS d WHERE lower(d) = lower(btrim(p_district))))
+      AND (r.days_of_week IS NULL OR EXTRACT(DOW FROM l.local_at)::SMALLINT = ANY(r.days_of_week))
+      AND (r.start_time IS NULL
+           OR (r.start_time <= r.end_time AND l.local_at::TIME >= r.start_time AND l.local_at::TIME < r.end_time)
+           OR (r.start_time > r.end_time AND (l.local_at::TIME >= r.start_time OR l.local_at::TIME < r.end_time)))
+      AND (r.min_quantity IS NULL OR p_total >= r.min_quantity)
+      AND (r.max_quantity IS NULL OR p_total <= r.max_quantity)
+    ORDER BY r.priority DESC, r.rule_id DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+
+-- Purpose: Price band for an order of p_total gallons delivered in p_district
+--          at p_at, under pricing version p_version_id (in force now when
+--          NULL). suggested_price is the base price scaled by the matching
+--          rule, rounded to the nearest 50; customer offers must lie between
+--          min_price and max_price. START_ORDER, bid updates and the
+--          customer's quantity list all use this.
+-- Returns: One row; every column NULL when the quantity cannot be delivered.
+CREATE OR REPLACE FUNCTION order_price_band(
+    p_total NUMERIC,
+    p_district TEXT,
+    p_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    p_version_id INTEGER DEFAULT NULL,
+    OUT base_price INTEGER,
+    OUT suggested_price INTEGER,
+    OUT min_price NUMERIC(10,2),
+    OUT max_price NUMERIC(10,2),
+    OUT rule_id INTEGER,
+    OUT rule_name VARCHAR(80)
+)
+AS $$
+DECLARE
+    v_rule RECORD;
+BEGIN
+    base_price := order_base_price(p_total, p_version_id);
+    IF base_price IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT r.rule_id, r.name, r.price_multiplier, r.min_price_ratio, r.max_price_ratio
+    INTO v_rule
+    FROM pricing_rules r
+    WHERE r.rule_id = matching_pricing_rule(p_total, p_district, COALESCE(p_at, CURRENT_TIMESTAMP));
+
+    IF NOT FOUND THEN
+        suggested_price := base_price;
+        min_price := base_price * 0.85;
+        max_price := base_price * 3.0;
+        RETURN;
+    END IF;
+
+    rule_id := v_rule.rule_id;
+    rule_name := v_rule.name;
+    suggested_price := CASE
+        WHEN v_rule.price_multiplier = 1 THEN base_price
+        ELSE (ROUND(base_price * v_rule.price_multiplier / 50) * 50)::INTEGER
+    END;
+    min_price := suggested_price * v_rule.min_price_ratio;
+    max_price := suggested_price * v_rule.max_price_ratio;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+
+-- Purpose: Create the legs of a multi-tanker order once a supplier has taken
+--          it (accepted bid or direct offer). Each leg is a 'supplier_timer'
+--          child order with the parent's customer, supplier, address and
+--          window, its planned size and a proportional share of the prices.
+--          Legs have no supplier deadline of their own: if the parent's
+--          window runs out the delete cascades to them.
+-- Returns: Number of legs created; 0 for single-tanker orders or when the
+--          legs already exist.
+CREATE OR REPLACE FUNCTION create_order_legs(
+    p_order_id INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_order_record RECORD;
+    v_created INTEGER;
+BEGIN
+    SELECT * INTO v_order_record
+    FROM orders
+    WHERE order_id = p_order_id
+      AND parent_order_id IS NULL;
+
+    IF NOT FOUND OR v_order_record.leg_count <= 1 THEN
+        RETURN 0;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM orders WHERE parent_order_id = p_order_id) THEN
+        RETURN 0;
+    END IF;
+
+    -- Shares are taken from running totals so the legs add up to the parent exactly.
+    INSERT INTO orders (
+        customer_id, supplier_id, delivery_location, delivery_latitude, delivery_longitude,
+        delivery_district, requested_capacity, customer_bid_price, accepted_price,
+        scheduled_for, delivery_window_end, status, parent_order_id, leg_number, leg_count,
+        pricing_version_id, created_at
+    )
+    SELECT
+        v_order_record.customer_id,
+        v_order_record.supplier_id,
+        v_order_record.delivery_location,
+        v_order_record.delivery_latitude,
+        v_order_record.delivery_longitude,
+        v_order_record.delivery_district,
+        leg.size,
+        ROUND(v_order_record.customer_bid_price * leg.running_total / v_order_record.requested_capacity)
+            - ROUND(v_order_record.customer_bid_price * (leg.running_total - leg.size) / v_order_record.requested_capacity),
+        ROUND(v_order_record.accepted_price * leg.running_total / v_order_record.requested_capacity)
+            - ROUND(v_order_record.accepted_price * (leg.running_total - leg.size) / v_order_record.requested_capacity),
+        v_order_record.scheduled_for,
+        v_order_record.delivery_window_end,
+        'supplier_timer',
+        p_order_id,
+        leg.leg_number,
+        v_order_record.leg_count,
+        v_order_record.pricing_version_id,
+        CURRENT_TIMESTAMP
+    FROM (
+        SELECT size, leg_number::INTEGER AS leg_number, SUM(size) OVER (ORDER BY leg_number) AS running_total
+        FROM unnest(plan_order_legs(v_order_record.requested_capacity, v_order_record.pricing_version_id)) WITH ORDINALITY AS planned(size, leg_number)
+    ) leg
+    ORDER BY leg.leg_number;
+
+    GET DIAGNOSTICS v_created = ROW_COUNT;
+    RETURN v_created;
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- TRIGGER: Roll leg status up to the parent order
+-- ============================================================================
+-- Purpose: Keeps a multi-tanker order's status in step with its legs so the
+--          customer sees one order: 'finished' once every leg is finished,
+--          otherwise the furthest any unfinished leg has got. The parent is
+--          confirmed when its first leg is accepted.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION roll_up_order_legs()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_status VARCHAR(20);
+BEGIN
+    SELECT CASE
+               WHEN bool_and(status = 'finished') THEN 'finished'
+               WHEN bool_or(status = 'reached') THEN 'reached'
+               WHEN bool_or(status = 'ride_started') THEN 'ride_started'
+               WHEN bool_or(status IN ('accepted', 'finished')) THEN 'accepted'
+               ELSE 'supplier_timer'
+           END
+    INTO v_status
+    FROM orders
+    WHERE parent_order_id = NEW.parent_order_id;
+
+    UPDATE orders
+    SET status = v_status,
+        order_confirmed_at = CASE WHEN v_status = 'supplier_timer' THEN order_confirmed_at
+                                  ELSE COALESCE(order_confirmed_at, CURRENT_TIMESTAMP) END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = NEW.parent_order_id
+      AND status IS DISTINCT FROM v_status;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_roll_up_order_legs ON orders;
+CREATE TRIGGER trigger_roll_up_order_legs
+    AFTER UPDATE OF status ON orders
+    FOR EACH ROW
+    WHEN (NEW.parent_order_id IS NOT NULL AND OLD.status IS DISTINCT FROM NEW.status)
+    EXECUTE FUNCTION roll_up_order_legs();
+
+
+-- Purpose: Return supplier_timer orders whose supplier window has expired to
+--          the marketplace for a fresh bidding round.
+-- Behavior (per order):
+--   1) Record the supplier in order_supplier_exclusions so they cannot bid
+--      on it again.
+--   2) Drop its legs and every driver assignment on it or its legs.
+--   3) Clear supplier_id/accepted_price/time_limit_for_supplier and move it
+--      back to 'open' ('scheduled' if the surfacing sweep has not reached it).
+-- Returns: JSON array of {order_id, customer_id, supplier_id, status,
+--          driver_ids}; driver_ids are the drivers whose pending offers were
+--          withdrawn.
+-- Notes:
+--   - Only expire_timed_out_records() calls this, so every reopened order is
+--     announced; SKIP LOCKED keeps overlapping sweeps (several instances)
+--     from reopening the same order twice.
+CREATE OR REPLACE FUNCTION reopen_expired_supplier_orders()
+RETURNS JSON AS $$
+DECLARE
+    v_order RECORD;
+    v_driver_ids JSON;
+    v_status VARCHAR(20);
+    v_reopened JSONB := '[]'::jsonb;
+BEGIN
+    FOR v_order IN
+        SELECT order_id, customer_id, supplier_id, accepted_price, scheduled_for, surfaced_at
+        FROM orders
+        WHERE status = 'supplier_timer'
+            AND parent_order_id IS NULL
+            AND time_limit_for_supplier IS NOT NULL
+            AND CURRENT_TIMESTAMP > time_limit_for_supplier
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        SELECT COALESCE(json_agg(da.driver_id), '[]'::json)
+        INTO v_driver_ids
+        FROM driver_assignment da
+        WHERE (da.order_id = v_order.order_id
+               OR da.order_id IN (SELECT order_id FROM orders WHERE parent_order_id = v_order.order_id))
+            AND da.order_rejected = FALSE;
+
+        INSERT INTO order_supplier_exclusions (order_id, supplier_id, accepted_price)
+        VALUES (v_order.order_id, v_order.supplier_id, v_order.accepted_price)
+        ON CONFLICT (order_id, supplier_id) DO NOTHING;
+
+        -- Leg rows cascade their own driver assignments.
+        DELETE FROM orders WHERE parent_order_id = v_order.order_id;
+        DELETE FROM driver_assignment WHERE order_id = v_order.order_id;
+
+        v_status := direct_offer_fallback_status(v_order.scheduled_for, v_order.surfaced_at);
+
+        UPDATE orders
+        SET status = v_status,
+            supplier_id = NULL,
+            accepted_price = NULL,
+            time_limit_for_supplier = NULL,
+            driver_dropped_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = v_order.order_id;
+
+        PERFORM log_order_event(
+            v_order.order_id, 'reopened', NULL, 'supplier_timer', v_status,
+            jsonb_build_object('reason', 'supplier_timer_expired', 'supplier_id', v_order.supplier_id,
+                               'driver_ids', v_driver_ids)
+        );
+
+        v_reopened := v_reopened || jsonb_build_array(jsonb_build_object(
+            'order_id', v_order.order_id,
+            'customer_id', v_order.customer_id,
+            'supplier_id', v_order.supplier_id,
+            'status', v_status,
+            'driver_ids', v_driver_ids
+        ));
+    END LOOP;
+
+    RETURN v_reopened::json;
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Cancel multi-tanker orders where a leg's driver dropped out and
+--          the supplier let the reassignment window run out while other legs
+--          were already under way (if every leg is waiting, the order itself
+--          is back in 'supplier_timer' and reopen_expired_supplier_orders()
+--          returns it to the marketplace instead).
+-- Returns: JSON array of {order_id, customer_id, supplier_id, leg_driver_ids}
+--          for the cancelled orders.
+-- Notes:
+--   - Cancelled through cancel_order() in the supplier's name, so history is
+--     written and the supplier takes the usual rating penalty.
+--   - An order with a delivered leg cannot be cancelled; the leg's deadline
+--     is cleared instead and it stays with the supplier to assign.
+CREATE OR REPLACE FUNCTION expire_driver_reassignments()
+RETURNS JSON AS $$
+DECLARE
+    v_parent RECORD;
+    v_result JSON;
+    v_cancelled JSONB := '[]'::jsonb;
+BEGIN
+    FOR v_parent IN
+        SELECT DISTINCT p.order_id, p.customer_id, p.supplier_id
+        FROM orders l
+        JOIN orders p ON p.order_id = l.parent_order_id
+        WHERE l.status = 'supplier_timer'
+            AND l.driver_dropped_at IS NOT NULL
+            AND l.time_limit_for_supplier IS NOT NULL
+            AND CURRENT_TIMESTAMP > l.time_limit_for_supplier
+            AND p.status <> 'supplier_timer'
+    LOOP
+        PERFORM 1 FROM orders WHERE order_id = v_parent.order_id FOR UPDATE SKIP LOCKED;
+        IF NOT FOUND THEN
+            CONTINUE;
+        END IF;
+
+        v_result := cancel_order(v_parent.order_id, v_parent.supplier_id, 'No replacement driver assigned in time');
+
+        IF (v_result->>'code')::INTEGER = 1 THEN
+            v_cancelled := v_cancelled || jsonb_build_array(jsonb_build_object(
+                'order_id', v_parent.order_id,
+                'customer_id', v_parent.customer_id,
+                'supplier_id', v_parent.supplier_id,
+                'leg_driver_ids', v_result->'leg_driver_ids'
+            ));
+        ELSE
+            UPDATE orders
+            SET time_limit_for_supplier = NULL
+            WHERE parent_order_id = v_parent.order_id
+                AND status = 'supplier_timer'
+                AND driver_dropped_at IS NOT NULL;
+        END IF;
+    END LOOP;
+
+    RETURN v_cancelled::json;
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Cleanup failed timeout states.
+-- Behavior:
+--   1) Delete expired pending driver assignments.
+-- Notes:
+--   - Runs inline in request paths. Order-level timeouts (supplier windows,
+--     unreplaced leg drivers, unanswered direct offers) are left to the
+--     scheduler's expire_timed_out_records() pass, which reports them so the
+--     customer and supplier are told; every request path already checks
+--     those deadlines itself, so an expired order is inert until then.
+CREATE OR REPLACE FUNCTION cleanup_expired_failures()
+RETURNS VOID AS $$
+BEGIN
+        -- Remove pending driver assignments that are past their own time limit.
+        WITH expired AS (
+            DELETE FROM driver_assignment
+            WHERE order_rejected = FALSE
+                AND time_limit_for_driver IS NOT NULL
+                AND CURRENT_TIMESTAMP > time_limit_for_driver
+            RETURNING order_id, driver_id
+        )
+        INSERT INTO order_events (order_id, parent_order_id, event_type, from_status, to_status,
+                                  customer_id, supplier_id, driver_id, payload)
+        SELECT e.order_id, o.parent_order_id, 'driver_assignment_expired', o.status, o.status,
+               o.customer_id, o.supplier_id, e.driver_id, jsonb_build_object('driver_id', e.driver_id)
+        FROM expired e
+        LEFT JOIN orders o ON o.order_id = e.order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Sweep every timed-out record in one pass (called by the backend scheduler).
+-- Behavior:
+--   1) Reopen supplier_timer orders whose supplier window has expired
+--      (see reopen_expired_supplier_orders()), and cancel orders whose
+--      dropped-out leg driver was not replaced in time
+--      (see expire_driver_reassignments()).
+--   2) Delete pending driver assignments past their own time limit.
+--   3) Delete supplier bids older than their 15-second validity.
+--   4) Release direct offers the supplier did not answer in time: back to the
+--      marketplace when fallback_to_market is set, otherwise deleted.
+-- Returns: JSON object listing what expired or was reopened, so the caller
+--          can notify the affected customer, supplier and driver.
+-- Code: 1=Success, 0=Failure
+CREATE OR REPLACE FUNCTION expire_timed_out_records()
+RETURNS JSON AS $$
+DECLARE
+    v_reopened_orders JSON;
+    v_cancelled_reassignments JSON;
+    v_expired_assignments JSON;
+    v_expired_bids JSON;
+    v_expired_direct_offers JSON;
+BEGIN
+    -- 1) Supplier windows
+    v_reopened_orders := reopen_expired_supplier_orders();
+    v_cancelled_reassignments := expire_driver_reassignments();
+
+    -- 2) Driver response windows
+    WITH expired AS (
+        DELETE FROM driver_assignment da
+        WHERE da.order_rejected = FALSE
+            AND da.time_limit_for_driver IS NOT NULL
+            AND CURRENT_TIMESTAMP > da.time_limit_for_driver
+        RETURNING da.order_id, da.driver_id, da.supplier_id
+    ),
+    logged AS (
+        INSERT INTO order_events (order_id, parent_order_id, event_type, from_status, to_status,
+                                  customer_id, supplier_id, driver_id, payload)
+        SELECT e.order_id, o.parent_order_id, 'driver_assignment_expired', o.status, o.status,
+               o.customer_id, o.supplier_id, e.driver_id, jsonb_build_object('driver_id', e.driver_id)
+        FROM expired e
+        LEFT JOIN orders o ON o.order_id = e.order_id
+    )
+    SELECT COALESCE(json_agg(json_build_object(
+        'order_id', e.order_id,
+        'driver_id', e.driver_id,
+        'supplier_id', e.supplier_id,
+        'customer_id', o.customer_id
+    )), '[]'::json)
+    INTO v_expired_assignments
+    FROM expired e
+    LEFT JOIN orders o ON o.order_id = e.order_id;
+
+    -- 3) Bid validity windows
+    WITH expired AS (
+        DELETE FROM bids b
+        WHERE bid_expires_at(b.created_at, b.counter_status, b.countered_at) < CURRENT_TIMESTAMP
+        RETURNING b.bid_id, b.order_id, b.supplier_id
+    )
+    SELECT COALESCE(json_agg(json_build_object(
+        'bid_id', e.bid_id,
+        'order_id', e.order_id,
+        'supplier_id', e.supplier_id,
+        'customer_id', o.customer_id
+    )), '[]'::json)
+    INTO v_expired_bids
+    FROM expired e
+    LEFT JOIN orders o ON o.order_id = e.order_id;
+
+    -- 4) Direct offer windows
+    WITH fell_back AS (
+        UPDATE orders o
+        SET status = direct_offer_fallback_status(o.scheduled_for, o.surfaced_at),
+            direct_offer_expires_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE o.status = 'direct_offer'
+            AND o.fallback_to_market = TRUE
+            AND CURRENT_TIMESTAMP > o.direct_offer_expires_at
+        RETURNING o.order_id, o.customer_id, o.preferred_supplier_id, TRUE AS fell_back_to_market, o.status
+    ),
+    dropped AS (
+        DELETE FROM orders o
+        WHERE o.status = 'direct_offer'
+            AND o.fallback_to_market = FALSE
+            AND CURRENT_TIMESTAMP > o.direct_offer_expires_at
+        RETURNING o.order_id, o.customer_id, o.preferred_supplier_id, FALSE AS fell_back_to_market,
+                  NULL::VARCHAR AS status
+    ),
+    logged AS (
+        INSERT INTO order_events (order_id, event_type, from_status, to_status, customer_id, payload)
+        SELECT e.order_id, 'direct_offer_expired', 'direct_offer', e.status, e.customer_id,
+               jsonb_build_object('supplier_id', e.preferred_supplier_id, 'removed', NOT e.fell_back_to_market)
+        FROM (
+            SELECT * FROM fell_back
+            UNION ALL
+            SELECT * FROM dropped
+        ) e
+    )
+    SELECT COALESCE(json_agg(json_build_object(
+        'order_id', e.order_id,
+        'customer_id', e.customer_id,
+        'supplier_id', e.preferred_supplier_id,
+        'fell_back_to_market', e.fell_back_to_market
+    )), '[]'::json)
+    INTO v_expired_direct_offers
+    FROM (
+        SELECT * FROM fell_back
+        UNION ALL
+        SELECT * FROM dropped
+    ) e;
+
+    RETURN json_build_object(
+        'code', 1,
+        'reopened_orders', v_reopened_orders,
+        'cancelled_reassignments', v_cancelled_reassignments,
+        'expired_assignments', v_expired_assignments,
+        'expired_bids', v_expired_bids,
+        'expired_direct_offers', v_expired_direct_offers
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to expire timed-out records: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Move scheduled orders onto the marketplace ahead of their delivery
+--          window (called by the backend scheduler).
+-- Parameters:
+--   p_lead_minutes: How long before scheduled_for an order should surface
+-- Behavior:
+--   1) Scheduled orders still 'scheduled', 'direct_offer' or 'open' after their
+--      delivery window has closed are deleted; nobody took them in time.
+--   2) 'scheduled' orders whose window starts within the lead time become
+--      'open', at most one per customer and only while that customer has no
+--      other live order; the rest are deferred to a later sweep.
+-- Returns: JSON object listing surfaced, deferred and missed orders.
+-- Code: 1=Success, 0=Failure
+-- Notes:
+--   - Surfacing fires the orders NOTIFY trigger, so covering suppliers get
+--     market_updated without extra work here.
+--   - Missed orders follow the expiry semantics: no order_history rows.
+--   - Holding surfacing keeps the customer to one live order, the same rule
+--     START_ORDER applies to new orders.
+CREATE OR REPLACE FUNCTION surface_scheduled_orders(
+    p_lead_minutes INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_surfaced_orders JSON;
+    v_deferred_orders JSON;
+    v_missed_orders JSON;
+BEGIN
+    IF p_lead_minutes IS NULL OR p_lead_minutes < 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Lead time must be zero or more minutes'
+        );
+    END IF;
+
+    -- 1) Missed windows
+    WITH missed AS (
+        DELETE FROM orders o
+        WHERE o.scheduled_for IS NOT NULL
+            AND o.status IN ('scheduled', 'direct_offer', 'open')
+            AND CURRENT_TIMESTAMP > COALESCE(o.delivery_window_end, o.scheduled_for)
+        RETURNING o.order_id, o.customer_id, o.scheduled_for, o.status, o.preferred_supplier_id
+    ),
+    logged AS (
+        INSERT INTO order_events (order_id, event_type, from_status, customer_id, payload)
+        SELECT m.order_id, 'expired', m.status, m.customer_id,
+               jsonb_build_object('reason', 'scheduled_window_missed', 'scheduled_for', m.scheduled_for,
+                                  'supplier_id', m.preferred_supplier_id)
+        FROM missed m
+    )
+    SELECT COALESCE(json_agg(json_build_object(
+        'order_id', m.order_id,
+        'customer_id', m.customer_id,
+        'scheduled_for', m.scheduled_for
+    )), '[]'::json)
+    INTO v_missed_orders
+    FROM missed m;
+
+    -- 2) Lead time reached
+    WITH due AS (
+        SELECT o.order_id, o.customer_id, o.scheduled_for,
+               ROW_NUMBER() OVER (PARTITION BY o.customer_id ORDER BY o.scheduled_for, o.order_id) AS customer_rank,
+               EXISTS (
+                   SELECT 1
+                   FROM orders l
+                   WHERE l.customer_id = o.customer_id
+                     AND l.parent_order_id IS NULL
+                     AND l.status IN ('direct_offer', 'open', 'supplier_timer', 'accepted', 'ride_started', 'reached', 'finished')
+                     AND NOT order_is_upcoming(l.status, l.scheduled_for, l.surfaced_at, p_lead_minutes)
+               ) AS customer_busy
+        FROM orders o
+        WHERE o.status = 'scheduled'
+            AND o.scheduled_for <= CURRENT_TIMESTAMP + make_interval(mins => p_lead_minutes)
+    ),
+    deferred AS (
+        SELECT d.order_id, d.customer_id, d.scheduled_for
+        FROM due d
+        WHERE d.customer_busy OR d.customer_rank > 1
+    ),
+    surfaced AS (
+        UPDATE orders o
+        SET status = 'open',
+            surfaced_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        FROM due d
+        WHERE o.order_id = d.order_id
+            AND NOT d.customer_busy
+            AND d.customer_rank = 1
+        RETURNING o.order_id, o.customer_id, o.scheduled_for
+    ),
+    logged AS (
+        INSERT INTO order_events (order_id, event_type, from_status, to_status, customer_id, payload)
+        SELECT s.order_id, 'surfaced', 'scheduled', 'open', s.customer_id,
+               jsonb_build_object('scheduled_for', s.scheduled_for)
+        FROM surfaced s
+    )
+    SELECT
+        (SELECT COALESCE(json_agg(json_build_object(
+            'order_id', s.order_id,
+            'customer_id', s.customer_id,
+            'scheduled_for', s.scheduled_for
+        )), '[]'::json) FROM surfaced s),
+        (SELECT COALESCE(json_agg(json_build_object(
+            'order_id', d.order_id,
+            'customer_id', d.customer_id,
+            'scheduled_for', d.scheduled_for
+        )), '[]'::json) FROM deferred d)
+    INTO v_surfaced_orders, v_deferred_orders;
+
+    RETURN json_build_object(
+        'code', 1,
+        'surfaced_orders', v_surfaced_orders,
+        'deferred_orders', v_deferred_orders,
+        'missed_orders', v_missed_orders
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to surface scheduled orders: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Purpose: Cancel/remove an order - can be called by any user
+-- Parameters:
+--   p_order_id: Order ID to cancel (a leg cancels its whole multi-tanker order)
+--   p_user_id: User ID who is cancelling (for authorization)
+--   p_reason: Reason for cancellation (optional)
+-- Returns: JSON object with code field, the cancelled order_id and
+--          leg_driver_ids (drivers on the legs of a multi-tanker order)
+-- Code: 1=Success, 0=Failure
+-- If status is NOT IN ('scheduled', 'direct_offer', 'open', 'supplier_timer'), inserts into order_history with reason
+-- (one row per leg that had started, plus the order itself)
+-- If supplier/driver cancels 'accepted'/'ride_started'/'reached', supplier rating -0.2
+-- Multi-tanker orders cannot be cancelled once any leg has been delivered
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id INTEGER,
+    p_user_id INTEGER,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order_record RECORD;
+    v_row RECORD;
+    v_leg_driver_ids JSON;
+    v_yard_location TEXT;
+    v_customer_name TEXT;
+    v_customer_phone VARCHAR(20);
+    v_supplier_name TEXT;
+    v_supplier_phone VARCHAR(20);
+    v_driver_name TEXT;
+    v_driver_phone VARCHAR(20);
+BEGIN
+    -- Validate inputs
+    IF p_order_id IS NULL OR p_user_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order ID and User ID cannot be null'
+        );
+    END IF;
+    
+    -- Get order details (the parent when called with a leg)
+    SELECT * INTO v_order_record
+    FROM orders
+    WHERE order_id = (
+        SELECT COALESCE(parent_order_id, order_id)
+        FROM orders
+        WHERE order_id = p_order_id
+    );
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found'
+        );
+    END IF;
+    
+    -- Check if order status is 'finished' - cannot cancel finished orders
+    IF v_order_record.status = 'finished' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Cannot cancel a finished order'
+        );
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM orders
+        WHERE parent_order_id = v_order_record.order_id
+          AND status = 'finished'
+    ) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Part of this order has already been delivered and cannot be cancelled'
+        );
+    END IF;
+
+    SELECT COALESCE(json_agg(DISTINCT driver_id), '[]'::json)
+    INTO v_leg_driver_ids
+    FROM (
+        SELECT driver_id FROM orders
+        WHERE parent_order_id = v_order_record.order_id AND driver_id IS NOT NULL
+        UNION
+        SELECT da.driver_id FROM driver_assignment da
+        JOIN orders o ON o.order_id = da.order_id
+        WHERE o.parent_order_id = v_order_record.order_id AND da.order_rejected = FALSE
+    ) leg_drivers;
+    
+    -- If status is NOT 'scheduled', 'direct_offer', 'open' or 'supplier_timer', insert into order_history
+    IF v_order_record.status NOT IN ('scheduled', 'direct_offer', 'open', 'supplier_timer') THEN
+        -- Snapshot user names and phones for immutable history
+        SELECT name, phone INTO v_customer_name, v_customer_phone
+        FROM users
+        WHERE user_id = v_order_record.customer_id;
+
+        IF v_order_record.supplier_id IS NOT NULL THEN
+            SELECT name, phone INTO v_supplier_name, v_supplier_phone
+            FROM users
+            WHERE user_id = v_order_record.supplier_id;
+        END IF;
+
+        -- Get supplier yard location
+        SELECT yard_location INTO v_yard_location
+        FROM suppliers
+        WHERE user_id = v_order_record.supplier_id;
+
+        -- Legs that got going first, then the order itself
+        FOR v_row IN (
+            SELECT * FROM orders
+            WHERE (parent_order_id = v_order_record.order_id AND status != 'supplier_timer')
+               OR order_id = v_order_record.order_id
+            ORDER BY parent_order_id NULLS LAST, leg_number
+        ) LOOP
+            v_driver_name := NULL;
+            v_driver_phone := NULL;
+
+            IF v_row.driver_id IS NOT NULL THEN
+                SELECT name, phone INTO v_driver_name, v_driver_phone
+                FROM users
+                WHERE user_id = v_row.driver_id;
+            END IF;
+
+            -- Insert into order_history
+            INSERT INTO order_history (
+                order_id,
+                supplier_id,
+                customer_name,
+                customer_phone,
+                supplier_name,
+                supplier_phone,
+                driver_name,
+                driver_phone,
+                customer_location,
+                yard_location,
+                price,
+                quantity,
+                status,
+                order_date,
+                reason,
+                parent_order_id,
+                leg_number,
+                leg_count,
+                pricing_version_id,
+                created_at
+            ) VALUES (
+                v_row.order_id,
+                v_row.supplier_id,
+                COALESCE(v_customer_name, ''),
+                COALESCE(v_customer_phone, ''),
+                v_supplier_name,
+                v_supplier_phone,
+                v_driver_name,
+                v_driver_phone,
+                v_row.delivery_location,
+                COALESCE(v_yard_location, ''),
+                0,
+                v_row.requested_capacity,
+                'cancelled',
+                v_row.created_at,
+                p_reason,
+                v_row.parent_order_id,
+                v_row.leg_number,
+                v_row.leg_count,
+                v_row.pricing_version_id,
+                CURRENT_TIMESTAMP
+            );
+        END LOOP;
+        
+        -- If status is 'accepted' or 'ride_started' or 'reached', penalize supplier if not customer
+        IF v_order_record.status IN ('accepted', 'ride_started', 'reached') THEN
+            -- If canceller is NOT the customer, penalize supplier (rating -0.2).
+            -- Back-office cancellations of stuck orders are not the supplier's doing.
+            IF p_user_id != v_order_record.customer_id
+               AND NOT EXISTS (SELECT 1 FROM users WHERE user_id = p_user_id AND role = 'admin') THEN
+                UPDATE suppliers
+                SET rating = GREATEST(rating - 0.2, 0.00)
                 WHERE user_id = v_order_record.supplier_id;
             END IF;
         END IF;
     END IF;
     
-    -- If driver was assigned, set them as available again
-    IF v_order_record.driver_id IS NOT NULL THEN
-        UPDATE supplier_drivers
-        SET available = TRUE
-        WHERE driver_user_id = v_order_record.driver_id;
-    END IF;
+    -- If drivers were assigned (to the order or any of its legs), set them as available again
+    UPDATE supplier_drivers
+    SET available = TRUE
+    WHERE driver_user_id IN (
+        SELECT driver_id FROM orders
+        WHERE (order_id = v_order_record.order_id OR parent_order_id = v_order_record.order_id)
+          AND driver_id IS NOT NULL
+    );
     
+    PERFORM log_order_event(
+        v_order_record.order_id, 'cancelled', p_user_id, v_order_record.status, 'cancelled',
+        jsonb_build_object('reason', p_reason, 'requested_order_id', p_order_id)
+    );
+
     -- Delete from driver_assignment if exists
     DELETE FROM driver_assignment
-    WHERE order_id = p_order_id;
+    WHERE order_id IN (
+        SELECT order_id FROM orders
+        WHERE order_id = v_order_record.order_id OR parent_order_id = v_order_record.order_id
+    );
     
-    -- Delete the order
+    -- Delete the order (legs go with it)
     DELETE FROM orders
-    WHERE order_id = p_order_id;
+    WHERE order_id = v_order_record.order_id;
     
     RETURN json_build_object(
         'code', 1,
-        'message', 'Order cancelled successfully'
+        'message', 'Order cancelled successfully',
+        'order_id', v_order_record.order_id,
+        'leg_driver_ids', v_leg_driver_ids
     );
     
 EXCEPTION
@@ -759,11 +2518,319 @@ END;
 $$ LANGUAGE plpgsql;
 
 
+-- ============================================================================
+-- FUNCTION: Estimate arrival time for an order in progress
+-- ============================================================================
+-- Purpose: ETA from the driver's last known position (or the supplier yard if
+--          no GPS point has arrived yet) to the delivery coordinates, using
+--          the hour-of-day speed profile. Straight-line distance is scaled by
+--          a road factor since tankers cannot drive as the crow flies.
+-- Parameters:
+--   p_order_id: Order ID
+-- Returns: JSON (eta_seconds, eta_at, distance_km, avg_speed_kmh, origin,
+--          computed_at) or NULL when the order is not 'ride_started' or
+--          either end has no coordinates
+-- ============================================================================
+CREATE OR REPLACE FUNCTION estimate_order_eta(
+    p_order_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    c_road_factor CONSTANT NUMERIC := 1.3;
+    v_order_record RECORD;
+    v_origin_latitude NUMERIC;
+    v_origin_longitude NUMERIC;
+    v_origin TEXT := 'driver';
+    v_distance_km NUMERIC;
+    v_speed_kmh NUMERIC;
+    v_eta_seconds INTEGER;
+BEGIN
+    SELECT o.status, o.delivery_latitude, o.delivery_longitude,
+           s.yard_latitude, s.yard_longitude
+    INTO v_order_record
+    FROM orders o
+    LEFT JOIN suppliers s ON s.user_id = o.supplier_id
+    WHERE o.order_id = p_order_id;
+
+    IF NOT FOUND
+       OR v_order_record.status != 'ride_started'
+       OR v_order_record.delivery_latitude IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT latitude, longitude
+    INTO v_origin_latitude, v_origin_longitude
+    FROM order_location_trail
+    WHERE order_id = p_order_id
+    ORDER BY recorded_at DESC, point_id DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        v_origin := 'yard';
+        v_origin_latitude := v_order_record.yard_latitude;
+        v_origin_longitude := v_order_record.yard_longitude;
+    END IF;
+
+    v_distance_km := haversine_km(
+        v_origin_latitude, v_origin_longitude,
+        v_order_record.delivery_latitude, v_order_record.delivery_longitude
+    );
+
+    IF v_distance_km IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT avg_speed_kmh INTO v_speed_kmh
+    FROM eta_speed_profile
+    WHERE hour_of_day = EXTRACT(HOUR FROM CURRENT_TIMESTAMP)::INTEGER;
+
+    v_speed_kmh := COALESCE(v_speed_kmh, 25);
+    v_eta_seconds := CEIL(v_distance_km * c_road_factor / v_speed_kmh * 3600)::INTEGER;
+
+    RETURN json_build_object(
+        'eta_seconds', v_eta_seconds,
+        'eta_at', CURRENT_TIMESTAMP + make_interval(secs => v_eta_seconds),
+        'distance_km', v_distance_km,
+        'avg_speed_kmh', v_speed_kmh,
+        'origin', v_origin,
+        'computed_at', CURRENT_TIMESTAMP
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Get driver location trail for an order
+-- ============================================================================
+-- Purpose: Returns the most recent GPS points for an order, oldest first, so
+--          the customer/supplier map can draw the route and the tanker marker
+-- Parameters:
+--   p_user_id: Requesting user (must be the order's customer, supplier or driver)
+--   p_order_id: Order ID
+--   p_limit: Maximum number of points (default 200)
+-- Returns: JSON object with points array
+-- Code: 1=Success, 0=Failure/Not authorized
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_order_location_trail(
+    p_user_id INTEGER,
+    p_order_id INTEGER,
+    p_limit INTEGER DEFAULT 200
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order_record RECORD;
+    v_points JSON;
+BEGIN
+    IF p_user_id IS NULL OR p_order_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order ID and User ID cannot be null'
+        );
+    END IF;
+
+    SELECT order_id, customer_id, supplier_id, driver_id, status,
+           delivery_latitude, delivery_longitude
+    INTO v_order_record
+    FROM orders
+    WHERE order_id = p_order_id;
+
+    IF NOT FOUND OR p_user_id NOT IN (
+        v_order_record.customer_id,
+        COALESCE(v_order_record.supplier_id, 0),
+        COALESCE(v_order_record.driver_id, 0)
+    ) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found or does not belong to you'
+        );
+    END IF;
+
+    SELECT COALESCE(json_agg(
+        json_build_object(
+            'latitude', t.latitude,
+            'longitude', t.longitude,
+            'heading', t.heading,
+            'speed_kmh', t.speed_kmh,
+            'recorded_at', t.recorded_at
+        )
+        ORDER BY t.recorded_at, t.point_id
+    ), '[]'::json)
+    INTO v_points
+    FROM (
+        SELECT *
+        FROM order_location_trail
+        WHERE order_id = p_order_id
+        ORDER BY recorded_at DESC, point_id DESC
+        LIMIT GREATEST(1, LEAST(COALESCE(p_limit, 200), 1000))
+    ) t;
+
+    RETURN json_build_object(
+        'code', 1,
+        'order_id', v_order_record.order_id,
+        'status', v_order_record.status,
+        'delivery_latitude', v_order_record.delivery_latitude,
+        'delivery_longitude', v_order_record.delivery_longitude,
+        'points', v_points
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to fetch location trail: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Get order timeline
+-- ============================================================================
+-- Purpose: Read an order's event log (its legs included), oldest first. Works
+--          for live and archived orders alike since events carry their own
+--          party snapshot. Customers see everything; suppliers see their own
+--          bids and what happened while the order was theirs; drivers see
+--          their own assignments and deliveries.
+-- Parameters:
+--   p_user_id: Requesting user
+--   p_order_id: Order ID (the customer's order for multi-tanker deliveries)
+-- Returns: JSON object with events array
+-- Code: 1=Success, 0=Failure/Not authorized
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_order_timeline(
+    p_user_id INTEGER,
+    p_order_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_user_role VARCHAR(20);
+    v_events JSON;
+BEGIN
+    IF p_user_id IS NULL OR p_order_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order ID and User ID cannot be null'
+        );
+    END IF;
+
+    SELECT role INTO v_user_role
+    FROM users
+    WHERE user_id = p_user_id;
+
+    SELECT json_agg(
+        json_build_object(
+            'event_id', e.event_id,
+            'order_id', e.order_id,
+            'event_type', e.event_type,
+            'from_status', e.from_status,
+            'to_status', e.to_status,
+            'actor_role', e.actor_role,
+            'actor_name', u.name,
+            'payload', e.payload,
+            'created_at', e.created_at
+        )
+        ORDER BY e.created_at, e.event_id
+    )
+    INTO v_events
+    FROM order_events e
+    LEFT JOIN users u ON u.user_id = e.actor_id
+    WHERE (e.order_id = p_order_id OR e.parent_order_id = p_order_id)
+        AND CASE v_user_role
+            WHEN 'customer' THEN e.customer_id = p_user_id
+            WHEN 'supplier' THEN
+                CASE WHEN e.event_type LIKE 'bid\_%' OR e.event_type LIKE 'direct\_offer\_%'
+                    THEN p_user_id IN (COALESCE(e.actor_id, 0), COALESCE((e.payload->>'supplier_id')::INTEGER, 0))
+                    ELSE e.supplier_id = p_user_id
+                END
+            WHEN 'driver' THEN
+                p_user_id IN (COALESCE(e.driver_id, 0), COALESCE(e.actor_id, 0),
+                              COALESCE((e.payload->>'driver_id')::INTEGER, 0))
+            ELSE FALSE
+        END;
+
+    -- No visible events means the user was never a party to the order.
+    IF v_events IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found or does not belong to you'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'order_id', p_order_id,
+        'events', v_events
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to fetch order timeline: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Get delivery proof for an order
+-- ============================================================================
+-- Purpose: Shared lookup used by the past order detail functions. Callers are
+--          responsible for checking that the user was a party to the order.
+-- Parameters:
+--   p_order_id: Order ID
+-- Returns: JSON with storage keys and delivered_gallons, or NULL if none
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_delivery_proof(
+    p_order_id INTEGER
+)
+RETURNS JSON AS $$
+    SELECT json_build_object(
+        'photo_key', photo_key,
+        'signature_key', signature_key,
+        'delivered_gallons', delivered_gallons,
+        'recorded_at', created_at
+    )
+    FROM delivery_proof
+    WHERE order_id = p_order_id;
+$$ LANGUAGE sql STABLE;
+
+
+-- ============================================================================
+-- FUNCTION: Get the archived legs of a multi-tanker order
+-- ============================================================================
+-- Purpose: Shared lookup used by the past order detail functions, same
+--          authorization contract as get_delivery_proof.
+-- Parameters:
+--   p_order_id: The customer's (parent) order ID
+-- Returns: JSON array of legs in order, each with its driver and delivery
+--          proof; empty for single-tanker orders
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_order_history_legs(
+    p_order_id INTEGER
+)
+RETURNS JSON AS $$
+    SELECT COALESCE(json_agg(json_build_object(
+        'order_id', order_id,
+        'leg_number', leg_number,
+        'quantity', quantity,
+        'price', price,
+        'status', status,
+        'driver_name', driver_name,
+        'delivery_proof', get_delivery_proof(order_id)
+    ) ORDER BY leg_number), '[]'::json)
+    FROM order_history
+    WHERE parent_order_id = p_order_id;
+$$ LANGUAGE sql STABLE;
+
+
 -- ============================================================================
 -- FUNCTION: View past orders
 -- ============================================================================
 -- Purpose: Retrieve past orders from order_history for a user based on their role
---          Returns orders where user was customer, supplier, or driver
+--          Returns orders where user was customer, supplier, or driver.
+--          Customers and suppliers see multi-tanker orders once (legs are in
+--          the detail view); drivers see the legs they drove.
 -- Parameters:
 --   p_user_id: User ID to get past orders for
 -- Returns: JSON array of past orders with order_id, price, quantity, status, order_date
@@ -810,11 +2877,13 @@ BEGIN
                 'quantity', quantity,
                 'status', status,
                 'order_date', order_date,
-                'customer_rating', customer_rating
+                'customer_rating', customer_rating,
+                'leg_count', leg_count
             ) ORDER BY order_date DESC
         ) INTO v_orders
         FROM order_history
-        WHERE customer_phone = v_user_phone;
+        WHERE customer_phone = v_user_phone
+          AND parent_order_id IS NULL;
         
     ELSIF v_user_role = 'supplier' THEN
         SELECT json_agg(
@@ -823,11 +2892,13 @@ BEGIN
                 'price', price,
                 'quantity', quantity,
                 'status', status,
-                'order_date', order_date
+                'order_date', order_date,
+                'leg_count', leg_count
             ) ORDER BY order_date DESC
         ) INTO v_orders
         FROM order_history
-        WHERE supplier_phone = v_user_phone;
+        WHERE supplier_phone = v_user_phone
+          AND parent_order_id IS NULL;
         
     ELSIF v_user_role = 'driver' THEN
         SELECT json_agg(
@@ -836,7 +2907,9 @@ BEGIN
                 'price', price,
                 'quantity', quantity,
                 'status', status,
-                'order_date', order_date
+                'order_date', order_date,
+                'leg_number', leg_number,
+                'leg_count', leg_count
             ) ORDER BY order_date DESC
         ) INTO v_orders
         FROM order_history
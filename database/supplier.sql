@@ -5,18 +5,24 @@
 --   p_name: Supplier name
 --   p_yard_location: Yard location
 --   p_business_contact: Business contact (same as phone)
+--   p_yard_latitude, p_yard_longitude: Optional yard coordinates (both or neither)
 -- Returns: JSON object with success status
 -- Code: 1=Success, 0=Failure/Already exists
+DROP FUNCTION IF EXISTS enter_details_supplier(INTEGER, VARCHAR, TEXT, VARCHAR);
+
 CREATE OR REPLACE FUNCTION enter_details_supplier(
     p_user_id INTEGER,
     p_name VARCHAR(100),
     p_yard_location TEXT,
-    p_business_contact VARCHAR(20)
+    p_business_contact VARCHAR(20),
+    p_yard_latitude NUMERIC DEFAULT NULL,
+    p_yard_longitude NUMERIC DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
     v_current_role VARCHAR(20);
     v_supplier_exists BOOLEAN;
+    v_coordinates_error TEXT;
 BEGIN
     -- Validate user_id
     IF p_user_id IS NULL THEN
@@ -44,6 +50,15 @@ BEGIN
             'message', 'Role already assigned. Details update is not allowed.'
         );
     END IF;
+
+    -- Validate optional yard coordinates before assigning the role
+    v_coordinates_error := coordinates_error(p_yard_latitude, p_yard_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
     
     -- Update user name and set supplier role immediately
     UPDATE users
@@ -58,12 +73,14 @@ BEGIN
         -- Update existing supplier record
         UPDATE SUPPLIERS
         SET YARD_LOCATION = TRIM(p_yard_location),
+            YARD_LATITUDE = p_yard_latitude,
+            YARD_LONGITUDE = p_yard_longitude,
             BUSINESS_CONTACT = TRIM(p_business_contact)
         WHERE USER_ID = p_user_id;
     ELSE
         -- Insert new supplier record
-        INSERT INTO SUPPLIERS (USER_ID, YARD_LOCATION, BUSINESS_CONTACT, CREATED_AT)
-        VALUES (p_user_id, TRIM(p_yard_location), TRIM(p_business_contact), CURRENT_TIMESTAMP);
+        INSERT INTO SUPPLIERS (USER_ID, YARD_LOCATION, YARD_LATITUDE, YARD_LONGITUDE, BUSINESS_CONTACT, CREATED_AT)
+        VALUES (p_user_id, TRIM(p_yard_location), p_yard_latitude, p_yard_longitude, TRIM(p_business_contact), CURRENT_TIMESTAMP);
     END IF;
     
     RETURN json_build_object(
@@ -404,7 +421,8 @@ BEGIN
 
     RETURN json_build_object(
         'code', 1,
-        'message', 'Linked driver removed and data cleaned successfully'
+        'message', 'Linked driver removed and data cleaned successfully',
+        'driver_user_id', v_driver_user_id
     );
 
 EXCEPTION
@@ -419,112 +437,298 @@ $$ LANGUAGE plpgsql;
 
 
 --------------------------------------
---          GETTING ORDERS
+--          FLEET (VEHICLES)
 --------------------------------------
 
 
 -- ============================================================================
--- FUNCTION: View all available orders for suppliers
+-- FUNCTION: List supplier vehicles
 -- ============================================================================
--- Purpose: Returns all orders with status='open' that haven't been accepted
---          Used by suppliers to see orders they can bid on
--- Parameters: None
--- Returns: JSON array with all available orders
+-- Purpose: Supplier's tankers with the roster driver paired to each
+-- Parameters:
+--   p_supplier_id: Supplier user_id
+-- Returns: JSON object with vehicles array (largest capacity first)
+-- Code: 1=Success, 0=Failure
 -- ============================================================================
-CREATE OR REPLACE FUNCTION view_available_orders()
+CREATE OR REPLACE FUNCTION list_supplier_vehicles(
+    p_supplier_id INTEGER
+)
 RETURNS JSON AS $$
 DECLARE
-    v_orders JSON;
+    v_vehicles JSON;
 BEGIN
-    -- Query open orders with marketplace-safe summary fields only.
-    SELECT json_agg(
-        json_build_object(
-            'order_id', o.order_id,
-            'requested_capacity', o.requested_capacity,
-            'customer_bid_price', o.customer_bid_price,
-            'delivery_location', o.delivery_location
-                )
-                ORDER BY o.created_at DESC
-    ) INTO v_orders
-    FROM orders o
-    WHERE o.status = 'open'
-      AND o.supplier_id IS NULL
-            AND o.driver_id IS NULL;
-    
-    -- Return empty array if no orders found
-    IF v_orders IS NULL THEN
-        RETURN '[]'::json;
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID cannot be null'
+        );
     END IF;
-    
-    RETURN v_orders;
-    
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'vehicle_id', v.vehicle_id,
+        'registration_number', v.registration_number,
+        'capacity_gallons', v.capacity_gallons,
+        'status', v.status,
+        'driver_phone_num', sd.driver_phone_num,
+        'driver_user_id', sd.driver_user_id,
+        'driver_name', u.name,
+        'created_at', v.created_at
+    ) ORDER BY v.capacity_gallons DESC, v.registration_number), '[]'::json)
+    INTO v_vehicles
+    FROM vehicles v
+    LEFT JOIN supplier_drivers sd ON sd.vehicle_id = v.vehicle_id
+    LEFT JOIN users u ON u.user_id = sd.driver_user_id
+    WHERE v.supplier_user_id = p_supplier_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'vehicles', v_vehicles
+    );
+
 EXCEPTION
     WHEN OTHERS THEN
         RETURN json_build_object(
-            'error', 'Failed to fetch orders: ' || SQLERRM
+            'code', 0,
+            'message', 'Failed to list vehicles: ' || SQLERRM
         );
 END;
 $$ LANGUAGE plpgsql;
 
 
 -- ============================================================================
--- TRIGGER FUNCTION: Notify when orders table changes
+-- FUNCTION: Add vehicle for supplier
 -- ============================================================================
--- Purpose: Sends PostgreSQL NOTIFY signal whenever orders are created/updated
---          Node.js listens for this signal and broadcasts to suppliers via WebSocket
+-- Purpose: Register a tanker in the supplier's fleet (starts 'active', unpaired)
+-- Parameters:
+--   p_supplier_id: Supplier user_id
+--   p_registration_number: Number plate (unique across all suppliers, case-insensitive)
+--   p_capacity_gallons: Largest load the tanker carries
+-- Returns: JSON object with vehicle_id
+-- Code: 1=Success, 0=Failure
 -- ============================================================================
-CREATE OR REPLACE FUNCTION notify_orders_updated()
-RETURNS TRIGGER AS $$
+CREATE OR REPLACE FUNCTION add_vehicle_supplier(
+    p_supplier_id INTEGER,
+    p_registration_number VARCHAR(20),
+    p_capacity_gallons INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_supplier_role VARCHAR(20);
+    v_vehicle_id INTEGER;
 BEGIN
-    -- Send notification on orders_channel
-    PERFORM pg_notify('orders_channel', 'update');
-    RETURN NEW;
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID cannot be null'
+        );
+    END IF;
+
+    IF p_registration_number IS NULL OR TRIM(p_registration_number) = '' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Registration number cannot be empty'
+        );
+    END IF;
+
+    IF p_capacity_gallons IS NULL OR p_capacity_gallons <= 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Capacity must be greater than 0 gallons'
+        );
+    END IF;
+
+    SELECT role INTO v_supplier_role
+    FROM users
+    WHERE user_id = p_supplier_id;
+
+    IF NOT FOUND OR v_supplier_role != 'supplier' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Only suppliers can add vehicles'
+        );
+    END IF;
+
+    INSERT INTO vehicles (supplier_user_id, registration_number, capacity_gallons)
+    VALUES (p_supplier_id, UPPER(TRIM(p_registration_number)), p_capacity_gallons)
+    RETURNING vehicle_id INTO v_vehicle_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Vehicle added successfully',
+        'vehicle_id', v_vehicle_id
+    );
+
+EXCEPTION
+    WHEN unique_violation THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'A vehicle with this registration number is already registered'
+        );
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to add vehicle: ' || SQLERRM
+        );
 END;
 $$ LANGUAGE plpgsql;
 
+
 -- ============================================================================
--- TRIGGER: Fire notification on orders table changes
+-- FUNCTION: Set vehicle status for supplier
 -- ============================================================================
--- Fires: After INSERT, UPDATE, or DELETE on orders table
--- Action: Sends NOTIFY signal to Node.js backend
+-- Purpose: Move a tanker between 'active' and 'maintenance'. A tanker in
+--          maintenance stays paired but its driver stops counting towards
+--          bids and assignments; an order already under way is not touched.
+-- Parameters:
+--   p_supplier_id: Supplier user_id (must own the vehicle)
+--   p_vehicle_id: Vehicle ID
+--   p_status: 'active' or 'maintenance'
+-- Returns: JSON object with status
+-- Code: 1=Success, 0=Failure
 -- ============================================================================
-DROP TRIGGER IF EXISTS trigger_notify_orders_updated ON orders;
-CREATE TRIGGER trigger_notify_orders_updated
-    AFTER INSERT OR UPDATE OR DELETE ON orders
-    FOR EACH ROW
-    EXECUTE FUNCTION notify_orders_updated();
+CREATE OR REPLACE FUNCTION set_vehicle_status_supplier(
+    p_supplier_id INTEGER,
+    p_vehicle_id INTEGER,
+    p_status VARCHAR(20)
+)
+RETURNS JSON AS $$
+BEGIN
+    IF p_supplier_id IS NULL OR p_vehicle_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID and vehicle ID cannot be null'
+        );
+    END IF;
+
+    IF p_status IS NULL OR p_status NOT IN ('active', 'maintenance') THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Status must be active or maintenance'
+        );
+    END IF;
 
+    UPDATE vehicles
+    SET status = p_status,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE vehicle_id = p_vehicle_id
+      AND supplier_user_id = p_supplier_id;
 
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Vehicle not found'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Vehicle status updated',
+        'status', p_status
+    );
 
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to update vehicle: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
 
 
 -- ============================================================================
--- FUNCTION: View specific order details for supplier
+-- FUNCTION: Remove vehicle for supplier
 -- ============================================================================
--- Purpose: Returns details of a specific order if it has status 'open'
---          Used when supplier clicks on an order to see full details
+-- Purpose: Delete a tanker from the fleet. Refused while its driver has an
+--          order in progress or a pending assignment; otherwise the driver
+--          is simply left unpaired (FK ON DELETE SET NULL).
 -- Parameters:
---   p_order_id: Order ID to view
--- Returns: JSON object with order details or error
--- Code: 1=Success, 0=Order not found or not open
+--   p_supplier_id: Supplier user_id (must own the vehicle)
+--   p_vehicle_id: Vehicle ID
+-- Returns: JSON object with status
+-- Code: 1=Success, 0=Failure
 -- ============================================================================
-CREATE OR REPLACE FUNCTION view_one_available_order_supplier(
-    p_order_id INTEGER,
-    p_supplier_id INTEGER
+CREATE OR REPLACE FUNCTION remove_vehicle_supplier(
+    p_supplier_id INTEGER,
+    p_vehicle_id INTEGER
 )
 RETURNS JSON AS $$
 DECLARE
-    v_order_record RECORD;
-    v_available_driver_count INTEGER;
+    v_driver_user_id INTEGER;
 BEGIN
-    -- Validate order_id
-    IF p_order_id IS NULL THEN
+    IF p_supplier_id IS NULL OR p_vehicle_id IS NULL THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order ID cannot be null'
+            'message', 'Supplier ID and vehicle ID cannot be null'
+        );
+    END IF;
+
+    PERFORM 1
+    FROM vehicles
+    WHERE vehicle_id = p_vehicle_id
+      AND supplier_user_id = p_supplier_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Vehicle not found'
+        );
+    END IF;
+
+    SELECT driver_user_id INTO v_driver_user_id
+    FROM supplier_drivers
+    WHERE vehicle_id = p_vehicle_id;
+
+    IF driver_has_work_in_progress(v_driver_user_id) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Vehicle is in use on an active order and cannot be removed'
         );
     END IF;
 
+    DELETE FROM vehicles
+    WHERE vehicle_id = p_vehicle_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Vehicle removed successfully'
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to remove vehicle: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Pair a roster driver with a vehicle
+-- ============================================================================
+-- Purpose: Set (or clear, with p_vehicle_id NULL) the tanker a driver drives.
+--          Works for drivers who have not linked their account yet. A tanker
+--          belongs to one driver at a time, and neither side may change
+--          while the driver has work in progress.
+-- Parameters:
+--   p_supplier_id: Supplier user_id
+--   p_driver_phone_num: Roster driver phone number
+--   p_vehicle_id: Vehicle ID owned by the supplier, or NULL to unpair
+-- Returns: JSON object with driver_phone_num and vehicle_id
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION pair_driver_vehicle_supplier(
+    p_supplier_id INTEGER,
+    p_driver_phone_num VARCHAR(20),
+    p_vehicle_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_driver_record RECORD;
+    v_current_driver_phone VARCHAR(20);
+BEGIN
     IF p_supplier_id IS NULL THEN
         RETURN json_build_object(
             'code', 0,
@@ -532,201 +736,1181 @@ BEGIN
         );
     END IF;
 
-    -- Only suppliers with at least one linked and available driver can view full details.
-    SELECT COUNT(*)
-    INTO v_available_driver_count
+    IF p_driver_phone_num IS NULL OR TRIM(p_driver_phone_num) = '' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Driver phone number cannot be empty'
+        );
+    END IF;
+
+    SELECT driver_phone_num, driver_user_id, vehicle_id
+    INTO v_driver_record
     FROM supplier_drivers
     WHERE supplier_user_id = p_supplier_id
-      AND driver_user_id IS NOT NULL
-      AND available = TRUE;
+      AND driver_phone_num = TRIM(p_driver_phone_num)
+    FOR UPDATE;
 
-    IF v_available_driver_count <= 0 THEN
+    IF NOT FOUND THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'You need at least one available linked driver to view full order details'
+            'message', 'Driver does not belong to this supplier'
         );
     END IF;
-    
-    -- Get order details
-    SELECT 
-        o.order_id,
-        o.customer_id,
-        u.name AS customer_name,
-        o.delivery_location,
-        o.requested_capacity,
-        o.customer_bid_price,
-        o.status
-    INTO v_order_record
-    FROM orders o
-    INNER JOIN users u ON u.user_id = o.customer_id
-    WHERE o.order_id = p_order_id;
-    
-    -- Check if order exists
-    IF NOT FOUND THEN
+
+    IF v_driver_record.vehicle_id IS NOT DISTINCT FROM p_vehicle_id THEN
+        RETURN json_build_object(
+            'code', 1,
+            'message', 'Driver pairing unchanged',
+            'driver_phone_num', v_driver_record.driver_phone_num,
+            'vehicle_id', p_vehicle_id
+        );
+    END IF;
+
+    IF driver_has_work_in_progress(v_driver_record.driver_user_id) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Driver has an active order; change the vehicle after it is finished'
+        );
+    END IF;
+
+    IF p_vehicle_id IS NOT NULL THEN
+        PERFORM 1
+        FROM vehicles
+        WHERE vehicle_id = p_vehicle_id
+          AND supplier_user_id = p_supplier_id;
+
+        IF NOT FOUND THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Vehicle not found'
+            );
+        END IF;
+
+        SELECT driver_phone_num INTO v_current_driver_phone
+        FROM supplier_drivers
+        WHERE vehicle_id = p_vehicle_id;
+
+        IF FOUND THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'Vehicle is already paired with driver ' || v_current_driver_phone
+            );
+        END IF;
+    END IF;
+
+    UPDATE supplier_drivers
+    SET vehicle_id = p_vehicle_id
+    WHERE supplier_user_id = p_supplier_id
+      AND driver_phone_num = v_driver_record.driver_phone_num;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', CASE WHEN p_vehicle_id IS NULL THEN 'Driver unpaired from vehicle' ELSE 'Driver paired with vehicle' END,
+        'driver_phone_num', v_driver_record.driver_phone_num,
+        'vehicle_id', p_vehicle_id
+    );
+
+EXCEPTION
+    WHEN unique_violation THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Vehicle is already paired with another driver'
+        );
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to pair driver with vehicle: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+
+--------------------------------------
+--          GETTING ORDERS
+--------------------------------------
+
+
+-- ============================================================================
+-- FUNCTION: Check whether a supplier's service area covers a delivery point
+-- ============================================================================
+-- Purpose: Shared matching rule for the marketplace list and market socket
+--          events. A supplier with no radius and no districts covers the whole
+--          city. Otherwise the order must fall inside the radius (measured
+--          from the yard) or in one of the listed districts. Orders with
+--          neither coordinates nor a district cannot be placed and are shown
+--          to everyone.
+-- Parameters:
+--   p_radius_km / p_districts: Supplier service area
+--   p_yard_latitude / p_yard_longitude: Supplier yard coordinates
+--   p_district / p_latitude / p_longitude: Order delivery point
+-- Returns: BOOLEAN
+-- ============================================================================
+CREATE OR REPLACE FUNCTION supplier_covers_location(
+    p_radius_km NUMERIC,
+    p_districts TEXT[],
+    p_yard_latitude NUMERIC,
+    p_yard_longitude NUMERIC,
+    p_district TEXT,
+    p_latitude NUMERIC,
+    p_longitude NUMERIC
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_distance_km NUMERIC;
+BEGIN
+    IF p_radius_km IS NULL AND COALESCE(cardinality(p_districts), 0) = 0 THEN
+        RETURN TRUE;
+    END IF;
+
+    v_distance_km := haversine_km(p_yard_latitude, p_yard_longitude, p_latitude, p_longitude);
+
+    IF p_district IS NULL AND (p_latitude IS NULL OR p_longitude IS NULL) THEN
+        RETURN TRUE;
+    END IF;
+
+    IF p_district IS NOT NULL AND p_district = ANY(COALESCE(p_districts, '{}')) THEN
+        RETURN TRUE;
+    END IF;
+
+    RETURN p_radius_km IS NOT NULL
+        AND v_distance_km IS NOT NULL
+        AND v_distance_km <= p_radius_km;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+
+-- ============================================================================
+-- FUNCTION: Suppliers whose service area covers a delivery point
+-- ============================================================================
+-- Purpose: Used by the Node.js fan-out to send market_updated only to
+--          suppliers that would see the order in their marketplace
+-- Parameters:
+--   p_district / p_latitude / p_longitude: Order delivery point
+-- Returns: INTEGER[] of supplier user_ids (empty array if none)
+-- ============================================================================
+CREATE OR REPLACE FUNCTION suppliers_covering_location(
+    p_district TEXT,
+    p_latitude NUMERIC,
+    p_longitude NUMERIC
+)
+RETURNS INTEGER[] AS $$
+    SELECT COALESCE(array_agg(s.user_id), '{}')
+    FROM suppliers s
+    WHERE supplier_covers_location(
+        s.service_radius_km,
+        s.service_districts,
+        s.yard_latitude,
+        s.yard_longitude,
+        p_district,
+        p_latitude,
+        p_longitude
+    );
+$$ LANGUAGE sql STABLE;
+
+
+-- ============================================================================
+-- FUNCTION: Get supplier service area
+-- ============================================================================
+-- Purpose: Returns the supplier's yard and marketplace filter settings
+-- Parameters:
+--   p_supplier_id: Supplier user_id
+-- Returns: JSON object with service area
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION get_supplier_service_area(
+    p_supplier_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_supplier RECORD;
+BEGIN
+    SELECT yard_location, yard_latitude, yard_longitude, service_radius_km, service_districts
+    INTO v_supplier
+    FROM suppliers
+    WHERE user_id = p_supplier_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier not found'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'code', 1,
+        'yard_location', v_supplier.yard_location,
+        'yard_latitude', v_supplier.yard_latitude,
+        'yard_longitude', v_supplier.yard_longitude,
+        'service_radius_km', v_supplier.service_radius_km,
+        'service_districts', COALESCE(to_json(v_supplier.service_districts), '[]'::json)
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to fetch service area: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Update supplier service area
+-- ============================================================================
+-- Purpose: Sets the radius and/or districts a supplier serves. NULL radius and
+--          an empty district list mean "whole city". Yard coordinates can be
+--          (re)set here since a radius is measured from the yard.
+-- Parameters:
+--   p_supplier_id: Supplier user_id
+--   p_radius_km: Service radius in km (NULL to disable, 0 < r <= 100)
+--   p_districts: Service districts (NULL/empty to disable)
+--   p_yard_latitude, p_yard_longitude: Optional new yard coordinates
+-- Returns: JSON object with the saved service area
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION update_supplier_service_area(
+    p_supplier_id INTEGER,
+    p_radius_km NUMERIC,
+    p_districts TEXT[],
+    p_yard_latitude NUMERIC DEFAULT NULL,
+    p_yard_longitude NUMERIC DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_coordinates_error TEXT;
+    v_yard_latitude NUMERIC;
+    v_yard_longitude NUMERIC;
+    v_districts TEXT[];
+BEGIN
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID cannot be null'
+        );
+    END IF;
+
+    SELECT yard_latitude, yard_longitude
+    INTO v_yard_latitude, v_yard_longitude
+    FROM suppliers
+    WHERE user_id = p_supplier_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier not found'
+        );
+    END IF;
+
+    v_coordinates_error := coordinates_error(p_yard_latitude, p_yard_longitude);
+    IF v_coordinates_error IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', v_coordinates_error
+        );
+    END IF;
+
+    IF p_yard_latitude IS NOT NULL THEN
+        v_yard_latitude := p_yard_latitude;
+        v_yard_longitude := p_yard_longitude;
+    END IF;
+
+    IF p_radius_km IS NOT NULL AND (p_radius_km <= 0 OR p_radius_km > 100) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Service radius must be between 0 and 100 km'
+        );
+    END IF;
+
+    IF p_radius_km IS NOT NULL AND v_yard_latitude IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Set your yard location on the map before using a service radius'
+        );
+    END IF;
+
+    -- Normalise districts: trimmed, de-duplicated, blanks dropped.
+    SELECT array_agg(DISTINCT TRIM(d))
+    INTO v_districts
+    FROM unnest(COALESCE(p_districts, '{}')) AS d
+    WHERE TRIM(d) <> '';
+
+    UPDATE suppliers
+    SET service_radius_km = p_radius_km,
+        service_districts = v_districts,
+        yard_latitude = v_yard_latitude,
+        yard_longitude = v_yard_longitude
+    WHERE user_id = p_supplier_id;
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Service area updated',
+        'yard_latitude', v_yard_latitude,
+        'yard_longitude', v_yard_longitude,
+        'service_radius_km', p_radius_km,
+        'service_districts', COALESCE(to_json(v_districts), '[]'::json)
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to update service area: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: View all available orders for suppliers
+-- ============================================================================
+-- Purpose: Returns all orders with status='open' that haven't been accepted
+--          Used by suppliers to see orders they can bid on. Scheduled orders
+--          only appear once surfaced and carry their delivery window, so the
+--          app can list them in a separate section.
+-- Parameters:
+--   p_supplier_id: Viewing supplier (optional); used to compute distance_km
+--                  from their yard, to keep only orders inside their
+--                  service area (see supplier_covers_location) and to hide
+--                  orders they were taken off (see supplier_excluded_from_order)
+-- Returns: JSON array with matching available orders
+-- ============================================================================
+DROP FUNCTION IF EXISTS view_available_orders();
+
+CREATE OR REPLACE FUNCTION view_available_orders(
+    p_supplier_id INTEGER DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_orders JSON;
+    v_yard_latitude NUMERIC;
+    v_yard_longitude NUMERIC;
+    v_radius_km NUMERIC;
+    v_districts TEXT[];
+BEGIN
+    IF p_supplier_id IS NOT NULL THEN
+        SELECT yard_latitude, yard_longitude, service_radius_km, service_districts
+        INTO v_yard_latitude, v_yard_longitude, v_radius_km, v_districts
+        FROM suppliers
+        WHERE user_id = p_supplier_id;
+    END IF;
+
+    -- Query open orders with marketplace-safe summary fields only.
+    SELECT json_agg(
+        json_build_object(
+            'order_id', o.order_id,
+            'requested_capacity', o.requested_capacity,
+            'customer_bid_price', o.customer_bid_price,
+            'delivery_location', o.delivery_location,
+            'delivery_district', o.delivery_district,
+            'distance_km', haversine_km(v_yard_latitude, v_yard_longitude, o.delivery_latitude, o.delivery_longitude),
+            'scheduled_for', o.scheduled_for,
+            'delivery_window_end', o.delivery_window_end,
+            'leg_count', o.leg_count
+                )
+                ORDER BY o.created_at DESC
+    ) INTO v_orders
+    FROM orders o
+    WHERE o.status = 'open'
+      AND o.supplier_id IS NULL
+            AND o.driver_id IS NULL
+      AND NOT supplier_excluded_from_order(o.order_id, p_supplier_id)
+      AND supplier_covers_location(
+            v_radius_km, v_districts, v_yard_latitude, v_yard_longitude,
+            o.delivery_district, o.delivery_latitude, o.delivery_longitude
+          );
+    
+    -- Return empty array if no orders found
+    IF v_orders IS NULL THEN
+        RETURN '[]'::json;
+    END IF;
+    
+    RETURN v_orders;
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'error', 'Failed to fetch orders: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- TRIGGER FUNCTION: Notify when orders table changes
+-- ============================================================================
+-- Purpose: Sends PostgreSQL NOTIFY signal whenever orders are created/updated/deleted
+--          Payload is a JSON row summary (order_id, old/new status, party ids,
+--          preferred supplier, delivery point) that the Node.js listener
+--          routes to the affected users' socket rooms
+-- ============================================================================
+CREATE OR REPLACE FUNCTION notify_orders_updated()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_row RECORD;
+    v_old_status VARCHAR(20);
+    v_new_status VARCHAR(20);
+    v_old_supplier_id INTEGER;
+    v_old_driver_id INTEGER;
+BEGIN
+    -- Skip no-op updates
+    IF TG_OP = 'UPDATE' AND OLD IS NOT DISTINCT FROM NEW THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        v_row := OLD;
+    ELSE
+        v_row := NEW;
+        v_new_status := NEW.status;
+    END IF;
+
+    IF TG_OP <> 'INSERT' THEN
+        v_old_status := OLD.status;
+        v_old_supplier_id := OLD.supplier_id;
+        v_old_driver_id := OLD.driver_id;
+    END IF;
+
+    -- Send notification on orders_channel
+    PERFORM pg_notify('orders_channel', json_build_object(
+        'op', TG_OP,
+        'order_id', v_row.order_id,
+        'old_status', v_old_status,
+        'new_status', v_new_status,
+        'customer_id', v_row.customer_id,
+        'supplier_id', v_row.supplier_id,
+        'driver_id', v_row.driver_id,
+        'old_supplier_id', v_old_supplier_id,
+        'old_driver_id', v_old_driver_id,
+        'preferred_supplier_id', v_row.preferred_supplier_id,
+        'delivery_district', v_row.delivery_district,
+        'delivery_latitude', v_row.delivery_latitude,
+        'delivery_longitude', v_row.delivery_longitude
+    )::text);
+
+    RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- TRIGGER: Fire notification on orders table changes
+-- ============================================================================
+-- Fires: After INSERT, UPDATE, or DELETE on orders table
+-- Action: Sends NOTIFY signal to Node.js backend
+-- ============================================================================
+DROP TRIGGER IF EXISTS trigger_notify_orders_updated ON orders;
+CREATE TRIGGER trigger_notify_orders_updated
+    AFTER INSERT OR UPDATE OR DELETE ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_orders_updated();
+
+
+
+
+
+-- ============================================================================
+-- FUNCTION: View specific order details for supplier
+-- ============================================================================
+-- Purpose: Returns details of a specific order if it has status 'open'
+--          Used when supplier clicks on an order to see full details
+--          distance_km is measured from the supplier's yard (NULL if either
+--          side has no coordinates)
+-- Parameters:
+--   p_order_id: Order ID to view
+--   p_supplier_id: Viewing supplier user_id
+-- Returns: JSON object with order details or error
+-- Code: 1=Success, 0=Order not found or not open
+-- ============================================================================
+CREATE OR REPLACE FUNCTION view_one_available_order_supplier(
+    p_order_id INTEGER,
+    p_supplier_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_order_record RECORD;
+    v_available_driver_count INTEGER;
+BEGIN
+    -- Validate order_id
+    IF p_order_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order ID cannot be null'
+        );
+    END IF;
+
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID cannot be null'
+        );
+    END IF;
+
+    IF supplier_excluded_from_order(p_order_id, p_supplier_id) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order is not available to you after your driver assignment window on it expired'
+        );
+    END IF;
+
+    -- Only suppliers with at least one linked and available driver can view full details.
+    SELECT COUNT(*)
+    INTO v_available_driver_count
+    FROM supplier_drivers
+    WHERE supplier_user_id = p_supplier_id
+      AND driver_user_id IS NOT NULL
+      AND available = TRUE;
+
+    IF v_available_driver_count <= 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'You need at least one available linked driver to view full order details'
+        );
+    END IF;
+    
+    -- Get order details
+    SELECT 
+        o.order_id,
+        o.customer_id,
+        u.name AS customer_name,
+        o.delivery_location,
+        o.delivery_latitude,
+        o.delivery_longitude,
+        o.requested_capacity,
+        o.customer_bid_price,
+        o.status,
+        o.scheduled_for,
+        o.delivery_window_end,
+        o.leg_count,
+        haversine_km(s.yard_latitude, s.yard_longitude, o.delivery_latitude, o.delivery_longitude) AS distance_km
+    INTO v_order_record
+    FROM orders o
+    INNER JOIN users u ON u.user_id = o.customer_id
+    LEFT JOIN suppliers s ON s.user_id = p_supplier_id
+    WHERE o.order_id = p_order_id;
+    
+    -- Check if order exists
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found'
+        );
+    END IF;
+    
+    -- Return order details
+    RETURN json_build_object(
+        'code', 1,
+        'order_id', v_order_record.order_id,
+        'customer_id', v_order_record.customer_id,
+        'customer_name', v_order_record.customer_name,
+        'delivery_location', v_order_record.delivery_location,
+        'delivery_latitude', v_order_record.delivery_latitude,
+        'delivery_longitude', v_order_record.delivery_longitude,
+        'distance_km', v_order_record.distance_km,
+        'requested_capacity', v_order_record.requested_capacity,
+        'customer_bid_price', v_order_record.customer_bid_price,
+        'scheduled_for', v_order_record.scheduled_for,
+        'delivery_window_end', v_order_record.delivery_window_end,
+        'leg_count', v_order_record.leg_count
+    );
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to fetch order details: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Send bid for an order
+-- ============================================================================
+-- Purpose: Supplier places a bid on an open order
+--          Validates order is available (status='open' and supplier_id is NULL)
+--          and that one of the supplier's available drivers has a tanker
+--          big enough for it
+-- Parameters:
+--   p_order_id: Order ID to bid on
+--   p_supplier_id: Supplier user_id placing the bid
+--   p_bid_price: Supplier's bid price
+--   p_allowed_statuses: Statuses the state machine allows place_bid from
+--                       (NULL skips the check, see transition_refusal)
+-- Returns: JSON object with success status
+-- Code: 1=Success, 0=Failure/Order not available
+-- ============================================================================
+DROP FUNCTION IF EXISTS send_bid(INTEGER, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION send_bid(
+    p_order_id INTEGER,
+    p_supplier_id INTEGER,
+    p_bid_price INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_refusal JSON;
+    v_order_status VARCHAR(20);
+    v_order_supplier_id INTEGER;
+    v_requested_capacity INTEGER;
+    v_pricing_version_id INTEGER;
+    v_largest_leg INTEGER;
+    v_existing_bid_created_at TIMESTAMP;
+    v_wait_seconds INTEGER;
+    v_available_driver_count INTEGER;
+BEGIN
+    -- Validate inputs
+    IF p_order_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order ID cannot be null'
+        );
+    END IF;
+    
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID cannot be null'
+        );
+    END IF;
+    
+    IF p_bid_price IS NULL OR p_bid_price <= 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Bid price must be greater than 0'
+        );
+    END IF;
+
+    -- Check order status and supplier_id
+    SELECT status, supplier_id, requested_capacity, pricing_version_id
+    INTO v_order_status, v_order_supplier_id, v_requested_capacity, v_pricing_version_id
+    FROM orders
+    WHERE order_id = p_order_id
+    FOR SHARE;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not found'
+        );
+    END IF;
+
+    v_refusal := transition_refusal('place_bid', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+    
+    -- Check if order is open OR supplier_id is NULL
+    IF v_order_status != 'open' OR v_order_supplier_id IS NOT NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order is not available for bidding'
+        );
+    END IF;
+
+    IF supplier_excluded_from_order(p_order_id, p_supplier_id) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order is not available to you after your driver assignment window on it expired'
+        );
+    END IF;
+
+    -- Supplier must have an available driver whose tanker can carry this order
+    -- (its largest leg, for multi-tanker orders).
+    v_largest_leg := (plan_order_legs(v_requested_capacity, v_pricing_version_id))[1];
+    v_available_driver_count := count_capable_drivers(p_supplier_id, v_largest_leg);
+
+    IF v_available_driver_count <= 0 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'You need an available driver paired with an active tanker with capacity for '
+                       || v_largest_leg || ' gallons before bidding on this order'
+        );
+    END IF;
+    
+        -- Expire old bids from this supplier on this order (see bid_expires_at).
+    DELETE FROM bids
+    WHERE order_id = p_order_id
+      AND supplier_id = p_supplier_id
+            AND bid_expires_at(created_at, counter_status, countered_at) < CURRENT_TIMESTAMP;
+
+        -- Enforce cooldown: one bid per 15 seconds per supplier per order.
+    SELECT created_at
+    INTO v_existing_bid_created_at
+    FROM bids
+    WHERE order_id = p_order_id
+      AND supplier_id = p_supplier_id
+            AND created_at >= (CURRENT_TIMESTAMP - INTERVAL '15 seconds')
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF FOUND THEN
+                v_wait_seconds := CEIL(EXTRACT(EPOCH FROM ((v_existing_bid_created_at + INTERVAL '15 seconds') - CURRENT_TIMESTAMP)));
+        v_wait_seconds := GREATEST(v_wait_seconds, 1);
+
+        RETURN json_build_object(
+            'code', 0,
+                        'message', 'You can send only one bid every 15 seconds for this order',
+            'retry_after_seconds', v_wait_seconds
+        );
+    END IF;
+
+    -- Keep only one current bid row per supplier per order.
+    INSERT INTO bids (
+        order_id,
+        supplier_id,
+        bid_price,
+        created_at
+    ) VALUES (
+        p_order_id,
+        p_supplier_id,
+        p_bid_price,
+        CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (order_id, supplier_id)
+    DO UPDATE SET
+        bid_price = EXCLUDED.bid_price,
+        created_at = EXCLUDED.created_at,
+        counter_price = NULL,
+        counter_status = NULL,
+        countered_at = NULL;
+
+    PERFORM log_order_event(p_order_id, 'bid_placed', p_supplier_id, 'open', 'open', jsonb_build_object(
+        'supplier_id', p_supplier_id,
+        'bid_price', p_bid_price
+    ));
+    
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Bid placed successfully',
+        'expires_at', (CURRENT_TIMESTAMP + INTERVAL '15 seconds')
+    );
+    
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to place bid: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: List direct offers waiting for a supplier
+-- ============================================================================
+-- Purpose: Orders customers sent straight to this supplier ('direct_offer')
+--          that can still be accepted, soonest deadline first
+-- Parameters:
+--   p_supplier_id: Supplier user_id
+-- Returns: JSON object with offers array (seconds_remaining per offer)
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+CREATE OR REPLACE FUNCTION list_direct_offers_supplier(
+    p_supplier_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_offers JSON;
+BEGIN
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID cannot be null'
+        );
+    END IF;
+
+    SELECT COALESCE(json_agg(
+        json_build_object(
+            'order_id', o.order_id,
+            'customer_name', u.name,
+            'requested_capacity', o.requested_capacity,
+            'customer_bid_price', o.customer_bid_price,
+            'delivery_location', o.delivery_location,
+            'delivery_district', o.delivery_district,
+            'distance_km', haversine_km(s.yard_latitude, s.yard_longitude, o.delivery_latitude, o.delivery_longitude),
+            'scheduled_for', o.scheduled_for,
+            'delivery_window_end', o.delivery_window_end,
+            'direct_offer_expires_at', o.direct_offer_expires_at,
+            'leg_count', o.leg_count,
+            'seconds_remaining', GREATEST(CEIL(EXTRACT(EPOCH FROM (o.direct_offer_expires_at - CURRENT_TIMESTAMP))), 0)
+        )
+        ORDER BY o.direct_offer_expires_at
+    ), '[]'::json)
+    INTO v_offers
+    FROM orders o
+    INNER JOIN users u ON u.user_id = o.customer_id
+    LEFT JOIN suppliers s ON s.user_id = p_supplier_id
+    WHERE o.status = 'direct_offer'
+      AND o.preferred_supplier_id = p_supplier_id
+      AND o.direct_offer_expires_at > CURRENT_TIMESTAMP;
+
+    RETURN json_build_object(
+        'code', 1,
+        'offers', v_offers
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to fetch direct offers: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Accept or decline a direct offer
+-- ============================================================================
+-- Purpose: The preferred supplier answers a 'direct_offer' order.
+--          Accepting works like an accepted bid at the customer's price: the
+--          order moves to 'supplier_timer' with this supplier attached.
+--          Declining releases the order the same way a timeout does: back to
+--          the marketplace if the customer allowed it, otherwise deleted.
+-- Parameters:
+--   p_supplier_id: Supplier user_id (must be the order's preferred supplier)
+--   p_order_id: Order ID
+--   p_accept: TRUE to accept, FALSE to decline
+--   p_allowed_statuses: Statuses the state machine allows the answer from
+--                       (NULL skips the check, see transition_refusal)
+-- Returns: JSON object with customer_id, status and fell_back_to_market
+-- Code: 1=Success, 0=Failure/Offer not available
+-- ============================================================================
+DROP FUNCTION IF EXISTS respond_direct_offer(INTEGER, INTEGER, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION respond_direct_offer(
+    p_supplier_id INTEGER,
+    p_order_id INTEGER,
+    p_accept BOOLEAN,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_refusal JSON;
+    v_order_record RECORD;
+    v_available_driver_count INTEGER;
+    v_largest_leg INTEGER;
+    v_new_status VARCHAR(20);
+BEGIN
+    IF p_supplier_id IS NULL OR p_order_id IS NULL OR p_accept IS NULL THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Supplier ID, order ID and response cannot be null'
+        );
+    END IF;
+
+    -- Serialize accepts for this supplier to avoid race-condition over-allocation.
+    PERFORM 1
+    FROM suppliers
+    WHERE user_id = p_supplier_id
+    FOR UPDATE;
+
+    SELECT order_id, customer_id, status, scheduled_for, surfaced_at,
+           fallback_to_market, direct_offer_expires_at, requested_capacity, pricing_version_id
+    INTO v_order_record
+    FROM orders
+    WHERE order_id = p_order_id
+      AND preferred_supplier_id = p_supplier_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Direct offer not found or no longer available'
+        );
+    END IF;
+
+    v_refusal := transition_refusal(CASE WHEN p_accept THEN 'accept_direct_offer' ELSE 'decline_direct_offer' END,
+                                    v_order_record.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    IF v_order_record.status != 'direct_offer' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Direct offer not found or no longer available'
+        );
+    END IF;
+
+    IF CURRENT_TIMESTAMP > v_order_record.direct_offer_expires_at THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order not found'
+            'message', 'Direct offer has expired'
         );
     END IF;
-    
-    -- Return order details
+
+    IF p_accept THEN
+        -- Same rule as accept_bid: an available driver with a big enough tanker.
+        v_largest_leg := (plan_order_legs(v_order_record.requested_capacity, v_order_record.pricing_version_id))[1];
+        v_available_driver_count := count_capable_drivers(p_supplier_id, v_largest_leg);
+
+        IF v_available_driver_count <= 0 THEN
+            RETURN json_build_object(
+                'code', 0,
+                'message', 'You need an available driver paired with an active tanker with capacity for '
+                           || v_largest_leg || ' gallons to accept this order'
+            );
+        END IF;
+
+        UPDATE orders
+        SET supplier_id = p_supplier_id,
+            accepted_price = customer_bid_price,
+            time_limit_for_supplier = GREATEST(
+                CURRENT_TIMESTAMP + INTERVAL '5 minutes',
+                COALESCE(scheduled_for, CURRENT_TIMESTAMP)
+            ),
+            direct_offer_expires_at = NULL,
+            status = 'supplier_timer',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = p_order_id;
+
+        PERFORM create_order_legs(p_order_id);
+
+        PERFORM log_order_event(p_order_id, 'direct_offer_accepted', p_supplier_id, 'direct_offer', 'supplier_timer', NULL);
+
+        RETURN json_build_object(
+            'code', 1,
+            'message', 'Direct order accepted',
+            'customer_id', v_order_record.customer_id,
+            'status', 'supplier_timer',
+            'fell_back_to_market', FALSE
+        );
+    END IF;
+
+    IF v_order_record.fallback_to_market THEN
+        v_new_status := direct_offer_fallback_status(v_order_record.scheduled_for, v_order_record.surfaced_at);
+
+        UPDATE orders
+        SET status = v_new_status,
+            direct_offer_expires_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = p_order_id;
+
+        PERFORM log_order_event(p_order_id, 'direct_offer_declined', p_supplier_id, 'direct_offer', v_new_status, NULL);
+    ELSE
+        PERFORM log_order_event(p_order_id, 'direct_offer_declined', p_supplier_id, 'direct_offer', NULL,
+                                jsonb_build_object('removed', TRUE));
+
+        DELETE FROM orders
+        WHERE order_id = p_order_id;
+    END IF;
+
     RETURN json_build_object(
         'code', 1,
-        'order_id', v_order_record.order_id,
+        'message', 'Direct order declined',
         'customer_id', v_order_record.customer_id,
-        'customer_name', v_order_record.customer_name,
-        'delivery_location', v_order_record.delivery_location,
-        'requested_capacity', v_order_record.requested_capacity,
-        'customer_bid_price', v_order_record.customer_bid_price
+        'status', v_new_status,
+        'fell_back_to_market', v_order_record.fallback_to_market
     );
-    
+
 EXCEPTION
     WHEN OTHERS THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Failed to fetch order details: ' || SQLERRM
+            'message', 'Failed to respond to direct offer: ' || SQLERRM
         );
 END;
 $$ LANGUAGE plpgsql;
 
 
 -- ============================================================================
--- FUNCTION: Send bid for an order
+-- FUNCTION: List counter-offers waiting for a supplier
 -- ============================================================================
--- Purpose: Supplier places a bid on an open order
---          Validates order is available (status='open' and supplier_id is NULL)
+-- Purpose: Pending customer counters on this supplier's bids for open orders
+--          that can still be answered, soonest deadline first. Lets the
+--          dashboard show them without relying on the bid_countered event.
 -- Parameters:
---   p_order_id: Order ID to bid on
---   p_supplier_id: Supplier user_id placing the bid
---   p_bid_price: Supplier's bid price
--- Returns: JSON object with success status
--- Code: 1=Success, 0=Failure/Order not available
+--   p_supplier_id: Supplier user_id
+-- Returns: JSON object with counters array (seconds_remaining per counter)
+-- Code: 1=Success, 0=Failure
 -- ============================================================================
-CREATE OR REPLACE FUNCTION send_bid(
-    p_order_id INTEGER,
-    p_supplier_id INTEGER,
-    p_bid_price INTEGER
+CREATE OR REPLACE FUNCTION list_counter_offers_supplier(
+    p_supplier_id INTEGER
 )
 RETURNS JSON AS $$
 DECLARE
-    v_order_status VARCHAR(20);
-    v_order_supplier_id INTEGER;
-    v_existing_bid_created_at TIMESTAMP;
-    v_wait_seconds INTEGER;
-    v_available_driver_count INTEGER;
+    v_counters JSON;
 BEGIN
-    -- Validate inputs
-    IF p_order_id IS NULL THEN
+    IF p_supplier_id IS NULL THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order ID cannot be null'
+            'message', 'Supplier ID cannot be null'
         );
     END IF;
-    
-    IF p_supplier_id IS NULL THEN
+
+    SELECT COALESCE(json_agg(
+        json_build_object(
+            'bid_id', b.bid_id,
+            'order_id', b.order_id,
+            'bid_price', b.bid_price,
+            'counter_price', b.counter_price,
+            'countered_at', b.countered_at,
+            'expires_at', b.countered_at + INTERVAL '15 seconds',
+            'seconds_remaining', GREATEST(CEIL(EXTRACT(EPOCH FROM ((b.countered_at + INTERVAL '15 seconds') - CURRENT_TIMESTAMP))), 0)
+        )
+        ORDER BY b.countered_at
+    ), '[]'::json)
+    INTO v_counters
+    FROM bids b
+    INNER JOIN orders o ON o.order_id = b.order_id
+    WHERE b.supplier_id = p_supplier_id
+      AND b.counter_status = 'pending'
+      AND o.status = 'open'
+      AND b.countered_at > (CURRENT_TIMESTAMP - INTERVAL '15 seconds');
+
+    RETURN json_build_object(
+        'code', 1,
+        'counters', v_counters
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Supplier ID cannot be null'
+            'message', 'Failed to fetch counter-offers: ' || SQLERRM
         );
-    END IF;
-    
-    IF p_bid_price IS NULL OR p_bid_price <= 0 THEN
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- ============================================================================
+-- FUNCTION: Accept or decline a customer counter-offer
+-- ============================================================================
+-- Purpose: The supplier answers a pending counter on their bid within 15
+--          seconds of countered_at. Accepting reprices the bid and hands it to
+--          accept_bid(), so the order moves to 'supplier_timer' exactly as if
+--          the customer had accepted it; if accept_bid() refuses, nothing is
+--          kept and its message is returned. Declining leaves the bid
+--          standing at its own price.
+-- Parameters:
+--   p_supplier_id: Supplier user_id (must own the bid)
+--   p_bid_id: Bid ID
+--   p_accept: TRUE to accept, FALSE to decline
+--   p_allowed_statuses: Statuses the state machine allows the answer from
+--                       (NULL skips the check, see transition_refusal)
+-- Returns: JSON object with order_id, customer_id, accepted and price
+-- Code: 1=Success, 0=Failure/Counter not available
+-- ============================================================================
+DROP FUNCTION IF EXISTS respond_counter_offer(INTEGER, INTEGER, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION respond_counter_offer(
+    p_supplier_id INTEGER,
+    p_bid_id INTEGER,
+    p_accept BOOLEAN,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_bid RECORD;
+    v_refusal JSON;
+    v_result JSON;
+BEGIN
+    IF p_supplier_id IS NULL OR p_bid_id IS NULL OR p_accept IS NULL THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Bid price must be greater than 0'
+            'message', 'Supplier ID, bid ID and response cannot be null'
         );
     END IF;
 
-    -- Supplier must have at least one linked and currently available driver.
-    SELECT COUNT(*)
-    INTO v_available_driver_count
-    FROM supplier_drivers
-    WHERE supplier_user_id = p_supplier_id
-      AND driver_user_id IS NOT NULL
-      AND available = TRUE;
+    SELECT b.bid_id, b.order_id, b.bid_price, b.counter_price, b.counter_status, b.countered_at,
+           o.customer_id, o.status
+    INTO v_bid
+    FROM bids b
+    JOIN orders o ON o.order_id = b.order_id
+    WHERE b.bid_id = p_bid_id
+      AND b.supplier_id = p_supplier_id
+    FOR UPDATE OF b;
 
-    IF v_available_driver_count <= 0 THEN
+    IF NOT FOUND THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'You need at least one available linked driver before placing bids'
+            'message', 'Counter-offer not found or already answered'
         );
     END IF;
-    
-    -- Check order status and supplier_id
-    SELECT status, supplier_id INTO v_order_status, v_order_supplier_id
-    FROM orders
-    WHERE order_id = p_order_id;
-    
-    IF NOT FOUND THEN
+
+    -- accept_bid() re-checks the order under its own lock when accepting.
+    v_refusal := transition_refusal(CASE WHEN p_accept THEN 'accept_counter' ELSE 'decline_counter' END,
+                                    v_bid.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    IF v_bid.counter_status IS DISTINCT FROM 'pending' THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order not found'
+            'message', 'Counter-offer not found or already answered'
         );
     END IF;
-    
-    -- Check if order is open OR supplier_id is NULL
-    IF v_order_status != 'open' OR v_order_supplier_id IS NOT NULL THEN
+
+    IF v_bid.countered_at < (CURRENT_TIMESTAMP - INTERVAL '15 seconds') THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Order is not available for bidding'
+            'message', 'Counter-offer has expired'
         );
     END IF;
-    
-        -- Expire old bids from this supplier on this order after 15 seconds.
-    DELETE FROM bids
-    WHERE order_id = p_order_id
-      AND supplier_id = p_supplier_id
-            AND created_at < (CURRENT_TIMESTAMP - INTERVAL '15 seconds');
 
-        -- Enforce cooldown: one bid per 15 seconds per supplier per order.
-    SELECT created_at
-    INTO v_existing_bid_created_at
-    FROM bids
-    WHERE order_id = p_order_id
-      AND supplier_id = p_supplier_id
-            AND created_at >= (CURRENT_TIMESTAMP - INTERVAL '15 seconds')
-    ORDER BY created_at DESC
-    LIMIT 1;
+    IF NOT p_accept THEN
+        UPDATE bids
+        SET counter_status = 'declined'
+        WHERE bid_id = p_bid_id;
 
-    IF FOUND THEN
-                v_wait_seconds := CEIL(EXTRACT(EPOCH FROM ((v_existing_bid_created_at + INTERVAL '15 seconds') - CURRENT_TIMESTAMP)));
-        v_wait_seconds := GREATEST(v_wait_seconds, 1);
+        PERFORM log_order_event(v_bid.order_id, 'bid_counter_declined', p_supplier_id, 'open', 'open', jsonb_build_object(
+            'bid_id', p_bid_id,
+            'supplier_id', p_supplier_id,
+            'bid_price', v_bid.bid_price,
+            'counter_price', v_bid.counter_price
+        ));
 
         RETURN json_build_object(
-            'code', 0,
-                        'message', 'You can send only one bid every 15 seconds for this order',
-            'retry_after_seconds', v_wait_seconds
+            'code', 1,
+            'message', 'Counter-offer declined',
+            'order_id', v_bid.order_id,
+            'customer_id', v_bid.customer_id,
+            'accepted', FALSE,
+            'price', v_bid.bid_price
         );
     END IF;
 
-    -- Keep only one current bid row per supplier per order.
-    INSERT INTO bids (
-        order_id,
-        supplier_id,
-        bid_price,
-        created_at
-    ) VALUES (
-        p_order_id,
-        p_supplier_id,
-        p_bid_price,
-        CURRENT_TIMESTAMP
-    )
-    ON CONFLICT (order_id, supplier_id)
-    DO UPDATE SET
-        bid_price = EXCLUDED.bid_price,
-        created_at = EXCLUDED.created_at;
-    
+    BEGIN
+        PERFORM log_order_event(v_bid.order_id, 'bid_counter_accepted', p_supplier_id, 'open', 'open', jsonb_build_object(
+            'bid_id', p_bid_id,
+            'supplier_id', p_supplier_id,
+            'bid_price', v_bid.bid_price,
+            'counter_price', v_bid.counter_price
+        ));
+
+        UPDATE bids
+        SET bid_price = v_bid.counter_price
+        WHERE bid_id = p_bid_id;
+
+        v_result := accept_bid(p_bid_id, v_bid.customer_id);
+
+        IF (v_result->>'code')::INTEGER IS DISTINCT FROM 1 THEN
+            RAISE EXCEPTION '%', COALESCE(v_result->>'message', 'Failed to accept bid');
+        END IF;
+    EXCEPTION
+        WHEN raise_exception THEN
+            -- Undo the repricing and the event; the counter stays pending.
+            RETURN v_result;
+    END;
+
     RETURN json_build_object(
         'code', 1,
-        'message', 'Bid placed successfully',
-        'expires_at', (CURRENT_TIMESTAMP + INTERVAL '15 seconds')
+        'message', 'Counter-offer accepted',
+        'order_id', v_bid.order_id,
+        'customer_id', v_bid.customer_id,
+        'accepted', TRUE,
+        'price', v_bid.counter_price
     );
-    
+
 EXCEPTION
     WHEN OTHERS THEN
         RETURN json_build_object(
             'code', 0,
-            'message', 'Failed to place bid: ' || SQLERRM
+            'message', 'Failed to respond to counter-offer: ' || SQLERRM
         );
 END;
 $$ LANGUAGE plpgsql;
@@ -763,23 +1947,40 @@ CREATE TRIGGER trigger_delete_bids_on_acceptance
 -- TRIGGER: Notify when driver_assignment table changes
 -- ============================================================================
 -- Purpose: Sends PostgreSQL NOTIFY signal for real-time driver assignment updates
---          Backend listens and broadcasts to supplier's screen via WebSocket
+--          Payload is a JSON row summary (order_id, driver/supplier/customer ids)
+--          that the backend routes to the driver's and supplier's screens
 -- ============================================================================
 CREATE OR REPLACE FUNCTION notify_driver_assignment_updated()
 RETURNS TRIGGER AS $$
+DECLARE
+    v_row RECORD;
+    v_customer_id INTEGER;
 BEGIN
-    -- Send notification on driver_assignment_channel with order_id
     IF TG_OP = 'DELETE' THEN
-        PERFORM pg_notify('driver_assignment_channel', OLD.order_id::text);
-        RETURN OLD;
+        v_row := OLD;
     ELSE
-        PERFORM pg_notify('driver_assignment_channel', NEW.order_id::text);
-        RETURN NEW;
+        v_row := NEW;
     END IF;
+
+    -- NULL when the assignment is being removed by an order delete cascade
+    SELECT customer_id INTO v_customer_id
+    FROM orders
+    WHERE order_id = v_row.order_id;
+
+    -- Send notification on driver_assignment_channel
+    PERFORM pg_notify('driver_assignment_channel', json_build_object(
+        'op', TG_OP,
+        'order_id', v_row.order_id,
+        'driver_id', v_row.driver_id,
+        'supplier_id', v_row.supplier_id,
+        'customer_id', v_customer_id,
+        'order_rejected', v_row.order_rejected
+    )::text);
+
+    RETURN v_row;
 END;
 $$ LANGUAGE plpgsql;
 
-DROP TRIGGER IF EXISTS trigger_notify_driver_assignment_updated ON driver_assignment;
 DROP TRIGGER IF EXISTS trigger_notify_driver_assignment_updated ON driver_assignment;
 CREATE TRIGGER trigger_notify_driver_assignment_updated
     AFTER INSERT OR UPDATE OR DELETE ON driver_assignment
@@ -792,6 +1993,8 @@ CREATE TRIGGER trigger_notify_driver_assignment_updated
 -- ============================================================================
 -- Purpose: Get list of drivers with their assignment status for a specific order
 --          Shows: available, pending (assigned but not accepted), rejected
+--          Only drivers paired with an active tanker that can carry the
+--          order's requested capacity are listed
 -- Parameters:
 --   p_supplier_id: Supplier ID to get drivers for
 --   p_order_id: Order ID to check assignment status
@@ -804,7 +2007,9 @@ CREATE OR REPLACE FUNCTION get_available_drivers_for_supplier(
 RETURNS JSON AS $$
 DECLARE
     v_drivers JSON;
-    v_order_eligible BOOLEAN;
+    v_requested_capacity INTEGER;
+    v_parent_order_id INTEGER;
+    v_leg_count INTEGER;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -824,20 +2029,27 @@ BEGIN
     END IF;
 
     -- Order must belong to supplier and still be within supplier timer window.
-    SELECT EXISTS(
-        SELECT 1 FROM orders
-        WHERE order_id = p_order_id
-          AND supplier_id = p_supplier_id
-          AND status = 'supplier_timer'
-          AND (time_limit_for_supplier IS NULL OR CURRENT_TIMESTAMP <= time_limit_for_supplier)
-    ) INTO v_order_eligible;
+    SELECT requested_capacity, parent_order_id, leg_count
+    INTO v_requested_capacity, v_parent_order_id, v_leg_count
+    FROM orders
+    WHERE order_id = p_order_id
+      AND supplier_id = p_supplier_id
+      AND status = 'supplier_timer'
+      AND (time_limit_for_supplier IS NULL OR CURRENT_TIMESTAMP <= time_limit_for_supplier);
 
-    IF NOT v_order_eligible THEN
+    IF NOT FOUND THEN
         RETURN json_build_object(
             'code', 0,
             'message', 'Supplier time limit has expired for this order'
         );
     END IF;
+
+    IF v_parent_order_id IS NULL AND v_leg_count > 1 THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'This order is delivered in legs. Assign a driver to each leg'
+        );
+    END IF;
     
     -- Get drivers with their assignment status for this order
     SELECT COALESCE(json_agg(json_build_object(
@@ -849,17 +2061,24 @@ BEGIN
             WHEN da.driver_id IS NOT NULL AND CURRENT_TIMESTAMP <= da.time_limit_for_driver THEN 'pending'
             ELSE 'available'
         END,
-        'time_limit', da.time_limit_for_driver
+        'time_limit', da.time_limit_for_driver,
+        'vehicle_id', v.vehicle_id,
+        'registration_number', v.registration_number,
+        'capacity_gallons', v.capacity_gallons
     )), '[]'::json) INTO v_drivers
     FROM supplier_drivers sd
     JOIN users u ON sd.driver_user_id = u.user_id
+    JOIN vehicles v ON v.vehicle_id = sd.vehicle_id
     LEFT JOIN driver_assignment da ON da.driver_id = sd.driver_user_id AND da.order_id = p_order_id
     WHERE sd.supplier_user_id = p_supplier_id
       AND sd.driver_user_id IS NOT NULL
-      AND sd.available = TRUE;
+      AND sd.available = TRUE
+      AND v.status = 'active'
+      AND v.capacity_gallons >= v_requested_capacity;
     
     RETURN json_build_object(
         'code', 1,
+        'requested_capacity', v_requested_capacity,
         'drivers', v_drivers
     );
     
@@ -881,20 +2100,28 @@ $$ LANGUAGE plpgsql;
 --   p_order_id: Order ID to assign driver to
 --   p_supplier_id: Supplier ID (for authorization)
 --   p_driver_id: Driver user_id to assign
+--   p_allowed_statuses: Statuses the state machine allows assign_driver from
+--                       (NULL skips the check, see transition_refusal)
 -- Returns: JSON object with code field
 -- Code: 1=Success, 0=Failure
 -- ============================================================================
+DROP FUNCTION IF EXISTS assign_driver_to_order(INTEGER, INTEGER, INTEGER);
+
 CREATE OR REPLACE FUNCTION assign_driver_to_order(
     p_order_id INTEGER,
     p_supplier_id INTEGER,
-    p_driver_id INTEGER
+    p_driver_id INTEGER,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
 )
 RETURNS JSON AS $$
 DECLARE
+    v_order_status VARCHAR(20);
+    v_refusal JSON;
     v_driver_belongs BOOLEAN;
     v_order_valid BOOLEAN;
     v_assignment_exists BOOLEAN;
     v_other_pending_assignment_exists BOOLEAN;
+    v_vehicle_fits BOOLEAN;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -905,6 +2132,38 @@ BEGIN
             'message', 'Order ID, Supplier ID, and Driver ID cannot be null'
         );
     END IF;
+
+    -- Only the supplier holding the order may assign; anyone else sees it as unavailable.
+    SELECT status INTO v_order_status
+    FROM orders
+    WHERE order_id = p_order_id
+      AND supplier_id = p_supplier_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Order not available for driver assignment'
+        );
+    END IF;
+
+    v_refusal := transition_refusal('assign_driver', v_order_status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    -- Multi-tanker orders take their drivers on the legs, not on the order itself.
+    IF EXISTS (
+        SELECT 1 FROM orders
+        WHERE order_id = p_order_id
+          AND parent_order_id IS NULL
+          AND leg_count > 1
+    ) THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'This order is delivered in legs. Assign a driver to each leg'
+        );
+    END IF;
     
     -- Check if driver belongs to this supplier
     SELECT EXISTS(
@@ -920,6 +2179,25 @@ BEGIN
         );
     END IF;
 
+    -- The driver's tanker must be in service and big enough for this order.
+    SELECT EXISTS(
+        SELECT 1
+        FROM supplier_drivers sd
+        JOIN vehicles v ON v.vehicle_id = sd.vehicle_id
+        JOIN orders o ON o.order_id = p_order_id
+        WHERE sd.supplier_user_id = p_supplier_id
+          AND sd.driver_user_id = p_driver_id
+          AND v.status = 'active'
+          AND v.capacity_gallons >= o.requested_capacity
+    ) INTO v_vehicle_fits;
+
+    IF NOT v_vehicle_fits THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Driver is not paired with an active tanker with capacity for this order'
+        );
+    END IF;
+
     -- Check if the driver already has an active order (accepted, ride_started, reached)
     IF EXISTS(
     SELECT 1 FROM orders
@@ -998,6 +2276,11 @@ END IF;
         p_supplier_id,
         CURRENT_TIMESTAMP + INTERVAL '1 minute'
     );
+
+    PERFORM log_order_event(p_order_id, 'driver_assigned', p_supplier_id, 'supplier_timer', 'supplier_timer', jsonb_build_object(
+        'driver_id', p_driver_id,
+        'time_limit_for_driver', CURRENT_TIMESTAMP + INTERVAL '1 minute'
+    ));
     
     RETURN json_build_object(
         'code', 1,
@@ -1032,6 +2315,7 @@ CREATE OR REPLACE FUNCTION view_one_active_order_supplier(
 RETURNS JSON AS $$
 DECLARE
     v_order_record RECORD;
+    v_legs JSON;
 BEGIN
     PERFORM cleanup_expired_failures();
 
@@ -1054,17 +2338,28 @@ BEGIN
     SELECT 
         o.order_id,
         o.delivery_location,
+        o.delivery_latitude,
+        o.delivery_longitude,
         o.requested_capacity,
         o.accepted_price,
         o.status,
         o.order_confirmed_at,
-        o.time_limit_for_supplier,
+        -- Legs run on their parent's supplier window
+        COALESCE(o.time_limit_for_supplier, po.time_limit_for_supplier) AS time_limit_for_supplier,
+        o.scheduled_for,
+        o.delivery_window_end,
+        o.handover_failed_attempts,
+        o.handover_overridden_at,
+        o.parent_order_id,
+        o.leg_number,
+        o.leg_count,
         cu.name AS customer_name,
         cu.phone AS customer_phone,
         du.name AS driver_name,
         du.phone AS driver_phone
     INTO v_order_record
     FROM orders o
+    LEFT JOIN orders po ON po.order_id = o.parent_order_id AND po.status = 'supplier_timer'
     LEFT JOIN users cu ON o.customer_id = cu.user_id
     LEFT JOIN users du ON o.driver_id = du.user_id
     WHERE o.order_id = p_order_id
@@ -1077,17 +2372,42 @@ BEGIN
             'message', 'Order not found or does not belong to you'
         );
     END IF;
+
+    IF v_order_record.parent_order_id IS NULL AND v_order_record.leg_count > 1 THEN
+        SELECT COALESCE(json_agg(json_build_object(
+                   'order_id', l.order_id,
+                   'leg_number', l.leg_number,
+                   'quantity', l.requested_capacity,
+                   'status', l.status,
+                   'driver_name', du.name,
+                   'driver_phone', du.phone
+               ) ORDER BY l.leg_number), '[]'::json)
+        INTO v_legs
+        FROM orders l
+        LEFT JOIN users du ON du.user_id = l.driver_id
+        WHERE l.parent_order_id = v_order_record.order_id;
+    END IF;
     
     -- Return order details
     RETURN json_build_object(
         'code', 1,
         'order_id', v_order_record.order_id,
         'delivery_location', v_order_record.delivery_location,
+        'delivery_latitude', v_order_record.delivery_latitude,
+        'delivery_longitude', v_order_record.delivery_longitude,
         'quantity', v_order_record.requested_capacity,
         'accepted_price', v_order_record.accepted_price,
         'status', v_order_record.status,
         'order_confirmed_at', v_order_record.order_confirmed_at,
         'time_limit_for_supplier', v_order_record.time_limit_for_supplier,
+        'scheduled_for', v_order_record.scheduled_for,
+        'delivery_window_end', v_order_record.delivery_window_end,
+        'handover_failed_attempts', v_order_record.handover_failed_attempts,
+        'handover_overridden_at', v_order_record.handover_overridden_at,
+        'parent_order_id', v_order_record.parent_order_id,
+        'leg_number', v_order_record.leg_number,
+        'leg_count', v_order_record.leg_count,
+        'legs', COALESCE(v_legs, '[]'::json),
         'customer_name', v_order_record.customer_name,
         'customer_phone', v_order_record.customer_phone,
         'driver_name', v_order_record.driver_name,
@@ -1104,11 +2424,116 @@ END;
 $$ LANGUAGE plpgsql;
 
 
+-- ============================================================================
+-- FUNCTION: Override the handover code for a reached order
+-- ============================================================================
+-- Purpose: Lets the supplier unblock a delivery when the customer cannot
+--          provide the handover code (or the driver is locked out). Every
+--          override is written to handover_override_log with the reason.
+-- Parameters:
+--   p_supplier_id: Supplier user_id (must own the order)
+--   p_order_id: Order ID in 'reached' status
+--   p_reason: Why the code is being bypassed (min 5 characters)
+--   p_allowed_statuses: Statuses the state machine allows override_handover
+--                       from (NULL skips the check, see transition_refusal)
+-- Returns: JSON object with override_id and the parties to notify
+-- Code: 1=Success, 0=Failure
+-- ============================================================================
+DROP FUNCTION IF EXISTS override_handover_code(INTEGER, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION override_handover_code(
+    p_supplier_id INTEGER,
+    p_order_id INTEGER,
+    p_reason TEXT,
+    p_allowed_statuses VARCHAR(20)[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_refusal JSON;
+    v_order_record RECORD;
+    v_reason TEXT := btrim(COALESCE(p_reason, ''));
+    v_override_id INTEGER;
+BEGIN
+    IF p_supplier_id IS NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'Supplier ID cannot be null');
+    END IF;
+
+    IF p_order_id IS NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'Order ID cannot be null');
+    END IF;
+
+    IF length(v_reason) < 5 THEN
+        RETURN json_build_object('code', 0, 'message', 'A reason of at least 5 characters is required');
+    END IF;
+
+    SELECT order_id, status, customer_id, driver_id, handover_failed_attempts, handover_overridden_at
+    INTO v_order_record
+    FROM orders
+    WHERE order_id = p_order_id
+      AND supplier_id = p_supplier_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('code', 0, 'message', 'Order not found or does not belong to you');
+    END IF;
+
+    v_refusal := transition_refusal('override_handover', v_order_record.status, p_allowed_statuses);
+    IF v_refusal IS NOT NULL THEN
+        RETURN v_refusal;
+    END IF;
+
+    IF v_order_record.status != 'reached' THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Handover can only be overridden once the driver has reached. Current status: ' || v_order_record.status
+        );
+    END IF;
+
+    IF v_order_record.handover_overridden_at IS NOT NULL THEN
+        RETURN json_build_object('code', 0, 'message', 'Handover has already been overridden for this order');
+    END IF;
+
+    INSERT INTO handover_override_log (order_id, supplier_id, driver_id, reason, failed_attempts)
+    VALUES (p_order_id, p_supplier_id, v_order_record.driver_id, v_reason, v_order_record.handover_failed_attempts)
+    RETURNING override_id INTO v_override_id;
+
+    UPDATE orders
+    SET handover_overridden_at = CURRENT_TIMESTAMP
+    WHERE order_id = p_order_id;
+
+    PERFORM log_order_event(p_order_id, 'handover_overridden', p_supplier_id, 'reached', 'reached', jsonb_build_object(
+        'override_id', v_override_id,
+        'reason', v_reason,
+        'failed_attempts', v_order_record.handover_failed_attempts
+    ));
+
+    RETURN json_build_object(
+        'code', 1,
+        'message', 'Handover code overridden. The driver can now finish the delivery.',
+        'override_id', v_override_id,
+        'customer_id', v_order_record.customer_id,
+        'driver_id', v_order_record.driver_id
+    );
+
+EXCEPTION
+    WHEN OTHERS THEN
+        RETURN json_build_object(
+            'code', 0,
+            'message', 'Failed to override handover: ' || SQLERRM
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+
 -- ============================================================================
 -- FUNCTION: Get active orders for supplier
 -- ============================================================================
 -- Purpose: Returns list of all active orders for a supplier
---          Active means status is supplier_timer, accepted, or ride_started
+--          Active means status is supplier_timer, accepted, or ride_started.
+--          Multi-tanker orders are listed as their legs, since that is where
+--          drivers are assigned; each leg carries its parent_order_id.
+--          needs_reassignment flags orders whose driver dropped out and
+--          which are waiting for a replacement (see drop_order_driver).
 -- Parameters:
 --   p_supplier_id: Supplier user_id
 -- Returns: JSON array with active orders
@@ -1140,18 +2565,27 @@ BEGIN
             'status', o.status,
             'created_at', o.created_at,
             'order_confirmed_at', o.order_confirmed_at,
-            'time_limit_for_supplier', o.time_limit_for_supplier,
+            'time_limit_for_supplier', COALESCE(o.time_limit_for_supplier, po.time_limit_for_supplier),
+            'needs_reassignment', o.driver_dropped_at IS NOT NULL,
+            'driver_dropped_at', o.driver_dropped_at,
+            'scheduled_for', o.scheduled_for,
+            'delivery_window_end', o.delivery_window_end,
+            'parent_order_id', o.parent_order_id,
+            'leg_number', o.leg_number,
+            'leg_count', o.leg_count,
             'customer_name', cu.name,
             'customer_phone', cu.phone,
             'driver_name', du.name,
             'driver_phone', du.phone
-                ) ORDER BY o.created_at DESC
+                ) ORDER BY o.created_at DESC, o.leg_number
     ), '[]'::json) INTO v_orders
     FROM orders o
+    LEFT JOIN orders po ON po.order_id = o.parent_order_id AND po.status = 'supplier_timer'
     LEFT JOIN users cu ON o.customer_id = cu.user_id
     LEFT JOIN users du ON o.driver_id = du.user_id
     WHERE o.supplier_id = p_supplier_id
             AND o.status IN ('supplier_timer', 'accepted', 'ride_started', 'reached')
+            AND (o.parent_order_id IS NOT NULL OR o.leg_count = 1)
             AND (o.status != 'supplier_timer' OR o.time_limit_for_supplier IS NULL OR CURRENT_TIMESTAMP <= o.time_limit_for_supplier);
     
     RETURN json_build_object(
@@ -1176,7 +2610,7 @@ $$ LANGUAGE plpgsql;
 -- Parameters:
 --   p_supplier_id: Supplier user_id (for authorization)
 --   p_order_id: Order ID to view details for
--- Returns: JSON object with order details
+-- Returns: JSON object with order details and proof of delivery (if any)
 -- ============================================================================
 CREATE OR REPLACE FUNCTION view_past_order_details_supplier(
     p_supplier_id INTEGER,
@@ -1227,7 +2661,10 @@ BEGIN
             'quantity', v_order_record.quantity,
             'customer_location', v_order_record.customer_location,
             'driver_name', v_order_record.driver_name,
-            'status', v_order_record.status
+            'status', v_order_record.status,
+            'delivery_proof', get_delivery_proof(v_order_record.order_id),
+            'leg_count', v_order_record.leg_count,
+            'legs', get_order_history_legs(v_order_record.order_id)
         )
     );
     
@@ -1307,7 +2744,8 @@ $$ LANGUAGE plpgsql;
 -- Purpose: Permanently delete a supplier account. 
 --          1. Blocks deletion if there is a delivery in progress.
 --          2. Archives 'finished' orders into order_history.
---          3. Logs out all currently linked drivers (deletes their sessions).
+--          3. Logs out all currently linked drivers (deletes their sessions)
+--             and reports their ids so API-side session caches can be cleared.
 --          4. Retracts all active bids.
 --          5. Deletes the user record (cascading to profile and driver links).
 -- Parameters:
@@ -1321,6 +2759,7 @@ RETURNS JSON AS $$
 DECLARE
     v_active_order_exists BOOLEAN;
     v_order_record RECORD;
+    v_driver_ids INTEGER[];
 BEGIN
     -- 1. Check for active orders that MUST be physically completed first
     SELECT EXISTS(
@@ -1351,7 +2790,8 @@ BEGIN
     ) LOOP
         INSERT INTO order_history (
             order_id, supplier_id, customer_name, customer_phone, supplier_name, supplier_phone, driver_name, driver_phone,
-            customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at, created_at
+            customer_location, yard_location, price, quantity, status, order_date, reason, customer_rating, rated_at,
+            parent_order_id, leg_number, leg_count, pricing_version_id, created_at
         ) VALUES (
             v_order_record.order_id, v_order_record.supplier_id,
             COALESCE(v_order_record.customer_name, ''),
@@ -1361,16 +2801,23 @@ BEGIN
             v_order_record.delivery_location, COALESCE(v_order_record.yard_location, ''),
             v_order_record.accepted_price, v_order_record.requested_capacity,
             'completed', v_order_record.order_confirmed_at,
-            NULL, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+            NULL, NULL, CURRENT_TIMESTAMP,
+            v_order_record.parent_order_id, v_order_record.leg_number, v_order_record.leg_count, v_order_record.pricing_version_id, CURRENT_TIMESTAMP
         );
         
+        PERFORM log_order_event(v_order_record.order_id, 'archived', p_user_id, 'finished', NULL,
+                                jsonb_build_object('reason', 'supplier_account_deleted'));
+
         DELETE FROM orders WHERE order_id = v_order_record.order_id;
     END LOOP;
 
     -- 3. Cascading Logout: Remove sessions for all linked drivers
-    DELETE FROM sessions WHERE user_id IN (
-        SELECT driver_user_id FROM supplier_drivers WHERE supplier_id = p_user_id
-    );
+    SELECT COALESCE(array_agg(driver_user_id), ARRAY[]::INTEGER[]) INTO v_driver_ids
+    FROM supplier_drivers
+    WHERE supplier_user_id = p_user_id
+      AND driver_user_id IS NOT NULL;
+
+    DELETE FROM sessions WHERE user_id = ANY(v_driver_ids);
 
     -- 4. Retract all active bids
     DELETE FROM bids WHERE supplier_id = p_user_id;
@@ -1380,7 +2827,8 @@ BEGIN
 
     RETURN json_build_object(
         'code', 1,
-        'message', 'Account deleted successfully. All linked drivers have been logged out.'
+        'message', 'Account deleted successfully. All linked drivers have been logged out.',
+        'logged_out_driver_ids', v_driver_ids
     );
 
 EXCEPTION
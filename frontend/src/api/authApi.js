@@ -11,26 +11,46 @@ export function enterNumber(phone) {
   });
 }
 
-export function storeOtp(phone, otp) {
-  return apiRequest('/app/store-otp', {
+export function sendOtp(phone) {
+  return apiRequest('/app/send-otp', {
     method: 'POST',
-    body: {
-      phone_number: phone,
-      otp,
-    },
+    body: { phone_number: phone },
   });
 }
 
-export function verifyOtp(phone, otpCode) {
+export function verifyOtp(phone, otpCode, deviceLabel) {
   return apiRequest('/app/verify-otp', {
     method: 'POST',
     body: {
       phone_number: phone,
       otp: otpCode,
+      device_label: deviceLabel,
     },
   });
 }
 
+export function refreshSession(refreshToken) {
+  return apiRequest('/app/sessions/refresh', {
+    method: 'POST',
+    body: { refresh_token: refreshToken },
+  });
+}
+
+export function listSessions(token) {
+  return apiRequest('/app/sessions', { token });
+}
+
+export function getOrderStates() {
+  return apiRequest('/app/order-states');
+}
+
+export function revokeSession(token, sessionId) {
+  return apiRequest(`/app/sessions/${sessionId}`, {
+    method: 'DELETE',
+    token,
+  });
+}
+
 export function submitCustomerDetails(token, payload) {
   // Route: /api/customer/enter-details (different base path)
   return apiRequest('/customer/enter-details', {
@@ -78,3 +98,10 @@ export function logoutDriver(token) {
     token,
   });
 }
+
+export function logoutAdmin(token) {
+  return apiRequest('/admin/logout', {
+    method: 'POST',
+    token,
+  });
+}
@@ -1,7 +1,13 @@
 import { apiRequest } from './client';
 
-export function getCustomerQuantityPricing(token) {
-    return apiRequest('/customer/orders/quantities', {
+// Prices depend on the delivery district and time (dynamic pricing rules);
+// both are optional and default to "anywhere, now".
+export function getCustomerQuantityPricing(token, { district, scheduledFor } = {}) {
+    const params = [];
+    if (district) params.push(`district=${encodeURIComponent(district)}`);
+    if (scheduledFor) params.push(`scheduled_for=${encodeURIComponent(scheduledFor)}`);
+    const queryString = params.length > 0 ? `?${params.join('&')}` : '';
+    return apiRequest(`/customer/orders/quantities${queryString}`, {
         method: 'GET',
         token,
     });
@@ -58,6 +64,14 @@ export function rejectCustomerBid(token, orderId, bidId) {
         token,
     });
 }
+
+export function counterCustomerBid(token, orderId, bidId, counterPrice) {
+    return apiRequest(`/customer/orders/${orderId}/bids/${bidId}/counter`, {
+        method: 'POST',
+        token,
+        body: { counter_price: counterPrice },
+    });
+}
 export function listCustomerHistory(token) {
     return apiRequest('/customer/history', {
         method: 'GET',
@@ -78,4 +92,63 @@ export function submitCustomerRating(token, orderId, rating) {
         token,
         body: { rating },
     });
-}
\ No newline at end of file
+}
+export function getCustomerOrderLocationTrail(token, orderId) {
+    return apiRequest(`/customer/orders/${orderId}/location-trail`, {
+        method: 'GET',
+        token,
+    });
+}
+
+export function listCustomerSubscriptions(token) {
+    return apiRequest('/customer/subscriptions', {
+        method: 'GET',
+        token,
+    });
+}
+
+export function createCustomerSubscription(token, payload) {
+    return apiRequest('/customer/subscriptions', {
+        method: 'POST',
+        token,
+        body: payload,
+    });
+}
+
+// action: 'pause' | 'resume' | 'skip-next' | 'cancel'
+export function updateCustomerSubscription(token, subscriptionId, action) {
+    return apiRequest(`/customer/subscriptions/${subscriptionId}/${action}`, {
+        method: 'POST',
+        token,
+    });
+}
+
+export function listPreferredSuppliers(token) {
+    return apiRequest('/customer/preferred-suppliers', {
+        method: 'GET',
+        token,
+    });
+}
+
+export function listCustomerAddresses(token) {
+    return apiRequest('/customer/addresses', {
+        method: 'GET',
+        token,
+    });
+}
+
+// Creates a new address, or replaces the one with payload.address_id.
+export function saveCustomerAddress(token, { address_id: addressId, ...payload }) {
+    return apiRequest(addressId ? `/customer/addresses/${addressId}` : '/customer/addresses', {
+        method: addressId ? 'PUT' : 'POST',
+        token,
+        body: payload,
+    });
+}
+
+export function deleteCustomerAddress(token, addressId) {
+    return apiRequest(`/customer/addresses/${addressId}`, {
+        method: 'DELETE',
+        token,
+    });
+}
@@ -42,10 +42,14 @@ export function markDriverReached(token, orderId) {
     });
 }
 
-export function finishDriverOrder(token, orderId) {
+// proof: { handover_code, delivered_gallons, photo, signature? } with images as base64 data URIs
+export function finishDriverOrder(token, orderId, proof) {
     return apiRequest(`/driver/orders/${orderId}/finish`, {
         method: 'POST',
         token,
+        body: proof,
+        // Photos make this a much larger upload than any other request
+        timeoutMs: 60000,
     });
 }
 
@@ -69,3 +73,11 @@ export function getDriverHistoryDetails(token, orderId) {
         token,
     });
 }
+
+export function sendDriverLocation(token, orderId, location) {
+    return apiRequest(`/driver/orders/${orderId}/location`, {
+        method: 'POST',
+        token,
+        body: location,
+    });
+}
@@ -15,6 +15,35 @@ export function placeSupplierBid(token, orderId, bidPrice) {
     });
 }
 
+export function listDirectOffers(token) {
+    return apiRequest('/supplier/orders/direct', {
+        method: 'GET',
+        token,
+    });
+}
+
+// accept: true to take the order, false to decline it
+export function respondToDirectOffer(token, orderId, accept) {
+    return apiRequest(`/supplier/orders/direct/${orderId}/${accept ? 'accept' : 'decline'}`, {
+        method: 'POST',
+        token,
+    });
+}
+
+export function listCounterOffers(token) {
+    return apiRequest('/supplier/bids/counters', {
+        method: 'GET',
+        token,
+    });
+}
+
+export function respondToCounterOffer(token, bidId, accept) {
+    return apiRequest(`/supplier/bids/${bidId}/counter/${accept ? 'accept' : 'decline'}`, {
+        method: 'POST',
+        token,
+    });
+}
+
 export function listActiveSupplierOrders(token) {
     return apiRequest('/supplier/orders/active', {
         method: 'GET',
@@ -52,6 +81,46 @@ export function removeSupplierDriver(token, driverPhoneNum) {
     });
 }
 
+export function listSupplierVehicles(token) {
+    return apiRequest('/supplier/vehicles', {
+        method: 'GET',
+        token,
+    });
+}
+
+export function addSupplierVehicle(token, registrationNumber, capacityGallons) {
+    return apiRequest('/supplier/vehicles', {
+        method: 'POST',
+        token,
+        body: { registration_number: registrationNumber, capacity_gallons: capacityGallons },
+    });
+}
+
+// status: 'active' or 'maintenance'
+export function updateSupplierVehicleStatus(token, vehicleId, status) {
+    return apiRequest(`/supplier/vehicles/${vehicleId}`, {
+        method: 'PATCH',
+        token,
+        body: { status },
+    });
+}
+
+export function removeSupplierVehicle(token, vehicleId) {
+    return apiRequest(`/supplier/vehicles/${vehicleId}`, {
+        method: 'DELETE',
+        token,
+    });
+}
+
+// vehicleId null unpairs the driver
+export function pairDriverWithVehicle(token, driverPhoneNum, vehicleId) {
+    return apiRequest('/supplier/drivers/vehicle', {
+        method: 'PUT',
+        token,
+        body: { driver_phone_num: driverPhoneNum, vehicle_id: vehicleId },
+    });
+}
+
 export function getActiveSupplierOrderDetails(token, orderId) {
     return apiRequest(`/supplier/orders/active/${orderId}`, {
         method: 'GET',
@@ -81,6 +150,14 @@ export function cancelSupplierOrder(token, orderId) {
     });
 }
 
+export function overrideSupplierHandover(token, orderId, reason) {
+    return apiRequest(`/supplier/orders/active/${orderId}/handover-override`, {
+        method: 'POST',
+        token,
+        body: { reason },
+    });
+}
+
 export function getAvailableOrderDetail(token, orderId) {
     return apiRequest(`/supplier/orders/available/${orderId}`, {
         method: 'GET',
@@ -94,3 +171,25 @@ export function getPastSupplierOrderDetail(token, orderId) {
         token,
     });
 }
+
+export function getSupplierServiceArea(token) {
+    return apiRequest('/supplier/service-area', {
+        method: 'GET',
+        token,
+    });
+}
+
+export function updateSupplierServiceArea(token, payload) {
+    return apiRequest('/supplier/service-area', {
+        method: 'PUT',
+        token,
+        body: payload,
+    });
+}
+
+export function getSupplierOrderLocationTrail(token, orderId) {
+    return apiRequest(`/supplier/orders/active/${orderId}/location-trail`, {
+        method: 'GET',
+        token,
+    });
+}
@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import AppDropdown from '../ui/AppDropdown';
+import BasicButton from '../ui/BasicButton';
+import { deleteCustomerAddress, saveCustomerAddress } from '../../api/customerApi';
+import { AREA_OPTIONS, findArea } from '../../constants/areas';
+import { colors, radius, shadow, spacing, typography } from '../../theme/tokens';
+
+const EMPTY_FORM = { address_id: null, label: '', address: '', district: '' };
+
+// Saved delivery addresses. The dashboard owns the list (it also feeds the
+// order form's picker); this panel edits it and asks for a reload after
+// every change.
+export default function AddressBookPanel({ sessionToken, addresses, onChanged, onClose, onError }) {
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      await action();
+      await onChanged?.();
+      return true;
+    } catch (error) {
+      onError?.(error.message || failureMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!form.label.trim() || !form.address.trim()) { onError?.('Label and address are required'); return; }
+    const area = findArea(form.district);
+    const saved = await run(() => saveCustomerAddress(sessionToken, {
+      address_id: form.address_id,
+      label: form.label.trim(),
+      address: form.address.trim(),
+      district: form.district || null,
+      latitude: area?.latitude ?? null,
+      longitude: area?.longitude ?? null,
+    }), 'Failed to save address');
+    if (saved) setForm(null);
+  };
+
+  const makeDefault = (item) => run(() => saveCustomerAddress(sessionToken, {
+    address_id: item.address_id,
+    label: item.label,
+    address: item.address,
+    district: item.district,
+    latitude: item.latitude,
+    longitude: item.longitude,
+    is_default: true,
+  }), 'Failed to update default address');
+
+  const remove = (item) => run(() => deleteCustomerAddress(sessionToken, item.address_id), 'Failed to delete address');
+
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <Text style={styles.title}>Saved Addresses</Text>
+      {addresses.length === 0 ? <Text style={styles.hint}>No saved addresses yet.</Text> : null}
+
+      {addresses.map((item) => (
+        <View key={String(item.address_id)} style={styles.card}>
+          <Text style={styles.cardTitle}>{item.label}{item.is_default ? '  · Default' : ''}</Text>
+          <Text style={styles.row}>{item.district ? `${item.address}, ${item.district}` : item.address}</Text>
+          <View style={styles.actionRow}>
+            <BasicButton
+              title="Edit"
+              onPress={() => setForm({ address_id: item.address_id, label: item.label, address: item.address, district: item.district || '' })}
+              disabled={busy}
+              style={styles.actionButton}
+            />
+            <BasicButton
+              title="Default"
+              onPress={() => makeDefault(item)}
+              disabled={busy || item.is_default}
+              style={styles.actionButton}
+            />
+            <BasicButton
+              title="Delete"
+              onPress={() => remove(item)}
+              disabled={busy}
+              style={[styles.actionButton, styles.dangerButton]}
+            />
+          </View>
+        </View>
+      ))}
+
+      {form ? (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{form.address_id ? 'Edit Address' : 'New Address'}</Text>
+          <Text style={styles.fieldLabel}>Label</Text>
+          <TextInput
+            value={form.label}
+            onChangeText={(label) => setForm((prev) => ({ ...prev, label }))}
+            maxLength={40}
+            style={styles.input}
+            placeholder="Home, Office, Plot 2..."
+            placeholderTextColor={colors.textSecondary}
+          />
+          <Text style={styles.fieldLabel}>Address</Text>
+          <TextInput
+            value={form.address}
+            onChangeText={(address) => setForm((prev) => ({ ...prev, address }))}
+            style={styles.input}
+            placeholder="Street address"
+            placeholderTextColor={colors.textSecondary}
+          />
+          <AppDropdown
+            label="District"
+            selectedValue={form.district}
+            onValueChange={(district) => setForm((prev) => ({ ...prev, district }))}
+            placeholder="Select district"
+            options={AREA_OPTIONS}
+          />
+          <BasicButton title={busy ? 'Saving...' : 'Save Address'} onPress={handleSave} disabled={busy} />
+          <BasicButton title="Discard" onPress={() => setForm(null)} style={styles.ghostButton} textStyle={{ color: colors.textSecondary }} />
+        </View>
+      ) : (
+        <BasicButton title="Add Address" onPress={() => setForm(EMPTY_FORM)} disabled={busy || addresses.length >= 10} />
+      )}
+
+      <BasicButton title="Done" onPress={onClose} style={styles.ghostButton} textStyle={{ color: colors.textSecondary }} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  content: { paddingBottom: spacing.md },
+  title: { fontSize: typography.subtitle, fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.sm },
+  hint: { fontSize: typography.small, color: colors.textSecondary, marginBottom: spacing.xs },
+  card: { backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.sm, marginBottom: spacing.sm, ...shadow.sm },
+  cardTitle: { fontSize: typography.body, fontWeight: '700', color: colors.textPrimary, marginBottom: 2 },
+  row: { fontSize: typography.label, color: colors.textSecondary, marginBottom: 2 },
+  fieldLabel: { fontSize: typography.label, fontWeight: '600', color: colors.textSecondary, marginTop: spacing.sm, marginBottom: 4 },
+  input: {
+    borderWidth: 1.5,
+    borderColor: colors.border,
+    borderRadius: radius.sm,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 10,
+    fontSize: typography.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.surface,
+  },
+  actionRow: { flexDirection: 'row', gap: spacing.xs, marginTop: spacing.xs },
+  actionButton: { flex: 1, marginTop: 0 },
+  dangerButton: { backgroundColor: colors.danger },
+  ghostButton: { backgroundColor: 'transparent', borderWidth: 1.5, borderColor: colors.border, marginTop: spacing.xs },
+});
@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import BasicButton from '../ui/BasicButton';
+import { listCounterOffers, respondToCounterOffer } from '../../api/supplierApi';
+import { colors, radius, shadow, spacing, typography } from '../../theme/tokens';
+
+// Events after which the list of pending counters may have changed.
+const COUNTER_EVENTS = ['bid_countered', 'bid_expired', 'order_cancelled', 'order_updated'];
+
+function formatCountdown(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Counter-offers customers made on this supplier's bids. Loaded from the
+// server and refreshed on socket events, so a missed bid_countered still
+// shows up; each must be answered within 15 seconds of being made and
+// accepting wins the order at the countered price.
+export default function CounterOffersSection({ sessionToken, socket, onAccepted, onAnswered, onError }) {
+  const [counters, setCounters] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [, setTick] = useState(0);
+  const fetchedAtRef = useRef(Date.now());
+
+  const loadCounters = useCallback(async () => {
+    if (!sessionToken) return;
+    try {
+      const response = await listCounterOffers(sessionToken);
+      fetchedAtRef.current = Date.now();
+      setCounters(Array.isArray(response?.data?.counters) ? response.data.counters : []);
+    } catch (error) {
+      onError?.(error.message || 'Failed to load counter-offers');
+    }
+  }, [sessionToken]);
+
+  useEffect(() => {
+    loadCounters();
+  }, [loadCounters]);
+
+  useEffect(() => {
+    if (!socket) return;
+    COUNTER_EVENTS.forEach((event) => socket.on(event, loadCounters));
+    return () => COUNTER_EVENTS.forEach((event) => socket.off(event, loadCounters));
+  }, [socket, loadCounters]);
+
+  useEffect(() => {
+    if (counters.length === 0) return;
+    const interval = setInterval(() => setTick((t) => t + 1), 1000);
+    return () => clearInterval(interval);
+  }, [counters.length]);
+
+  const secondsLeft = (counter) => Number(counter.seconds_remaining || 0) - (Date.now() - fetchedAtRef.current) / 1000;
+
+  const respond = async (counter, accept) => {
+    try {
+      setBusyId(counter.bid_id);
+      await respondToCounterOffer(sessionToken, counter.bid_id, accept);
+      if (accept) {
+        onAccepted?.(counter.order_id);
+      } else {
+        onAnswered?.(counter.order_id);
+      }
+    } catch (error) {
+      onError?.(error.message || 'Failed to respond to counter-offer');
+    } finally {
+      setBusyId(null);
+      loadCounters();
+    }
+  };
+
+  const liveCounters = counters.filter((counter) => secondsLeft(counter) > 0);
+  if (liveCounters.length === 0) return null;
+
+  return (
+    <View>
+      <Text style={styles.title}>Counter-Offers</Text>
+      {liveCounters.map((counter) => {
+        const busy = busyId === counter.bid_id;
+        return (
+          <View key={String(counter.bid_id)} style={styles.card}>
+            <Text style={styles.row}><Text style={styles.label}>Order: </Text>#{counter.order_id}</Text>
+            <Text style={styles.row}>
+              <Text style={styles.label}>Your bid: </Text>{counter.bid_price}
+              <Text style={styles.label}>  Customer offers: </Text>{counter.counter_price}
+            </Text>
+            <Text style={styles.row}><Text style={styles.label}>Respond within: </Text>{formatCountdown(secondsLeft(counter))}</Text>
+            <View style={styles.actionRow}>
+              <BasicButton
+                title="Accept"
+                onPress={() => respond(counter, true)}
+                disabled={busy}
+                style={styles.actionButton}
+              />
+              <BasicButton
+                title="Decline"
+                onPress={() => respond(counter, false)}
+                disabled={busy}
+                style={[styles.actionButton, styles.dangerButton]}
+              />
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  title: { fontSize: typography.body, fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.xs },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.md,
+    borderWidth: 1.5,
+    borderColor: colors.primary,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadow.sm,
+  },
+  row: { fontSize: typography.label, color: colors.textPrimary, marginBottom: 2 },
+  label: { color: colors.textSecondary, fontWeight: '600' },
+  actionRow: { flexDirection: 'row', gap: spacing.xs, marginTop: spacing.xs },
+  actionButton: { flex: 1, marginTop: 0 },
+  dangerButton: { backgroundColor: colors.danger },
+});
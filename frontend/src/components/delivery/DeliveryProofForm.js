@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { Image, StyleSheet, Text, TextInput, View } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import BasicButton from '../ui/BasicButton';
+import { colors, radius, spacing, typography } from '../../theme/tokens';
+
+// Keeps uploads well under the backend's 5 MB per-image limit.
+const CAPTURE_QUALITY = 0.5;
+
+async function captureImage() {
+  const permission = await ImagePicker.requestCameraPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Camera permission is needed to capture proof of delivery.');
+  }
+  const result = await ImagePicker.launchCameraAsync({
+    mediaTypes: ['images'],
+    quality: CAPTURE_QUALITY,
+    base64: true,
+  });
+  if (result.canceled || !result.assets?.[0]?.base64) return null;
+  const asset = result.assets[0];
+  return {
+    uri: asset.uri,
+    dataUri: `data:${asset.mimeType || 'image/jpeg'};base64,${asset.base64}`,
+  };
+}
+
+// Proof of delivery captured at the door: the customer's handover code, a
+// photo of the delivered tanker, an optional photo of the customer's
+// signature and the meter reading.
+export default function DeliveryProofForm({
+  defaultGallons,
+  requireHandoverCode = true,
+  submitting = false,
+  onSubmit,
+  onError,
+}) {
+  const [handoverCode, setHandoverCode] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [signature, setSignature] = useState(null);
+  const [gallons, setGallons] = useState(defaultGallons ? String(defaultGallons) : '');
+
+  const capture = (setter) => async () => {
+    try {
+      const image = await captureImage();
+      if (image) setter(image);
+    } catch (error) {
+      onError?.(error.message || 'Could not open the camera');
+    }
+  };
+
+  const deliveredGallons = Number(gallons);
+  const codeReady = !requireHandoverCode || /^\d{4}$/.test(handoverCode);
+  const canSubmit = codeReady && !!photo && Number.isInteger(deliveredGallons) && deliveredGallons > 0 && !submitting;
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+    onSubmit({
+      handover_code: requireHandoverCode ? handoverCode : null,
+      delivered_gallons: deliveredGallons,
+      photo: photo.dataUri,
+      signature: signature?.dataUri || null,
+    });
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Proof of Delivery</Text>
+
+      {requireHandoverCode ? (
+        <>
+          <Text style={styles.label}>Handover code (ask the customer)</Text>
+          <TextInput
+            value={handoverCode}
+            onChangeText={(text) => setHandoverCode(text.replace(/[^0-9]/g, '').slice(0, 4))}
+            keyboardType="number-pad"
+            maxLength={4}
+            style={[styles.input, styles.codeInput]}
+            placeholder="0000"
+            placeholderTextColor={colors.textSecondary}
+          />
+        </>
+      ) : (
+        <Text style={styles.hint}>Handover code waived by your supplier.</Text>
+      )}
+
+      <Text style={[styles.label, styles.spaced]}>Delivered gallons (meter reading)</Text>
+      <TextInput
+        value={gallons}
+        onChangeText={(text) => setGallons(text.replace(/[^0-9]/g, ''))}
+        keyboardType="number-pad"
+        style={styles.input}
+        placeholder="e.g. 3000"
+        placeholderTextColor={colors.textSecondary}
+      />
+
+      <View style={styles.captureRow}>
+        <View style={styles.captureItem}>
+          {photo ? <Image source={{ uri: photo.uri }} style={styles.preview} /> : null}
+          <BasicButton title={photo ? 'Retake Photo' : 'Take Photo *'} onPress={capture(setPhoto)} disabled={submitting} />
+        </View>
+        <View style={styles.captureItem}>
+          {signature ? <Image source={{ uri: signature.uri }} style={styles.preview} /> : null}
+          <BasicButton title={signature ? 'Retake Signature' : 'Signature (optional)'} onPress={capture(setSignature)} disabled={submitting} />
+        </View>
+      </View>
+
+      <BasicButton
+        title={submitting ? 'Finishing...' : 'Finish Delivery'}
+        onPress={handleSubmit}
+        disabled={!canSubmit}
+      />
+      {!photo ? <Text style={styles.hint}>A delivery photo is required to finish.</Text> : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.xs,
+  },
+  title: {
+    fontSize: typography.body,
+    fontWeight: '700',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  label: {
+    fontSize: typography.small,
+    color: colors.textSecondary,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1.5,
+    borderColor: colors.border,
+    borderRadius: radius.sm,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 10,
+    fontSize: typography.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.surface,
+  },
+  codeInput: {
+    letterSpacing: 8,
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+  spaced: {
+    marginTop: spacing.xs,
+  },
+  captureRow: {
+    flexDirection: 'row',
+    gap: spacing.xs,
+    marginTop: spacing.xs,
+  },
+  captureItem: {
+    flex: 1,
+  },
+  preview: {
+    height: 110,
+    borderRadius: radius.sm,
+    backgroundColor: colors.primaryLight,
+  },
+  hint: {
+    marginTop: 4,
+    color: colors.textSecondary,
+    fontSize: typography.small,
+  },
+});
@@ -0,0 +1,71 @@
+import { Image, StyleSheet, Text, View } from 'react-native';
+import { colors, radius, spacing, typography } from '../../theme/tokens';
+
+// Read-only proof of delivery for past order details (customer and supplier).
+export default function DeliveryProofView({ proof }) {
+  if (!proof) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Proof of Delivery</Text>
+      <Text style={styles.row}>
+        <Text style={styles.label}>Delivered: </Text>
+        {proof.delivered_gallons != null ? `${proof.delivered_gallons} gal` : '-'}
+      </Text>
+      <View style={styles.images}>
+        {proof.photo_url ? (
+          <View style={styles.imageItem}>
+            <Image source={{ uri: proof.photo_url }} style={styles.image} resizeMode="cover" />
+            <Text style={styles.caption}>Delivery photo</Text>
+          </View>
+        ) : null}
+        {proof.signature_url ? (
+          <View style={styles.imageItem}>
+            <Image source={{ uri: proof.signature_url }} style={styles.image} resizeMode="contain" />
+            <Text style={styles.caption}>Customer signature</Text>
+          </View>
+        ) : null}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.sm,
+  },
+  title: {
+    fontSize: typography.body,
+    fontWeight: '700',
+    color: colors.textPrimary,
+    marginBottom: 4,
+  },
+  row: {
+    fontSize: typography.label,
+    color: colors.textPrimary,
+    marginBottom: 2,
+  },
+  label: {
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  images: {
+    flexDirection: 'row',
+    gap: spacing.xs,
+    marginTop: spacing.xs,
+  },
+  imageItem: {
+    flex: 1,
+  },
+  image: {
+    height: 140,
+    borderRadius: radius.sm,
+    backgroundColor: colors.primaryLight,
+  },
+  caption: {
+    marginTop: 2,
+    fontSize: typography.small,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+});
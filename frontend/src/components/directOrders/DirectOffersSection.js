@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import BasicButton from '../ui/BasicButton';
+import { listDirectOffers, respondToDirectOffer } from '../../api/supplierApi';
+import { formatDistance } from '../../constants/areas';
+import { formatDeliveryWindow } from '../../constants/schedule';
+import { formatQuantityLabel } from '../../constants/legs';
+import { colors, radius, shadow, spacing, typography } from '../../theme/tokens';
+
+const OFFER_EVENTS = ['direct_order_offered', 'direct_offer_expired', 'order_cancelled', 'order_updated'];
+
+function formatCountdown(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Orders customers sent straight to this supplier. They skip the marketplace
+// and must be accepted (at the customer's price) or declined before the timer
+// runs out; nothing is rendered while there are none.
+export default function DirectOffersSection({ sessionToken, socket, onAccepted, onError }) {
+  const [offers, setOffers] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [, setTick] = useState(0);
+  const fetchedAtRef = useRef(Date.now());
+
+  const loadOffers = useCallback(async () => {
+    if (!sessionToken) return;
+    try {
+      const response = await listDirectOffers(sessionToken);
+      fetchedAtRef.current = Date.now();
+      setOffers(Array.isArray(response?.data?.offers) ? response.data.offers : []);
+    } catch (error) {
+      onError?.(error.message || 'Failed to load direct orders');
+    }
+  }, [sessionToken]);
+
+  useEffect(() => {
+    loadOffers();
+  }, [loadOffers]);
+
+  useEffect(() => {
+    if (!socket) return;
+    OFFER_EVENTS.forEach((event) => socket.on(event, loadOffers));
+    return () => OFFER_EVENTS.forEach((event) => socket.off(event, loadOffers));
+  }, [socket, loadOffers]);
+
+  useEffect(() => {
+    if (offers.length === 0) return;
+    const interval = setInterval(() => setTick((t) => t + 1), 1000);
+    return () => clearInterval(interval);
+  }, [offers.length]);
+
+  const secondsLeft = (offer) => Number(offer.seconds_remaining || 0) - (Date.now() - fetchedAtRef.current) / 1000;
+
+  const respond = async (orderId, accept) => {
+    try {
+      setBusyId(orderId);
+      await respondToDirectOffer(sessionToken, orderId, accept);
+      if (accept) onAccepted?.(orderId);
+    } catch (error) {
+      onError?.(error.message || 'Failed to respond to direct order');
+    } finally {
+      setBusyId(null);
+      loadOffers();
+    }
+  };
+
+  const liveOffers = offers.filter((offer) => secondsLeft(offer) > 0);
+  if (liveOffers.length === 0) return null;
+
+  return (
+    <View>
+      <Text style={styles.title}>Sent To You</Text>
+      {liveOffers.map((offer) => {
+        const busy = busyId === offer.order_id;
+        const distance = formatDistance(offer.distance_km);
+        return (
+          <View key={String(offer.order_id)} style={styles.card}>
+            <Text style={styles.row}><Text style={styles.label}>Customer: </Text>{offer.customer_name || '-'}</Text>
+            <Text style={styles.row}>
+              <Text style={styles.label}>Location: </Text>{offer.delivery_location}
+              {distance ? <Text style={styles.label}>  ({distance} away)</Text> : null}
+            </Text>
+            <Text style={styles.row}>
+              <Text style={styles.label}>Gallons: </Text>{formatQuantityLabel(offer.requested_capacity, offer.leg_count)}
+              <Text style={styles.label}>  Price: </Text>{offer.customer_bid_price}
+            </Text>
+            {offer.scheduled_for ? (
+              <Text style={styles.row}><Text style={styles.label}>Window: </Text>{formatDeliveryWindow(offer.scheduled_for, offer.delivery_window_end)}</Text>
+            ) : null}
+            <Text style={styles.row}><Text style={styles.label}>Respond within: </Text>{formatCountdown(secondsLeft(offer))}</Text>
+            <View style={styles.actionRow}>
+              <BasicButton
+                title="Accept"
+                onPress={() => respond(offer.order_id, true)}
+                disabled={busy}
+                style={styles.actionButton}
+              />
+              <BasicButton
+                title="Decline"
+                onPress={() => respond(offer.order_id, false)}
+                disabled={busy}
+                style={[styles.actionButton, styles.dangerButton]}
+              />
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  title: { fontSize: typography.body, fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.xs },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.md,
+    borderWidth: 1.5,
+    borderColor: colors.primary,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    ...shadow.sm,
+  },
+  row: { fontSize: typography.label, color: colors.textPrimary, marginBottom: 2 },
+  label: { color: colors.textSecondary, fontWeight: '600' },
+  actionRow: { flexDirection: 'row', gap: spacing.xs, marginTop: spacing.xs },
+  actionButton: { flex: 1, marginTop: 0 },
+  dangerButton: { backgroundColor: colors.danger },
+});
@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useState } from 'react';
+import { StyleSheet, Text, TextInput, View } from 'react-native';
+import AppDropdown from '../ui/AppDropdown';
+import BasicButton from '../ui/BasicButton';
+import {
+  addSupplierVehicle,
+  listSupplierVehicles,
+  pairDriverWithVehicle,
+  removeSupplierVehicle,
+  updateSupplierVehicleStatus,
+} from '../../api/supplierApi';
+import { colors, radius, shadow, spacing, typography } from '../../theme/tokens';
+
+const NO_DRIVER = 'none';
+
+// Supplier tankers. A driver only counts for bids and assignments on orders
+// their paired tanker can carry, so every roster driver needs one here.
+export default function VehiclesSection({ sessionToken, drivers, onChanged, onError }) {
+  const [vehicles, setVehicles] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [registration, setRegistration] = useState('');
+  const [capacity, setCapacity] = useState('');
+
+  const loadVehicles = useCallback(async () => {
+    if (!sessionToken) return;
+    try {
+      const response = await listSupplierVehicles(sessionToken);
+      setVehicles(Array.isArray(response?.data?.vehicles) ? response.data.vehicles : []);
+    } catch (error) {
+      onError?.(error.message || 'Failed to load vehicles');
+    }
+  }, [sessionToken]);
+
+  useEffect(() => {
+    loadVehicles();
+  }, [loadVehicles]);
+
+  const run = async (id, action, failureMessage) => {
+    try {
+      setBusyId(id);
+      await action();
+      await loadVehicles();
+      onChanged?.();
+    } catch (error) {
+      onError?.(error.message || failureMessage);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAdd = () => {
+    const gallons = Number(capacity);
+    if (!registration.trim()) { onError?.('Registration number is required'); return; }
+    if (!Number.isInteger(gallons) || gallons <= 0) { onError?.('Enter the tanker capacity in gallons'); return; }
+    run('new', async () => {
+      await addSupplierVehicle(sessionToken, registration.trim(), gallons);
+      setRegistration('');
+      setCapacity('');
+    }, 'Failed to add vehicle');
+  };
+
+  const handlePair = (vehicle, value) => {
+    if (value === NO_DRIVER) {
+      if (!vehicle.driver_phone_num) return;
+      run(vehicle.vehicle_id, () => pairDriverWithVehicle(sessionToken, vehicle.driver_phone_num, null), 'Failed to unpair driver');
+      return;
+    }
+    run(vehicle.vehicle_id, () => pairDriverWithVehicle(sessionToken, value, vehicle.vehicle_id), 'Failed to pair driver');
+  };
+
+  // Drivers already driving another tanker are left out of each picker.
+  const driverOptions = (vehicle) => [
+    { label: 'No driver', value: NO_DRIVER },
+    ...drivers
+      .filter((driver) => !driver.vehicle || driver.vehicle.vehicle_id === vehicle.vehicle_id)
+      .map((driver) => ({
+        label: driver.driver_name ? `${driver.driver_name} (${driver.driver_phone_num})` : driver.driver_phone_num,
+        value: driver.driver_phone_num,
+      })),
+  ];
+
+  return (
+    <View>
+      <Text style={styles.title}>Tankers</Text>
+      <View style={styles.card}>
+        <TextInput
+          placeholder="Registration Number"
+          value={registration}
+          onChangeText={setRegistration}
+          autoCapitalize="characters"
+          style={styles.input}
+          placeholderTextColor={colors.textSecondary}
+        />
+        <TextInput
+          placeholder="Capacity (gallons)"
+          value={capacity}
+          onChangeText={setCapacity}
+          keyboardType="numeric"
+          style={[styles.input, styles.inputSpacing]}
+          placeholderTextColor={colors.textSecondary}
+        />
+        <BasicButton title="Add Tanker" onPress={handleAdd} disabled={busyId === 'new'} />
+      </View>
+
+      {vehicles.length === 0 ? <Text style={styles.hint}>No tankers yet. Add one and pair it with a driver.</Text> : null}
+
+      {vehicles.map((vehicle) => {
+        const busy = busyId === vehicle.vehicle_id;
+        const inMaintenance = vehicle.status === 'maintenance';
+        return (
+          <View key={String(vehicle.vehicle_id)} style={styles.card}>
+            <Text style={styles.cardTitle}>{vehicle.registration_number}</Text>
+            <Text style={styles.row}><Text style={styles.label}>Capacity: </Text>{vehicle.capacity_gallons} gal</Text>
+            <Text style={styles.row}><Text style={styles.label}>Status: </Text>{inMaintenance ? 'Maintenance' : 'Active'}</Text>
+            <AppDropdown
+              label="Driver"
+              selectedValue={vehicle.driver_phone_num || NO_DRIVER}
+              onValueChange={(value) => handlePair(vehicle, value)}
+              options={driverOptions(vehicle)}
+            />
+            <View style={styles.actionRow}>
+              <BasicButton
+                title={inMaintenance ? 'Back In Service' : 'Maintenance'}
+                onPress={() => run(vehicle.vehicle_id, () => updateSupplierVehicleStatus(sessionToken, vehicle.vehicle_id, inMaintenance ? 'active' : 'maintenance'), 'Failed to update vehicle')}
+                disabled={busy}
+                style={styles.actionButton}
+              />
+              <BasicButton
+                title="Remove"
+                onPress={() => run(vehicle.vehicle_id, () => removeSupplierVehicle(sessionToken, vehicle.vehicle_id), 'Failed to remove vehicle')}
+                disabled={busy}
+                style={[styles.actionButton, styles.dangerButton]}
+              />
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  title: { fontSize: typography.body, fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.xs },
+  hint: { fontSize: typography.small, color: colors.textSecondary, marginBottom: spacing.sm },
+  card: { backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.sm, marginBottom: spacing.sm, ...shadow.sm },
+  cardTitle: { fontSize: typography.body, fontWeight: '700', color: colors.textPrimary, marginBottom: 2 },
+  row: { fontSize: typography.label, color: colors.textPrimary, marginBottom: 2 },
+  label: { color: colors.textSecondary, fontWeight: '600' },
+  input: {
+    borderWidth: 1.5,
+    borderColor: colors.border,
+    borderRadius: radius.sm,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 10,
+    fontSize: typography.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.surface,
+  },
+  inputSpacing: { marginTop: spacing.xs },
+  actionRow: { flexDirection: 'row', gap: spacing.xs, marginTop: spacing.xs },
+  actionButton: { flex: 1, marginTop: 0 },
+  dangerButton: { backgroundColor: colors.danger },
+});
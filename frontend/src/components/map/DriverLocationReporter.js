@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from 'react';
+import { PermissionsAndroid, Platform, StyleSheet, Text, View } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import { sendDriverLocation } from '../../api/driverApi';
+import { colors, radius, spacing, typography } from '../../theme/tokens';
+
+const SEND_INTERVAL_MS = 5000;
+const KARACHI_CENTER = { latitude: 24.8607, longitude: 67.0011 };
+const DELTA = { latitudeDelta: 0.05, longitudeDelta: 0.05 };
+
+async function ensureLocationPermission() {
+  // iOS prompts on its own once showsUserLocation is on.
+  if (Platform.OS !== 'android') return true;
+  const result = await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION);
+  return result === PermissionsAndroid.RESULTS.GRANTED;
+}
+
+// Shows the driver's own position and streams it to the backend (at most
+// every SEND_INTERVAL_MS) while mounted. Mount it only during ride_started.
+export default function DriverLocationReporter({ sessionToken, orderId, destination = null }) {
+  const [permissionGranted, setPermissionGranted] = useState(Platform.OS !== 'android');
+  const [lastSentAt, setLastSentAt] = useState(null);
+  const lastSentRef = useRef(0);
+  const inFlightRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    ensureLocationPermission()
+      .then((granted) => { if (!cancelled) setPermissionGranted(granted); })
+      .catch(() => { if (!cancelled) setPermissionGranted(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleUserLocationChange = async (event) => {
+    const coordinate = event?.nativeEvent?.coordinate;
+    if (!coordinate || !sessionToken || !orderId) return;
+
+    const now = Date.now();
+    if (inFlightRef.current || now - lastSentRef.current < SEND_INTERVAL_MS) return;
+
+    inFlightRef.current = true;
+    lastSentRef.current = now;
+    try {
+      await sendDriverLocation(sessionToken, orderId, {
+        latitude: coordinate.latitude,
+        longitude: coordinate.longitude,
+        heading: coordinate.heading >= 0 ? coordinate.heading : null,
+        // speed is reported in m/s
+        speed_kmh: coordinate.speed >= 0 ? coordinate.speed * 3.6 : null,
+      });
+      setLastSentAt(new Date());
+    } catch (error) {
+      console.log('Driver location update failed:', error.message);
+    } finally {
+      inFlightRef.current = false;
+    }
+  };
+
+  const dropOff = destination && Number.isFinite(Number(destination.latitude))
+    ? { latitude: Number(destination.latitude), longitude: Number(destination.longitude) }
+    : null;
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        style={styles.map}
+        initialRegion={{ ...(dropOff || KARACHI_CENTER), ...DELTA }}
+        showsUserLocation={permissionGranted}
+        followsUserLocation
+        onUserLocationChange={handleUserLocationChange}
+      >
+        {dropOff ? <Marker coordinate={dropOff} title="Delivery location" pinColor="green" /> : null}
+      </MapView>
+      <Text style={styles.status}>
+        {!permissionGranted
+          ? 'Location permission is needed to share your position with the customer.'
+          : lastSentAt
+            ? `Sharing live location · last sent ${lastSentAt.toLocaleTimeString()}`
+            : 'Sharing live location...'}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.sm,
+  },
+  map: {
+    height: 220,
+    borderRadius: radius.md,
+  },
+  status: {
+    marginTop: spacing.xs,
+    color: colors.textSecondary,
+    fontSize: typography.small,
+  },
+});
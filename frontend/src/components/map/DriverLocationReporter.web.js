@@ -0,0 +1,15 @@
+import { StyleSheet, Text } from 'react-native';
+import { colors, spacing, typography } from '../../theme/tokens';
+
+// Live location sharing relies on react-native-maps, which has no web build.
+export default function DriverLocationReporter() {
+  return <Text style={styles.status}>Live location sharing is only available in the mobile app.</Text>;
+}
+
+const styles = StyleSheet.create({
+  status: {
+    marginTop: spacing.sm,
+    color: colors.textSecondary,
+    fontSize: typography.small,
+  },
+});
@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import MapView, { Marker, Polyline } from 'react-native-maps';
+import { colors, radius, spacing, typography } from '../../theme/tokens';
+
+const KARACHI_CENTER = { latitude: 24.8607, longitude: 67.0011 };
+const DELTA = { latitudeDelta: 0.05, longitudeDelta: 0.05 };
+
+function toCoordinate(point) {
+  if (!point) return null;
+  const latitude = Number(point.latitude);
+  const longitude = Number(point.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  return { latitude, longitude };
+}
+
+// Read-only map of the tanker's live position, its trail and the drop-off point.
+export default function TankerMap({ points = [], destination = null, style }) {
+  const mapRef = useRef(null);
+  const trail = points.map(toCoordinate).filter(Boolean);
+  const tanker = trail.length > 0 ? trail[trail.length - 1] : null;
+  const dropOff = toCoordinate(destination);
+  const center = tanker || dropOff || KARACHI_CENTER;
+
+  useEffect(() => {
+    if (!tanker || !mapRef.current) return;
+    mapRef.current.animateCamera({ center: tanker }, { duration: 500 });
+  }, [tanker?.latitude, tanker?.longitude]);
+
+  return (
+    <View style={[styles.container, style]}>
+      <MapView ref={mapRef} style={styles.map} initialRegion={{ ...center, ...DELTA }}>
+        {trail.length > 1 ? (
+          <Polyline coordinates={trail} strokeColor={colors.primary} strokeWidth={4} />
+        ) : null}
+        {dropOff ? <Marker coordinate={dropOff} title="Delivery location" pinColor="green" /> : null}
+        {tanker ? <Marker coordinate={tanker} title="Tanker" pinColor="blue" /> : null}
+      </MapView>
+      {!tanker ? (
+        <Text style={styles.hint}>Waiting for the driver's location...</Text>
+      ) : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    height: 240,
+    borderRadius: radius.md,
+    overflow: 'hidden',
+    marginTop: spacing.sm,
+  },
+  map: {
+    flex: 1,
+  },
+  hint: {
+    position: 'absolute',
+    bottom: spacing.xs,
+    alignSelf: 'center',
+    backgroundColor: colors.surface,
+    color: colors.textSecondary,
+    fontSize: typography.small,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 4,
+    borderRadius: radius.sm,
+  },
+});
@@ -0,0 +1,31 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { colors, radius, spacing, typography } from '../../theme/tokens';
+
+// react-native-maps has no web implementation; show the last known position instead.
+export default function TankerMap({ points = [], style }) {
+  const last = points.length > 0 ? points[points.length - 1] : null;
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.text}>
+        {last
+          ? `Tanker at ${Number(last.latitude).toFixed(5)}, ${Number(last.longitude).toFixed(5)}`
+          : "Waiting for the driver's location..."}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    padding: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  text: {
+    color: colors.textSecondary,
+    fontSize: typography.label,
+  },
+});
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+
+const MAX_POINTS = 500;
+
+// Loads an order's driver trail once, then appends live `driver_location`
+// socket events for that order. Switching order or disabling resets the trail.
+export default function useLocationTrail({ socket, orderId, enabled, loadTrail }) {
+  const [points, setPoints] = useState([]);
+
+  useEffect(() => {
+    setPoints([]);
+    if (!enabled || !orderId) return undefined;
+
+    let cancelled = false;
+    loadTrail(orderId)
+      .then((response) => {
+        if (cancelled) return;
+        const initial = Array.isArray(response?.data?.points) ? response.data.points : [];
+        // Keep any live points that arrived while the request was in flight.
+        setPoints((prev) => [...initial, ...prev].slice(-MAX_POINTS));
+      })
+      .catch((error) => console.log('Location trail fetch failed:', error.message));
+
+    if (!socket) {
+      return () => { cancelled = true; };
+    }
+
+    const onDriverLocation = (payload) => {
+      if (String(payload?.order_id) !== String(orderId)) return;
+      setPoints((prev) => [...prev, payload].slice(-MAX_POINTS));
+    };
+
+    socket.on('driver_location', onDriverLocation);
+    return () => {
+      cancelled = true;
+      socket.off('driver_location', onDriverLocation);
+    };
+  }, [socket, orderId, enabled]);
+
+  return points;
+}
@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getOrderStates } from '../../api/authApi';
+
+// The backend's order state machine (GET /api/app/order-states), fetched once
+// per app run and shared by the dashboards. can(action, status) says whether
+// this role may perform the action on an order in that status; it answers
+// false until the table has loaded, so action buttons appear with it.
+// describe(status) returns that status's entry (label, active, withDriver...).
+// A failed fetch is retried with a growing delay until it succeeds.
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+let cachedMachine = null;
+let pendingRequest = null;
+
+function loadOrderStates() {
+  if (cachedMachine) return Promise.resolve(cachedMachine);
+  if (!pendingRequest) {
+    pendingRequest = getOrderStates()
+      .then((response) => {
+        cachedMachine = response?.data || null;
+        return cachedMachine;
+      })
+      .finally(() => { pendingRequest = null; });
+  }
+  return pendingRequest;
+}
+
+export default function useOrderStates(role) {
+  const [machine, setMachine] = useState(cachedMachine);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (machine) return undefined;
+
+    let cancelled = false;
+    let retryTimer = null;
+    loadOrderStates()
+      .then((data) => {
+        if (cancelled) return;
+        if (data) {
+          setMachine(data);
+        } else {
+          throw new Error('Empty order state table');
+        }
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.log('Order states fetch failed:', error.message);
+        const delay = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+        retryTimer = setTimeout(() => setAttempt((n) => n + 1), delay);
+      });
+    return () => {
+      cancelled = true;
+      if (retryTimer) clearTimeout(retryTimer);
+    };
+  }, [machine, attempt]);
+
+  const can = useCallback((action, status) => Boolean(machine?.transitions?.some((transition) => (
+    transition.action === action
+    && transition.roles.includes(role)
+    && (transition.from || []).includes(status)
+  ))), [machine, role]);
+
+  const describe = useCallback((status) => (
+    machine?.states?.find((state) => state.status === status) || null
+  ), [machine]);
+
+  return { can, describe, loaded: Boolean(machine) };
+}
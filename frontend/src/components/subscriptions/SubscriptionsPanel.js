@@ -0,0 +1,266 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import AppDropdown from '../ui/AppDropdown';
+import BasicButton from '../ui/BasicButton';
+import {
+  createCustomerSubscription,
+  listCustomerSubscriptions,
+  updateCustomerSubscription,
+} from '../../api/customerApi';
+import { AREA_OPTIONS, findArea } from '../../constants/areas';
+import { SLOT_OPTIONS, WINDOW_LENGTH_OPTIONS, formatDeliveryWindow } from '../../constants/schedule';
+import { formatQuantityLabel } from '../../constants/legs';
+import { colors, radius, shadow, spacing, typography } from '../../theme/tokens';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function deviceTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Karachi';
+  } catch (_error) {
+    return 'Asia/Karachi';
+  }
+}
+
+function describeSchedule(subscription) {
+  const days = (subscription.days_of_week || []).map((day) => DAY_LABELS[day]).join('/');
+  return `Every ${days} at ${subscription.delivery_time} (${subscription.window_hours}h window)`;
+}
+
+// Recurring deliveries: the backend places a scheduled order for each
+// occurrence, so this screen only manages the schedule itself.
+export default function SubscriptionsPanel({ sessionToken, socket, quantityPricing, onError }) {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [address, setAddress] = useState('');
+  const [district, setDistrict] = useState('');
+  const [gallons, setGallons] = useState('');
+  const [price, setPrice] = useState('');
+  const [days, setDays] = useState([]);
+  const [slot, setSlot] = useState('8');
+  const [windowHours, setWindowHours] = useState('2');
+
+  const loadSubscriptions = useCallback(async () => {
+    if (!sessionToken) return;
+    try {
+      setLoading(true);
+      const response = await listCustomerSubscriptions(sessionToken);
+      setSubscriptions(Array.isArray(response?.data?.subscriptions) ? response.data.subscriptions : []);
+    } catch (error) {
+      onError?.(error.message || 'Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionToken]);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('subscription_order_created', loadSubscriptions);
+    socket.on('subscription_run_missed', loadSubscriptions);
+    return () => {
+      socket.off('subscription_order_created', loadSubscriptions);
+      socket.off('subscription_run_missed', loadSubscriptions);
+    };
+  }, [socket, loadSubscriptions]);
+
+  const toggleDay = (day) => {
+    setDays((current) => (current.includes(day) ? current.filter((d) => d !== day) : [...current, day].sort()));
+  };
+
+  const handleGallonsChange = (value) => {
+    setGallons(value);
+    const option = quantityPricing.find((opt) => String(opt.quantity_in_gallon) === value);
+    if (option) setPrice(String(option.base_price));
+  };
+
+  const handleCreate = async () => {
+    if (!address.trim() || !district) { onError?.('Address and district are required'); return; }
+    if (!gallons || !price || Number.isNaN(Number(price))) { onError?.('Please select gallons and a valid price'); return; }
+    if (days.length === 0) { onError?.('Pick at least one delivery day'); return; }
+
+    const area = findArea(district);
+    try {
+      setSubmitting(true);
+      await createCustomerSubscription(sessionToken, {
+        delivery_location: `${address.trim()}, ${district}`,
+        delivery_latitude: area?.latitude ?? null,
+        delivery_longitude: area?.longitude ?? null,
+        delivery_district: district,
+        requested_capacity: Number(gallons),
+        customer_bid_price: Number(price),
+        days_of_week: days,
+        delivery_time: `${slot.padStart(2, '0')}:00`,
+        window_hours: Number(windowHours),
+        timezone: deviceTimezone(),
+      });
+      setShowForm(false);
+      setAddress('');
+      setDays([]);
+      await loadSubscriptions();
+    } catch (error) {
+      onError?.(error.message || 'Failed to create subscription');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (subscriptionId, action) => {
+    try {
+      setBusyId(subscriptionId);
+      await updateCustomerSubscription(sessionToken, subscriptionId, action);
+      await loadSubscriptions();
+    } catch (error) {
+      onError?.(error.message || 'Failed to update subscription');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.scrollContent}>
+      <Text style={styles.pageTitle}>Repeat Deliveries</Text>
+      {loading ? <Text style={styles.hint}>Loading subscriptions...</Text> : null}
+      {!loading && subscriptions.length === 0 ? <Text style={styles.hint}>No subscriptions yet.</Text> : null}
+
+      {subscriptions.map((subscription) => {
+        const id = subscription.subscription_id;
+        const busy = busyId === id;
+        const paused = subscription.status === 'paused';
+        return (
+          <View key={String(id)} style={styles.card}>
+            <Text style={styles.cardTitle}>{subscription.requested_capacity} gal · {subscription.customer_bid_price}</Text>
+            <Text style={styles.row}>{describeSchedule(subscription)}</Text>
+            <Text style={styles.row}>{subscription.delivery_location}</Text>
+            <Text style={styles.row}>
+              <Text style={styles.label}>Next: </Text>
+              {paused ? 'Paused' : formatDeliveryWindow(subscription.next_run_at) || '-'}
+            </Text>
+            {subscription.last_run_error ? <Text style={styles.errorText}>Last run: {subscription.last_run_error}</Text> : null}
+            <View style={styles.actionRow}>
+              <BasicButton
+                title={paused ? 'Resume' : 'Pause'}
+                onPress={() => runAction(id, paused ? 'resume' : 'pause')}
+                disabled={busy}
+                style={styles.actionButton}
+              />
+              <BasicButton
+                title="Skip Next"
+                onPress={() => runAction(id, 'skip-next')}
+                disabled={busy || paused}
+                style={styles.actionButton}
+              />
+              <BasicButton
+                title="Cancel"
+                onPress={() => runAction(id, 'cancel')}
+                disabled={busy}
+                style={[styles.actionButton, styles.dangerButton]}
+              />
+            </View>
+          </View>
+        );
+      })}
+
+      {showForm ? (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>New Subscription</Text>
+          <Text style={styles.fieldLabel}>Address</Text>
+          <TextInput
+            value={address}
+            onChangeText={setAddress}
+            style={styles.input}
+            placeholder="Street address"
+            placeholderTextColor={colors.textSecondary}
+          />
+          <AppDropdown
+            label="District"
+            selectedValue={district}
+            onValueChange={setDistrict}
+            placeholder="Select your district"
+            options={AREA_OPTIONS}
+          />
+          <AppDropdown
+            label="Gallons"
+            selectedValue={gallons}
+            onValueChange={handleGallonsChange}
+            placeholder="Select quantity"
+            options={quantityPricing.map((option) => ({
+              label: formatQuantityLabel(option.quantity_in_gallon, option.leg_count),
+              value: String(option.quantity_in_gallon),
+            }))}
+          />
+          <Text style={styles.fieldLabel}>Price Offer</Text>
+          <TextInput
+            value={price}
+            onChangeText={setPrice}
+            keyboardType="numeric"
+            style={styles.input}
+            placeholder="Your price offer"
+            placeholderTextColor={colors.textSecondary}
+          />
+          <Text style={styles.fieldLabel}>Days</Text>
+          <View style={styles.dayRow}>
+            {DAY_LABELS.map((label, day) => (
+              <BasicButton
+                key={label}
+                title={label}
+                selected={days.includes(day)}
+                onPress={() => toggleDay(day)}
+                style={[styles.dayButton, days.includes(day) ? null : styles.dayButtonOff]}
+                textStyle={styles.dayButtonText}
+              />
+            ))}
+          </View>
+          <AppDropdown label="From" selectedValue={slot} onValueChange={setSlot} options={SLOT_OPTIONS} />
+          <AppDropdown label="Window" selectedValue={windowHours} onValueChange={setWindowHours} options={WINDOW_LENGTH_OPTIONS} />
+          <BasicButton
+            title={submitting ? 'Saving...' : 'Save Subscription'}
+            onPress={handleCreate}
+            disabled={submitting}
+          />
+          <BasicButton title="Close" onPress={() => setShowForm(false)} style={styles.ghostButton} textStyle={{ color: colors.textSecondary }} />
+        </View>
+      ) : (
+        <BasicButton title="Add Subscription" onPress={() => setShowForm(true)} disabled={!sessionToken} />
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scroll: { flex: 1 },
+  scrollContent: { padding: spacing.md, paddingBottom: spacing.xl },
+  pageTitle: { fontSize: typography.subtitle, fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.sm },
+  card: { backgroundColor: colors.surface, borderRadius: radius.md, padding: spacing.md, marginBottom: spacing.sm, ...shadow.sm },
+  cardTitle: { fontSize: typography.body, fontWeight: '700', color: colors.textPrimary, marginBottom: spacing.xs },
+  row: { fontSize: typography.label, color: colors.textSecondary, marginBottom: 2 },
+  label: { fontSize: typography.label, color: colors.textSecondary, fontWeight: '600' },
+  hint: { fontSize: typography.small, color: colors.textSecondary, marginBottom: spacing.xs },
+  errorText: { fontSize: typography.small, color: colors.danger, marginTop: 2 },
+  fieldLabel: { fontSize: typography.label, fontWeight: '600', color: colors.textSecondary, marginTop: spacing.sm, marginBottom: 4 },
+  input: {
+    borderWidth: 1.5,
+    borderColor: colors.border,
+    borderRadius: radius.sm,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 10,
+    fontSize: typography.body,
+    color: colors.textPrimary,
+    backgroundColor: colors.surface,
+  },
+  dayRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 4 },
+  dayButton: { marginTop: 0, paddingVertical: 8, paddingHorizontal: 10 },
+  dayButtonOff: { backgroundColor: colors.textSecondary },
+  dayButtonText: { fontSize: typography.small },
+  actionRow: { flexDirection: 'row', gap: spacing.xs, marginTop: spacing.xs },
+  actionButton: { flex: 1, marginTop: 0 },
+  dangerButton: { backgroundColor: colors.danger },
+  ghostButton: { backgroundColor: 'transparent', borderWidth: 1.5, borderColor: colors.border, marginTop: spacing.xs },
+});
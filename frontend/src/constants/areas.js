@@ -0,0 +1,34 @@
+// Service areas offered in the district pickers. Coordinates are approximate
+// area centres; they let the backend estimate supplier-to-customer distance
+// until we collect exact device locations.
+export const KARACHI_AREAS = [
+  { name: 'Buffer Zone', latitude: 24.9537, longitude: 67.0583 },
+  { name: 'North Nazimabad', latitude: 24.9420, longitude: 67.0400 },
+  { name: 'Gulberg', latitude: 24.9360, longitude: 67.0720 },
+  { name: 'Gulshan-e-Iqbal', latitude: 24.9204, longitude: 67.0932 },
+  { name: 'Clifton', latitude: 24.8138, longitude: 67.0300 },
+  { name: 'DHA', latitude: 24.8060, longitude: 67.0640 },
+  { name: 'Johar', latitude: 24.9180, longitude: 67.1250 },
+  { name: 'Korangi', latitude: 24.8320, longitude: 67.1300 },
+  { name: 'Malir', latitude: 24.8950, longitude: 67.2000 },
+  { name: 'Landhi', latitude: 24.8460, longitude: 67.2100 },
+  { name: 'Nazimabad', latitude: 24.9160, longitude: 67.0330 },
+  { name: 'Federal B Area', latitude: 24.9290, longitude: 67.0600 },
+  { name: 'Saddar', latitude: 24.8560, longitude: 67.0200 },
+  { name: 'PECHS', latitude: 24.8700, longitude: 67.0650 },
+  { name: 'Defence', latitude: 24.8000, longitude: 67.0700 },
+  { name: 'Shahrah-e-Faisal', latitude: 24.8750, longitude: 67.0950 }
+];
+
+export const AREA_OPTIONS = KARACHI_AREAS.map(area => ({ label: area.name, value: area.name }));
+
+export function findArea(name) {
+  return KARACHI_AREAS.find(area => area.name === name) || null;
+}
+
+export function formatDistance(distanceKm) {
+  if (distanceKm === null || distanceKm === undefined) return null;
+  const km = Number(distanceKm);
+  if (!Number.isFinite(km)) return null;
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+}
@@ -0,0 +1,31 @@
+// Orders larger than one tanker are delivered in legs, one tanker each. The
+// backend reports leg_count on every order (1 for a single tanker) and
+// leg_number on the legs themselves.
+const LEG_STATUS_LABELS = {
+  supplier_timer: 'Awaiting driver',
+  accepted: 'Driver assigned',
+  ride_started: 'On the way',
+  reached: 'Arrived',
+  finished: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+export function formatTankerCount(legCount) {
+  const count = Number(legCount || 1);
+  return count > 1 ? `${count} tankers` : null;
+}
+
+// Quantity picker label, e.g. "10000 (2 tankers)".
+export function formatQuantityLabel(quantity, legCount) {
+  const tankers = formatTankerCount(legCount);
+  return tankers ? `${quantity} (${tankers})` : String(quantity);
+}
+
+export function formatLegLabel(legNumber, legCount) {
+  if (!legNumber || Number(legCount || 1) <= 1) return null;
+  return `Tanker ${legNumber} of ${legCount}`;
+}
+
+export function formatLegStatus(status) {
+  return LEG_STATUS_LABELS[status] || status || '-';
+}
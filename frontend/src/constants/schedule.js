@@ -0,0 +1,58 @@
+// Scheduling options for future orders. The backend accepts up to 7 days
+// ahead and windows of at most 12 hours; these pickers stay inside that.
+const SCHEDULE_DAYS_AHEAD = 7;
+const FIRST_SLOT_HOUR = 6;
+const LAST_SLOT_HOUR = 21;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatHour(hour) {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  const display = hour % 12 === 0 ? 12 : hour % 12;
+  return `${display}:00 ${suffix}`;
+}
+
+export const SCHEDULE_WHEN_OPTIONS = [
+  { label: 'Deliver now', value: 'now' },
+  { label: 'Schedule for later', value: 'later' }
+];
+
+export const WINDOW_LENGTH_OPTIONS = [1, 2, 4].map(hours => ({
+  label: hours === 1 ? '1 hour window' : `${hours} hour window`,
+  value: String(hours)
+}));
+
+export const SLOT_OPTIONS = Array.from(
+  { length: LAST_SLOT_HOUR - FIRST_SLOT_HOUR + 1 },
+  (_, index) => ({ label: formatHour(FIRST_SLOT_HOUR + index), value: String(FIRST_SLOT_HOUR + index) })
+);
+
+// Day options relative to today: value is the day offset as a string.
+export function buildScheduleDayOptions(now = new Date()) {
+  return Array.from({ length: SCHEDULE_DAYS_AHEAD }, (_, offset) => {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const prefix = offset === 0 ? 'Today' : offset === 1 ? 'Tomorrow' : WEEKDAYS[day.getDay()];
+    return { label: `${prefix} ${pad(day.getDate())}/${pad(day.getMonth() + 1)}`, value: String(offset) };
+  });
+}
+
+// Local start/end Dates for the picked day offset, slot hour and window length.
+export function buildDeliveryWindow(dayOffset, slotHour, windowHours, now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() + Number(dayOffset), Number(slotHour));
+  const end = new Date(start.getTime() + Number(windowHours) * 60 * 60 * 1000);
+  return { start, end };
+}
+
+export function formatDeliveryWindow(scheduledFor, windowEnd) {
+  if (!scheduledFor) return null;
+  const start = new Date(scheduledFor);
+  if (Number.isNaN(start.getTime())) return String(scheduledFor);
+  const time = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const day = `${WEEKDAYS[start.getDay()]} ${pad(start.getDate())}/${pad(start.getMonth() + 1)}`;
+  const end = windowEnd ? new Date(windowEnd) : null;
+  return end && !Number.isNaN(end.getTime()) ? `${day}, ${time(start)}–${time(end)}` : `${day}, ${time(start)}`;
+}
@@ -12,15 +12,37 @@ import {
     EnterDetailsScreen,
     DashboardScreen,
 } from '../screens';
-import { startup } from '../api/authApi';
+import { startup, refreshSession } from '../api/authApi';
 
 const Stack = createNativeStackNavigator();
 
+// Rotate the stored token pair on launch so active users never hit expiry.
+async function getFreshSessionToken() {
+    const token = await AsyncStorage.getItem('session_token');
+    const refreshToken = await AsyncStorage.getItem('refresh_token');
+    if (!refreshToken) return token;
+
+    try {
+        const response = await refreshSession(refreshToken);
+        const data = response?.data || {};
+        if (!data.session_token) return token;
+
+        await AsyncStorage.multiSet([
+            ['session_token', data.session_token],
+            ['refresh_token', data.refresh_token || ''],
+        ]);
+        return data.session_token;
+    } catch (_e) {
+        // Fall back to the stored token; startup decides whether it is still valid.
+        return token;
+    }
+}
+
 function StartupScreen({ navigation }) {
     useEffect(() => {
         (async () => {
             try {
-                const token = await AsyncStorage.getItem('session_token');
+                const token = await getFreshSessionToken();
 
                 // run API and 5 second timer simultaneously
                 const [response] = await Promise.all([
@@ -32,7 +54,7 @@ function StartupScreen({ navigation }) {
                 const phone = (await AsyncStorage.getItem('session_phone')) || '';
 
                 if (!token || !nextScreen || nextScreen === 'enter_number') {
-                    await AsyncStorage.multiRemove(['session_token', 'session_phone']);
+                    await AsyncStorage.multiRemove(['session_token', 'refresh_token', 'session_phone']);
                     navigation.replace('EnterPhone');
                 } else if (nextScreen === 'dashboard') {
                     const role = response?.user?.role;
@@ -40,7 +62,7 @@ function StartupScreen({ navigation }) {
                 } else if (nextScreen === 'enter_details') {
                     navigation.replace('EnterDetails', { phone, sessionToken: token });
                 } else {
-                    await AsyncStorage.multiRemove(['session_token', 'session_phone']);
+                    await AsyncStorage.multiRemove(['session_token', 'refresh_token', 'session_phone']);
                     navigation.replace('EnterPhone');
                 }
             } catch (_e) {
@@ -8,7 +8,7 @@ import CustomerDashboard from './dashboard/CustomerDashboard';
 import SupplierDashboard from './dashboard/SupplierDashboard';
 import DriverDashboard from './dashboard/DriverDashboard';
 import BasicButton from '../components/ui/BasicButton';
-import { logoutCustomer, logoutSupplier, logoutDriver } from '../api/authApi';
+import { logoutCustomer, logoutSupplier, logoutDriver, logoutAdmin } from '../api/authApi';
 import ErrorModal from '../components/ui/ErrorModal';
 
 export default function DashboardScreen({ route, navigation }) {
@@ -40,17 +40,22 @@ export default function DashboardScreen({ route, navigation }) {
             auth: { token: sessionToken },
             transports: ['websocket'],
         });
+        // Server drops the socket when the session expires; restart to rotate tokens.
+        s.on('session_expired', () => {
+            navigation.reset({ index: 0, routes: [{ name: 'Startup' }] });
+        });
         setSocket(s);
         return () => {
             s.disconnect();
             setSocket(null);
         };
-    }, [sessionToken]);
+    }, [sessionToken, navigation]);
 
     const logoutByRole = {
         customer: logoutCustomer,
         supplier: logoutSupplier,
-        driver: logoutDriver
+        driver: logoutDriver,
+        admin: logoutAdmin
     };
 
     async function handleLogout() {
@@ -69,7 +74,7 @@ export default function DashboardScreen({ route, navigation }) {
         try {
             setLoggingOut(true);
             await logoutFn(sessionToken);
-            await AsyncStorage.multiRemove(['session_token', 'session_phone']);
+            await AsyncStorage.multiRemove(['session_token', 'refresh_token', 'session_phone']);
             navigation.reset({ index: 0, routes: [{ name: 'EnterPhone' }] });
         } catch (error) {
             setErrorModalData({ title: 'Logout Failed', message: error.message || 'Failed to logout' });
@@ -105,7 +110,10 @@ export default function DashboardScreen({ route, navigation }) {
                 {role === 'customer' && <CustomerDashboard sessionToken={sessionToken} socket={socket} />}
                 {role === 'supplier' && <SupplierDashboard sessionToken={sessionToken} socket={socket} />}
                 {role === 'driver' && <DriverDashboard sessionToken={sessionToken} socket={socket} />}
-                {role !== 'customer' && role !== 'supplier' && role !== 'driver' && (
+                {role === 'admin' && (
+                    <Text style={styles.adminNote}>Admin accounts work through the back-office API (/api/admin).</Text>
+                )}
+                {role !== 'customer' && role !== 'supplier' && role !== 'driver' && role !== 'admin' && (
                     <Text style={styles.unknownRole}>Unknown role: {role}</Text>
                 )}
             </View>
@@ -154,4 +162,9 @@ const styles = StyleSheet.create({
         textAlign: 'center',
         marginTop: spacing.lg,
     },
+    adminNote: {
+        color: colors.textSecondary,
+        textAlign: 'center',
+        marginTop: spacing.lg,
+    },
 });
\ No newline at end of file
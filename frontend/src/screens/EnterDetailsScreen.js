@@ -4,6 +4,7 @@ import { submitCustomerDetails, submitDriverDetails, submitSupplierDetails } fro
 import BasicButton from '../components/ui/BasicButton';
 import AppDropdown from '../components/ui/AppDropdown';
 import { colors, spacing, radius, typography, shadow } from '../theme/tokens';
+import { AREA_OPTIONS, findArea } from '../constants/areas';
 
 function getErrorMessage(error) {
     return error?.message || 'Something went wrong. Please try again.';
@@ -15,6 +16,7 @@ export default function EnterDetailsScreen({ route, navigation }) {
     const [name, setName] = useState('');
     const [homeAddress, setHomeAddress] = useState('');
     const [yardLocation, setYardLocation] = useState('');
+    const [yardArea, setYardArea] = useState('');
     const [businessContact, setBusinessContact] = useState('');
     const [loading, setLoading] = useState(false);
     const [errorMessage, setErrorMessage] = useState('');
@@ -41,7 +43,14 @@ export default function EnterDetailsScreen({ route, navigation }) {
             } else if (selectedRole === 'driver') {
                 await submitDriverDetails(sessionToken, { name: name.trim() });
             } else {
-                await submitSupplierDetails(sessionToken, { name: name.trim(), yard_location: yardLocation.trim(), business_contact: businessContact.trim() });
+                const area = findArea(yardArea);
+                await submitSupplierDetails(sessionToken, {
+                    name: name.trim(),
+                    yard_location: yardLocation.trim(),
+                    yard_latitude: area?.latitude ?? null,
+                    yard_longitude: area?.longitude ?? null,
+                    business_contact: businessContact.trim()
+                });
             }
 
             navigation.navigate('Dashboard', { phone, role: selectedRole, sessionToken });
@@ -111,6 +120,13 @@ export default function EnterDetailsScreen({ route, navigation }) {
                                 style={styles.input}
                                 placeholderTextColor={colors.textSecondary}
                             />
+                            <AppDropdown
+                                label="Yard Area (optional)"
+                                selectedValue={yardArea}
+                                onValueChange={setYardArea}
+                                placeholder="Select your yard's area"
+                                options={AREA_OPTIONS}
+                            />
                             <Text style={styles.fieldLabel}>Business Contact</Text>
                             <TextInput
                                 placeholder="Enter business contact number"
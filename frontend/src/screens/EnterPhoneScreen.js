@@ -1,13 +1,9 @@
 import { useState } from 'react';
 import { ActivityIndicator, Text, View, TextInput, StyleSheet } from 'react-native';
-import { enterNumber, storeOtp } from '../api/authApi';
+import { enterNumber, sendOtp } from '../api/authApi';
 import BasicButton from '../components/ui/BasicButton';
 import { colors, spacing, radius, typography, shadow } from '../theme/tokens';
 
-function generateOtp() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
 function getErrorMessage(error) {
     if (error?.payload?.retry_after_seconds) {
         return `${error.message} Retry in ${error.payload.retry_after_seconds} seconds.`;
@@ -35,9 +31,7 @@ export default function EnterPhoneScreen({ navigation }) {
             setInfoMessage('');
 
             await enterNumber(phone.trim());
-            const generatedOtp = generateOtp();
-            console.log('Generated verification code:', generatedOtp);
-            await storeOtp(phone.trim(), generatedOtp);
+            await sendOtp(phone.trim());
 
             navigation.navigate('VerifyOtp', { phone: phone.trim() });
         } catch (error) {
@@ -1,15 +1,12 @@
 import { useEffect, useState } from 'react';
-import { ActivityIndicator, Text, View, TextInput, StyleSheet, ScrollView } from 'react-native';
+import { ActivityIndicator, Text, View, TextInput, StyleSheet, ScrollView, Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { colors, spacing, radius, typography, shadow } from '../theme/tokens';
-import { storeOtp, verifyOtp } from '../api/authApi';
+import { sendOtp, verifyOtp } from '../api/authApi';
 import BasicButton from '../components/ui/BasicButton';
 
 const RESEND_COOLDOWN_SECONDS = 60;
-
-function generateOtp() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
+const DEVICE_LABEL = `${Platform.OS} ${Platform.Version}`;
 
 function getErrorMessage(error) {
     if (error?.payload?.retry_after_seconds) {
@@ -49,14 +46,14 @@ export default function VerifyOtpScreen({ route, navigation }) {
             setErrorMessage('');
             setInfoMessage('');
 
-            console.log('Entered verification code:', otpCode.trim());
-            const response = await verifyOtp(phone, otpCode.trim());
+            const response = await verifyOtp(phone, otpCode.trim(), DEVICE_LABEL);
             const data = response?.data || {};
             const nextScreen = data.next_screen || 'enter_number';
             const role = data.role || 'undefined';
             const sessionToken = data.session_token || '';
 
             await AsyncStorage.setItem('session_token', sessionToken);
+            await AsyncStorage.setItem('refresh_token', data.refresh_token || '');
             await AsyncStorage.setItem('session_phone', phone);
 
             if (nextScreen === 'enter_details') {
@@ -81,9 +78,7 @@ export default function VerifyOtpScreen({ route, navigation }) {
         try {
             setLoading(true);
             setErrorMessage('');
-            const generatedOtp = generateOtp();
-            console.log('Generated verification code (resend):', generatedOtp);
-            await storeOtp(phone, generatedOtp);
+            await sendOtp(phone);
             setInfoMessage('OTP sent');
             setVerifyLocked(false);
             setOtpCode('');
@@ -14,47 +14,47 @@ import {
   updateCustomerOrderBid,
   acceptCustomerBid,
   rejectCustomerBid,
+  counterCustomerBid,
   listCustomerHistory,
   getCustomerHistoryDetails,
   submitCustomerRating,
+  getCustomerOrderLocationTrail,
+  listPreferredSuppliers,
+  listCustomerAddresses,
 } from '../../api/customerApi';
 import BasicButton from '../../components/ui/BasicButton';
+import TankerMap from '../../components/map/TankerMap';
+import DeliveryProofView from '../../components/delivery/DeliveryProofView';
+import SubscriptionsPanel from '../../components/subscriptions/SubscriptionsPanel';
+import AddressBookPanel from '../../components/addresses/AddressBookPanel';
+import useLocationTrail from '../../components/map/useLocationTrail';
+import useOrderStates from '../../components/orders/useOrderStates';
+import { AREA_OPTIONS, findArea, formatDistance } from '../../constants/areas';
+import {
+  SCHEDULE_WHEN_OPTIONS,
+  SLOT_OPTIONS,
+  WINDOW_LENGTH_OPTIONS,
+  buildDeliveryWindow,
+  buildScheduleDayOptions,
+  formatDeliveryWindow,
+} from '../../constants/schedule';
+import { formatLegLabel, formatLegStatus, formatQuantityLabel } from '../../constants/legs';
 
-const FALLBACK_QUANTITY_PRICING = [
-  { quantity_in_gallon: 1000, base_price: 6500 },
-  { quantity_in_gallon: 2000, base_price: 10000 },
-  { quantity_in_gallon: 3000, base_price: 15000 },
-  { quantity_in_gallon: 4000, base_price: 22000 },
-  { quantity_in_gallon: 5000, base_price: 25000 },
-  { quantity_in_gallon: 6000, base_price: 30000 },
-  { quantity_in_gallon: 7000, base_price: 35000 }
-];
-
-const KARACHI_AREAS = [
-  'Buffer Zone',
-  'North Nazimabad',
-  'Gulberg',
-  'Gulshan-e-Iqbal',
-  'Clifton',
-  'DHA',
-  'Johar',
-  'Korangi',
-  'Malir',
-  'Landhi',
-  'Nazimabad',
-  'Federal B Area',
-  'Saddar',
-  'PECHS',
-  'Defence',
-  'Shahrah-e-Faisal'
-];
-
-const CUSTOMER_CANCELABLE_STATUSES = ['open', 'supplier_timer', 'accepted', 'ride_started', 'reached'];
 const CUSTOMER_TRACKED_STATUSES = ['supplier_timer', 'accepted', 'ride_started', 'reached'];
 const BID_WINDOW_SECONDS = 15;
 const MIN_BID = 500;
 const BID_STEP = 50;
 
+// Direct orders go to one supplier from the customer's history first.
+const SEND_TO_MARKETPLACE = 'market';
+const DIRECT_FALLBACK_OPTIONS = [
+  { label: 'Move to the open marketplace', value: 'market' },
+  { label: 'Cancel the order', value: 'cancel' }
+];
+
+// Address picker value for typing a one-off address instead of a saved one.
+const NEW_ADDRESS = 'new';
+
 function formatDate(val) {
   if (!val) return '-';
   const d = new Date(val);
@@ -68,16 +68,28 @@ export default function CustomerDashboard({ sessionToken, socket }) {
   const [activeOrder, setActiveOrder] = useState(null);
   const [bids, setBids] = useState([]);
   const [bidUpdatePrice, setBidUpdatePrice] = useState('');
-  const [quantityPricing, setQuantityPricing] = useState(FALLBACK_QUANTITY_PRICING);
+  const [counterDraft, setCounterDraft] = useState(null); // { bidId, price } while a counter-offer is being typed
+  const [quantityPricing, setQuantityPricing] = useState([]);
   const [loadingPricing, setLoadingPricing] = useState(true);
+  const [pricingError, setPricingError] = useState('');
   const [loadingBids, setLoadingBids] = useState(false);
   const [loadingCurrentOrder, setLoadingCurrentOrder] = useState(true);
   const [timerTick, setTimerTick] = useState(0);
 
   const [address, setAddress] = useState('');
   const [district, setDistrict] = useState('');
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [addressChoice, setAddressChoice] = useState(NEW_ADDRESS);
+  const [showAddressBook, setShowAddressBook] = useState(false);
   const [gallons, setGallons] = useState('');
   const [price, setPrice] = useState('');
+  const [scheduleWhen, setScheduleWhen] = useState('now');
+  const [scheduleDay, setScheduleDay] = useState('');
+  const [scheduleSlot, setScheduleSlot] = useState('');
+  const [scheduleWindow, setScheduleWindow] = useState('2');
+  const [preferredSuppliers, setPreferredSuppliers] = useState([]);
+  const [sendTo, setSendTo] = useState(SEND_TO_MARKETPLACE);
+  const [directFallback, setDirectFallback] = useState('market');
   const [cancelledModalData, setCancelledModalData] = useState(null);
 
   const [errorModalData, setErrorModalData] = useState(null);
@@ -91,12 +103,24 @@ export default function CustomerDashboard({ sessionToken, socket }) {
 
   const [ratingPromptOrder, setRatingPromptOrder] = useState(null);
   const [promptRating, setPromptRating] = useState(null);
+
+  const orderStates = useOrderStates('customer');
+  // An order for a later window does not stop the customer ordering for now.
+  const canStartOrder = !activeOrder || activeOrder.upcoming;
+  const tankerTrail = useLocationTrail({
+    socket,
+    orderId: activeOrder?.tracked_order_id,
+    enabled: activeOrder?.status === 'ride_started',
+    loadTrail: (orderId) => getCustomerOrderLocationTrail(sessionToken, orderId)
+  });
   const [promptSubmitting, setPromptSubmitting] = useState(false);
 
   const dismissedRatingIds = useRef(new Set());
   // Records the wall-clock time when bids were last fetched from the server
   const bidsFetchedAtRef = useRef(Date.now());
   const orderFetchedAtRef = useRef(Date.now());
+  // When the current eta_seconds was received (initial fetch or eta_updated)
+  const etaReceivedAtRef = useRef(Date.now());
 
   const formatDuration = (secondsRaw) => {
     const totalSeconds = Math.max(0, Number(secondsRaw || 0));
@@ -117,6 +141,20 @@ export default function CustomerDashboard({ sessionToken, socket }) {
     return Math.max(0, Math.ceil((timeLimit - Date.now()) / 1000));
   };
 
+  const getRemainingDirectOfferSeconds = (order) => {
+    if (!order?.direct_offer_expires_at) return 0;
+    const expiresAt = new Date(order.direct_offer_expires_at).getTime();
+    if (Number.isNaN(expiresAt)) return 0;
+    return Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+  };
+
+  const getRemainingEtaSeconds = (order) => {
+    const eta = Number(order?.eta_seconds);
+    if (order?.eta_seconds == null || !Number.isFinite(eta)) return null;
+    const elapsed = (Date.now() - etaReceivedAtRef.current) / 1000;
+    return Math.max(0, Math.floor(eta - elapsed));
+  };
+
   // Calculates remaining seconds for a bid, accounting for time elapsed since fetch.
   // timerTick is passed in so React re-evaluates this on every tick.
   const getRemainingSeconds = (bid, _tick = 0) => {
@@ -153,19 +191,34 @@ export default function CustomerDashboard({ sessionToken, socket }) {
     address: details?.delivery_location || fallback.address || '',
     gallons: String(details?.quantity || details?.requested_capacity || fallback.gallons || ''),
     price: String(
-      details?.status === 'open'
+      ['open', 'scheduled', 'direct_offer'].includes(details?.status)
         ? details?.customer_bid_price ?? fallback.price ?? ''
         : details?.accepted_price ?? fallback.price ?? ''
     ),
     status: details?.status || fallback.status || 'open',
     awaiting_rating: details?.awaiting_rating || false,
+    upcoming: details?.upcoming === true,
     time_limit_for_supplier: details?.time_limit_for_supplier || null,
     remaining_supplier_seconds: details?.remaining_supplier_seconds,
     supplier_name: details?.supplier_name || null,
     supplier_business_contact: details?.supplier_business_contact || null,
     supplier_yard_location: details?.supplier_yard_location || null,
     driver_name: details?.driver_name || null,
-    driver_phone: details?.driver_phone || null
+    driver_phone: details?.driver_phone || null,
+    delivery_latitude: details?.delivery_latitude ?? null,
+    delivery_longitude: details?.delivery_longitude ?? null,
+    eta_seconds: details?.eta?.eta_seconds ?? null,
+    eta_distance_km: details?.eta?.distance_km ?? null,
+    handover_code: details?.handover_code ?? null,
+    scheduled_for: details?.scheduled_for ?? null,
+    delivery_window_end: details?.delivery_window_end ?? null,
+    preferred_supplier_name: details?.preferred_supplier_name ?? null,
+    direct_offer_expires_at: details?.direct_offer_expires_at ?? null,
+    fallback_to_market: details?.fallback_to_market !== false,
+    leg_count: Number(details?.leg_count || 1),
+    legs: Array.isArray(details?.legs) ? details.legs : [],
+    // Legs are tracked one at a time; for a single tanker this is the order itself
+    tracked_order_id: String(details?.tracked_order_id || details?.order_id || fallback.id || '')
   });
 
   const loadCurrentOrder = useCallback(async () => {
@@ -182,6 +235,7 @@ export default function CustomerDashboard({ sessionToken, socket }) {
       setActiveOrder(normalized);
       setActiveOrder(normalized);
       orderFetchedAtRef.current = Date.now();
+      etaReceivedAtRef.current = Date.now();
 
       if (normalized.status === 'open') {
         setBidUpdatePrice(normalized.price || '');
@@ -214,44 +268,99 @@ export default function CustomerDashboard({ sessionToken, socket }) {
     return () => { mounted = false; };
   }, [sessionToken, loadCurrentOrder]);
 
+  // Prices are versioned on the backend and can change at any time, so they
+  // are fetched again every time the new-order form is shown. There is no
+  // local copy to fall back on: without prices the form cannot be submitted.
+  // Pricing rules also vary by district and delivery time, so the list is
+  // reloaded when either changes in the form.
+  const pricingDistrict = addressChoice === NEW_ADDRESS
+    ? district
+    : savedAddresses.find((item) => String(item.address_id) === addressChoice)?.district || '';
+  const pricingAt = scheduleWhen === 'later' && scheduleDay && scheduleSlot
+    ? buildDeliveryWindow(scheduleDay, scheduleSlot, scheduleWindow).start.toISOString()
+    : null;
+
+  const loadPricing = useCallback(async () => {
+    if (!sessionToken) {
+      setLoadingPricing(false);
+      return;
+    }
+    try {
+      setLoadingPricing(true);
+      const response = await getCustomerQuantityPricing(sessionToken, { district: pricingDistrict, scheduledFor: pricingAt });
+      const quantities = Array.isArray(response?.data?.quantities) ? response.data.quantities : [];
+      const normalized = quantities.map((item) => ({
+        quantity_in_gallon: Number(item.quantity_in_gallon),
+        base_price: Number(item.base_price),
+        suggested_price: Number(item.suggested_price || item.base_price),
+        min_price: Math.ceil(Number(item.min_price)),
+        max_price: Math.floor(Number(item.max_price)),
+        rule_name: item.rule_name || null,
+        leg_count: Number(item.leg_count || 1)
+      }));
+      setQuantityPricing(normalized);
+      setPricingError(normalized.length > 0 ? '' : 'No quantities are on sale right now.');
+    } catch (error) {
+      console.log('Quantity pricing fetch failed:', error.message);
+      setPricingError('Could not load prices.');
+    } finally {
+      setLoadingPricing(false);
+    }
+  }, [sessionToken, pricingDistrict, pricingAt]);
+
   useEffect(() => {
-    const fetchPricing = async () => {
-      if (!sessionToken) {
-        setLoadingPricing(false);
-        return;
-      }
-      try {
-        const response = await getCustomerQuantityPricing(sessionToken);
-        const quantities = response?.data?.quantities;
-        if (Array.isArray(quantities) && quantities.length > 0) {
-          const normalized = quantities.map((item) => ({
-            quantity_in_gallon: Number(item.quantity_in_gallon),
-            base_price: Number(item.base_price)
-          }));
-          setQuantityPricing(normalized);
-          // Set to empty string so placeholder is shown initially
-          setGallons('');
-          setPrice('');
-        }
-      } catch (error) {
-        console.log('Quantity pricing fetch failed, using fallback:', error.message);
-        setGallons('');
-        setPrice('');
-      } finally {
-        setLoadingPricing(false);
-      }
-    };
-    fetchPricing();
+    if (canStartOrder) loadPricing();
+  }, [loadPricing, activeOrder?.id, canStartOrder]);
+
+  // After a reload keep the picked quantity if it is still on sale and move
+  // the offer to its new suggested price; otherwise show the placeholder.
+  useEffect(() => {
+    const option = quantityPricing.find((opt) => String(opt.quantity_in_gallon) === gallons);
+    if (option) {
+      setPrice(String(option.suggested_price));
+    } else {
+      setGallons('');
+      setPrice('');
+    }
+  }, [quantityPricing]);
+
+  // Suppliers from completed orders, offered as direct-order targets in the new-order form.
+  useEffect(() => {
+    if (!sessionToken || !canStartOrder) return;
+    listPreferredSuppliers(sessionToken)
+      .then((response) => setPreferredSuppliers(Array.isArray(response?.data?.suppliers) ? response.data.suppliers : []))
+      .catch((error) => console.log('Preferred suppliers fetch failed:', error.message));
+  }, [sessionToken, activeOrder?.id, canStartOrder]);
+
+  const loadAddresses = useCallback(async () => {
+    if (!sessionToken) return;
+    try {
+      const response = await listCustomerAddresses(sessionToken);
+      const addresses = Array.isArray(response?.data?.addresses) ? response.data.addresses : [];
+      setSavedAddresses(addresses);
+      // Keep the current pick if it still exists, otherwise fall back to the default address.
+      setAddressChoice((current) => {
+        if (current !== NEW_ADDRESS && addresses.some((item) => String(item.address_id) === current)) return current;
+        const preferred = addresses.find((item) => item.is_default);
+        return preferred ? String(preferred.address_id) : NEW_ADDRESS;
+      });
+    } catch (error) {
+      console.log('Saved addresses fetch failed:', error.message);
+    }
   }, [sessionToken]);
 
+  useEffect(() => {
+    if (canStartOrder) loadAddresses();
+  }, [loadAddresses, activeOrder?.id, canStartOrder]);
+
   const selectedOption = quantityPricing.find((opt) => String(opt.quantity_in_gallon) === gallons);
-  const minPrice = selectedOption ? selectedOption.base_price * 0.85 : null;
-  const maxPrice = selectedOption ? selectedOption.base_price * 3.0 : null;
+  const minPrice = selectedOption ? selectedOption.min_price : null;
+  const maxPrice = selectedOption ? selectedOption.max_price : null;
 
   const handleGallonsChange = (value) => {
     setGallons(value);
     const option = quantityPricing.find((opt) => String(opt.quantity_in_gallon) === value);
-    if (option) setPrice(String(option.base_price));
+    if (option) setPrice(String(option.suggested_price));
   };
 
   const fetchBids = async (orderIdValue) => {
@@ -273,7 +382,7 @@ export default function CustomerDashboard({ sessionToken, socket }) {
   useEffect(() => {
     if (!sessionToken) return;
     if (!activeOrder?.id) return;
-    if (activeOrder.status !== 'open' && activeOrder.status !== 'supplier_timer') return;
+    if (!['direct_offer', 'open', 'supplier_timer', 'ride_started'].includes(activeOrder.status)) return;
 
     if (activeOrder.status === 'open') {
       fetchBids(activeOrder.id);
@@ -287,10 +396,27 @@ export default function CustomerDashboard({ sessionToken, socket }) {
       const onBidPosted = () => {
         if (activeOrder.status === 'open') fetchBids(activeOrder.id);
       };
+      const onBidExpired = ({ bid_id }) => {
+        setBids((prev) => prev.filter((item) => Number(item.bid_id) !== Number(bid_id)));
+      };
+      const onCounterAnswered = ({ accepted, price }) => {
+        if (accepted) {
+          setBids([]);
+          loadCurrentOrder();
+          setErrorModalData({ title: 'Counter-Offer Accepted', message: `The supplier accepted your counter of ${price}.` });
+          return;
+        }
+        if (activeOrder.status === 'open') fetchBids(activeOrder.id);
+        setErrorModalData({ title: 'Counter-Offer Declined', message: `The supplier is keeping their bid of ${price}.` });
+      };
       socket.on('bid_posted', onBidPosted);
+      socket.on('bid_expired', onBidExpired);
+      socket.on('counter_offer_answered', onCounterAnswered);
       return () => {
         clearInterval(tickInterval);
         socket.off('bid_posted', onBidPosted);
+        socket.off('bid_expired', onBidExpired);
+        socket.off('counter_offer_answered', onCounterAnswered);
       };
     }
 
@@ -300,16 +426,33 @@ export default function CustomerDashboard({ sessionToken, socket }) {
   useEffect(() => {
     if (!sessionToken) return;
     if (!activeOrder?.id) return;
-    if (!CUSTOMER_TRACKED_STATUSES.includes(activeOrder.status)) return;
+    if (activeOrder.status !== 'direct_offer' && !CUSTOMER_TRACKED_STATUSES.includes(activeOrder.status)) return;
     if (!socket) return;
     socket.on('order_updated', loadCurrentOrder);
     return () => socket.off('order_updated', loadCurrentOrder);
   }, [sessionToken, activeOrder?.id, activeOrder?.status, loadCurrentOrder, socket]);
 
+  // Live arrival estimate while the tanker is on its way
+  useEffect(() => {
+    if (!socket || !activeOrder?.id || activeOrder.status !== 'ride_started') return;
+    const onEtaUpdated = (payload) => {
+      if (String(payload?.order_id) !== String(activeOrder.tracked_order_id)) return;
+      etaReceivedAtRef.current = Date.now();
+      setActiveOrder((prev) => (prev ? {
+        ...prev,
+        eta_seconds: payload.eta_seconds ?? null,
+        eta_distance_km: payload.distance_km ?? null
+      } : prev));
+    };
+    socket.on('eta_updated', onEtaUpdated);
+    return () => socket.off('eta_updated', onEtaUpdated);
+  }, [activeOrder?.id, activeOrder?.tracked_order_id, activeOrder?.status, socket]);
+
   const handleStartOrder = async () => {
     if (!sessionToken) { setErrorModalData({ title: 'Error', message: 'Missing session token. Please login again.' }); return; }
-    if (!address.trim()) { setErrorModalData({ title: 'Error', message: 'Address is required' }); return; }
-    if (!district) { setErrorModalData({ title: 'Error', message: 'Please select a district' }); return; }
+    const usingSavedAddress = addressChoice !== NEW_ADDRESS;
+    if (!usingSavedAddress && !address.trim()) { setErrorModalData({ title: 'Error', message: 'Address is required' }); return; }
+    if (!usingSavedAddress && !district) { setErrorModalData({ title: 'Error', message: 'Please select a district' }); return; }
     if (!gallons) { setErrorModalData({ title: 'Error', message: 'Please select gallons from allowed values' }); return; }
     if (!price || Number.isNaN(Number(price))) { setErrorModalData({ title: 'Error', message: 'Please enter a valid price' }); return; }
 
@@ -319,12 +462,37 @@ export default function CustomerDashboard({ sessionToken, socket }) {
       if (numericPrice > maxPrice) { setErrorModalData({ title: 'Error', message: `Price cannot be higher than ${maxPrice}` }); return; }
     }
 
+    let deliveryWindow = null;
+    if (scheduleWhen === 'later') {
+      if (!scheduleDay || !scheduleSlot) { setErrorModalData({ title: 'Error', message: 'Please pick a delivery day and time' }); return; }
+      deliveryWindow = buildDeliveryWindow(scheduleDay, scheduleSlot, scheduleWindow);
+      if (deliveryWindow.start.getTime() <= Date.now()) { setErrorModalData({ title: 'Error', message: 'Please pick a delivery time in the future' }); return; }
+    }
+
+    const area = usingSavedAddress ? null : findArea(district);
+    const deliveryAddress = usingSavedAddress
+      ? { address_id: Number(addressChoice) }
+      : {
+        delivery_location: `${address.trim()}, ${district}`,
+        delivery_latitude: area?.latitude ?? null,
+        delivery_longitude: area?.longitude ?? null,
+        delivery_district: district
+      };
+
     try {
       await startCustomerOrder(sessionToken, {
-        delivery_location: `${address.trim()}, ${district}`,
+        ...deliveryAddress,
         requested_capacity: Number(gallons),
-        customer_bid_price: Number(price)
+        customer_bid_price: Number(price),
+        scheduled_for: deliveryWindow ? deliveryWindow.start.toISOString() : null,
+        delivery_window_end: deliveryWindow ? deliveryWindow.end.toISOString() : null,
+        preferred_supplier_id: sendTo === SEND_TO_MARKETPLACE ? null : Number(sendTo),
+        fallback_to_market: directFallback === 'market'
       });
+      setScheduleWhen('now');
+      setScheduleDay('');
+      setScheduleSlot('');
+      setSendTo(SEND_TO_MARKETPLACE);
       await loadCurrentOrder();
     } catch (error) {
       if (error.status === 409 && error?.payload?.data?.active_order_id) { await loadCurrentOrder(); return; }
@@ -336,7 +504,7 @@ export default function CustomerDashboard({ sessionToken, socket }) {
     if (!sessionToken) { setErrorModalData({ title: 'Error', message: 'Missing session token. Please login again.' }); return; }
     const orderId = Number(activeOrder?.id);
     if (!Number.isInteger(orderId) || orderId <= 0) { setErrorModalData({ title: 'Error', message: 'Invalid order ID.' }); return; }
-    if (!CUSTOMER_CANCELABLE_STATUSES.includes(activeOrder?.status)) {
+    if (!orderStates.can('cancel', activeOrder?.status)) {
       setErrorModalData({ title: 'Not Allowed', message: `Order cannot be cancelled in state: ${activeOrder?.status}` });
       return;
     }
@@ -413,6 +581,27 @@ export default function CustomerDashboard({ sessionToken, socket }) {
     }
   };
 
+  // Offers a price between the customer's own and the supplier's bid; the
+  // supplier has a fresh bid window to accept or decline it.
+  const handleCounterBid = async (item) => {
+    if (!sessionToken) { setErrorModalData({ title: 'Error', message: 'Missing session token. Please login again.' }); return; }
+    const orderId = Number(activeOrder?.id);
+    const counterPrice = Number(counterDraft?.price);
+    const floor = Number(activeOrder?.price) || 0;
+    if (!Number.isInteger(counterPrice) || counterPrice <= 0) { setErrorModalData({ title: 'Error', message: 'Enter a valid counter price' }); return; }
+    if (counterPrice < floor || counterPrice >= Number(item.bid_price)) {
+      setErrorModalData({ title: 'Error', message: `Counter must be at least ${floor} and below ${item.bid_price}` });
+      return;
+    }
+    try {
+      await counterCustomerBid(sessionToken, orderId, Number(item.bid_id), counterPrice);
+      setCounterDraft(null);
+      await fetchBids(orderId);
+    } catch (error) {
+      setErrorModalData({ title: 'Error', message: error.message || 'Failed to send counter-offer' });
+    }
+  };
+
   const fetchHistory = async () => {
     if (!sessionToken) return;
     try {
@@ -501,13 +690,64 @@ export default function CustomerDashboard({ sessionToken, socket }) {
       const who = cancelled_by === 'supplier' ? 'the supplier'
         : cancelled_by === 'driver' ? 'the driver'
           : cancelled_by === 'timer' ? 'timer expiry'
-            : cancelled_by;
+            : cancelled_by === 'window' ? 'its delivery window closing'
+              : cancelled_by === 'admin' ? 'Pani Chahye support'
+                : cancelled_by;
       setCancelledModalData({ order_id, who });
     };
+    const onOrderExpired = ({ order_id, reason }) => onOrderCancelled({
+      order_id,
+      cancelled_by: reason === 'scheduled_window_missed' ? 'window' : 'timer',
+    });
+    // The supplier declined or let a direct order time out.
+    const onDirectOfferReleased = (declined) => ({ order_id, fell_back_to_market }) => {
+      if (!fell_back_to_market) {
+        onOrderCancelled({ order_id, cancelled_by: declined ? 'supplier' : 'timer' });
+        return;
+      }
+      loadCurrentOrder();
+      setErrorModalData({
+        title: declined ? 'Supplier Declined' : 'No Reply From Supplier',
+        message: 'Your order has moved to the open marketplace so other suppliers can bid on it.'
+      });
+    };
+    const onDirectOfferDeclined = onDirectOfferReleased(true);
+    const onDirectOfferExpired = onDirectOfferReleased(false);
+    const onDriverDropped = () => {
+      loadCurrentOrder();
+      setErrorModalData({
+        title: 'Driver Changed',
+        message: 'Your driver is no longer available. The supplier is assigning another one.'
+      });
+    };
+    // The supplier accepted but never assigned a driver; bidding starts over
+    // without them.
+    const onOrderReopened = ({ status }) => {
+      setBids([]);
+      loadCurrentOrder();
+      setErrorModalData({
+        title: 'Supplier Did Not Assign A Driver',
+        message: status === 'scheduled'
+          ? 'Your order is waiting for its delivery window again and will reopen for bids before then.'
+          : 'Your order is back on the marketplace so other suppliers can bid on it.'
+      });
+    };
 
     socket.on('order_cancelled', onOrderCancelled);
-    return () => socket.off('order_cancelled', onOrderCancelled);
-  }, [sessionToken, socket]);
+    socket.on('order_expired', onOrderExpired);
+    socket.on('direct_offer_declined', onDirectOfferDeclined);
+    socket.on('direct_offer_expired', onDirectOfferExpired);
+    socket.on('order_reopened', onOrderReopened);
+    socket.on('driver_dropped', onDriverDropped);
+    return () => {
+      socket.off('order_cancelled', onOrderCancelled);
+      socket.off('order_expired', onOrderExpired);
+      socket.off('direct_offer_declined', onDirectOfferDeclined);
+      socket.off('direct_offer_expired', onDirectOfferExpired);
+      socket.off('order_reopened', onOrderReopened);
+      socket.off('driver_dropped', onDriverDropped);
+    };
+  }, [sessionToken, socket, loadCurrentOrder]);
 
   // visibleBids is recomputed on every render — timerTick causes a render every second,
   // so expired bids are filtered out automatically without a separate sweep interval.
@@ -524,9 +764,31 @@ export default function CustomerDashboard({ sessionToken, socket }) {
   }
 
   const supplierTimeLeftSeconds = activeOrder ? getRemainingSupplierSeconds(activeOrder) : 0;
+  const etaSecondsLeft = activeOrder?.status === 'ride_started' ? getRemainingEtaSeconds(activeOrder) : null;
+  const directOfferSecondsLeft = activeOrder?.status === 'direct_offer' ? getRemainingDirectOfferSeconds(activeOrder) : 0;
 
   return (
     <View style={styles.container}>
+      {/* Address book modal */}
+      <Modal
+        visible={showAddressBook}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowAddressBook(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalBox, styles.addressBookBox]}>
+            <AddressBookPanel
+              sessionToken={sessionToken}
+              addresses={savedAddresses}
+              onChanged={loadAddresses}
+              onClose={() => setShowAddressBook(false)}
+              onError={(message) => setErrorModalData({ title: 'Error', message })}
+            />
+          </View>
+        </View>
+      </Modal>
+
       {/* Error/Success Modal */}
       <ErrorModal
         visible={errorModalData !== null}
@@ -599,6 +861,7 @@ export default function CustomerDashboard({ sessionToken, socket }) {
       {/* Tab bar */}
       <View style={styles.tabBar}>
         <BasicButton title="Order" selected={activeTab === 'order'} onPress={() => setActiveTab('order')} style={styles.tabButton} />
+        <BasicButton title="Repeat" selected={activeTab === 'subscriptions'} onPress={() => setActiveTab('subscriptions')} style={styles.tabButton} />
         <BasicButton title="History" selected={activeTab === 'history'} onPress={() => setActiveTab('history')} style={styles.tabButton} />
       </View>
 
@@ -607,13 +870,38 @@ export default function CustomerDashboard({ sessionToken, socket }) {
           {activeOrder ? (
             <View>
               <View style={styles.card}>
-                <Text style={styles.cardTitle}>Active Order #{activeOrder.id}</Text>
+                <Text style={styles.cardTitle}>{activeOrder.upcoming ? 'Upcoming' : 'Active'} Order #{activeOrder.id}</Text>
                 <Text style={styles.row}><Text style={styles.label}>Address: </Text><Text style={styles.value}>{activeOrder.address}</Text></Text>
-                <Text style={styles.row}><Text style={styles.label}>Gallons: </Text><Text style={styles.value}>{activeOrder.gallons}</Text></Text>
+                <Text style={styles.row}><Text style={styles.label}>Gallons: </Text><Text style={styles.value}>{formatQuantityLabel(activeOrder.gallons, activeOrder.leg_count)}</Text></Text>
                 <Text style={styles.row}><Text style={styles.label}>Price: </Text><Text style={styles.value}>{activeOrder.price}</Text></Text>
                 <Text style={styles.row}><Text style={styles.label}>Status: </Text><Text style={styles.value}>{activeOrder.status}</Text></Text>
+                {activeOrder.scheduled_for ? (
+                  <Text style={styles.row}><Text style={styles.label}>Scheduled for: </Text><Text style={styles.value}>{formatDeliveryWindow(activeOrder.scheduled_for, activeOrder.delivery_window_end)}</Text></Text>
+                ) : null}
               </View>
 
+              {activeOrder.status === 'scheduled' ? (
+                <View style={styles.infoCard}>
+                  <Text style={styles.infoTitle}>Scheduled Order</Text>
+                  <Text style={styles.row}>Suppliers will see this order and start bidding shortly before your delivery window.</Text>
+                  {activeOrder.upcoming ? (
+                    <Text style={styles.hint}>You can still order water for now below.</Text>
+                  ) : null}
+                </View>
+              ) : null}
+
+              {activeOrder.status === 'direct_offer' ? (
+                <View style={styles.infoCard}>
+                  <Text style={styles.infoTitle}>Waiting For {activeOrder.preferred_supplier_name || 'Your Supplier'}</Text>
+                  <Text style={styles.row}><Text style={styles.label}>Time Left: </Text><Text style={styles.value}>{formatDuration(directOfferSecondsLeft)}</Text></Text>
+                  <Text style={styles.row}>
+                    {activeOrder.fallback_to_market
+                      ? 'If they decline or do not reply, your order moves to the open marketplace.'
+                      : 'If they decline or do not reply, your order is cancelled.'}
+                  </Text>
+                </View>
+              ) : null}
+
               {activeOrder.status === 'supplier_timer' ? (
                 <View style={styles.infoCard}>
                   <Text style={styles.infoTitle}>Supplier Confirmation Window</Text>
@@ -624,13 +912,54 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                 </View>
               ) : null}
 
-              {(activeOrder.status === 'accepted' || activeOrder.status === 'ride_started' || activeOrder.status === 'reached') ? (
+              {orderStates.describe(activeOrder.status)?.withDriver ? (
                 <View style={styles.infoCard}>
                   <Text style={styles.infoTitle}>Order Progress</Text>
                   <Text style={styles.row}><Text style={styles.label}>Supplier: </Text><Text style={styles.value}>{activeOrder.supplier_name || '-'}</Text></Text>
                   <Text style={styles.row}><Text style={styles.label}>Contact: </Text><Text style={styles.value}>{activeOrder.supplier_business_contact || '-'}</Text></Text>
-                  <Text style={styles.row}><Text style={styles.label}>Driver: </Text><Text style={styles.value}>{activeOrder.driver_name || 'Not assigned yet'}</Text></Text>
-                  <Text style={styles.row}><Text style={styles.label}>Driver Phone: </Text><Text style={styles.value}>{activeOrder.driver_phone || '-'}</Text></Text>
+                  {activeOrder.legs.length > 0 ? (
+                    activeOrder.legs.map((leg) => (
+                      <View key={String(leg.order_id)} style={styles.legBox}>
+                        <Text style={styles.row}>
+                          <Text style={styles.label}>{formatLegLabel(leg.leg_number, activeOrder.leg_count)} ({leg.quantity} gal): </Text>
+                          <Text style={styles.value}>{formatLegStatus(leg.status)}</Text>
+                        </Text>
+                        <Text style={styles.row}><Text style={styles.label}>Driver: </Text><Text style={styles.value}>{leg.driver_name || 'Not assigned yet'}{leg.driver_phone ? ` · ${leg.driver_phone}` : ''}</Text></Text>
+                        {leg.status === 'reached' && leg.handover_code ? (
+                          <View style={styles.handoverBox}>
+                            <Text style={styles.label}>This tanker has arrived. Share its code once you have received the water:</Text>
+                            <Text style={styles.handoverCode}>{leg.handover_code}</Text>
+                          </View>
+                        ) : null}
+                      </View>
+                    ))
+                  ) : (
+                    <>
+                      <Text style={styles.row}><Text style={styles.label}>Driver: </Text><Text style={styles.value}>{activeOrder.driver_name || 'Not assigned yet'}</Text></Text>
+                      <Text style={styles.row}><Text style={styles.label}>Driver Phone: </Text><Text style={styles.value}>{activeOrder.driver_phone || '-'}</Text></Text>
+                    </>
+                  )}
+                  {activeOrder.status === 'ride_started' ? (
+                    <Text style={styles.row}>
+                      <Text style={styles.label}>Arriving in: </Text>
+                      <Text style={styles.value}>
+                        {etaSecondsLeft == null ? 'Calculating...' : etaSecondsLeft === 0 ? 'Any moment now' : formatDuration(etaSecondsLeft)}
+                        {activeOrder.eta_distance_km != null ? ` (${formatDistance(activeOrder.eta_distance_km)} away)` : ''}
+                      </Text>
+                    </Text>
+                  ) : null}
+                  {activeOrder.status === 'reached' && activeOrder.legs.length === 0 && activeOrder.handover_code ? (
+                    <View style={styles.handoverBox}>
+                      <Text style={styles.label}>Your driver has arrived. Share this code once you have received the water:</Text>
+                      <Text style={styles.handoverCode}>{activeOrder.handover_code}</Text>
+                    </View>
+                  ) : null}
+                  {activeOrder.status === 'ride_started' ? (
+                    <TankerMap
+                      points={tankerTrail}
+                      destination={{ latitude: activeOrder.delivery_latitude, longitude: activeOrder.delivery_longitude }}
+                    />
+                  ) : null}
                 </View>
               ) : null}
 
@@ -674,7 +1003,32 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                         <View key={String(item.bid_id)} style={styles.bidCard}>
                           <Text style={styles.row}><Text style={styles.label}>Supplier: </Text><Text style={styles.value}>{item.supplier_name || '-'}</Text></Text>
                           <Text style={styles.row}><Text style={styles.label}>Bid Price: </Text><Text style={styles.value}>{item.bid_price}</Text></Text>
+                          {item.counter_price ? (
+                            <Text style={styles.row}>
+                              <Text style={styles.label}>Your Counter: </Text><Text style={styles.value}>{item.counter_price}</Text>
+                              <Text style={styles.label}>{item.counter_status === 'declined' ? '  (declined)' : '  (waiting for supplier)'}</Text>
+                            </Text>
+                          ) : null}
                           <Text style={styles.row}><Text style={styles.label}>Expires In: </Text><Text style={styles.value}>{remainingSeconds}s</Text></Text>
+                          {counterDraft && Number(counterDraft.bidId) === Number(item.bid_id) ? (
+                            <View style={styles.bidUpdateRow}>
+                              <TextInput
+                                value={counterDraft.price}
+                                onChangeText={(value) => setCounterDraft({ bidId: item.bid_id, price: value })}
+                                keyboardType="numeric"
+                                style={styles.bidValueInput}
+                                placeholder={String(activeOrder.price)}
+                                placeholderTextColor={colors.textSecondary}
+                              />
+                              <BasicButton title="Send" onPress={() => handleCounterBid(item)} style={styles.counterSendButton} />
+                              <BasicButton
+                                title="Back"
+                                onPress={() => setCounterDraft(null)}
+                                style={[styles.ghostButton, styles.counterSendButton]}
+                                textStyle={{ color: colors.textSecondary }}
+                              />
+                            </View>
+                          ) : null}
                           <View style={styles.actionRow}>
                             <BasicButton
                               title="Accept"
@@ -682,6 +1036,14 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                               disabled={remainingSeconds <= 0}
                               style={styles.actionButton}
                             />
+                            {orderStates.can('counter_bid', activeOrder.status) && !item.counter_status ? (
+                              <BasicButton
+                                title="Counter"
+                                onPress={() => setCounterDraft({ bidId: item.bid_id, price: '' })}
+                                disabled={remainingSeconds <= 0}
+                                style={styles.actionButton}
+                              />
+                            ) : null}
                             <BasicButton
                               title="Reject"
                               onPress={() => handleRejectBid(item.bid_id)}
@@ -696,35 +1058,66 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                 </View>
               ) : null}
 
-              {CUSTOMER_CANCELABLE_STATUSES.includes(activeOrder.status) ? (
+              {orderStates.can('cancel', activeOrder.status) ? (
                 <BasicButton title="Cancel Order" onPress={handleCancelOrder} style={styles.dangerButton} />
-              ) : (
+              ) : orderStates.loaded ? (
                 <Text style={styles.hint}>Order cannot be cancelled at this stage.</Text>
-              )}
+              ) : null}
             </View>
-          ) : (
+          ) : null}
+
+          {canStartOrder ? (
             <View>
               <Text style={styles.pageTitle}>Start A New Order</Text>
               {loadingPricing ? <Text style={styles.hint}>Loading quantities...</Text> : null}
+              {!loadingPricing && pricingError ? (
+                <View style={styles.pricingErrorRow}>
+                  <Text style={styles.errorText}>{pricingError}</Text>
+                  <BasicButton title="Retry" onPress={loadPricing} style={styles.retryButton} />
+                </View>
+              ) : null}
               {!sessionToken ? <Text style={styles.errorText}>Session missing. Login again.</Text> : null}
 
               <View style={styles.card}>
-                <Text style={styles.fieldLabel}>Address</Text>
-                <TextInput
-                  value={address}
-                  onChangeText={setAddress}
-                  style={styles.input}
-                  placeholder="Street address"
-                  placeholderTextColor={colors.textSecondary}
-                />
-
                 <AppDropdown
-                  label="District"
-                  selectedValue={district}
-                  onValueChange={setDistrict}
-                  placeholder="Select your district"
-                  options={KARACHI_AREAS.map(area => ({ label: area, value: area }))}
+                  label="Deliver To"
+                  selectedValue={addressChoice}
+                  onValueChange={setAddressChoice}
+                  options={[
+                    ...savedAddresses.map((item) => ({
+                      label: `${item.label} — ${item.address}`,
+                      value: String(item.address_id)
+                    })),
+                    { label: 'Enter a new address', value: NEW_ADDRESS }
+                  ]}
                 />
+                <BasicButton
+                  title="Manage Saved Addresses"
+                  onPress={() => setShowAddressBook(true)}
+                  style={styles.ghostButton}
+                  textStyle={{ color: colors.textSecondary }}
+                />
+
+                {addressChoice === NEW_ADDRESS ? (
+                  <>
+                    <Text style={styles.fieldLabel}>Address</Text>
+                    <TextInput
+                      value={address}
+                      onChangeText={setAddress}
+                      style={styles.input}
+                      placeholder="Street address"
+                      placeholderTextColor={colors.textSecondary}
+                    />
+
+                    <AppDropdown
+                      label="District"
+                      selectedValue={district}
+                      onValueChange={setDistrict}
+                      placeholder="Select your district"
+                      options={AREA_OPTIONS}
+                    />
+                  </>
+                ) : null}
 
                 <AppDropdown
                   label="Gallons"
@@ -732,7 +1125,7 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                   onValueChange={handleGallonsChange}
                   placeholder="Select quantity"
                   options={quantityPricing.map(option => ({
-                    label: String(option.quantity_in_gallon),
+                    label: formatQuantityLabel(option.quantity_in_gallon, option.leg_count),
                     value: String(option.quantity_in_gallon)
                   }))}
                 />
@@ -746,14 +1139,86 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                   placeholder="Your price offer"
                   placeholderTextColor={colors.textSecondary}
                 />
+                {selectedOption ? (
+                  <Text style={styles.hint}>
+                    Suggested: {selectedOption.suggested_price} · Allowed: {minPrice}–{maxPrice}
+                    {selectedOption.rule_name ? ` · ${selectedOption.rule_name}` : ''}
+                  </Text>
+                ) : null}
+
+                <AppDropdown
+                  label="Delivery Time"
+                  selectedValue={scheduleWhen}
+                  onValueChange={setScheduleWhen}
+                  options={SCHEDULE_WHEN_OPTIONS}
+                />
 
-                <BasicButton title="Start Order" onPress={handleStartOrder} disabled={loadingPricing || !sessionToken} style={styles.fullButton} />
+                {preferredSuppliers.length > 0 ? (
+                  <>
+                    <AppDropdown
+                      label="Send To"
+                      selectedValue={sendTo}
+                      onValueChange={setSendTo}
+                      options={[
+                        { label: 'Open marketplace', value: SEND_TO_MARKETPLACE },
+                        ...preferredSuppliers.map((supplier) => ({
+                          label: `${supplier.supplier_name} (${supplier.completed_orders} past orders)`,
+                          value: String(supplier.supplier_id)
+                        }))
+                      ]}
+                    />
+                    {sendTo !== SEND_TO_MARKETPLACE ? (
+                      <AppDropdown
+                        label="If Declined"
+                        selectedValue={directFallback}
+                        onValueChange={setDirectFallback}
+                        options={DIRECT_FALLBACK_OPTIONS}
+                      />
+                    ) : null}
+                  </>
+                ) : null}
+
+                {scheduleWhen === 'later' ? (
+                  <>
+                    <AppDropdown
+                      label="Day"
+                      selectedValue={scheduleDay}
+                      onValueChange={setScheduleDay}
+                      placeholder="Select a day"
+                      options={buildScheduleDayOptions()}
+                    />
+                    <AppDropdown
+                      label="From"
+                      selectedValue={scheduleSlot}
+                      onValueChange={setScheduleSlot}
+                      placeholder="Select a start time"
+                      options={SLOT_OPTIONS}
+                    />
+                    <AppDropdown
+                      label="Window"
+                      selectedValue={scheduleWindow}
+                      onValueChange={setScheduleWindow}
+                      options={WINDOW_LENGTH_OPTIONS}
+                    />
+                  </>
+                ) : null}
+
+                <BasicButton title={sendTo !== SEND_TO_MARKETPLACE ? 'Send To Supplier' : scheduleWhen === 'later' ? 'Schedule Order' : 'Start Order'} onPress={handleStartOrder} disabled={loadingPricing || quantityPricing.length === 0 || !sessionToken} style={styles.fullButton} />
               </View>
             </View>
-          )}
+          ) : null}
         </ScrollView>
       )}
 
+      {activeTab === 'subscriptions' && (
+        <SubscriptionsPanel
+          sessionToken={sessionToken}
+          socket={socket}
+          quantityPricing={quantityPricing}
+          onError={(message) => setErrorModalData({ title: 'Error', message })}
+        />
+      )}
+
       {activeTab === 'history' && (
         <ScrollView style={styles.scroll} contentContainerStyle={styles.scrollContent}>
           {historyDetail ? (
@@ -764,10 +1229,26 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                 <Text style={styles.row}><Text style={styles.label}>Status: </Text><Text style={styles.value}>{historyDetail.status || '-'}</Text></Text>
                 <Text style={styles.row}><Text style={styles.label}>Date: </Text><Text style={styles.value}>{formatDate(historyDetail.order_date)}</Text></Text>
                 <Text style={styles.row}><Text style={styles.label}>Location: </Text><Text style={styles.value}>{historyDetail.customer_location || '-'}</Text></Text>
-                <Text style={styles.row}><Text style={styles.label}>Gallons: </Text><Text style={styles.value}>{historyDetail.quantity || '-'}</Text></Text>
+                <Text style={styles.row}><Text style={styles.label}>Gallons: </Text><Text style={styles.value}>{historyDetail.quantity ? formatQuantityLabel(historyDetail.quantity, historyDetail.leg_count) : '-'}</Text></Text>
                 <Text style={styles.row}><Text style={styles.label}>Price: </Text><Text style={styles.value}>{historyDetail.price || '-'}</Text></Text>
                 <Text style={styles.row}><Text style={styles.label}>Supplier: </Text><Text style={styles.value}>{historyDetail.supplier_name || '-'}</Text></Text>
-                <Text style={styles.row}><Text style={styles.label}>Driver: </Text><Text style={styles.value}>{historyDetail.driver_name || '-'}</Text></Text>
+                {Array.isArray(historyDetail.legs) && historyDetail.legs.length > 0 ? (
+                  historyDetail.legs.map((leg) => (
+                    <View key={String(leg.order_id)} style={styles.legBox}>
+                      <Text style={styles.row}>
+                        <Text style={styles.label}>{formatLegLabel(leg.leg_number, historyDetail.leg_count)} ({leg.quantity} gal): </Text>
+                        <Text style={styles.value}>{leg.status || '-'}</Text>
+                      </Text>
+                      <Text style={styles.row}><Text style={styles.label}>Driver: </Text><Text style={styles.value}>{leg.driver_name || '-'}</Text></Text>
+                      <DeliveryProofView proof={leg.delivery_proof} />
+                    </View>
+                  ))
+                ) : (
+                  <>
+                    <Text style={styles.row}><Text style={styles.label}>Driver: </Text><Text style={styles.value}>{historyDetail.driver_name || '-'}</Text></Text>
+                    <DeliveryProofView proof={historyDetail.delivery_proof} />
+                  </>
+                )}
               </View>
 
               {historyDetail.status === 'completed' ? (
@@ -812,7 +1293,7 @@ export default function CustomerDashboard({ sessionToken, socket }) {
                   <Text style={styles.cardTitle}>Order #{item.order_id}</Text>
                   <Text style={styles.row}><Text style={styles.label}>Status: </Text><Text style={styles.value}>{item.status || '-'}</Text></Text>
                   <Text style={styles.row}><Text style={styles.label}>Date: </Text><Text style={styles.value}>{formatDate(item.order_date)}</Text></Text>
-                  <Text style={styles.row}><Text style={styles.label}>Qty: </Text><Text style={styles.value}>{item.quantity || '-'}</Text><Text style={styles.label}> | Price: </Text><Text style={styles.value}>{item.price || '-'}</Text></Text>
+                  <Text style={styles.row}><Text style={styles.label}>Qty: </Text><Text style={styles.value}>{item.quantity ? formatQuantityLabel(item.quantity, item.leg_count) : '-'}</Text><Text style={styles.label}> | Price: </Text><Text style={styles.value}>{item.price || '-'}</Text></Text>
                   <BasicButton
                     title="View Details"
                     onPress={() => fetchHistoryDetail(item.order_id)}
@@ -889,8 +1370,13 @@ const styles = StyleSheet.create({
   label: { fontSize: typography.label, color: colors.textSecondary },
   value: { color: colors.textPrimary, fontWeight: '500' },
   hint: { fontSize: typography.small, color: colors.textSecondary, marginTop: 4 },
+  legBox: { borderTopWidth: 1, borderTopColor: colors.border, paddingTop: spacing.xs, marginTop: spacing.xs },
+  handoverBox: { backgroundColor: colors.surface, borderRadius: radius.sm, padding: spacing.sm, marginTop: spacing.xs, alignItems: 'center' },
+  handoverCode: { fontSize: typography.title, fontWeight: '700', color: colors.primaryDark, letterSpacing: 8, marginTop: 4 },
   emptyText: { fontSize: typography.body, color: colors.textSecondary, textAlign: 'center', marginTop: spacing.lg },
   errorText: { fontSize: typography.label, color: colors.danger, marginBottom: spacing.sm },
+  pricingErrorRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', gap: spacing.sm },
+  retryButton: { marginTop: 0, marginBottom: spacing.sm, paddingHorizontal: spacing.md },
   fieldLabel: { fontSize: typography.label, fontWeight: '600', color: colors.textSecondary, marginTop: spacing.sm, marginBottom: 4 },
   input: {
     borderWidth: 1.5,
@@ -910,6 +1396,7 @@ const styles = StyleSheet.create({
   actionButton: { flex: 1, marginTop: 0 },
   backButton: { alignSelf: 'flex-start', marginBottom: spacing.sm, marginTop: 0 },
   bidUpdateRow: { flexDirection: 'row', alignItems: 'center', gap: spacing.xs, marginTop: spacing.xs },
+  counterSendButton: { marginTop: 0, paddingHorizontal: spacing.sm },
   bidStepButton: { width: 44, height: 44, marginTop: 0, paddingVertical: 0, paddingHorizontal: 0, borderRadius: radius.sm },
   bidValueInput: {
     flex: 1,
@@ -927,6 +1414,7 @@ const styles = StyleSheet.create({
   starButton: { flex: 1, marginTop: 0, paddingVertical: 10 },
   modalOverlay: { flex: 1, backgroundColor: colors.overlay, justifyContent: 'center', alignItems: 'center' },
   modalBox: { width: '88%', maxWidth: 380, backgroundColor: colors.surface, borderRadius: radius.lg, padding: spacing.lg, ...shadow.md },
+  addressBookBox: { maxHeight: '85%' },
   modalTitle: { fontSize: typography.subtitle, fontWeight: '700', color: colors.textPrimary, marginBottom: 4 },
   modalSubtitle: { fontSize: typography.label, color: colors.textSecondary, marginBottom: spacing.sm },
   modalActionButton: { marginTop: spacing.xs },
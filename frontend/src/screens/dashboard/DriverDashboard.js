@@ -4,6 +4,9 @@ import { colors, spacing, radius, typography, shadow } from '../../theme/tokens'
 import BasicButton from '../../components/ui/BasicButton';
 import ErrorModal from '../../components/ui/ErrorModal';
 import Toast from '../../components/ui/Toast';
+import DriverLocationReporter from '../../components/map/DriverLocationReporter';
+import DeliveryProofForm from '../../components/delivery/DeliveryProofForm';
+import useOrderStates from '../../components/orders/useOrderStates';
 
 import {
   getCurrentDriverOrder,
@@ -17,6 +20,7 @@ import {
   listDriverHistory,
   getDriverHistoryDetails,
 } from '../../api/driverApi';
+import { formatLegLabel } from '../../constants/legs';
 
 function formatDate(val) {
   if (!val) return '-';
@@ -40,6 +44,7 @@ export default function DriverDashboard({ sessionToken, socket }) {
   const [taskMessage, setTaskMessage] = useState('');
   const [loadingTask, setLoadingTask] = useState(false);
   const [actionLoading, setActionLoading] = useState(false);
+  const orderStates = useOrderStates('driver');
 
   // Local countdown tick applied on top of server-provided remaining seconds
   const [supplierTimerTick, setSupplierTimerTick] = useState(0);
@@ -91,9 +96,15 @@ export default function DriverDashboard({ sessionToken, socket }) {
     if (!socket) return;
     socket.on('order_assigned', loadCurrentOrder);
     socket.on('order_updated', loadCurrentOrder);
+    socket.on('assignment_expired', loadCurrentOrder);
+    socket.on('order_expired', loadCurrentOrder);
+    socket.on('handover_overridden', loadCurrentOrder);
     return () => {
       socket.off('order_assigned', loadCurrentOrder);
       socket.off('order_updated', loadCurrentOrder);
+      socket.off('assignment_expired', loadCurrentOrder);
+      socket.off('order_expired', loadCurrentOrder);
+      socket.off('handover_overridden', loadCurrentOrder);
     };
   }, [sessionToken, activeTab, loadCurrentOrder, socket]);
 
@@ -124,7 +135,8 @@ export default function DriverDashboard({ sessionToken, socket }) {
       const who = cancelled_by === 'supplier' ? 'the supplier'
         : cancelled_by === 'customer' ? 'the customer'
           : cancelled_by === 'timer' ? 'timer expiry'
-            : cancelled_by;
+            : cancelled_by === 'admin' ? 'Pani Chahye support'
+              : cancelled_by;
       setCancelledModalData({ order_id, who });
     };
 
@@ -212,16 +224,27 @@ export default function DriverDashboard({ sessionToken, socket }) {
     }
   };
 
-  const handleFinish = async () => {
+  const handleFinish = async (proof) => {
     if (!sessionToken || !currentOrder?.order_id) return;
     const snapshot = { ...currentOrder };
     try {
       setActionLoading(true);
-      await finishDriverOrder(sessionToken, currentOrder.order_id);
+      await finishDriverOrder(sessionToken, currentOrder.order_id, proof);
       setCurrentOrder(null);
       setTaskMessage('');
-      setReceiptOrder(snapshot);
+      setReceiptOrder({ ...snapshot, delivered_gallons: proof.delivered_gallons });
     } catch (error) {
+      const attemptsRemaining = error?.payload?.data?.attempts_remaining;
+      if (error?.status === 403 && attemptsRemaining != null) {
+        setErrorModalData({
+          title: 'Handover Code',
+          message: attemptsRemaining > 0
+            ? `${error.message}. ${attemptsRemaining} attempt(s) left.`
+            : error.message,
+        });
+        loadCurrentOrder();
+        return;
+      }
       setErrorModalData({ title: 'Error', message: error.message || 'Failed to finish delivery' });
     } finally {
       setActionLoading(false);
@@ -232,9 +255,10 @@ export default function DriverDashboard({ sessionToken, socket }) {
     if (!sessionToken || !currentOrder?.order_id) return;
     try {
       setActionLoading(true);
-      await cancelDriverOrder(sessionToken, currentOrder.order_id);
+      const response = await cancelDriverOrder(sessionToken, currentOrder.order_id);
       setCurrentOrder(null);
-      setTaskMessage('Order cancelled.');
+      // Before arrival the order goes back to the supplier rather than being cancelled.
+      setTaskMessage(response?.data?.status === 'cancelled' ? 'Order cancelled.' : 'Order handed back to the supplier.');
     } catch (error) {
       setErrorModalData({ title: 'Error', message: error.message || 'Failed to cancel order' });
     } finally {
@@ -293,6 +317,7 @@ export default function DriverDashboard({ sessionToken, socket }) {
             <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Order: </Text>#{receiptOrder?.order_id}</Text>
             <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Location: </Text>{receiptOrder?.delivery_location || '-'}</Text>
             <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Quantity: </Text>{receiptOrder?.quantity || '-'} gal</Text>
+            <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Delivered: </Text>{receiptOrder?.delivered_gallons || '-'} gal</Text>
             <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Price: </Text>{receiptOrder?.price || '-'}</Text>
             <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Customer: </Text>{receiptOrder?.customer_name || '-'}</Text>
             <Text style={styles.receiptRow}><Text style={styles.receiptLabel}>Customer Phone: </Text>{receiptOrder?.customer_phone || '-'}</Text>
@@ -366,6 +391,9 @@ export default function DriverDashboard({ sessionToken, socket }) {
                 {/* Order info */}
                 <View style={styles.card}>
                   <Text style={styles.cardTitle}>Order #{currentOrder.order_id}</Text>
+                  {formatLegLabel(currentOrder.leg_number, currentOrder.leg_count) ? (
+                    <Text style={styles.cardRow}>{formatLegLabel(currentOrder.leg_number, currentOrder.leg_count)} for this customer</Text>
+                  ) : null}
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Status: </Text>{currentOrder.status}</Text>
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Location: </Text>{currentOrder.delivery_location}</Text>
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Qty: </Text>{currentOrder.quantity} gal</Text>
@@ -382,7 +410,7 @@ export default function DriverDashboard({ sessionToken, socket }) {
                 </View>
 
                 {/* Pending assignment phase: timers + accept/reject */}
-                {currentOrder.status === 'supplier_timer' && currentOrder.source === 'pending_assignment' && (
+                {orderStates.can('accept_assignment', currentOrder.status) && currentOrder.source === 'pending_assignment' && (
                   <View style={styles.card}>
                     {supplierSecs != null && (
                       <Text style={styles.cardRow}>Order timer: {supplierTimerExpired ? 'Expired' : formatSeconds(supplierSecs)}</Text>
@@ -404,22 +432,36 @@ export default function DriverDashboard({ sessionToken, socket }) {
                 )}
 
                 {/* Active delivery actions */}
-                {currentOrder.status === 'accepted' && (
+                {orderStates.can('start_ride', currentOrder.status) && (
                   <View style={styles.actionRow}>
                     <BasicButton title={actionLoading ? 'Starting...' : 'Start Ride'} onPress={() => runDriverAction(startDriverRide)} disabled={actionLoading} style={styles.actionButton} />
                     <BasicButton title={actionLoading ? 'Cancelling...' : 'Cancel'} onPress={handleCancel} disabled={actionLoading} style={styles.actionButton} />
                   </View>
                 )}
-                {currentOrder.status === 'ride_started' && (
+                {orderStates.can('mark_reached', currentOrder.status) && (
+                  <DriverLocationReporter
+                    sessionToken={sessionToken}
+                    orderId={currentOrder.order_id}
+                    destination={{ latitude: currentOrder.delivery_latitude, longitude: currentOrder.delivery_longitude }}
+                  />
+                )}
+                {orderStates.can('mark_reached', currentOrder.status) && (
                   <View style={styles.actionRow}>
                     <BasicButton title={actionLoading ? 'Updating...' : 'Mark Reached'} onPress={() => runDriverAction(markDriverReached)} disabled={actionLoading} style={styles.actionButton} />
                     <BasicButton title={actionLoading ? 'Cancelling...' : 'Cancel'} onPress={handleCancel} disabled={actionLoading} style={styles.actionButton} />
                   </View>
                 )}
-                {currentOrder.status === 'reached' && (
-                  <View style={styles.actionRow}>
-                    <BasicButton title={actionLoading ? 'Finishing...' : 'Finish Delivery'} onPress={handleFinish} disabled={actionLoading} style={styles.actionButton} />
-                    <BasicButton title={actionLoading ? 'Cancelling...' : 'Cancel'} onPress={handleCancel} disabled={actionLoading} style={styles.actionButton} />
+                {orderStates.can('finish', currentOrder.status) && (
+                  <View style={styles.card}>
+                    <DeliveryProofForm
+                      key={currentOrder.order_id}
+                      defaultGallons={currentOrder.quantity}
+                      requireHandoverCode={!currentOrder.handover_overridden}
+                      submitting={actionLoading}
+                      onSubmit={handleFinish}
+                      onError={(message) => setErrorModalData({ title: 'Camera', message })}
+                    />
+                    <BasicButton title={actionLoading ? 'Cancelling...' : 'Cancel'} onPress={handleCancel} disabled={actionLoading} style={styles.fullButton} />
                   </View>
                 )}
               </View>
@@ -443,6 +485,9 @@ export default function DriverDashboard({ sessionToken, socket }) {
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Supplier: </Text>{historyDetails.supplier_name || '-'}</Text>
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Driver: </Text>{historyDetails.driver_name || '-'}</Text>
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Qty: </Text>{historyDetails.quantity || '-'} gal</Text>
+                  {formatLegLabel(historyDetails.leg_number, historyDetails.leg_count) ? (
+                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Leg: </Text>{formatLegLabel(historyDetails.leg_number, historyDetails.leg_count)}</Text>
+                  ) : null}
                   <Text style={styles.cardRow}><Text style={styles.cardLabel}>Price: </Text>{historyDetails.price || '-'}</Text>
                 </View>
               </View>
@@ -2,6 +2,7 @@ import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { View, Text, TextInput, ScrollView, StyleSheet, ActivityIndicator, Modal } from 'react-native';
 import { colors, spacing, radius, typography, shadow } from '../../theme/tokens';
 import BasicButton from '../../components/ui/BasicButton';
+import AppDropdown from '../../components/ui/AppDropdown';
 import ErrorModal from '../../components/ui/ErrorModal';
 import {
     listAvailableOrders,
@@ -17,7 +18,21 @@ import {
     cancelSupplierOrder,
     getAvailableOrderDetail,
     getPastSupplierOrderDetail,
+    getSupplierServiceArea,
+    updateSupplierServiceArea,
+    getSupplierOrderLocationTrail,
+    overrideSupplierHandover,
 } from '../../api/supplierApi';
+import TankerMap from '../../components/map/TankerMap';
+import DeliveryProofView from '../../components/delivery/DeliveryProofView';
+import DirectOffersSection from '../../components/directOrders/DirectOffersSection';
+import CounterOffersSection from '../../components/bids/CounterOffersSection';
+import VehiclesSection from '../../components/fleet/VehiclesSection';
+import useLocationTrail from '../../components/map/useLocationTrail';
+import useOrderStates from '../../components/orders/useOrderStates';
+import { AREA_OPTIONS, KARACHI_AREAS, findArea, formatDistance } from '../../constants/areas';
+import { formatDeliveryWindow } from '../../constants/schedule';
+import { formatLegLabel, formatQuantityLabel, formatTankerCount } from '../../constants/legs';
 
 function formatDate(val) {
     if (!val) return '-';
@@ -48,6 +63,8 @@ export default function SupplierDashboard({ sessionToken, socket }) {
     const [assignableDrivers, setAssignableDrivers] = useState([]);
     const [loadingOrderDetail, setLoadingOrderDetail] = useState(false);
     const [loadingAssignableDrivers, setLoadingAssignableDrivers] = useState(false);
+    const [overrideReason, setOverrideReason] = useState('');
+    const [overridingHandover, setOverridingHandover] = useState(false);
     const [timerTick, setTimerTick] = useState(0); // increments every second for timer display
 
     // Market order detail state (for viewing full order info before bidding)
@@ -57,6 +74,13 @@ export default function SupplierDashboard({ sessionToken, socket }) {
     // Past order detail state
     const [pastOrderDetail, setPastOrderDetail] = useState(null);
 
+    // Service area (filters the live market)
+    const [serviceArea, setServiceArea] = useState(null);
+    const [editingServiceArea, setEditingServiceArea] = useState(false);
+    const [radiusInput, setRadiusInput] = useState('');
+    const [selectedDistricts, setSelectedDistricts] = useState([]);
+    const [yardArea, setYardArea] = useState('');
+
     // Modal states
     const [cancelledModalData, setCancelledModalData] = useState(null);
     const [completedModalData, setCompletedModalData] = useState(null);
@@ -67,6 +91,14 @@ export default function SupplierDashboard({ sessionToken, socket }) {
     // Track which supplier_timer orders we've already shown notification for
     const notifiedOrdersRef = useRef(new Set());
 
+    const orderStates = useOrderStates('supplier');
+    const tankerTrail = useLocationTrail({
+        socket,
+        orderId: selectedOrderId,
+        enabled: orderDetail?.status === 'ride_started',
+        loadTrail: (orderId) => getSupplierOrderLocationTrail(sessionToken, orderId),
+    });
+
     // ─── Helpers ───────────────────────────────────────────────────────────────
 
     const formatDuration = (secondsRaw) => {
@@ -106,6 +138,16 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         }
     }, [sessionToken]);
 
+    const fetchServiceArea = useCallback(async () => {
+        if (!sessionToken) return;
+        try {
+            const response = await getSupplierServiceArea(sessionToken);
+            setServiceArea(response?.data || null);
+        } catch (error) {
+            setErrorModalData({ title: 'Error', message: error.message || 'Failed to fetch service area' });
+        }
+    }, [sessionToken]);
+
     const fetchActiveOrders = useCallback(async () => {
         if (!sessionToken) return;
         try {
@@ -167,7 +209,7 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                 setOrderDetail(null);
                 setSelectedOrderId(null);
                 setAssignableDrivers([]);
-                setErrorModalData({ title: 'Timer Expired', message: 'The supplier timer has expired. The order has been cancelled.' });
+                setErrorModalData({ title: 'Timer Expired', message: 'The supplier timer has expired. The order has gone back to the marketplace.' });
                 await fetchActiveOrders();
             } else if (error.status === 404 || error.status === 409) {
                 setOrderDetail(null);
@@ -218,6 +260,7 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         setSelectedOrderId(orderId);
         setOrderDetail(null);
         setAssignableDrivers([]);
+        setOverrideReason('');
     };
 
     const handleAssignDriver = async (driverId) => {
@@ -261,6 +304,39 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         });
     };
 
+    const handleOverrideHandover = () => {
+        if (!sessionToken || !selectedOrderId) return;
+        const reason = overrideReason.trim();
+        if (reason.length < 5) {
+            setErrorModalData({ title: 'Reason Required', message: 'Enter at least 5 characters explaining why the handover code is being skipped.' });
+            return;
+        }
+        setErrorModalData({
+            title: 'Override Handover',
+            message: 'The driver will be able to finish without the customer\'s code. This is recorded against your account. Continue?',
+            buttons: [
+                { label: 'No', onPress: () => setErrorModalData(null) },
+                {
+                    label: 'Yes, Override',
+                    danger: true,
+                    onPress: async () => {
+                        setErrorModalData(null);
+                        try {
+                            setOverridingHandover(true);
+                            await overrideSupplierHandover(sessionToken, selectedOrderId, reason);
+                            setOverrideReason('');
+                            await fetchOrderDetail(selectedOrderId);
+                        } catch (error) {
+                            setErrorModalData({ title: 'Error', message: error.message || 'Failed to override handover' });
+                        } finally {
+                            setOverridingHandover(false);
+                        }
+                    }
+                }
+            ]
+        });
+    };
+
     // Helper: Find the next unnotified supplier_timer order
     const getNextUnnotifiedSupplierTimerOrder = () => {
         for (const order of activeOrders) {
@@ -312,6 +388,43 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         }
     };
 
+    const handleEditServiceArea = () => {
+        setRadiusInput(serviceArea?.service_radius_km ? String(serviceArea.service_radius_km) : '');
+        setSelectedDistricts(Array.isArray(serviceArea?.service_districts) ? serviceArea.service_districts : []);
+        setYardArea('');
+        setEditingServiceArea(true);
+    };
+
+    const toggleDistrict = (district) => {
+        setSelectedDistricts((prev) => (
+            prev.includes(district) ? prev.filter((d) => d !== district) : [...prev, district]
+        ));
+    };
+
+    const handleSaveServiceArea = async () => {
+        if (!sessionToken) return;
+        const radius = radiusInput.trim() ? Number(radiusInput) : null;
+        if (radius !== null && (!Number.isFinite(radius) || radius <= 0)) {
+            setErrorModalData({ title: 'Error', message: 'Enter a valid radius in km, or leave it empty' });
+            return;
+        }
+
+        const area = findArea(yardArea);
+        try {
+            const response = await updateSupplierServiceArea(sessionToken, {
+                service_radius_km: radius,
+                service_districts: selectedDistricts,
+                yard_latitude: area?.latitude ?? null,
+                yard_longitude: area?.longitude ?? null,
+            });
+            setServiceArea((prev) => ({ ...prev, ...(response?.data || {}) }));
+            setEditingServiceArea(false);
+            fetchLiveMarket();
+        } catch (error) {
+            setErrorModalData({ title: 'Error', message: error.message || 'Failed to update service area' });
+        }
+    };
+
     const handleSendBid = async (orderId) => {
         if (!sessionToken) {
             setErrorModalData({ title: 'Error', message: 'Missing session token. Please login again.' });
@@ -386,6 +499,7 @@ export default function SupplierDashboard({ sessionToken, socket }) {
 
         fetchLiveMarket();
         fetchActiveOrders();
+        fetchServiceArea();
 
         if (!socket) return;
 
@@ -417,12 +531,40 @@ export default function SupplierDashboard({ sessionToken, socket }) {
             fetchActiveOrders();
             setCompletedModalData({ order_id: data.order_id, quantity: data.quantity, price: data.price });
         };
+        // Supplier window ran out before a driver accepted; the order is back
+        // on the marketplace and this supplier can no longer bid on it.
+        // A driver handed an order back; it needs a replacement before the timer runs out.
+        const onDriverDropped = (data) => {
+            fetchActiveOrders();
+            if (Number(selectedOrderId) === Number(data.order_id)) {
+                fetchOrderDetail(selectedOrderId);
+            }
+            setErrorModalData({
+                title: 'Driver Dropped Out',
+                message: `The driver left order #${data.order_id}. Assign another driver before the timer runs out.`
+            });
+        };
+        const onOrderReopened = (data) => {
+            if (Number(selectedOrderId) === Number(data.order_id)) {
+                setSelectedOrderId(null);
+                setOrderDetail(null);
+                setAssignableDrivers([]);
+            }
+            fetchActiveOrders();
+            setErrorModalData({
+                title: 'Timer Expired',
+                message: `No driver was assigned to order #${data.order_id} in time. It has gone back to the marketplace for other suppliers.`
+            });
+        };
 
         socket.on('market_updated', onMarketUpdated);
         socket.on('order_status_changed', onOrderStatusChanged);
         socket.on('order_updated', onOrderUpdated);
         socket.on('order_cancelled', onOrderCancelled);
         socket.on('order_completed', onOrderCompleted);
+        socket.on('order_reopened', onOrderReopened);
+        socket.on('driver_dropped', onDriverDropped);
+        socket.on('bid_expired', onMarketUpdated);
 
         return () => {
             socket.off('market_updated', onMarketUpdated);
@@ -430,8 +572,11 @@ export default function SupplierDashboard({ sessionToken, socket }) {
             socket.off('order_updated', onOrderUpdated);
             socket.off('order_cancelled', onOrderCancelled);
             socket.off('order_completed', onOrderCompleted);
+            socket.off('order_reopened', onOrderReopened);
+            socket.off('driver_dropped', onDriverDropped);
+            socket.off('bid_expired', onMarketUpdated);
         };
-    }, [sessionToken, socket, fetchLiveMarket, fetchActiveOrders, selectedOrderId]);
+    }, [sessionToken, socket, fetchLiveMarket, fetchActiveOrders, fetchServiceArea, selectedOrderId]);
 
     // Load tab-specific data when switching tabs
     useEffect(() => {
@@ -499,10 +644,12 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         };
 
         socket.on('driver_responded', onDriverResponded);
+        socket.on('assignment_expired', onDriverResponded);
         socket.on('available_drivers_updated', onAvailableDriversUpdated);
         return () => {
             clearInterval(timerInterval);
             socket.off('driver_responded', onDriverResponded);
+            socket.off('assignment_expired', onDriverResponded);
             socket.off('available_drivers_updated', onAvailableDriversUpdated);
         };
     }, [selectedOrderId, orderDetail?.status, fetchOrderDetail, fetchAssignableDrivers, socket]);
@@ -511,6 +658,65 @@ export default function SupplierDashboard({ sessionToken, socket }) {
 
     const orderKey = (item) => String(item.order_id || item.id);
 
+    const describeServiceArea = (area) => {
+        const parts = [];
+        if (area?.service_radius_km) parts.push(`${Number(area.service_radius_km)} km from yard`);
+        const districts = Array.isArray(area?.service_districts) ? area.service_districts : [];
+        if (districts.length > 0) parts.push(districts.join(', '));
+        return parts.length > 0 ? parts.join(' or ') : 'Whole city';
+    };
+
+    // ─── Service Area Card ──────────────────────────────────────────────────────
+
+    const renderServiceArea = () => {
+        if (!editingServiceArea) {
+            return (
+                <View style={styles.card}>
+                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Service area: </Text>{describeServiceArea(serviceArea)}</Text>
+                    <BasicButton title="Edit Service Area" onPress={handleEditServiceArea} style={styles.fullButton} />
+                </View>
+            );
+        }
+
+        const hasYardCoordinates = serviceArea?.yard_latitude !== null && serviceArea?.yard_latitude !== undefined;
+        return (
+            <View style={styles.card}>
+                <Text style={styles.sectionTitle}>Service Area</Text>
+                <Text style={styles.cardLabel}>Orders within the radius or in any selected district are shown. Leave both empty to see the whole city.</Text>
+                <TextInput
+                    placeholder="Radius in km (optional)"
+                    keyboardType="numeric"
+                    value={radiusInput}
+                    onChangeText={setRadiusInput}
+                    style={styles.input}
+                />
+                <AppDropdown
+                    label={hasYardCoordinates ? 'Move yard to area (optional)' : 'Yard area (needed for radius)'}
+                    selectedValue={yardArea}
+                    onValueChange={setYardArea}
+                    placeholder="Select your yard's area"
+                    options={AREA_OPTIONS}
+                />
+                <View style={styles.districtChips}>
+                    {KARACHI_AREAS.map((area) => (
+                        <BasicButton
+                            key={area.name}
+                            title={area.name}
+                            selected={selectedDistricts.includes(area.name)}
+                            onPress={() => toggleDistrict(area.name)}
+                            style={styles.districtChip}
+                            textStyle={styles.bidButtonText}
+                        />
+                    ))}
+                </View>
+                <View style={styles.subTabsRow}>
+                    <BasicButton title="Save" onPress={handleSaveServiceArea} style={styles.subTabButton} />
+                    <BasicButton title="Cancel" onPress={() => setEditingServiceArea(false)} style={styles.subTabButton} />
+                </View>
+            </View>
+        );
+    };
+
     // Extracts the area portion from a delivery_location stored as "address, area"
     const extractArea = (deliveryLocation) => {
         if (!deliveryLocation) return '-';
@@ -518,6 +724,51 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         return parts.length > 1 ? parts[parts.length - 1] : deliveryLocation;
     };
 
+    // ─── Live Market ────────────────────────────────────────────────────────────
+
+    // Scheduled orders reach the market ahead of their delivery window; list
+    // them separately, soonest window first.
+    const liveMarketOrders = marketOrders.filter((item) => !item.scheduled_for);
+    const scheduledMarketOrders = marketOrders
+        .filter((item) => item.scheduled_for)
+        .sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for));
+
+    const renderMarketOrderCard = (item) => {
+        const orderId = item.order_id || item.id;
+        const area = extractArea(item.delivery_location);
+        const distance = formatDistance(item.distance_km);
+        return (
+            <View key={orderKey(item)} style={styles.card}>
+                <Text style={styles.cardRow}><Text style={styles.cardLabel}>Area: </Text>{area}{distance ? <Text style={styles.cardLabel}>  ({distance} away)</Text> : null}</Text>
+                <Text style={styles.cardRow}><Text style={styles.cardLabel}>Gallons: </Text>{formatQuantityLabel(item.requested_capacity, item.leg_count)}<Text style={styles.cardLabel}>  Offer: </Text>{item.customer_bid_price}</Text>
+                {item.scheduled_for ? (
+                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Window: </Text>{formatDeliveryWindow(item.scheduled_for, item.delivery_window_end)}</Text>
+                ) : null}
+                <View style={styles.bidRow}>
+                    <TextInput
+                        placeholder="Bid price"
+                        keyboardType="numeric"
+                        value={bids[orderId] || ''}
+                        style={styles.bidInput}
+                        onChangeText={(val) => setBids((prev) => ({ ...prev, [orderId]: val }))}
+                    />
+                    <BasicButton
+                        title="Bid"
+                        onPress={() => handleSendBid(orderId)}
+                        style={styles.bidButton}
+                        textStyle={styles.bidButtonText}
+                    />
+                    <BasicButton
+                        title="View"
+                        onPress={() => fetchMarketOrderDetail(orderId)}
+                        style={styles.viewButton}
+                        textStyle={styles.bidButtonText}
+                    />
+                </View>
+            </View>
+        );
+    };
+
     // ─── Market Order Detail View ───────────────────────────────────────────────
 
     const renderMarketDetail = () => {
@@ -550,8 +801,12 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                 <View style={styles.card}>
                     <Text style={styles.cardTitle}>Order #{orderId}</Text>
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Location: </Text>{marketOrderDetail.delivery_location || '-'}</Text>
-                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Gallons: </Text>{marketOrderDetail.requested_capacity || '-'}</Text>
+                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Distance: </Text>{formatDistance(marketOrderDetail.distance_km) || '-'}</Text>
+                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Gallons: </Text>{marketOrderDetail.requested_capacity ? formatQuantityLabel(marketOrderDetail.requested_capacity, marketOrderDetail.leg_count) : '-'}</Text>
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Offer: </Text>{marketOrderDetail.customer_bid_price || '-'}</Text>
+                    {marketOrderDetail.scheduled_for ? (
+                        <Text style={styles.cardRow}><Text style={styles.cardLabel}>Delivery window: </Text>{formatDeliveryWindow(marketOrderDetail.scheduled_for, marketOrderDetail.delivery_window_end)}</Text>
+                    ) : null}
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Customer: </Text>{marketOrderDetail.customer_name || '-'}</Text>
                 </View>
                 <View style={styles.card}>
@@ -598,7 +853,6 @@ export default function SupplierDashboard({ sessionToken, socket }) {
         const timeLimitISO = orderDetail.time_limit_for_supplier;
         // timerTick is referenced so the component re-renders every second for accurate countdown
         const secondsLeft = status === 'supplier_timer' ? getRemainingSupplierSeconds(orderDetail) : null;
-        const supplierCancelableStatuses = ['supplier_timer', 'accepted', 'ride_started', 'reached'];
 
         return (
             <ScrollView style={styles.scroll} contentContainerStyle={styles.scrollContent}>
@@ -610,17 +864,29 @@ export default function SupplierDashboard({ sessionToken, socket }) {
 
                 <View style={styles.card}>
                     <Text style={styles.cardTitle}>Order #{orderDetail.order_id || selectedOrderId}</Text>
+                    {formatLegLabel(orderDetail.leg_number, orderDetail.leg_count) ? (
+                        <Text style={styles.cardRow}>{formatLegLabel(orderDetail.leg_number, orderDetail.leg_count)} of order #{orderDetail.parent_order_id}</Text>
+                    ) : null}
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Status: </Text>{status}</Text>
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Date: </Text>{formatDate(orderDetail.order_date || orderDetail.created_at)}</Text>
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Address: </Text>{orderDetail.delivery_location || orderDetail.customer_location || '-'}</Text>
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Gallons: </Text>{orderDetail.requested_capacity || orderDetail.quantity || '-'}</Text>
                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Price: </Text>{orderDetail.accepted_price || orderDetail.price || '-'}</Text>
+                    {orderDetail.scheduled_for ? (
+                        <Text style={styles.cardRow}><Text style={styles.cardLabel}>Delivery window: </Text>{formatDeliveryWindow(orderDetail.scheduled_for, orderDetail.delivery_window_end)}</Text>
+                    ) : null}
                     {orderDetail.customer_name ? <Text style={styles.cardRow}><Text style={styles.cardLabel}>Customer: </Text>{orderDetail.customer_name}</Text> : null}
                     {orderDetail.customer_phone ? <Text style={styles.cardRow}><Text style={styles.cardLabel}>Phone: </Text>{orderDetail.customer_phone}</Text> : null}
+                    {status === 'ride_started' ? (
+                        <TankerMap
+                            points={tankerTrail}
+                            destination={{ latitude: orderDetail.delivery_latitude, longitude: orderDetail.delivery_longitude }}
+                        />
+                    ) : null}
                 </View>
 
                 {/* Supplier timer banner + driver assignment */}
-                {status === 'supplier_timer' && (
+                {orderStates.can('assign_driver', status) && (
                     <View style={styles.timerCard}>
                         <Text style={styles.timerTitle}>Assign a Driver</Text>
                         <Text style={styles.timerLabel}>Time Remaining to Assign:</Text>
@@ -634,7 +900,7 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                         <Text style={[styles.sectionTitle, { marginTop: 12 }]}>Available Drivers</Text>
                         {loadingAssignableDrivers ? <Text>Loading drivers...</Text> : null}
                         {!loadingAssignableDrivers && assignableDrivers.length === 0 ? (
-                            <Text style={styles.emptyText}>No available drivers at the moment.</Text>
+                            <Text style={styles.emptyText}>No available drivers with a tanker big enough for this order.</Text>
                         ) : null}
                         {assignableDrivers.map((driver) => {
                             const driverId = driver.driver_user_id || driver.driver_id;
@@ -644,6 +910,9 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                                 <View key={String(driverId)} style={styles.driverAssignCard}>
                                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Name: </Text>{driverName}</Text>
                                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Phone: </Text>{driverPhone}</Text>
+                                    {driver.registration_number ? (
+                                        <Text style={styles.cardRow}><Text style={styles.cardLabel}>Tanker: </Text>{driver.registration_number} ({driver.capacity_gallons} gal)</Text>
+                                    ) : null}
                                     <BasicButton
                                         title="Assign This Driver"
                                         onPress={() => handleAssignDriver(driverId)}
@@ -656,7 +925,7 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                 )}
 
                 {/* Progress info for post-assignment statuses */}
-                {(status === 'accepted' || status === 'ride_started' || status === 'reached') && (
+                {orderStates.describe(status)?.withDriver && (
                     <View style={styles.card}>
                         <Text style={styles.sectionTitle}>Order Progress</Text>
                         <Text>Driver: {orderDetail.driver_name || 'Not assigned yet'}</Text>
@@ -665,8 +934,37 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                     </View>
                 )}
 
+                {/* Handover code: the driver needs the customer's code to finish */}
+                {orderStates.can('override_handover', status) && (
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>Handover</Text>
+                        <Text style={styles.cardRow}>
+                            <Text style={styles.cardLabel}>Wrong code attempts: </Text>{orderDetail.handover_failed_attempts ?? 0}
+                        </Text>
+                        {orderDetail.handover_overridden_at ? (
+                            <Text style={styles.cardRow}>Overridden at {new Date(orderDetail.handover_overridden_at).toLocaleTimeString()}. The driver can finish without the code.</Text>
+                        ) : (
+                            <View>
+                                <Text style={styles.emptyText}>If the customer cannot share their code, you can let the driver finish without it. Overrides are audited.</Text>
+                                <TextInput
+                                    placeholder="Reason (e.g. customer phone is off)"
+                                    value={overrideReason}
+                                    style={styles.input}
+                                    onChangeText={setOverrideReason}
+                                />
+                                <BasicButton
+                                    title={overridingHandover ? 'Overriding...' : 'Override Handover Code'}
+                                    onPress={handleOverrideHandover}
+                                    disabled={overridingHandover}
+                                    style={styles.fullButton}
+                                />
+                            </View>
+                        )}
+                    </View>
+                )}
+
                 {/* Cancel button */}
-                {supplierCancelableStatuses.includes(status) ? (
+                {orderStates.can('cancel', status) ? (
                     <BasicButton
                         title="Cancel Order"
                         onPress={handleCancelSupplierOrder}
@@ -781,41 +1079,31 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                 <View style={styles.marketTabContainer}>
                     {/* Live orders — vertical scroll */}
                     <ScrollView style={{ flex: 1 }} contentContainerStyle={{ paddingBottom: 8 }}>
+                        {renderServiceArea()}
+                        <DirectOffersSection
+                            sessionToken={sessionToken}
+                            socket={socket}
+                            onAccepted={fetchActiveOrders}
+                            onError={(message) => setErrorModalData({ title: 'Error', message })}
+                        />
+                        <CounterOffersSection
+                            sessionToken={sessionToken}
+                            socket={socket}
+                            onAccepted={() => { fetchActiveOrders(); fetchLiveMarket(); }}
+                            onAnswered={fetchLiveMarket}
+                            onError={(message) => setErrorModalData({ title: 'Error', message })}
+                        />
                         <Text style={styles.sectionTitle}>Live Orders</Text>
                         {loadingMarket ? <Text>Loading live market...</Text> : null}
                         {!sessionToken ? <Text>Session missing. Login again.</Text> : null}
-                        {marketOrders.length === 0 && !loadingMarket ? <Text>No live orders</Text> : null}
-                        {marketOrders.map((item) => {
-                            const orderId = item.order_id || item.id;
-                            const area = extractArea(item.delivery_location);
-                            return (
-                                <View key={orderKey(item)} style={styles.card}>
-                                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Area: </Text>{area}</Text>
-                                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Gallons: </Text>{item.requested_capacity}<Text style={styles.cardLabel}>  Offer: </Text>{item.customer_bid_price}</Text>
-                                    <View style={styles.bidRow}>
-                                        <TextInput
-                                            placeholder="Bid price"
-                                            keyboardType="numeric"
-                                            value={bids[orderId] || ''}
-                                            style={styles.bidInput}
-                                            onChangeText={(val) => setBids((prev) => ({ ...prev, [orderId]: val }))}
-                                        />
-                                        <BasicButton
-                                            title="Bid"
-                                            onPress={() => handleSendBid(orderId)}
-                                            style={styles.bidButton}
-                                            textStyle={styles.bidButtonText}
-                                        />
-                                        <BasicButton
-                                            title="View"
-                                            onPress={() => fetchMarketOrderDetail(orderId)}
-                                            style={styles.viewButton}
-                                            textStyle={styles.bidButtonText}
-                                        />
-                                    </View>
-                                </View>
-                            );
-                        })}
+                        {liveMarketOrders.length === 0 && !loadingMarket ? <Text>No live orders</Text> : null}
+                        {liveMarketOrders.map(renderMarketOrderCard)}
+                        {scheduledMarketOrders.length > 0 ? (
+                            <>
+                                <Text style={[styles.sectionTitle, { marginTop: 12 }]}>Scheduled</Text>
+                                {scheduledMarketOrders.map(renderMarketOrderCard)}
+                            </>
+                        ) : null}
                     </ScrollView>
                 </View>
             ) : (
@@ -837,11 +1125,20 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                                         return (
                                             <View key={orderKey(item)} style={styles.card}>
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Status: </Text>{item.status}</Text>
+                                                {formatLegLabel(item.leg_number, item.leg_count) ? (
+                                                    <Text style={styles.cardRow}>{formatLegLabel(item.leg_number, item.leg_count)} of order #{item.parent_order_id}</Text>
+                                                ) : null}
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Location: </Text>{item.delivery_location ? extractArea(item.delivery_location) : '-'}</Text>
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Qty: </Text>{item.requested_capacity || item.quantity || '-'} gal</Text>
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Date: </Text>{formatDate(item.order_date || item.created_at)}</Text>
+                                                {item.scheduled_for ? (
+                                                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Window: </Text>{formatDeliveryWindow(item.scheduled_for, item.delivery_window_end)}</Text>
+                                                ) : null}
                                                 {item.status === 'supplier_timer' ? (
-                                                    <Text style={styles.timerBadge}>⏱ Assign a driver now</Text>
+                                                    <Text style={styles.timerBadge}>
+                                                        {item.needs_reassignment ? '⚠ Driver dropped out. ' : '⏱ '}
+                                                        {item.scheduled_for ? 'Assign a driver before the window opens' : 'Assign a driver now'}
+                                                    </Text>
                                                 ) : null}
                                                 <BasicButton
                                                     title="View Details"
@@ -869,9 +1166,25 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Date: </Text>{formatDate(pastOrderDetail.order_date)}</Text>
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Customer: </Text>{pastOrderDetail.customer_name || '-'}</Text>
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Phone: </Text>{pastOrderDetail.customer_phone || '-'}</Text>
-                                                <Text style={styles.cardRow}><Text style={styles.cardLabel}>Driver: </Text>{pastOrderDetail.driver_name || '-'}</Text>
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Quantity: </Text>{pastOrderDetail.quantity || '-'} gal</Text>
+                                                {formatTankerCount(pastOrderDetail.leg_count) ? (
+                                                    <Text style={styles.cardRow}><Text style={styles.cardLabel}>Delivered by: </Text>{formatTankerCount(pastOrderDetail.leg_count)}</Text>
+                                                ) : null}
                                                 <Text style={styles.cardRow}><Text style={styles.cardLabel}>Price: </Text>{pastOrderDetail.price || '-'}</Text>
+                                                {Array.isArray(pastOrderDetail.legs) && pastOrderDetail.legs.length > 0 ? (
+                                                    pastOrderDetail.legs.map((leg) => (
+                                                        <View key={String(leg.order_id)} style={styles.legRow}>
+                                                            <Text style={styles.cardRow}><Text style={styles.cardLabel}>{formatLegLabel(leg.leg_number, pastOrderDetail.leg_count)}: </Text>{leg.quantity} gal · {leg.status || '-'}</Text>
+                                                            <Text style={styles.cardRow}><Text style={styles.cardLabel}>Driver: </Text>{leg.driver_name || '-'}</Text>
+                                                            <DeliveryProofView proof={leg.delivery_proof} />
+                                                        </View>
+                                                    ))
+                                                ) : (
+                                                    <>
+                                                        <Text style={styles.cardRow}><Text style={styles.cardLabel}>Driver: </Text>{pastOrderDetail.driver_name || '-'}</Text>
+                                                        <DeliveryProofView proof={pastOrderDetail.delivery_proof} />
+                                                    </>
+                                                )}
                                             </View>
                                         </View>
                                     ) : (
@@ -912,12 +1225,23 @@ export default function SupplierDashboard({ sessionToken, socket }) {
                                 />
                                 <BasicButton title="Add Driver" onPress={handleAddDriver} style={styles.fullButton} />
                             </View>
+                            <VehiclesSection
+                                sessionToken={sessionToken}
+                                drivers={drivers}
+                                onChanged={fetchDrivers}
+                                onError={(message) => setErrorModalData({ title: 'Error', message })}
+                            />
+                            <Text style={styles.sectionTitle}>Roster</Text>
                             {drivers.map((item) => (
                                 <View key={String(item.driver_phone_num || item.driver_user_id || item.id)} style={styles.card}>
                                     <Text style={styles.cardTitle}>{item.driver_name || item.name || '-'}</Text>
                                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Phone: </Text>{item.driver_phone_num || item.linked_phone || '-'}</Text>
                                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Linked: </Text>{item.linked ? 'Yes' : 'No'}</Text>
                                     <Text style={styles.cardRow}><Text style={styles.cardLabel}>Status: </Text>{item.available ? 'Available' : 'Unavailable'}</Text>
+                                    <Text style={styles.cardRow}>
+                                        <Text style={styles.cardLabel}>Tanker: </Text>
+                                        {item.vehicle ? `${item.vehicle.registration_number} (${item.vehicle.capacity_gallons} gal${item.vehicle.status === 'maintenance' ? ', maintenance' : ''})` : 'Not paired'}
+                                    </Text>
                                     <BasicButton title="Remove Driver" onPress={() => handleRemoveDriver(item.driver_phone_num)} style={[styles.fullButton, { backgroundColor: colors.danger }]} />
                                 </View>
                             ))}
@@ -986,6 +1310,17 @@ const styles = StyleSheet.create({
         paddingVertical: 0,
         paddingHorizontal: 4,
     },
+    districtChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: spacing.xs,
+        marginVertical: spacing.sm,
+    },
+    districtChip: {
+        marginTop: 0,
+        paddingVertical: 6,
+        paddingHorizontal: spacing.sm,
+    },
     bidButtonText: {
         fontSize: typography.small,
         color: colors.textOnPrimary,
@@ -1055,6 +1390,12 @@ const styles = StyleSheet.create({
     cardLabel: {
         color: colors.textSecondary,
     },
+    legRow: {
+        borderTopWidth: 1,
+        borderTopColor: colors.border,
+        paddingTop: spacing.xs,
+        marginTop: spacing.xs,
+    },
     input: {
         borderWidth: 1.5,
         borderColor: colors.border,